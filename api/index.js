@@ -15,10 +15,18 @@ const contentRoutes = require('../backend/routes/content');
 const apiRoutes = require('../backend/routes/api');
 const adminRoutes = require('../backend/routes/admin');
 const uploadRoutes = require('../backend/routes/upload');
+const mediaRoutes = require('../backend/routes/media');
+const cronRoutes = require('../backend/routes/cron');
+const { registerJobs } = require('../backend/utils/backgroundJobs');
 
 // Create Express app
 const app = express();
 
+// No timers survive between invocations; Vercel Cron calls /api/cron to run the jobs
+if (constants.JOBS.ENABLED) {
+    registerJobs();
+}
+
 // Initialize database
 let dbInitialized = false;
 let dbError = null;
@@ -184,6 +192,13 @@ app.use('/api/upload', (req, res, next) => {
     next();
 }, uploadRoutes);
 
+app.use('/api/cron', (req, res, next) => {
+    if (!dbInitialized) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    next();
+}, cronRoutes);
+
 app.use('/api', (req, res, next) => {
     if (!dbInitialized) {
         return res.status(503).json({ error: 'Database not available' });
@@ -191,6 +206,14 @@ app.use('/api', (req, res, next) => {
     next();
 }, apiRoutes);
 
+app.use(['/media', '/uploads'], (req, res, next) => {
+    if (!dbInitialized) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    next();
+});
+app.use(mediaRoutes);
+
 // Serve static files from frontend
 app.use(express.static(path.join(__dirname, '../frontend'), {
     maxAge: '1h',
@@ -16,6 +16,9 @@ async function setupDatabase() {
         // Create tables
         await createTables();
         
+        // Apply schema migrations on top of the base tables
+        await runMigrations();
+        
         // Insert seed data
         await insertSeedData();
         
@@ -164,6 +167,14 @@ async function createTables() {
     console.log('✅ Tables created successfully');
 }
 
+async function runMigrations() {
+    console.log('📦 Applying pending migrations...');
+    
+    const MigrationRunner = require('../backend/migrations/migrate');
+    const runner = new MigrationRunner();
+    await runner.up();
+}
+
 async function insertSeedData() {
     console.log('🌱 Inserting seed data...');
     
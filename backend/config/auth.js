@@ -1,14 +1,16 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const constants = require('./constants');
-const { get, run, query } = require('./database');
+const { get, run, query, transaction } = require('./database');
+const { logger } = require('../utils/logger');
 
 /**
  * Production-ready Authentication System
  * Features:
  * - JWT access tokens with short expiry
- * - Refresh tokens with long expiry
+ * - Refresh tokens with long expiry, rotated on every use
  * - Secure password hashing
  * - Session management
  * - Token blacklisting
@@ -66,10 +68,12 @@ class AuthManager {
      */
     generateRefreshToken(payload) {
         try {
+            // A unique ID keeps tokens issued in the same second distinct
             return jwt.sign(payload, this.refreshSecret, {
                 expiresIn: this.refreshExpiresIn,
                 issuer: 'faithmasters',
-                audience: 'faithmasters-refresh'
+                audience: 'faithmasters-refresh',
+                jwtid: uuidv4()
             });
         } catch (error) {
             throw new Error('Failed to generate refresh token');
@@ -116,8 +120,83 @@ class AuthManager {
         }
     }
 
+    /**
+     * Generate signed email verification token
+     * The email is part of the payload so a link stops working if the address changes.
+     */
+    generateEmailVerificationToken(user) {
+        try {
+            return jwt.sign({ userId: user.id, email: user.email }, this.jwtSecret, {
+                expiresIn: constants.AUTH.EMAIL_VERIFICATION_EXPIRES_IN,
+                issuer: 'faithmasters',
+                audience: 'faithmasters-email-verification'
+            });
+        } catch (error) {
+            throw new Error('Failed to generate email verification token');
+        }
+    }
+
+    /**
+     * Verify email verification token
+     */
+    verifyEmailVerificationToken(token) {
+        try {
+            return jwt.verify(token, this.jwtSecret, {
+                issuer: 'faithmasters',
+                audience: 'faithmasters-email-verification'
+            });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('Verification link expired');
+            } else {
+                throw new Error('Invalid verification link');
+            }
+        }
+    }
+
+    /**
+     * Generate the short-lived token that carries a login from the password step to the second factor
+     */
+    generateTwoFactorChallenge(user) {
+        try {
+            return jwt.sign({ userId: user.id }, this.jwtSecret, {
+                expiresIn: constants.TWO_FACTOR.CHALLENGE_EXPIRES_IN,
+                issuer: 'faithmasters',
+                audience: 'faithmasters-two-factor'
+            });
+        } catch (error) {
+            throw new Error('Failed to generate two-factor challenge');
+        }
+    }
+
+    /**
+     * Verify two-factor challenge token
+     */
+    verifyTwoFactorChallenge(token) {
+        try {
+            return jwt.verify(token, this.jwtSecret, {
+                issuer: 'faithmasters',
+                audience: 'faithmasters-two-factor'
+            });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('Two-factor challenge expired');
+            } else {
+                throw new Error('Invalid two-factor challenge');
+            }
+        }
+    }
+
+    /**
+     * Hash a refresh token for storage and lookup
+     */
+    hashRefreshToken(refreshToken) {
+        return crypto.createHash('sha256').update(refreshToken).digest('hex');
+    }
+
     /**
      * Create user session with refresh token
+     * A session is one refresh token family; it keeps this expiry however often it is refreshed.
      */
     async createSession(userId, refreshToken, ipAddress, userAgent) {
         try {
@@ -127,7 +206,7 @@ class AuthManager {
             await run(`
                 INSERT INTO user_sessions (id, user_id, refresh_token, expires_at, ip_address, user_agent)
                 VALUES ($1, $2, $3, $4, $5, $6)
-            `, [sessionId, userId, refreshToken, expiresAt.toISOString(), ipAddress, userAgent]);
+            `, [sessionId, userId, this.hashRefreshToken(refreshToken), expiresAt.toISOString(), ipAddress, userAgent]);
 
             return sessionId;
         } catch (error) {
@@ -145,12 +224,48 @@ class AuthManager {
                 FROM user_sessions s
                 JOIN users u ON s.user_id = u.id
                 WHERE s.refresh_token = $1 AND s.is_active = true AND s.expires_at > CURRENT_TIMESTAMP
-            `, [refreshToken]);
+                    AND u.deleted_at IS NULL
+            `, [this.hashRefreshToken(refreshToken)]);
         } catch (error) {
             throw new Error('Failed to get session');
         }
     }
 
+    /**
+     * Revoke the session a rotated-out refresh token belonged to
+     * Only the legitimate client or a thief can hold an old token; since we can't
+     * tell which one is presenting it, the whole family is ended.
+     * Returns true if the token was a reused one.
+     */
+    async revokeReusedRefreshToken(refreshToken, ipAddress, userAgent) {
+        try {
+            const reused = await get(`
+                SELECT r.session_id, r.rotated_at, s.user_id
+                FROM rotated_refresh_tokens r
+                JOIN user_sessions s ON r.session_id = s.id
+                WHERE r.token_hash = $1
+            `, [this.hashRefreshToken(refreshToken)]);
+
+            if (!reused) {
+                return false;
+            }
+
+            await this.invalidateSession(reused.session_id);
+
+            logger.logSecurity('Refresh token reuse detected, session revoked', {
+                userId: reused.user_id,
+                sessionId: reused.session_id,
+                rotatedAt: reused.rotated_at,
+                ip: ipAddress,
+                userAgent
+            });
+
+            return true;
+        } catch (error) {
+            throw new Error('Failed to check refresh token reuse');
+        }
+    }
+
     /**
      * Invalidate session
      */
@@ -208,16 +323,51 @@ class AuthManager {
     async getUserSessions(userId) {
         try {
             return await query(`
-                SELECT id, ip_address, user_agent, created_at, expires_at
+                SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
                 FROM user_sessions
                 WHERE user_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
-                ORDER BY created_at DESC
+                ORDER BY last_used_at DESC, created_at DESC
             `, [userId]);
         } catch (error) {
             throw new Error('Failed to get user sessions');
         }
     }
 
+    /**
+     * Invalidate one of a user's sessions
+     * Returns false if the session isn't an active session of that user.
+     */
+    async invalidateUserSession(userId, sessionId) {
+        try {
+            const result = await run(`
+                UPDATE user_sessions 
+                SET is_active = false 
+                WHERE id = $1 AND user_id = $2 AND is_active = true
+            `, [sessionId, userId]);
+
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error('Failed to invalidate session');
+        }
+    }
+
+    /**
+     * Check whether a session is still active
+     */
+    async isSessionActive(sessionId) {
+        try {
+            const session = await get(`
+                SELECT id
+                FROM user_sessions
+                WHERE id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
+            `, [sessionId]);
+
+            return !!session;
+        } catch (error) {
+            throw new Error('Failed to check session');
+        }
+    }
+
     /**
      * Generate token pair (access + refresh)
      */
@@ -230,11 +380,13 @@ class AuthManager {
                 status: user.status
             };
 
-            const accessToken = this.generateAccessToken(payload);
             const refreshToken = this.generateRefreshToken({ userId: user.id });
             
             const sessionId = await this.createSession(user.id, refreshToken, ipAddress, userAgent);
 
+            // The session ID lets requests be tied to a device and stop working once it's revoked
+            const accessToken = this.generateAccessToken({ ...payload, sessionId });
+
             return {
                 accessToken,
                 refreshToken,
@@ -249,6 +401,8 @@ class AuthManager {
 
     /**
      * Refresh access token using refresh token
+     * The refresh token is rotated: the client gets a new one and the old one
+     * stops working. Presenting an old one again revokes the session.
      */
     async refreshAccessToken(refreshToken, ipAddress, userAgent) {
         try {
@@ -258,6 +412,9 @@ class AuthManager {
             // Get session
             const session = await this.getSessionByRefreshToken(refreshToken);
             if (!session) {
+                if (await this.revokeReusedRefreshToken(refreshToken, ipAddress, userAgent)) {
+                    throw new Error('Refresh token reuse detected');
+                }
                 throw new Error('Invalid or expired session');
             }
 
@@ -271,20 +428,37 @@ class AuthManager {
                 userId: session.user_id,
                 email: session.email,
                 role: session.role,
-                status: session.status
+                status: session.status,
+                sessionId: session.id
             };
 
             const accessToken = this.generateAccessToken(payload);
-
-            // Update session activity
-            await run(`
-                UPDATE user_sessions 
-                SET ip_address = $1, user_agent = $2 
-                WHERE id = $3
-            `, [ipAddress, userAgent, session.id]);
+            const newRefreshToken = this.generateRefreshToken({ userId: decoded.userId });
+
+            // Swap the token and remember the old one; if another request rotated it
+            // first, the unique hash makes the insert fail and the whole swap rolls back
+            const [rotation] = await transaction([
+                {
+                    sql: `
+                        UPDATE user_sessions 
+                        SET refresh_token = $1, ip_address = $2, user_agent = $3, last_used_at = CURRENT_TIMESTAMP 
+                        WHERE id = $4 AND refresh_token = $5
+                    `,
+                    params: [this.hashRefreshToken(newRefreshToken), ipAddress, userAgent, session.id, session.refresh_token]
+                },
+                {
+                    sql: 'INSERT INTO rotated_refresh_tokens (session_id, token_hash, rotated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)',
+                    params: [session.id, session.refresh_token]
+                }
+            ]);
+
+            if (rotation.changes === 0) {
+                throw new Error('Invalid or expired session');
+            }
 
             return {
                 accessToken,
+                refreshToken: newRefreshToken,
                 expiresIn: this.parseTimeToMs(this.jwtExpiresIn) / 1000,
                 tokenType: 'Bearer'
             };
@@ -412,6 +586,10 @@ module.exports = {
     verifyPassword: (password, hash) => authManager.verifyPassword(password, hash),
     generateTokenPair: (user, ip, userAgent) => authManager.generateTokenPair(user, ip, userAgent),
     verifyAccessToken: (token) => authManager.verifyAccessToken(token),
+    generateEmailVerificationToken: (user) => authManager.generateEmailVerificationToken(user),
+    verifyEmailVerificationToken: (token) => authManager.verifyEmailVerificationToken(token),
+    generateTwoFactorChallenge: (user) => authManager.generateTwoFactorChallenge(user),
+    verifyTwoFactorChallenge: (token) => authManager.verifyTwoFactorChallenge(token),
     refreshAccessToken: (token, ip, userAgent) => authManager.refreshAccessToken(token, ip, userAgent),
     logout: (refreshToken) => authManager.logout(refreshToken),
     extractTokenFromHeader: (header) => authManager.extractTokenFromHeader(header),
@@ -420,5 +598,7 @@ module.exports = {
     validatePasswordStrength: (password) => authManager.validatePasswordStrength(password),
     cleanupExpiredSessions: () => authManager.cleanupExpiredSessions(),
     getUserSessions: (userId) => authManager.getUserSessions(userId),
+    invalidateUserSession: (userId, sessionId) => authManager.invalidateUserSession(userId, sessionId),
+    isSessionActive: (sessionId) => authManager.isSessionActive(sessionId),
     invalidateAllUserSessions: (userId) => authManager.invalidateAllUserSessions(userId)
 };
\ No newline at end of file
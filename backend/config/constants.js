@@ -32,7 +32,30 @@ const constants = {
         JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
         BCRYPT_SALT_ROUNDS: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
         SESSION_SECRET: process.env.SESSION_SECRET || 'your-session-secret',
-        SESSION_MAX_AGE: parseInt(process.env.SESSION_MAX_AGE) || 86400000
+        SESSION_MAX_AGE: parseInt(process.env.SESSION_MAX_AGE) || 86400000,
+        PASSWORD_RESET_EXPIRES_IN: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+        EMAIL_VERIFICATION_EXPIRES_IN: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+        IP_LOCATION_DB_PATH: process.env.IP_LOCATION_DB_PATH || null // CSV of IP ranges for session locations
+    },
+
+    // Two-Factor Authentication (RFC 6238 TOTP)
+    TWO_FACTOR: {
+        ISSUER: process.env.TWO_FACTOR_ISSUER || 'FaithMasters',
+        CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+        STEP_SECONDS: 30,
+        DIGITS: 6,
+        WINDOW: 1, // time steps accepted either side of now, for clock drift
+        RECOVERY_CODE_COUNT: 10,
+        REQUIRED_SETTING: 'require_admin_two_factor'
+    },
+
+    // Social Login (OpenID Connect); providers are configured in config/oidc.js
+    OIDC: {
+        STATE_EXPIRES_IN: '10m', // time allowed at the provider before the login attempt lapses
+        TICKET_EXPIRES_IN: '1m', // time the frontend has to swap a finished login for tokens
+        STATE_COOKIE: 'fm_oidc_state',
+        DEFAULT_SCOPES: 'openid email profile',
+        HTTP_TIMEOUT_MS: parseInt(process.env.OIDC_HTTP_TIMEOUT_MS) || 10000
     },
 
     // Rate Limiting
@@ -50,7 +73,51 @@ const constants = {
         UPLOAD_DIR: 'uploads',
         TEMP_DIR: 'temp',
         IMAGE_DIR: 'images',
-        THUMBNAIL_DIR: 'thumbnails'
+        THUMBNAIL_DIR: 'thumbnails',
+        // Sizes every uploaded image is re-encoded to; each is also written as WebP
+        IMAGE_VARIANTS: {
+            thumbnail: { width: 320, height: 320, fit: 'cover' },
+            card: { width: 800 },
+            full: { width: 1920 }
+        },
+        IMAGE_QUALITY: parseInt(process.env.IMAGE_QUALITY) || 82,
+        // Refuse to decode anything larger, so a small file can't expand into a huge bitmap
+        MAX_IMAGE_PIXELS: parseInt(process.env.MAX_IMAGE_PIXELS) || 40 * 1000 * 1000
+    },
+
+    // Upload Storage
+    STORAGE: {
+        // 'local' writes under LOCAL_DIR, 's3' to any S3-compatible bucket, 'database' into the media_objects table
+        DRIVER: process.env.STORAGE_DRIVER || 'local',
+        LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || 'uploads',
+        // Lifetime of presigned URLs that /media redirects to
+        SIGNED_URL_TTL_SECONDS: parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 300,
+        DATABASE_CHUNK_SIZE: 256 * 1024,
+        HTTP_TIMEOUT_MS: 30 * 1000,
+        S3: {
+            ENDPOINT: process.env.S3_ENDPOINT || null,
+            REGION: process.env.S3_REGION || 'us-east-1',
+            BUCKET: process.env.S3_BUCKET,
+            ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+            SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+            // Most S3-compatible servers (MinIO, the mock) want bucket/key paths rather than bucket subdomains
+            FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE !== 'false',
+            // Stream objects through the app instead of redirecting to a presigned URL
+            PROXY_READS: process.env.S3_PROXY_READS === 'true'
+        }
+    },
+
+    // Media Library
+    MEDIA: {
+        ALT_TEXT_MAX_LENGTH: 255,
+        // How content uses an image; a file no content uses is garbage-collected
+        REFERENCE_KINDS: {
+            FEATURED: 'featured',
+            BODY: 'body'
+        },
+        // Fresh uploads get this long to be saved into an article before they count as unused
+        GC_GRACE_HOURS: parseInt(process.env.MEDIA_GC_GRACE_HOURS) || 24,
+        GC_BATCH_SIZE: 100
     },
 
     // Email Configuration
@@ -60,7 +127,24 @@ const constants = {
         SMTP_SECURE: process.env.SMTP_SECURE === 'true',
         SMTP_USER: process.env.SMTP_USER,
         SMTP_PASS: process.env.SMTP_PASS,
-        FROM_ADDRESS: process.env.EMAIL_FROM || 'noreply@faithmasters.org'
+        FROM_ADDRESS: process.env.EMAIL_FROM || 'noreply@faithmasters.org',
+        // 'smtp' delivers through the SMTP settings above, 'file' writes .eml files for offline testing
+        TRANSPORT: process.env.EMAIL_TRANSPORT || (process.env.SMTP_USER ? 'smtp' : 'file'),
+        FILE_DIR: process.env.EMAIL_FILE_DIR || 'logs/mail',
+        OUTBOX_BATCH_SIZE: parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20,
+        OUTBOX_MAX_ATTEMPTS: parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 5,
+        OUTBOX_RETRY_BASE_MS: parseInt(process.env.EMAIL_OUTBOX_RETRY_BASE_MS) || 60 * 1000, // 1 minute, doubled per attempt
+        OUTBOX_RETRY_MAX_MS: 6 * 60 * 60 * 1000 // 6 hours
+    },
+
+    // Live Updates (Server-Sent Events)
+    REALTIME: {
+        // 'memory' only reaches clients on this process; 'postgres' fans out through LISTEN/NOTIFY
+        PUBSUB: process.env.REALTIME_PUBSUB || 'memory',
+        PG_CHANNEL: process.env.REALTIME_PG_CHANNEL || 'faithmasters_events',
+        HEARTBEAT_INTERVAL_MS: parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL_MS) || 25 * 1000, // 25 seconds
+        CLIENT_RETRY_MS: 5000,
+        RECONNECT_DELAY_MS: 5000
     },
 
     // Logging Configuration
@@ -75,7 +159,9 @@ const constants = {
     SECURITY: {
         HELMET_CSP: process.env.HELMET_CSP === 'true',
         CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
-        TRUST_PROXY: process.env.TRUST_PROXY === 'true'
+        TRUST_PROXY: process.env.TRUST_PROXY === 'true',
+        // Hosts whose players may be embedded in content (Quill video embeds)
+        VIDEO_EMBED_HOSTS: (process.env.VIDEO_EMBED_HOSTS || 'www.youtube.com,www.youtube-nocookie.com,player.vimeo.com').split(',').map(host => host.trim().toLowerCase())
     },
 
     // User Roles
@@ -93,13 +179,109 @@ const constants = {
         COMMENT: 'comment'
     },
 
+    // Content Formats - markdown keeps its source alongside the rendered HTML
+    CONTENT_FORMATS: {
+        HTML: 'html',
+        MARKDOWN: 'markdown'
+    },
+
     // Content Status
     CONTENT_STATUS: {
         DRAFT: 'draft',
         PUBLISHED: 'published',
         ARCHIVED: 'archived',
         PENDING: 'pending',
-        REJECTED: 'rejected'
+        REJECTED: 'rejected',
+        SCHEDULED: 'scheduled'
+    },
+
+    // Report Targets
+    REPORT_TARGETS: {
+        CONTENT: 'content',
+        COMMENT: 'comment',
+        USER: 'user'
+    },
+
+    // Report Reasons
+    REPORT_REASONS: {
+        SPAM: 'spam',
+        HARASSMENT: 'harassment',
+        HATE_SPEECH: 'hate_speech',
+        MISINFORMATION: 'misinformation',
+        INAPPROPRIATE: 'inappropriate',
+        OTHER: 'other'
+    },
+
+    // Report Status
+    REPORT_STATUS: {
+        PENDING: 'pending',
+        RESOLVED: 'resolved',
+        DISMISSED: 'dismissed'
+    },
+
+    // Notification Types
+    NOTIFICATION_TYPES: {
+        COMMENT_REPLY: 'comment_reply',
+        CONTENT_LIKE: 'content_like',
+        CONTENT_REJECTED: 'content_rejected',
+        CONTENT_APPROVED: 'content_approved',
+        COMMENT_APPROVED: 'comment_approved',
+        COMMENT_REJECTED: 'comment_rejected'
+    },
+
+    // Audit Log Actions
+    AUDIT_ACTIONS: {
+        MODERATION_APPROVE: 'moderation.approve',
+        MODERATION_REJECT: 'moderation.reject',
+        USER_UPDATE: 'user.update',
+        USER_ROLE_CHANGE: 'user.role_change',
+        USER_STATUS_CHANGE: 'user.status_change',
+        USER_DELETE: 'user.delete',
+        USER_CATEGORIES: 'user.categories',
+        CONTENT_STATUS_CHANGE: 'content.status_change',
+        CONTENT_FEATURED: 'content.featured',
+        CONTENT_SCHEDULE_CANCEL: 'content.schedule_cancel',
+        CONTENT_DELETE: 'content.delete',
+        CONTENT_REVISION_RESTORE: 'content.revision_restore',
+        COMMENT_DELETE: 'comment.delete',
+        CATEGORY_CREATE: 'category.create',
+        CATEGORY_UPDATE: 'category.update',
+        CATEGORY_REORDER: 'category.reorder',
+        CATEGORY_DELETE: 'category.delete',
+        REPORT_RESOLVE: 'report.resolve',
+        REPORT_DISMISS: 'report.dismiss',
+        ROLE_CREATE: 'role.create',
+        ROLE_PERMISSIONS_CHANGE: 'role.permissions_change',
+        ROLE_DELETE: 'role.delete',
+        SETTINGS_UPDATE: 'settings.update',
+        SYSTEM_CLEANUP: 'system.cleanup',
+        DATA_EXPORT: 'system.export',
+        TRASH_RESTORE: 'trash.restore',
+        TRASH_PURGE: 'trash.purge',
+        MEDIA_DELETE: 'media.delete',
+        USER_TWO_FACTOR_RESET: 'user.two_factor_reset'
+    },
+
+    // Audit Log
+    AUDIT: {
+        RESOURCE_TYPES: ['user', 'content', 'comment', 'category', 'report', 'role', 'settings', 'system', 'media'],
+        EXPORT_MAX_ROWS: 10000
+    },
+
+    // Trash (soft-deleted content, comments and users)
+    TRASH: {
+        TYPES: ['content', 'comment', 'user'],
+        RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+    },
+
+    // Live Content Events
+    CONTENT_EVENTS: {
+        COMMENT_CREATED: 'comment_created',
+        COMMENT_UPDATED: 'comment_updated',
+        COMMENT_DELETED: 'comment_deleted',
+        LIKES_UPDATED: 'likes_updated',
+        CONTENT_UPDATED: 'content_updated',
+        SHUTDOWN: 'shutdown'
     },
 
     // User Status
@@ -110,6 +292,20 @@ const constants = {
         BANNED: 'banned'
     },
 
+    // Account sanction history entries, one per status change
+    SANCTION_ACTIONS: {
+        SUSPEND: 'suspend',
+        BAN: 'ban',
+        DEACTIVATE: 'deactivate',
+        REINSTATE: 'reinstate',
+        EXPIRE: 'expire'
+    },
+
+    SANCTIONS: {
+        REASON_MAX_LENGTH: 1000,
+        MAX_SUSPENSION_DAYS: 365
+    },
+
     // Faith Traditions
     FAITH_TRADITIONS: [
         'Christianity',
@@ -136,6 +332,22 @@ const constants = {
         DEFAULT_OFFSET: 0
     },
 
+    // Comment Threads
+    COMMENTS: {
+        THREAD_MAX_DEPTH: parseInt(process.env.COMMENT_THREAD_MAX_DEPTH) || 5, // reply levels loaded per request
+        REPLIES_PAGE_SIZE: parseInt(process.env.COMMENT_REPLIES_PAGE_SIZE) || 10, // replies loaded per comment before "load more"
+        SORT_FIELDS: ['created_at', 'updated_at', 'like_count']
+    },
+
+    // Pre-moderation
+    MODERATION: {
+        POLICY: process.env.MODERATION_POLICY || 'new_users', // off, new_users or all; CONTENT_MODERATION=false also turns it off
+        POLICIES: ['off', 'new_users', 'all'],
+        NEW_USER_DAYS: parseInt(process.env.MODERATION_NEW_USER_DAYS) || 7, // accounts younger than this are new
+        NEW_USER_MIN_APPROVED: parseInt(process.env.MODERATION_NEW_USER_MIN_APPROVED) || 3, // approved posts + comments needed to stop being new
+        REASON_MAX_LENGTH: 500
+    },
+
     // Application Features
     FEATURES: {
         REGISTRATION_ENABLED: process.env.REGISTRATION_ENABLED !== 'false',
@@ -145,6 +357,20 @@ const constants = {
         ANALYTICS: process.env.ANALYTICS === 'true'
     },
 
+    // Background Jobs
+    JOBS: {
+        ENABLED: process.env.JOBS_ENABLED !== 'false',
+        SCHEDULED_PUBLISH_INTERVAL_MS: parseInt(process.env.SCHEDULED_PUBLISH_INTERVAL_MS) || 60 * 1000, // 1 minute
+        SCHEDULED_PUBLISH_BATCH_SIZE: parseInt(process.env.SCHEDULED_PUBLISH_BATCH_SIZE) || 50,
+        TOKEN_CLEANUP_INTERVAL_MS: parseInt(process.env.TOKEN_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+        EMAIL_OUTBOX_INTERVAL_MS: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 10 * 1000, // 10 seconds, the only way mail goes out
+        TRASH_PURGE_INTERVAL_MS: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+        SUSPENSION_EXPIRY_INTERVAL_MS: parseInt(process.env.SUSPENSION_EXPIRY_INTERVAL_MS) || 60 * 1000, // 1 minute
+        MEDIA_GC_INTERVAL_MS: parseInt(process.env.MEDIA_GC_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+        // Bearer token /api/cron requires; Vercel Cron sends CRON_SECRET this way
+        CRON_SECRET: process.env.CRON_SECRET || null
+    },
+
     // HTTP Status Codes
     HTTP_STATUS: {
         OK: 200,
@@ -0,0 +1,78 @@
+const constants = require('./constants');
+
+/**
+ * OpenID Connect Provider Registry
+ * Providers are listed in OIDC_PROVIDERS (e.g. "google,mock") and each one
+ * is configured with OIDC_<ID>_* variables. Any provider that publishes
+ * OpenID discovery metadata works; nothing here is provider specific.
+ *
+ *   OIDC_<ID>_ISSUER         Issuer URL, e.g. https://accounts.google.com
+ *   OIDC_<ID>_CLIENT_ID      Client ID registered with the provider
+ *   OIDC_<ID>_CLIENT_SECRET  Client secret (leave empty for a public PKCE client)
+ *   OIDC_<ID>_NAME           Button label, defaults to the ID
+ *   OIDC_<ID>_SCOPES         Defaults to "openid email profile"
+ */
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Read one provider's settings from the environment
+ * Returns null if it is missing its issuer or client ID.
+ */
+const loadProvider = (id) => {
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!PROVIDER_ID_PATTERN.test(id) || !issuer || !clientId) {
+        console.warn(`OIDC provider "${id}" is not configured (needs ${prefix}ISSUER and ${prefix}CLIENT_ID)`);
+        return null;
+    }
+
+    return {
+        id,
+        name: process.env[`${prefix}NAME`] || id,
+        issuer: issuer.replace(/\/+$/, ''),
+        clientId,
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+        scopes: process.env[`${prefix}SCOPES`] || constants.OIDC.DEFAULT_SCOPES,
+        redirectUri: `${constants.SERVER.SITE_URL}/api/auth/oidc/${id}/callback`
+    };
+};
+
+const providers = new Map(
+    (process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map(id => id.trim().toLowerCase())
+        .filter(Boolean)
+        .map(loadProvider)
+        .filter(Boolean)
+        .map(provider => [provider.id, provider])
+);
+
+/**
+ * Get a configured provider, or null if social login is off or it isn't configured
+ */
+const getProvider = (id) => {
+    if (!constants.FEATURES.SOCIAL_LOGIN) {
+        return null;
+    }
+
+    return providers.get(String(id).toLowerCase()) || null;
+};
+
+/**
+ * List the providers users can sign in with
+ */
+const listProviders = () => {
+    if (!constants.FEATURES.SOCIAL_LOGIN) {
+        return [];
+    }
+
+    return Array.from(providers.values()).map(({ id, name }) => ({ id, name }));
+};
+
+module.exports = {
+    getProvider,
+    listProviders
+};
@@ -0,0 +1,82 @@
+/**
+ * Permission Registry
+ * Every permission the code checks is declared here. Migrations copy the registry
+ * into the permissions table; which roles hold each permission is stored in
+ * role_permissions and edited from the admin panel. `defaultRoles` is only used
+ * the first time a permission is added.
+ */
+
+const PERMISSIONS = {
+    ADMIN_ACCESS: 'admin.access',
+    CONTENT_CREATE: 'content.create',
+    CONTENT_PUBLISH: 'content.publish',
+    CONTENT_VIEW_UNPUBLISHED: 'content.view_unpublished',
+    CONTENT_EDIT_ANY: 'content.edit_any',
+    CONTENT_DELETE_ANY: 'content.delete_any',
+    CONTENT_MODERATE: 'content.moderate',
+    COMMENTS_CREATE: 'comments.create',
+    COMMENTS_PUBLISH: 'comments.publish',
+    COMMENTS_EDIT_ANY: 'comments.edit_any',
+    COMMENTS_DELETE_ANY: 'comments.delete_any',
+    COMMENTS_MODERATE: 'comments.moderate',
+    COMMUNITY_PARTICIPATE: 'community.participate',
+    CATEGORIES_MANAGE: 'categories.manage',
+    CATEGORIES_DELETE: 'categories.delete',
+    REPORTS_MANAGE: 'reports.manage',
+    USERS_VIEW: 'users.view',
+    USERS_MANAGE: 'users.manage',
+    USERS_BAN: 'users.ban',
+    ROLES_MANAGE: 'roles.manage',
+    SETTINGS_MANAGE: 'settings.manage',
+    AUDIT_VIEW: 'audit.view',
+    TRASH_MANAGE: 'trash.manage',
+    MEDIA_MANAGE_ANY: 'media.manage_any'
+};
+
+const ALL_ROLES = ['admin', 'moderator', 'user'];
+const STAFF_ROLES = ['admin', 'moderator'];
+const ADMIN_ONLY = ['admin'];
+
+const PERMISSION_REGISTRY = [
+    { name: PERMISSIONS.ADMIN_ACCESS, group: 'Administration', description: 'Open the admin panel and view dashboard statistics', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.CONTENT_CREATE, group: 'Content', description: 'Create articles and discussions', defaultRoles: ALL_ROLES },
+    { name: PERMISSIONS.CONTENT_PUBLISH, group: 'Content', description: 'Publish content without moderator review', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.CONTENT_VIEW_UNPUBLISHED, group: 'Content', description: 'View other members\' drafts and unpublished content', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.CONTENT_EDIT_ANY, group: 'Content', description: 'Edit content and revisions written by others', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.CONTENT_DELETE_ANY, group: 'Content', description: 'Delete content written by others', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.CONTENT_MODERATE, group: 'Content', description: 'Change content status, feature and schedule content', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.COMMENTS_CREATE, group: 'Comments', description: 'Post comments and replies', defaultRoles: ALL_ROLES },
+    { name: PERMISSIONS.COMMENTS_PUBLISH, group: 'Comments', description: 'Publish comments without moderator review', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.COMMENTS_EDIT_ANY, group: 'Comments', description: 'Edit comments written by others', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.COMMENTS_DELETE_ANY, group: 'Comments', description: 'Delete comments written by others', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.COMMENTS_MODERATE, group: 'Comments', description: 'Approve and reject comments', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.COMMUNITY_PARTICIPATE, group: 'Community', description: 'Like and report content, comments and members', defaultRoles: ALL_ROLES },
+    { name: PERMISSIONS.CATEGORIES_MANAGE, group: 'Categories', description: 'Create, edit and reorder categories', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.CATEGORIES_DELETE, group: 'Categories', description: 'Delete categories', defaultRoles: ADMIN_ONLY },
+    { name: PERMISSIONS.REPORTS_MANAGE, group: 'Moderation', description: 'Review, resolve and dismiss reports', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.USERS_VIEW, group: 'Users', description: 'View member accounts', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.USERS_MANAGE, group: 'Users', description: 'Edit, delete and change the role of member accounts', defaultRoles: ADMIN_ONLY },
+    { name: PERMISSIONS.USERS_BAN, group: 'Users', description: 'Suspend, ban and reactivate members', defaultRoles: STAFF_ROLES },
+    { name: PERMISSIONS.ROLES_MANAGE, group: 'Administration', description: 'Create roles and edit the permission matrix', defaultRoles: ADMIN_ONLY },
+    { name: PERMISSIONS.SETTINGS_MANAGE, group: 'Administration', description: 'Change site settings, run cleanup and export data', defaultRoles: ADMIN_ONLY },
+    { name: PERMISSIONS.AUDIT_VIEW, group: 'Administration', description: 'View and export the audit log of admin and moderation actions', defaultRoles: ADMIN_ONLY },
+    { name: PERMISSIONS.TRASH_MANAGE, group: 'Administration', description: 'View, restore and permanently purge deleted content, comments and users', defaultRoles: ADMIN_ONLY },
+    { name: PERMISSIONS.MEDIA_MANAGE_ANY, group: 'Content', description: 'Browse every member\'s uploads, edit their alt text and delete them', defaultRoles: STAFF_ROLES }
+];
+
+// Role names are stored on users.role, so keep them short machine names
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Built-in roles; they can't be deleted
+const SYSTEM_ROLES = [
+    { name: 'admin', label: 'Administrator', description: 'Full access to the platform' },
+    { name: 'moderator', label: 'Moderator', description: 'Reviews content, comments and reports' },
+    { name: 'user', label: 'Member', description: 'Default role for registered members' }
+];
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_REGISTRY,
+    ROLE_NAME_PATTERN,
+    SYSTEM_ROLES
+};
@@ -1,5 +1,8 @@
-const { verifyAccessToken, extractTokenFromHeader, getClientIp, getUserAgent } = require('../config/auth');
+const { verifyAccessToken, isSessionActive, extractTokenFromHeader, getClientIp, getUserAgent } = require('../config/auth');
 const { get } = require('../config/database');
+const RoleModel = require('../models/Role');
+const TwoFactorModel = require('../models/TwoFactor');
+const ModeratorCategoryModel = require('../models/ModeratorCategory');
 const constants = require('../config/constants');
 const { logger } = require('../utils/logger');
 
@@ -8,6 +11,16 @@ const { logger } = require('../utils/logger');
  * Production-ready middleware for JWT token verification and role-based access control
  */
 
+/**
+ * Flag users whose role requires two-factor authentication they haven't set up
+ * Flagged users keep their session but hold no permissions until they enroll.
+ */
+const markTwoFactorRequirement = async (user) => {
+    if (user && !user.two_factor_enabled && await TwoFactorModel.isRequiredFor(user)) {
+        user.two_factor_setup_required = true;
+    }
+};
+
 /**
  * Verify JWT token middleware
  */
@@ -26,12 +39,21 @@ const verifyToken = async (req, res, next) => {
 
         // Verify the token
         const decoded = verifyAccessToken(token);
+
+        // Tokens from a session the user has signed out remotely stop working right away
+        if (decoded.sessionId && !(await isSessionActive(decoded.sessionId))) {
+            return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+                success: false,
+                message: 'Session has been signed out',
+                code: 'SESSION_REVOKED'
+            });
+        }
         
         // Get user from database to ensure they still exist and are active
         const user = await get(`
-            SELECT id, email, first_name, last_name, display_name, role, status, last_login_at
+            SELECT id, email, first_name, last_name, display_name, role, status, email_verified, last_login_at, two_factor_enabled
             FROM users 
-            WHERE id = $1 AND status = 'active'
+            WHERE id = $1 AND status = 'active' AND deleted_at IS NULL
         `, [decoded.userId]);
 
         if (!user) {
@@ -48,9 +70,12 @@ const verifyToken = async (req, res, next) => {
             });
         }
 
+        await markTwoFactorRequirement(user);
+
         // Attach user to request
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sessionId || null;
 
         // Log successful authentication
         logger.logAuth('Token verified', user.id, {
@@ -100,15 +125,23 @@ const optionalAuth = async (req, res, next) => {
 
         // Try to verify token
         const decoded = verifyAccessToken(token);
+
+        if (decoded.sessionId && !(await isSessionActive(decoded.sessionId))) {
+            req.user = null;
+            return next();
+        }
         
         const user = await get(`
-            SELECT id, email, first_name, last_name, display_name, role, status
+            SELECT id, email, first_name, last_name, display_name, role, status, email_verified, two_factor_enabled
             FROM users 
-            WHERE id = $1 AND status = 'active'
+            WHERE id = $1 AND status = 'active' AND deleted_at IS NULL
         `, [decoded.userId]);
 
+        await markTwoFactorRequirement(user);
+
         req.user = user || null;
         req.token = token;
+        req.sessionId = decoded.sessionId || null;
 
         next();
 
@@ -157,11 +190,68 @@ const requireRole = (requiredRoles) => {
 };
 
 /**
- * Specific role middleware
+ * Check whether a user's role holds a permission
  */
-const requireAdmin = requireRole([constants.ROLES.ADMIN]);
-const requireModerator = requireRole([constants.ROLES.ADMIN, constants.ROLES.MODERATOR]);
-const requireUser = requireRole([constants.ROLES.ADMIN, constants.ROLES.MODERATOR, constants.ROLES.USER]);
+const hasPermission = async (user, permission) => {
+    if (!user || user.two_factor_setup_required) {
+        return false;
+    }
+
+    return await RoleModel.hasPermission(user.role, permission);
+};
+
+/**
+ * Permission-based authorization middleware factory
+ * Passes when the user's role holds any of the given permissions.
+ */
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+                success: false,
+                message: constants.ERRORS.ACCESS_DENIED,
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        if (req.user.two_factor_setup_required) {
+            return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: 'Your role requires two-factor authentication. Set it up in your account settings to continue.',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        try {
+            for (const permission of permissions) {
+                if (await hasPermission(req.user, permission)) {
+                    return next();
+                }
+            }
+        } catch (error) {
+            logger.error('Error checking permissions', error, { userId: req.user.id, permissions });
+            return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                success: false,
+                message: constants.ERRORS.SERVER_ERROR,
+                code: 'PERMISSION_CHECK_FAILED'
+            });
+        }
+
+        logger.logSecurity('Unauthorized permission access attempt', {
+            userId: req.user.id,
+            userRole: req.user.role,
+            requiredPermissions: permissions,
+            ip: getClientIp(req),
+            resource: req.originalUrl
+        });
+
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'INSUFFICIENT_PERMISSIONS'
+        });
+    };
+};
 
 /**
  * Resource ownership middleware
@@ -199,7 +289,7 @@ const requireOwnershipOrRole = (resourceUserIdField = 'author_id', allowedRoles
             const resource = await get(`
                 SELECT ${resourceUserIdField} as user_id 
                 FROM content 
-                WHERE id = $1
+                WHERE id = $1 AND deleted_at IS NULL
             `, [resourceId]);
 
             if (!resource) {
@@ -241,6 +331,7 @@ const requireOwnershipOrRole = (resourceUserIdField = 'author_id', allowedRoles
 
 /**
  * Account status check middleware
+ * Also requires a verified email when email verification is enabled
  */
 const requireActiveAccount = (req, res, next) => {
     if (!req.user) {
@@ -273,9 +364,40 @@ const requireActiveAccount = (req, res, next) => {
         });
     }
 
+    if (constants.FEATURES.EMAIL_VERIFICATION && !req.user.email_verified) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: 'Please verify your email address before posting',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
+    }
+
     next();
 };
 
+/**
+ * Stop moderators assigned to categories from acting outside them
+ * Sends the 403 itself and returns false when the item is out of scope.
+ */
+const checkModerationScope = async (req, res, categoryId) => {
+    if (await ModeratorCategoryModel.canModerate(req.user.id, categoryId)) {
+        return true;
+    }
+
+    logger.logSecurity('Moderation outside assigned categories', {
+        userId: req.user.id,
+        categoryId,
+        resource: req.originalUrl
+    });
+
+    res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'You can only moderate items in your assigned categories',
+        code: 'OUTSIDE_MODERATION_SCOPE'
+    });
+    return false;
+};
+
 /**
  * API key middleware (for future API integrations)
  */
@@ -337,11 +459,11 @@ module.exports = {
     verifyToken,
     optionalAuth,
     requireRole,
-    requireAdmin,
-    requireModerator,
-    requireUser,
+    requirePermission,
+    hasPermission,
     requireOwnershipOrRole,
     requireActiveAccount,
+    checkModerationScope,
     verifyApiKey,
     csrfProtection
 };
\ No newline at end of file
@@ -262,10 +262,15 @@ const handleUncaughtException = () => {
 /**
  * Graceful shutdown handler
  */
-const handleGracefulShutdown = (server) => {
+const handleGracefulShutdown = (server, onShutdown = null) => {
     const gracefulShutdown = (signal) => {
         logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
+        // Let long-lived connections (such as event streams) end so close() can finish
+        if (onShutdown) {
+            Promise.resolve(onShutdown()).catch(error => logger.error('Error during shutdown', error));
+        }
+
         server.close(() => {
             logger.info('HTTP server closed');
             process.exit(0);
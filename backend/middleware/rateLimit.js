@@ -119,6 +119,23 @@ const commentRateLimit = rateLimit({
     skipSuccessfulRequests
 });
 
+/**
+ * Report submission rate limiting
+ */
+const reportRateLimit = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 reports per hour
+    message: {
+        success: false,
+        message: 'Too many reports, please try again later',
+        code: 'REPORT_RATE_LIMIT'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator,
+    handler: rateLimitHandler
+});
+
 /**
  * Search rate limiting
  */
@@ -336,6 +353,7 @@ module.exports = {
     authRateLimit,
     contentCreationRateLimit,
     commentRateLimit,
+    reportRateLimit,
     searchRateLimit,
     passwordResetRateLimit,
     emailRateLimit,
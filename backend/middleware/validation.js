@@ -1,6 +1,9 @@
 const { body, param, query, validationResult } = require('express-validator');
 const constants = require('../config/constants');
+const { ROLE_NAME_PATTERN } = require('../config/permissions');
 const { logger } = require('../utils/logger');
+const { sanitize } = require('../utils/htmlSanitizer');
+const { renderMarkdown } = require('../utils/markdown');
 
 /**
  * Validation Middleware
@@ -196,6 +199,11 @@ const validateContentCreation = [
         .isIn(Object.values(constants.CONTENT_TYPES))
         .withMessage('Invalid content type'),
     
+    body('format')
+        .optional()
+        .isIn(Object.values(constants.CONTENT_FORMATS))
+        .withMessage(`Format must be one of: ${Object.values(constants.CONTENT_FORMATS).join(', ')}`),
+    
     body('excerpt')
         .optional()
         .trim()
@@ -207,6 +215,11 @@ const validateContentCreation = [
         .isInt({ min: 1 })
         .withMessage('Category ID must be a positive integer'),
     
+    body('featuredImageId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Featured image ID must be a positive integer'),
+    
     body('tags')
         .optional()
         .isArray()
@@ -229,6 +242,11 @@ const validateContentCreation = [
         .trim()
         .isLength({ max: 300 })
         .withMessage('Meta description must be no longer than 300 characters'),
+    
+    body('publishAt')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Publish date must be a valid date'),
 
     handleValidationErrors
 ];
@@ -259,6 +277,11 @@ const validateContentUpdate = [
         })
         .withMessage(`Content must be between ${constants.VALIDATION.CONTENT_MIN_LENGTH} and ${constants.VALIDATION.CONTENT_MAX_LENGTH} characters`),
     
+    body('format')
+        .optional()
+        .isIn(Object.values(constants.CONTENT_FORMATS))
+        .withMessage(`Format must be one of: ${Object.values(constants.CONTENT_FORMATS).join(', ')}`),
+    
     body('status')
         .optional()
         .isIn(Object.values(constants.CONTENT_STATUS))
@@ -274,6 +297,33 @@ const validateContentUpdate = [
         .optional()
         .isInt({ min: 1 })
         .withMessage('Category ID must be a positive integer'),
+    
+    body('featuredImageId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Featured image ID must be a positive integer'),
+    
+    body('publishAt')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Publish date must be a valid date'),
+
+    handleValidationErrors
+];
+
+/**
+ * Content preview validation
+ */
+const validateContentPreview = [
+    body('body')
+        .isString()
+        .isLength({ max: constants.VALIDATION.CONTENT_MAX_LENGTH })
+        .withMessage(`Content must be no longer than ${constants.VALIDATION.CONTENT_MAX_LENGTH} characters`),
+
+    body('format')
+        .optional()
+        .isIn(Object.values(constants.CONTENT_FORMATS))
+        .withMessage(`Format must be one of: ${Object.values(constants.CONTENT_FORMATS).join(', ')}`),
 
     handleValidationErrors
 ];
@@ -299,6 +349,44 @@ const validateCommentCreation = [
     handleValidationErrors
 ];
 
+/**
+ * Report submission validation
+ */
+const validateReport = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('ID must be a positive integer'),
+    
+    body('reason')
+        .isIn(Object.values(constants.REPORT_REASONS))
+        .withMessage('Invalid report reason'),
+    
+    body('details')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Report details must be no longer than 1000 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Report resolution validation
+ */
+const validateReportClose = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('ID must be a positive integer'),
+    
+    body('note')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Resolution note must be no longer than 1000 characters'),
+
+    handleValidationErrors
+];
+
 /**
  * Category validation
  */
@@ -340,6 +428,42 @@ const validateIdParam = [
     handleValidationErrors
 ];
 
+/**
+ * Content revision route parameter validation
+ */
+const validateRevisionParams = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('ID must be a positive integer'),
+
+    param('rev')
+        .isInt({ min: 1 })
+        .withMessage('Revision must be a positive integer'),
+
+    handleValidationErrors
+];
+
+/**
+ * Comment replies cursor validation
+ */
+const validateRepliesQuery = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('ID must be a positive integer'),
+
+    query('after')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Cursor must be a comment ID'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: constants.PAGINATION.MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${constants.PAGINATION.MAX_LIMIT}`),
+
+    handleValidationErrors
+];
+
 /**
  * Pagination validation
  */
@@ -418,6 +542,149 @@ const validatePasswordChange = [
     handleValidationErrors
 ];
 
+/**
+ * Forgot password validation
+ */
+const validateForgotPassword = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+
+    handleValidationErrors
+];
+
+/**
+ * Password reset validation
+ */
+const validatePasswordReset = [
+    body('token')
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage('Invalid or expired reset token'),
+    
+    body('newPassword')
+        .isLength({ 
+            min: constants.VALIDATION.PASSWORD_MIN_LENGTH,
+            max: constants.VALIDATION.PASSWORD_MAX_LENGTH 
+        })
+        .withMessage(`New password must be between ${constants.VALIDATION.PASSWORD_MIN_LENGTH} and ${constants.VALIDATION.PASSWORD_MAX_LENGTH} characters`)
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*(),.?":{}|<>])/)
+        .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    
+    body('confirmPassword')
+        .custom((value, { req }) => {
+            if (value !== req.body.newPassword) {
+                throw new Error('Password confirmation does not match new password');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Two-factor code validation
+ * Accepts an authenticator code or a recovery code.
+ */
+const twoFactorCodeRule = body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+    .isLength({ max: 20 })
+    .withMessage('Invalid authentication code');
+
+const validateTwoFactorCode = [
+    twoFactorCodeRule,
+
+    handleValidationErrors
+];
+
+/**
+ * Second login step validation
+ */
+const validateTwoFactorLogin = [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Two-factor challenge is required'),
+
+    twoFactorCodeRule,
+
+    handleValidationErrors
+];
+
+/**
+ * Two-factor disable validation
+ */
+const validateTwoFactorDisable = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+
+    twoFactorCodeRule,
+
+    handleValidationErrors
+];
+
+/**
+ * Session ID parameter validation
+ */
+const validateSessionParam = [
+    param('id')
+        .isUUID()
+        .withMessage('Session ID must be a valid UUID'),
+
+    handleValidationErrors
+];
+
+/**
+ * Social login ticket validation
+ */
+const validateSocialLoginTicket = [
+    body('ticket')
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage('Invalid sign-in ticket'),
+
+    handleValidationErrors
+];
+
+/**
+ * Check that a suspension ends in the future and within the allowed length
+ */
+const validateSuspensionEnd = (value) => {
+    const until = new Date(value);
+    const latest = Date.now() + constants.SANCTIONS.MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000;
+
+    if (until.getTime() <= Date.now()) {
+        throw new Error('Suspension end date must be in the future');
+    }
+    if (until.getTime() > latest) {
+        throw new Error(`Suspensions can last at most ${constants.SANCTIONS.MAX_SUSPENSION_DAYS} days`);
+    }
+    return true;
+};
+
+/**
+ * Account status change validation
+ * Whether a reason and end date are required depends on the status, which
+ * the route checks; this only checks their format.
+ */
+const statusChangeRules = [
+    body('reason')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: constants.SANCTIONS.REASON_MAX_LENGTH })
+        .withMessage(`Reason must be no longer than ${constants.SANCTIONS.REASON_MAX_LENGTH} characters`),
+
+    body('suspendedUntil')
+        .optional({ checkFalsy: true })
+        .isISO8601({ strict: true })
+        .withMessage('Suspension end date must be a valid date')
+        .bail()
+        .custom(validateSuspensionEnd)
+];
+
 /**
  * Admin user update validation
  */
@@ -481,13 +748,20 @@ const validateAdminUserUpdate = [
     
     body('role')
         .optional()
-        .isIn(Object.values(constants.ROLES))
+        .matches(ROLE_NAME_PATTERN)
         .withMessage('Invalid role'),
     
     body('status')
         .optional()
         .isIn(Object.values(constants.USER_STATUS))
         .withMessage('Invalid status'),
+
+    ...statusChangeRules,
+    
+    body('trusted')
+        .optional()
+        .isBoolean()
+        .withMessage('Trusted must be a boolean'),
     
     body('emailVerified')
         .optional()
@@ -505,6 +779,23 @@ const validateAdminUserUpdate = [
     handleValidationErrors
 ];
 
+/**
+ * User status change validation
+ */
+const validateUserStatus = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('User ID must be a positive integer'),
+
+    body('status')
+        .isIn(Object.values(constants.USER_STATUS))
+        .withMessage('Invalid status'),
+
+    ...statusChangeRules,
+
+    handleValidationErrors
+];
+
 /**
  * Settings validation
  */
@@ -527,38 +818,330 @@ const validateSettings = [
 ];
 
 /**
- * Sanitize HTML content
+ * Role creation validation
  */
-const sanitizeHtml = (req, res, next) => {
-    // Basic HTML sanitization for rich text content
-    if (req.body.body) {
-        // Remove script tags and potentially dangerous elements
-        req.body.body = req.body.body
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-            .replace(/<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi, '')
-            .replace(/<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+\s*=/gi, '');
+const validateRoleCreation = [
+    body('name')
+        .trim()
+        .matches(ROLE_NAME_PATTERN)
+        .withMessage('Role name must start with a letter and use only lowercase letters, numbers and underscores (2-50 characters)'),
+
+    body('label')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Role label must be between 1 and 100 characters'),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description must be no longer than 500 characters'),
+
+    body('copyFrom')
+        .optional({ checkFalsy: true })
+        .matches(ROLE_NAME_PATTERN)
+        .withMessage('Invalid role to copy from'),
+
+    handleValidationErrors
+];
+
+/**
+ * Role permissions update validation
+ */
+const validateRolePermissions = [
+    param('name')
+        .matches(ROLE_NAME_PATTERN)
+        .withMessage('Invalid role'),
+
+    body('permissions')
+        .isArray()
+        .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+        .isString()
+        .withMessage('Permission names must be strings'),
+
+    handleValidationErrors
+];
+
+/**
+ * Moderator category assignment validation
+ */
+const validateModeratorCategories = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('User ID must be a positive integer'),
+
+    body('categoryIds')
+        .isArray()
+        .withMessage('Category IDs must be an array'),
+
+    body('categoryIds.*')
+        .isInt({ min: 1 })
+        .withMessage('Category IDs must be positive integers'),
+
+    handleValidationErrors
+];
+
+/**
+ * Optional moderation reason validation
+ */
+const validateModerationReason = [
+    body('reason')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: constants.MODERATION.REASON_MAX_LENGTH })
+        .withMessage(`Reason must be no longer than ${constants.MODERATION.REASON_MAX_LENGTH} characters`),
+
+    handleValidationErrors
+];
+
+/**
+ * Moderation queue decision validation
+ */
+const validateModerationDecision = [
+    param('itemType')
+        .isIn(['content', 'comment'])
+        .withMessage('Item type must be content or comment'),
+
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('ID must be a positive integer'),
+
+    body('decision')
+        .isIn(['approve', 'reject'])
+        .withMessage('Decision must be approve or reject'),
+
+    body('reason')
+        .if(body('decision').equals('reject'))
+        .trim()
+        .notEmpty()
+        .withMessage('A reason is required when rejecting'),
+
+    body('reason')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: constants.MODERATION.REASON_MAX_LENGTH })
+        .withMessage(`Reason must be no longer than ${constants.MODERATION.REASON_MAX_LENGTH} characters`),
+
+    handleValidationErrors
+];
+
+/**
+ * Audit log filter validation
+ */
+const validateAuditQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: constants.PAGINATION.MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${constants.PAGINATION.MAX_LIMIT}`),
+
+    query('actor')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Actor must be no longer than 255 characters'),
+
+    query('action')
+        .optional({ checkFalsy: true })
+        .isIn(Object.values(constants.AUDIT_ACTIONS))
+        .withMessage('Invalid audit action'),
+
+    query('resourceType')
+        .optional({ checkFalsy: true })
+        .isIn(constants.AUDIT.RESOURCE_TYPES)
+        .withMessage('Invalid resource type'),
+
+    query('resourceId')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Resource ID must be a positive integer'),
+
+    query('from')
+        .optional({ checkFalsy: true })
+        .isISO8601({ strict: true })
+        .withMessage('From must be a valid date'),
+
+    query('to')
+        .optional({ checkFalsy: true })
+        .isISO8601({ strict: true })
+        .withMessage('To must be a valid date'),
+
+    query('format')
+        .optional()
+        .isIn(['json', 'csv'])
+        .withMessage('Format must be json or csv'),
+
+    handleValidationErrors
+];
+
+/**
+ * Trash listing validation
+ */
+const validateTrashQuery = [
+    query('type')
+        .optional()
+        .isIn(constants.TRASH.TYPES)
+        .withMessage(`Type must be one of: ${constants.TRASH.TYPES.join(', ')}`),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: constants.PAGINATION.MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${constants.PAGINATION.MAX_LIMIT}`),
+
+    handleValidationErrors
+];
+
+/**
+ * Trash item (restore/purge) validation
+ */
+const validateTrashItem = [
+    param('type')
+        .isIn(constants.TRASH.TYPES)
+        .withMessage(`Type must be one of: ${constants.TRASH.TYPES.join(', ')}`),
+
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('ID must be a positive integer'),
+
+    handleValidationErrors
+];
+
+/**
+ * Media library query validation
+ */
+const validateMediaQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: constants.PAGINATION.MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${constants.PAGINATION.MAX_LIMIT}`),
+
+    query('unused')
+        .optional()
+        .isBoolean()
+        .withMessage('Unused must be true or false'),
+
+    query('owner')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Owner must be a user ID'),
+
+    handleValidationErrors
+];
+
+/**
+ * Media alt text validation, for uploads and edits
+ */
+const validateMediaAltText = [
+    body('altText')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ max: constants.MEDIA.ALT_TEXT_MAX_LENGTH })
+        .withMessage(`Alt text must be no longer than ${constants.MEDIA.ALT_TEXT_MAX_LENGTH} characters`),
+
+    handleValidationErrors
+];
+
+/**
+ * Build middleware that sanitizes the given body fields
+ * fields maps each field to a sanitizer profile: 'rich' for article HTML, 'text' for plain text.
+ */
+const sanitizeFields = (fields) => (req, res, next) => {
+    for (const [field, profile] of Object.entries(fields)) {
+        if (typeof req.body[field] === 'string') {
+            req.body[field] = sanitize(req.body[field], profile);
+        }
     }
-    
+
     next();
 };
 
+const sanitizeContentFields = sanitizeFields({ body: 'rich', excerpt: 'text' });
+
+/**
+ * Sanitize content HTML
+ * A Markdown body is kept as source and replaced by its rendered HTML first.
+ */
+const sanitizeHtml = (req, res, next) => {
+    if (req.body.format === constants.CONTENT_FORMATS.MARKDOWN && typeof req.body.body === 'string') {
+        req.body.source = req.body.body;
+        req.body.body = renderMarkdown(req.body.body);
+    }
+
+    sanitizeContentFields(req, res, next);
+};
+
+/**
+ * Sanitize comment text
+ */
+const sanitizeCommentHtml = sanitizeFields({ body: 'text' });
+
+/**
+ * Sanitize profile text
+ */
+const sanitizeProfileHtml = sanitizeFields({ bio: 'text' });
+
+/**
+ * Sanitize media alt text
+ */
+const sanitizeMediaHtml = sanitizeFields({ altText: 'text' });
+
 module.exports = {
     validateUserRegistration,
     validateUserLogin,
     validateUserProfileUpdate,
     validateContentCreation,
     validateContentUpdate,
+    validateContentPreview,
     validateCommentCreation,
+    validateReport,
+    validateReportClose,
     validateCategoryCreation,
     validateIdParam,
+    validateRevisionParams,
     validatePagination,
+    validateRepliesQuery,
     validateSearch,
     validatePasswordChange,
+    validateForgotPassword,
+    validatePasswordReset,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validateTwoFactorDisable,
+    validateSessionParam,
+    validateSocialLoginTicket,
     validateAdminUserUpdate,
+    validateUserStatus,
     validateSettings,
+    validateRoleCreation,
+    validateRolePermissions,
+    validateModeratorCategories,
+    validateModerationReason,
+    validateModerationDecision,
+    validateAuditQuery,
+    validateTrashQuery,
+    validateTrashItem,
+    validateMediaQuery,
+    validateMediaAltText,
     sanitizeHtml,
+    sanitizeCommentHtml,
+    sanitizeProfileHtml,
+    sanitizeMediaHtml,
     handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { run } = require('../config/database');
+
+/**
+ * Content Revisions Migration
+ * Stores a snapshot of content after every edit so changes can be compared and restored
+ */
+
+const migration = {
+    version: '002',
+    description: 'Content revision history',
+
+    async up() {
+        console.log('🚀 Running migration 002: Content revisions...');
+
+        try {
+            // Content revisions table - Snapshot of content after each change
+            await run(`
+                CREATE TABLE IF NOT EXISTS content_revisions (
+                    id SERIAL PRIMARY KEY,
+                    content_id INTEGER NOT NULL,
+                    revision_number INTEGER NOT NULL,
+                    title VARCHAR(255) NOT NULL,
+                    body TEXT NOT NULL,
+                    excerpt TEXT,
+                    category_id INTEGER,
+                    tags TEXT, -- JSON array of tags
+                    meta_title VARCHAR(255),
+                    meta_description TEXT,
+                    featured_image TEXT,
+                    status VARCHAR(20),
+                    changed_fields TEXT, -- JSON array of field names
+                    editor_id INTEGER,
+                    restored_from INTEGER, -- Revision number this one was restored from
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (content_id) REFERENCES content(id) ON DELETE CASCADE,
+                    FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL,
+                    UNIQUE(content_id, revision_number)
+                )
+            `);
+            console.log('  ✅ Content revisions table created');
+
+            const indexes = [
+                'CREATE INDEX IF NOT EXISTS idx_content_revisions_content_id ON content_revisions(content_id)',
+                'CREATE INDEX IF NOT EXISTS idx_content_revisions_editor_id ON content_revisions(editor_id)',
+                'CREATE INDEX IF NOT EXISTS idx_content_revisions_created_at ON content_revisions(created_at)'
+            ];
+
+            for (const index of indexes) {
+                await run(index);
+            }
+            console.log('  ✅ Content revision indexes created');
+
+            console.log('🎉 Migration 002 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 002 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 002...');
+
+        try {
+            await run('DROP TABLE IF EXISTS content_revisions CASCADE');
+            console.log('  ✅ Dropped table: content_revisions');
+
+            console.log('🎉 Migration 002 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,68 @@
+const { run } = require('../config/database');
+
+/**
+ * Scheduled Publishing Migration
+ * Adds the scheduled content status and the time at which scheduled content goes live
+ */
+
+const migration = {
+    version: '003',
+    description: 'Scheduled publishing',
+
+    async up() {
+        console.log('🚀 Running migration 003: Scheduled publishing...');
+
+        try {
+            // Allow the scheduled status on content
+            await run('ALTER TABLE content DROP CONSTRAINT IF EXISTS content_status_check');
+            await run(`
+                ALTER TABLE content ADD CONSTRAINT content_status_check
+                CHECK (status IN ('draft', 'published', 'archived', 'pending', 'rejected', 'scheduled'))
+            `);
+            console.log('  ✅ Content status constraint updated');
+
+            await run('ALTER TABLE content ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP');
+            console.log('  ✅ Content publish_at column added');
+
+            // Due-item lookups by the publishing job only ever touch scheduled rows
+            await run(`
+                CREATE INDEX IF NOT EXISTS idx_content_scheduled_publish_at
+                ON content(publish_at) WHERE status = 'scheduled'
+            `);
+            console.log('  ✅ Scheduled content index created');
+
+            console.log('🎉 Migration 003 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 003 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 003...');
+
+        try {
+            // Scheduled items fall back to drafts so the old constraint can be restored
+            await run(`UPDATE content SET status = 'draft' WHERE status = 'scheduled'`);
+
+            await run('DROP INDEX IF EXISTS idx_content_scheduled_publish_at');
+            await run('ALTER TABLE content DROP COLUMN IF EXISTS publish_at');
+
+            await run('ALTER TABLE content DROP CONSTRAINT IF EXISTS content_status_check');
+            await run(`
+                ALTER TABLE content ADD CONSTRAINT content_status_check
+                CHECK (status IN ('draft', 'published', 'archived', 'pending', 'rejected'))
+            `);
+            console.log('  ✅ Content status constraint restored');
+
+            console.log('🎉 Migration 003 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,76 @@
+const { run } = require('../config/database');
+
+/**
+ * Reports Migration
+ * Stores user reports against content, comments and users for the moderation queue
+ */
+
+const migration = {
+    version: '004',
+    description: 'User reports',
+
+    async up() {
+        console.log('🚀 Running migration 004: Reports...');
+
+        try {
+            // Reports table - One row per reporter per target
+            await run(`
+                CREATE TABLE IF NOT EXISTS reports (
+                    id SERIAL PRIMARY KEY,
+                    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('content', 'comment', 'user')),
+                    target_id INTEGER NOT NULL,
+                    reporter_id INTEGER NOT NULL,
+                    reason VARCHAR(30) NOT NULL CHECK (reason IN ('spam', 'harassment', 'hate_speech', 'misinformation', 'inappropriate', 'other')),
+                    details TEXT,
+                    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dismissed')),
+                    resolved_by INTEGER,
+                    resolved_at TIMESTAMP,
+                    resolution_note TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            console.log('  ✅ Reports table created');
+
+            const indexes = [
+                // A reporter can only have one open report per target
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_pending_unique
+                    ON reports(target_type, target_id, reporter_id) WHERE status = 'pending'`,
+                'CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id)',
+                'CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status)',
+                'CREATE INDEX IF NOT EXISTS idx_reports_reporter_id ON reports(reporter_id)',
+                'CREATE INDEX IF NOT EXISTS idx_reports_created_at ON reports(created_at)'
+            ];
+
+            for (const index of indexes) {
+                await run(index);
+            }
+            console.log('  ✅ Report indexes created');
+
+            console.log('🎉 Migration 004 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 004 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 004...');
+
+        try {
+            await run('DROP TABLE IF EXISTS reports CASCADE');
+            console.log('  ✅ Dropped table: reports');
+
+            console.log('🎉 Migration 004 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,88 @@
+const { run } = require('../config/database');
+
+/**
+ * Content Search Migration
+ * Adds a weighted tsvector column on content, kept current by a trigger, for full-text search
+ */
+
+const migration = {
+    version: '005',
+    description: 'Content full-text search',
+
+    async up() {
+        console.log('🚀 Running migration 005: Content full-text search...');
+
+        try {
+            await run('ALTER TABLE content ADD COLUMN IF NOT EXISTS search_vector tsvector');
+            console.log('  ✅ Content search_vector column added');
+
+            // Title ranks above excerpt and tags, which rank above the body.
+            // Markup is stripped from the body so tag and attribute names aren't indexed.
+            await run(`
+                CREATE OR REPLACE FUNCTION content_search_vector(title TEXT, excerpt TEXT, tags TEXT, body TEXT)
+                RETURNS tsvector AS $$
+                    SELECT
+                        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+                        setweight(to_tsvector('english', COALESCE(excerpt, '')), 'B') ||
+                        setweight(to_tsvector('english', COALESCE(tags, '')), 'B') ||
+                        setweight(to_tsvector('english', regexp_replace(COALESCE(body, ''), '<[^>]*>', ' ', 'g')), 'C')
+                $$ LANGUAGE sql IMMUTABLE
+            `);
+
+            await run(`
+                CREATE OR REPLACE FUNCTION content_search_vector_update() RETURNS trigger AS $$
+                BEGIN
+                    NEW.search_vector := content_search_vector(NEW.title, NEW.excerpt, NEW.tags, NEW.body);
+                    RETURN NEW;
+                END
+                $$ LANGUAGE plpgsql
+            `);
+
+            await run('DROP TRIGGER IF EXISTS content_search_vector_trigger ON content');
+            await run(`
+                CREATE TRIGGER content_search_vector_trigger
+                BEFORE INSERT OR UPDATE OF title, excerpt, tags, body ON content
+                FOR EACH ROW EXECUTE FUNCTION content_search_vector_update()
+            `);
+            console.log('  ✅ Content search trigger created');
+
+            // Backfill with user triggers off so updated_at isn't bumped on every row
+            await run('ALTER TABLE content DISABLE TRIGGER USER');
+            try {
+                await run('UPDATE content SET search_vector = content_search_vector(title, excerpt, tags, body)');
+            } finally {
+                await run('ALTER TABLE content ENABLE TRIGGER USER');
+            }
+            console.log('  ✅ Existing content indexed');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_content_search_vector ON content USING GIN(search_vector)');
+            console.log('  ✅ Content search index created');
+
+            console.log('🎉 Migration 005 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 005 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 005...');
+
+        try {
+            await run('DROP INDEX IF EXISTS idx_content_search_vector');
+            await run('DROP TRIGGER IF EXISTS content_search_vector_trigger ON content');
+            await run('DROP FUNCTION IF EXISTS content_search_vector_update()');
+            await run('DROP FUNCTION IF EXISTS content_search_vector(TEXT, TEXT, TEXT, TEXT)');
+            await run('ALTER TABLE content DROP COLUMN IF EXISTS search_vector');
+
+            console.log('🎉 Migration 005 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
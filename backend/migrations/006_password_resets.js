@@ -0,0 +1,58 @@
+const { run } = require('../config/database');
+
+/**
+ * Password Resets Migration
+ * Stores hashed one-time tokens for the forgot-password flow
+ */
+
+const migration = {
+    version: '006',
+    description: 'Password reset tokens',
+
+    async up() {
+        console.log('🚀 Running migration 006: Password reset tokens...');
+
+        try {
+            // Only a SHA-256 hash of each token is stored, the token itself is only ever emailed
+            await run(`
+                CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    token_hash VARCHAR(64) UNIQUE NOT NULL,
+                    expires_at TIMESTAMP NOT NULL,
+                    used_at TIMESTAMP,
+                    ip_address VARCHAR(45),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            console.log('  ✅ Password reset tokens table created');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)');
+            await run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_expires_at ON password_reset_tokens(expires_at)');
+            console.log('  ✅ Password reset token indexes created');
+
+            console.log('🎉 Migration 006 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 006 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 006...');
+
+        try {
+            await run('DROP TABLE IF EXISTS password_reset_tokens');
+
+            console.log('🎉 Migration 006 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
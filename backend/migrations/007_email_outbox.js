@@ -0,0 +1,67 @@
+const { run } = require('../config/database');
+
+/**
+ * Email Outbox Migration
+ * Queues outgoing email so delivery can be retried with backoff
+ */
+
+const migration = {
+    version: '007',
+    description: 'Email outbox',
+
+    async up() {
+        console.log('🚀 Running migration 007: Email outbox...');
+
+        try {
+            await run(`
+                CREATE TABLE IF NOT EXISTS email_outbox (
+                    id SERIAL PRIMARY KEY,
+                    to_address VARCHAR(255) NOT NULL,
+                    subject VARCHAR(255) NOT NULL,
+                    text_body TEXT NOT NULL,
+                    html_body TEXT,
+                    template VARCHAR(50),
+                    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+                    attempts INTEGER DEFAULT 0,
+                    max_attempts INTEGER DEFAULT 5,
+                    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_error TEXT,
+                    sent_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('  ✅ Email outbox table created');
+
+            // The delivery job only looks at messages still waiting to go out
+            await run(`
+                CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+                ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending')
+            `);
+            await run('CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status)');
+            console.log('  ✅ Email outbox indexes created');
+
+            console.log('🎉 Migration 007 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 007 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 007...');
+
+        try {
+            await run('DROP TABLE IF EXISTS email_outbox');
+
+            console.log('🎉 Migration 007 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,63 @@
+const { run } = require('../config/database');
+
+/**
+ * Notifications Migration
+ * Stores in-app notifications about replies, likes and moderation decisions
+ */
+
+const migration = {
+    version: '008',
+    description: 'Notifications',
+
+    async up() {
+        console.log('🚀 Running migration 008: Notifications...');
+
+        try {
+            await run(`
+                CREATE TABLE IF NOT EXISTS notifications (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    type VARCHAR(30) NOT NULL CHECK (type IN ('comment_reply', 'content_like', 'content_rejected')),
+                    actor_id INTEGER,
+                    content_id INTEGER,
+                    comment_id INTEGER,
+                    message TEXT NOT NULL,
+                    is_read BOOLEAN DEFAULT FALSE,
+                    read_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (content_id) REFERENCES content(id) ON DELETE CASCADE,
+                    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE
+                )
+            `);
+            console.log('  ✅ Notifications table created');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC)');
+            await run('CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE is_read = FALSE');
+            console.log('  ✅ Notification indexes created');
+
+            console.log('🎉 Migration 008 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 008 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 008...');
+
+        try {
+            await run('DROP TABLE IF EXISTS notifications');
+
+            console.log('🎉 Migration 008 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
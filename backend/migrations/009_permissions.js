@@ -0,0 +1,124 @@
+const { run } = require('../config/database');
+const { PERMISSION_REGISTRY, SYSTEM_ROLES } = require('../config/permissions');
+
+/**
+ * Permissions Migration
+ * Moves authorization into the database: roles, the permission registry and the
+ * role -> permission matrix. users.role now references roles instead of a fixed list.
+ */
+
+const migration = {
+    version: '009',
+    description: 'Roles and permissions',
+
+    async up() {
+        console.log('🚀 Running migration 009: Roles and permissions...');
+
+        try {
+            await run(`
+                CREATE TABLE IF NOT EXISTS roles (
+                    name VARCHAR(50) PRIMARY KEY,
+                    label VARCHAR(100) NOT NULL,
+                    description TEXT,
+                    is_system BOOLEAN DEFAULT FALSE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('  ✅ Roles table created');
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS permissions (
+                    name VARCHAR(100) PRIMARY KEY,
+                    group_name VARCHAR(50) NOT NULL,
+                    description TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('  ✅ Permissions table created');
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS role_permissions (
+                    role VARCHAR(50) NOT NULL,
+                    permission VARCHAR(100) NOT NULL,
+                    granted_by INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (role, permission),
+                    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+                    FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE,
+                    FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            console.log('  ✅ Role permissions table created');
+
+            for (const role of SYSTEM_ROLES) {
+                await run(`
+                    INSERT INTO roles (name, label, description, is_system)
+                    VALUES ($1, $2, $3, TRUE)
+                    ON CONFLICT (name) DO NOTHING
+                `, [role.name, role.label, role.description]);
+            }
+
+            // Default grants reproduce the previous hard-coded role checks
+            for (const permission of PERMISSION_REGISTRY) {
+                const inserted = await run(`
+                    INSERT INTO permissions (name, group_name, description)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (name) DO NOTHING
+                `, [permission.name, permission.group, permission.description]);
+
+                if (inserted.changes > 0) {
+                    for (const role of permission.defaultRoles) {
+                        await run(`
+                            INSERT INTO role_permissions (role, permission)
+                            VALUES ($1, $2)
+                            ON CONFLICT DO NOTHING
+                        `, [role, permission.name]);
+                    }
+                }
+            }
+            console.log('  ✅ Roles and permissions seeded');
+
+            // Roles are now data, so the fixed list on users.role gives way to a foreign key
+            await run('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+            await run('ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50)');
+            await run('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey');
+            await run(`
+                ALTER TABLE users
+                ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+            `);
+            console.log('  ✅ users.role now references roles');
+
+            console.log('🎉 Migration 009 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 009 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 009...');
+
+        try {
+            await run('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey');
+            await run(`UPDATE users SET role = 'user' WHERE role NOT IN ('user', 'moderator', 'admin')`);
+            await run('ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(20)');
+            await run(`
+                ALTER TABLE users
+                ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'moderator', 'admin'))
+            `);
+            await run('DROP TABLE IF EXISTS role_permissions');
+            await run('DROP TABLE IF EXISTS permissions');
+            await run('DROP TABLE IF EXISTS roles');
+
+            console.log('🎉 Migration 009 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,57 @@
+const { run } = require('../config/database');
+
+/**
+ * Moderator Categories Migration
+ * Assigns moderators to categories. A moderator with assignments only moderates
+ * content and comments in those categories and their subcategories.
+ */
+
+const migration = {
+    version: '010',
+    description: 'Moderator category assignments',
+
+    async up() {
+        console.log('🚀 Running migration 010: Moderator category assignments...');
+
+        try {
+            await run(`
+                CREATE TABLE IF NOT EXISTS moderator_categories (
+                    user_id INTEGER NOT NULL,
+                    category_id INTEGER NOT NULL,
+                    assigned_by INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, category_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+                    FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            console.log('  ✅ Moderator categories table created');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_moderator_categories_category ON moderator_categories(category_id)');
+            console.log('  ✅ Moderator category indexes created');
+
+            console.log('🎉 Migration 010 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 010 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 010...');
+
+        try {
+            await run('DROP TABLE IF EXISTS moderator_categories');
+
+            console.log('🎉 Migration 010 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
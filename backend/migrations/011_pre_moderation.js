@@ -0,0 +1,69 @@
+const { run } = require('../config/database');
+
+/**
+ * Pre-moderation Migration
+ * Adds the trusted flag that lets members skip review, notification types for
+ * moderation decisions, and an index for looking up an item's audit history.
+ */
+
+const NOTIFICATION_TYPES = [
+    'comment_reply',
+    'content_like',
+    'content_rejected',
+    'content_approved',
+    'comment_approved',
+    'comment_rejected'
+];
+
+const migration = {
+    version: '011',
+    description: 'Pre-moderation',
+
+    async up() {
+        console.log('🚀 Running migration 011: Pre-moderation...');
+
+        try {
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_trusted BOOLEAN DEFAULT FALSE');
+            console.log('  ✅ users.is_trusted added');
+
+            await run('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check');
+            await run(`
+                ALTER TABLE notifications
+                ADD CONSTRAINT notifications_type_check CHECK (type IN (${NOTIFICATION_TYPES.map(type => `'${type}'`).join(', ')}))
+            `);
+            console.log('  ✅ Moderation notification types allowed');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id)');
+            console.log('  ✅ Audit log resource index created');
+
+            console.log('🎉 Migration 011 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 011 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 011...');
+
+        try {
+            await run('DROP INDEX IF EXISTS idx_audit_logs_resource');
+            await run(`DELETE FROM notifications WHERE type IN ('content_approved', 'comment_approved', 'comment_rejected')`);
+            await run('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check');
+            await run(`
+                ALTER TABLE notifications
+                ADD CONSTRAINT notifications_type_check CHECK (type IN ('comment_reply', 'content_like', 'content_rejected'))
+            `);
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS is_trusted');
+
+            console.log('🎉 Migration 011 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
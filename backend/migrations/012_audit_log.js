@@ -0,0 +1,64 @@
+const { run } = require('../config/database');
+const { PERMISSIONS, PERMISSION_REGISTRY } = require('../config/permissions');
+
+/**
+ * Audit Log Migration
+ * Adds the permission for viewing the audit log and an index for listing one
+ * actor's actions newest first.
+ */
+
+const migration = {
+    version: '012',
+    description: 'Audit log access',
+
+    async up() {
+        console.log('🚀 Running migration 012: Audit log access...');
+
+        try {
+            const permission = PERMISSION_REGISTRY.find(entry => entry.name === PERMISSIONS.AUDIT_VIEW);
+
+            const inserted = await run(`
+                INSERT INTO permissions (name, group_name, description)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (name) DO NOTHING
+            `, [permission.name, permission.group, permission.description]);
+
+            if (inserted.changes > 0) {
+                for (const role of permission.defaultRoles) {
+                    await run(`
+                        INSERT INTO role_permissions (role, permission)
+                        VALUES ($1, $2)
+                        ON CONFLICT DO NOTHING
+                    `, [role, permission.name]);
+                }
+            }
+            console.log('  ✅ audit.view permission added');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_audit_logs_user_created ON audit_logs(user_id, created_at DESC)');
+            console.log('  ✅ Audit log actor index created');
+
+            console.log('🎉 Migration 012 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 012 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 012...');
+
+        try {
+            await run('DROP INDEX IF EXISTS idx_audit_logs_user_created');
+            await run('DELETE FROM permissions WHERE name = $1', [PERMISSIONS.AUDIT_VIEW]);
+
+            console.log('🎉 Migration 012 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
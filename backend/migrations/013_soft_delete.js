@@ -0,0 +1,87 @@
+const { run } = require('../config/database');
+const { PERMISSIONS, PERMISSION_REGISTRY } = require('../config/permissions');
+
+/**
+ * Soft Delete Migration
+ * Deleted content, comments and users keep their rows with deleted_at/deleted_by
+ * set, so they can be restored from the admin trash until they are purged.
+ */
+
+const TABLES = ['content', 'comments', 'users'];
+
+const migration = {
+    version: '013',
+    description: 'Soft delete',
+
+    async up() {
+        console.log('🚀 Running migration 013: Soft delete...');
+
+        try {
+            for (const table of TABLES) {
+                await run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+                await run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_by INTEGER`);
+                await run(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_deleted_by_fkey`);
+                await run(`
+                    ALTER TABLE ${table}
+                    ADD CONSTRAINT ${table}_deleted_by_fkey FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL
+                `);
+
+                // The trash and the retention job only look at deleted rows
+                await run(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table}(deleted_at) WHERE deleted_at IS NOT NULL`);
+            }
+            console.log('  ✅ deleted_at/deleted_by added to content, comments and users');
+
+            const permission = PERMISSION_REGISTRY.find(entry => entry.name === PERMISSIONS.TRASH_MANAGE);
+
+            const inserted = await run(`
+                INSERT INTO permissions (name, group_name, description)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (name) DO NOTHING
+            `, [permission.name, permission.group, permission.description]);
+
+            if (inserted.changes > 0) {
+                for (const role of permission.defaultRoles) {
+                    await run(`
+                        INSERT INTO role_permissions (role, permission)
+                        VALUES ($1, $2)
+                        ON CONFLICT DO NOTHING
+                    `, [role, permission.name]);
+                }
+            }
+            console.log('  ✅ trash.manage permission added');
+
+            console.log('🎉 Migration 013 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 013 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 013...');
+
+        try {
+            await run('DELETE FROM permissions WHERE name = $1', [PERMISSIONS.TRASH_MANAGE]);
+
+            // Rows still in the trash were deleted, so finish the job before dropping the columns
+            await run('DELETE FROM users WHERE deleted_at IS NOT NULL');
+            await run('DELETE FROM content WHERE deleted_at IS NOT NULL');
+            await run('DELETE FROM comments WHERE deleted_at IS NOT NULL');
+
+            for (const table of TABLES) {
+                await run(`DROP INDEX IF EXISTS idx_${table}_deleted_at`);
+                await run(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_by`);
+                await run(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+            }
+
+            console.log('🎉 Migration 013 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
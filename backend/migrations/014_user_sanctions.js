@@ -0,0 +1,80 @@
+const { run } = require('../config/database');
+
+/**
+ * User Sanctions Migration
+ * Suspensions get an end date, a reason and the moderator who issued them, and
+ * every account status change is kept in user_sanctions as the user's history.
+ * Accounts suspended before this migration keep a NULL end date and stay
+ * suspended until someone reinstates them.
+ */
+
+const migration = {
+    version: '014',
+    description: 'User sanctions',
+
+    async up() {
+        console.log('🚀 Running migration 014: User sanctions...');
+
+        try {
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP');
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT');
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_by INTEGER');
+            await run('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_suspended_by_fkey');
+            await run(`
+                ALTER TABLE users
+                ADD CONSTRAINT users_suspended_by_fkey FOREIGN KEY (suspended_by) REFERENCES users(id) ON DELETE SET NULL
+            `);
+            console.log('  ✅ Suspension columns added to users');
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS user_sanctions (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    action VARCHAR(20) NOT NULL CHECK (action IN ('suspend', 'ban', 'deactivate', 'reinstate', 'expire')),
+                    reason TEXT,
+                    expires_at TIMESTAMP,
+                    issued_by INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            console.log('  ✅ User sanctions table created');
+
+            await run('CREATE INDEX IF NOT EXISTS idx_user_sanctions_user_created ON user_sanctions(user_id, created_at DESC)');
+
+            // The expiry job only looks at suspensions with an end date
+            await run(`
+                CREATE INDEX IF NOT EXISTS idx_users_suspended_until
+                ON users(suspended_until) WHERE status = 'suspended' AND suspended_until IS NOT NULL
+            `);
+            console.log('  ✅ Sanction indexes created');
+
+            console.log('🎉 Migration 014 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 014 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 014...');
+
+        try {
+            await run('DROP TABLE IF EXISTS user_sanctions');
+            await run('DROP INDEX IF EXISTS idx_users_suspended_until');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS suspended_by');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS suspension_reason');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS suspended_until');
+
+            console.log('🎉 Migration 014 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,74 @@
+const { run } = require('../config/database');
+
+/**
+ * Two-Factor Authentication Migration
+ * TOTP secrets live on the user row; recovery codes are stored as SHA-256
+ * hashes and can each be used once. The require_admin_two_factor setting
+ * makes 2FA mandatory for roles with admin access.
+ */
+
+const migration = {
+    version: '015',
+    description: 'Two-factor authentication',
+
+    async up() {
+        console.log('🚀 Running migration 015: Two-factor authentication...');
+
+        try {
+            // The secret is written at setup and only trusted once two_factor_enabled is set
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64)');
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT FALSE');
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP');
+            // Last accepted time step, so a code can't be replayed within its window
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT');
+            console.log('  ✅ Two-factor columns added to users');
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    code_hash VARCHAR(64) NOT NULL,
+                    used_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    UNIQUE (user_id, code_hash)
+                )
+            `);
+            console.log('  ✅ Recovery codes table created');
+
+            await run(`
+                INSERT INTO settings (key, value, type, description)
+                VALUES ('require_admin_two_factor', 'false', 'boolean', 'Require two-factor authentication for roles with admin access')
+                ON CONFLICT (key) DO NOTHING
+            `);
+            console.log('  ✅ Two-factor requirement setting added');
+
+            console.log('🎉 Migration 015 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 015 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 015...');
+
+        try {
+            await run("DELETE FROM settings WHERE key = 'require_admin_two_factor'");
+            await run('DROP TABLE IF EXISTS user_recovery_codes');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS two_factor_last_step');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled_at');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled');
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS two_factor_secret');
+
+            console.log('🎉 Migration 015 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,68 @@
+const { run } = require('../config/database');
+
+/**
+ * Refresh Token Rotation Migration
+ * Each session is one refresh token family: every refresh replaces the
+ * session's token, and the replaced token's hash is kept so that presenting
+ * it again can be recognised as reuse. Tokens are stored as SHA-256 hashes.
+ */
+
+const migration = {
+    version: '016',
+    description: 'Refresh token rotation',
+
+    async up() {
+        console.log('🚀 Running migration 016: Refresh token rotation...');
+
+        try {
+            // Hash the tokens of existing sessions so nobody is signed out
+            await run(`
+                UPDATE user_sessions
+                SET refresh_token = encode(sha256(convert_to(refresh_token, 'UTF8')), 'hex')
+                WHERE length(refresh_token) <> 64
+            `);
+            await run('ALTER TABLE user_sessions ALTER COLUMN refresh_token TYPE VARCHAR(64)');
+            await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_refresh_token ON user_sessions(refresh_token)');
+            console.log('  ✅ Session refresh tokens hashed');
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS rotated_refresh_tokens (
+                    id SERIAL PRIMARY KEY,
+                    session_id VARCHAR(255) NOT NULL,
+                    token_hash VARCHAR(64) UNIQUE NOT NULL,
+                    rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+                )
+            `);
+            await run('CREATE INDEX IF NOT EXISTS idx_rotated_refresh_tokens_session_id ON rotated_refresh_tokens(session_id)');
+            console.log('  ✅ Rotated refresh tokens table created');
+
+            console.log('🎉 Migration 016 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 016 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 016...');
+
+        try {
+            await run('DROP TABLE IF EXISTS rotated_refresh_tokens');
+            await run('DROP INDEX IF EXISTS idx_user_sessions_refresh_token');
+            await run('ALTER TABLE user_sessions ALTER COLUMN refresh_token TYPE TEXT');
+
+            // Hashed tokens can't be turned back into the tokens clients hold
+            await run('UPDATE user_sessions SET is_active = false');
+
+            console.log('🎉 Migration 016 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,44 @@
+const { run } = require('../config/database');
+
+/**
+ * Session Last Used Migration
+ * Records when each session last refreshed its tokens, so users can tell
+ * their devices apart and spot ones they no longer use.
+ */
+
+const migration = {
+    version: '017',
+    description: 'Session last used time',
+
+    async up() {
+        console.log('🚀 Running migration 017: Session last used time...');
+
+        try {
+            await run('ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+            await run('UPDATE user_sessions SET last_used_at = created_at');
+            console.log('  ✅ last_used_at added to user_sessions');
+
+            console.log('🎉 Migration 017 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 017 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 017...');
+
+        try {
+            await run('ALTER TABLE user_sessions DROP COLUMN IF EXISTS last_used_at');
+
+            console.log('🎉 Migration 017 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
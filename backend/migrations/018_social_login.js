@@ -0,0 +1,90 @@
+const { run } = require('../config/database');
+
+/**
+ * Social Login Migration
+ * Accounts at OpenID Connect providers are linked to users by the provider's
+ * subject ID. Login attempts keep their PKCE verifier and nonce server-side
+ * until the provider redirects back, and a finished login hands the browser a
+ * short-lived single-use ticket that the frontend swaps for tokens.
+ */
+
+const migration = {
+    version: '018',
+    description: 'Social login',
+
+    async up() {
+        console.log('🚀 Running migration 018: Social login...');
+
+        try {
+            await run(`
+                CREATE TABLE IF NOT EXISTS user_identities (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    provider VARCHAR(50) NOT NULL,
+                    subject VARCHAR(255) NOT NULL,
+                    email VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_login_at TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    UNIQUE (provider, subject),
+                    UNIQUE (user_id, provider)
+                )
+            `);
+            console.log('  ✅ User identities table created');
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS oidc_login_states (
+                    state_hash VARCHAR(64) PRIMARY KEY,
+                    provider VARCHAR(50) NOT NULL,
+                    code_verifier VARCHAR(128) NOT NULL,
+                    nonce VARCHAR(64) NOT NULL,
+                    user_id INTEGER,
+                    expires_at TIMESTAMP NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS oidc_login_tickets (
+                    ticket_hash VARCHAR(64) PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    provider VARCHAR(50) NOT NULL,
+                    expires_at TIMESTAMP NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            console.log('  ✅ Login state and ticket tables created');
+
+            // Users created by social login have no password until they set one
+            await run('ALTER TABLE users ADD COLUMN IF NOT EXISTS has_password BOOLEAN DEFAULT TRUE');
+            console.log('  ✅ has_password added to users');
+
+            console.log('🎉 Migration 018 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 018 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 018...');
+
+        try {
+            await run('ALTER TABLE users DROP COLUMN IF EXISTS has_password');
+            await run('DROP TABLE IF EXISTS oidc_login_tickets');
+            await run('DROP TABLE IF EXISTS oidc_login_states');
+            await run('DROP TABLE IF EXISTS user_identities');
+
+            console.log('🎉 Migration 018 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,50 @@
+const { run } = require('../config/database');
+
+/**
+ * Content Format Migration
+ * Content can be written in Markdown as well as rich text. Markdown is
+ * rendered to HTML on save, so body stays what readers see and the Markdown
+ * is kept in source for editing. Revisions keep both so restores are exact.
+ */
+
+const migration = {
+    version: '019',
+    description: 'Content format and Markdown source',
+
+    async up() {
+        console.log('🚀 Running migration 019: Content format...');
+
+        try {
+            for (const table of ['content', 'content_revisions']) {
+                await run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'html' CHECK (format IN ('html', 'markdown'))`);
+                await run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS source TEXT`);
+                console.log(`  ✅ format and source added to ${table}`);
+            }
+
+            console.log('🎉 Migration 019 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 019 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 019...');
+
+        try {
+            for (const table of ['content', 'content_revisions']) {
+                await run(`ALTER TABLE ${table} DROP COLUMN IF EXISTS source`);
+                await run(`ALTER TABLE ${table} DROP COLUMN IF EXISTS format`);
+            }
+
+            console.log('🎉 Migration 019 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
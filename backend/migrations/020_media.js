@@ -0,0 +1,68 @@
+const { run } = require('../config/database');
+
+/**
+ * Media Migration
+ * Uploaded images become media records: one row per upload listing the
+ * re-encoded sizes that were written for it. Content points its featured
+ * image at a record instead of storing a file path.
+ */
+
+const migration = {
+    version: '020',
+    description: 'Media records and featured image references',
+
+    async up() {
+        console.log('🚀 Running migration 020: Media...');
+
+        try {
+            await run(`
+                CREATE TABLE IF NOT EXISTS media (
+                    id SERIAL PRIMARY KEY,
+                    owner_id INTEGER,
+                    original_name VARCHAR(255),
+                    mime_type VARCHAR(50) NOT NULL,
+                    size INTEGER NOT NULL, -- Bytes across all stored variants
+                    width INTEGER NOT NULL,
+                    height INTEGER NOT NULL,
+                    variants TEXT NOT NULL, -- JSON: variant name -> { width, height, size, url, webpUrl }
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            await run('CREATE INDEX IF NOT EXISTS idx_media_owner_id ON media(owner_id)');
+            console.log('  ✅ Media table created');
+
+            // Content keeps featured_image for images uploaded before media records existed
+            for (const table of ['content', 'content_revisions']) {
+                await run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS featured_image_id INTEGER REFERENCES media(id) ON DELETE SET NULL`);
+            }
+            await run('CREATE INDEX IF NOT EXISTS idx_content_featured_image_id ON content(featured_image_id)');
+            console.log('  ✅ featured_image_id added to content and content_revisions');
+
+            console.log('🎉 Migration 020 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 020 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 020...');
+
+        try {
+            for (const table of ['content', 'content_revisions']) {
+                await run(`ALTER TABLE ${table} DROP COLUMN IF EXISTS featured_image_id`);
+            }
+            await run('DROP TABLE IF EXISTS media CASCADE');
+
+            console.log('🎉 Migration 020 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
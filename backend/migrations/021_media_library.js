@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { run, get, query } = require('../config/database');
+const { PERMISSIONS, PERMISSION_REGISTRY } = require('../config/permissions');
+
+/**
+ * Media Library Migration
+ * Media records get alt text and the file key their variant files share, and
+ * media_references records which content uses each image. Images uploaded
+ * before media records existed are imported as records of their own, owned
+ * by the author of the first post that uses them, so they are tracked and
+ * collected like any other upload.
+ */
+
+const IMAGE_DIR = path.join(__dirname, '../../uploads/images');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+// Same rule as MediaModel.keyFromUrl, kept here so the migration doesn't change with the model
+const IMAGE_URL_PATTERN = /\/uploads\/(?:images|thumbnails)\/([\w.-]+?)(?:-(?:thumbnail|card|full))?\.(?:jpe?g|png|gif|webp)\b/gi;
+
+const findKeys = (text) => {
+    const keys = new Set();
+    for (const match of String(text || '').matchAll(IMAGE_URL_PATTERN)) {
+        keys.add(match[1]);
+    }
+    return keys;
+};
+
+/**
+ * Create a media record for every old upload that doesn't belong to one
+ */
+const importLegacyFiles = async (knownKeys) => {
+    let files = [];
+    try {
+        files = fs.readdirSync(IMAGE_DIR);
+    } catch (error) {
+        return 0;
+    }
+
+    let imported = 0;
+    for (const file of files) {
+        const extension = path.extname(file).toLowerCase();
+        const key = file.slice(0, -extension.length);
+        if (!MIME_TYPES[extension] || knownKeys.has(key) || findKeys(`/uploads/images/${file}`).size === 0) {
+            continue;
+        }
+
+        const url = `/uploads/images/${file}`;
+        const stats = fs.statSync(path.join(IMAGE_DIR, file));
+        const user = await get(`
+            SELECT author_id FROM content
+            WHERE featured_image LIKE '%' || $1 OR body LIKE '%' || $1 || '%'
+            ORDER BY created_at
+            LIMIT 1
+        `, [url]);
+
+        // Dimensions aren't known without decoding the file; they stay empty
+        await run(`
+            INSERT INTO media (owner_id, original_name, mime_type, size, variants, file_key, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            user ? user.author_id : null,
+            file,
+            MIME_TYPES[extension],
+            stats.size,
+            JSON.stringify({ full: { size: stats.size, url } }),
+            key,
+            stats.mtime.toISOString()
+        ]);
+
+        knownKeys.add(key);
+        imported++;
+    }
+
+    return imported;
+};
+
+/**
+ * Record the images content and its revisions use today
+ */
+const backfillReferences = async () => {
+    const media = await query('SELECT id, file_key FROM media');
+    const idsByKey = new Map(media.map(row => [row.file_key, row.id]));
+
+    const rows = [
+        ...await query('SELECT id AS content_id, body, featured_image, featured_image_id FROM content'),
+        ...await query('SELECT content_id, body, featured_image, featured_image_id FROM content_revisions')
+    ];
+
+    for (const row of rows) {
+        const references = [];
+
+        if (row.featured_image_id) {
+            references.push([row.featured_image_id, 'featured']);
+        }
+        findKeys(row.featured_image).forEach(key => idsByKey.has(key) && references.push([idsByKey.get(key), 'featured']));
+        findKeys(row.body).forEach(key => idsByKey.has(key) && references.push([idsByKey.get(key), 'body']));
+
+        for (const [mediaId, kind] of references) {
+            await run(`
+                INSERT INTO media_references (media_id, content_id, kind)
+                VALUES ($1, $2, $3)
+                ON CONFLICT DO NOTHING
+            `, [mediaId, row.content_id, kind]);
+        }
+    }
+};
+
+const migration = {
+    version: '021',
+    description: 'Media library',
+
+    async up() {
+        console.log('🚀 Running migration 021: Media library...');
+
+        try {
+            await run('ALTER TABLE media ADD COLUMN IF NOT EXISTS alt_text VARCHAR(255)');
+            await run('ALTER TABLE media ADD COLUMN IF NOT EXISTS file_key VARCHAR(100)');
+            await run('ALTER TABLE media ALTER COLUMN width DROP NOT NULL');
+            await run('ALTER TABLE media ALTER COLUMN height DROP NOT NULL');
+
+            // Every variant file of a processed upload is named <file_key>-<variant>.<ext>
+            const processed = await query('SELECT id, variants FROM media WHERE file_key IS NULL');
+            for (const row of processed) {
+                const [key] = findKeys(JSON.parse(row.variants).full.url);
+                await run('UPDATE media SET file_key = $1 WHERE id = $2', [key, row.id]);
+            }
+            await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_media_file_key ON media(file_key)');
+            console.log('  ✅ alt_text and file_key added to media');
+
+            const knownKeys = new Set((await query('SELECT file_key FROM media')).map(row => row.file_key));
+            const imported = await importLegacyFiles(knownKeys);
+            console.log(`  ✅ ${imported} earlier uploads imported as media`);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS media_references (
+                    media_id INTEGER NOT NULL,
+                    content_id INTEGER NOT NULL,
+                    kind VARCHAR(20) NOT NULL CHECK (kind IN ('featured', 'body')),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (media_id, content_id, kind),
+                    FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE,
+                    FOREIGN KEY (content_id) REFERENCES content(id) ON DELETE CASCADE
+                )
+            `);
+            await run('CREATE INDEX IF NOT EXISTS idx_media_references_content_id ON media_references(content_id)');
+            await backfillReferences();
+            console.log('  ✅ Media references table created and filled');
+
+            const permission = PERMISSION_REGISTRY.find(entry => entry.name === PERMISSIONS.MEDIA_MANAGE_ANY);
+
+            const inserted = await run(`
+                INSERT INTO permissions (name, group_name, description)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (name) DO NOTHING
+            `, [permission.name, permission.group, permission.description]);
+
+            if (inserted.changes > 0) {
+                for (const role of permission.defaultRoles) {
+                    await run(`
+                        INSERT INTO role_permissions (role, permission)
+                        VALUES ($1, $2)
+                        ON CONFLICT DO NOTHING
+                    `, [role, permission.name]);
+                }
+            }
+            console.log('  ✅ media.manage_any permission added');
+
+            console.log('🎉 Migration 021 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 021 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 021...');
+
+        try {
+            await run('DELETE FROM permissions WHERE name = $1', [PERMISSIONS.MEDIA_MANAGE_ANY]);
+            await run('DROP TABLE IF EXISTS media_references');
+
+            // Imported uploads have no dimensions; their files stay where they are
+            await run('DELETE FROM media WHERE width IS NULL OR height IS NULL');
+            await run('ALTER TABLE media ALTER COLUMN width SET NOT NULL');
+            await run('ALTER TABLE media ALTER COLUMN height SET NOT NULL');
+
+            await run('DROP INDEX IF EXISTS idx_media_file_key');
+            await run('ALTER TABLE media DROP COLUMN IF EXISTS file_key');
+            await run('ALTER TABLE media DROP COLUMN IF EXISTS alt_text');
+
+            console.log('🎉 Migration 021 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,92 @@
+const { run, query } = require('../config/database');
+
+/**
+ * Media Storage Migration
+ * Uploads are stored through a storage adapter instead of being written
+ * straight to the uploads directory. Each media record notes the driver its
+ * files were stored with, and its variants hold storage keys rather than
+ * public URLs; URLs are now built from the record. media_objects holds the
+ * files of the database driver.
+ */
+
+const UPLOAD_PREFIX = '/uploads/';
+
+/**
+ * Rewrite every media record's variants with a function of one variant
+ */
+const rewriteVariants = async (rewrite) => {
+    const rows = await query('SELECT id, variants FROM media');
+
+    for (const row of rows) {
+        const variants = JSON.parse(row.variants);
+        Object.keys(variants).forEach(name => {
+            variants[name] = rewrite(variants[name]);
+        });
+        await run('UPDATE media SET variants = $1 WHERE id = $2', [JSON.stringify(variants), row.id]);
+    }
+
+    return rows.length;
+};
+
+const migration = {
+    version: '022',
+    description: 'Media storage adapters',
+
+    async up() {
+        console.log('🚀 Running migration 022: Media storage adapters...');
+
+        try {
+            await run("ALTER TABLE media ADD COLUMN IF NOT EXISTS storage VARCHAR(20) NOT NULL DEFAULT 'local'");
+            console.log('  ✅ storage added to media');
+
+            // Every upload so far was written under uploads/, so its key is the URL without that prefix
+            const rewritten = await rewriteVariants(({ url, webpUrl, ...variant }) => ({
+                ...variant,
+                ...(url ? { key: url.startsWith(UPLOAD_PREFIX) ? url.slice(UPLOAD_PREFIX.length) : url } : {}),
+                ...(webpUrl ? { webpKey: webpUrl.startsWith(UPLOAD_PREFIX) ? webpUrl.slice(UPLOAD_PREFIX.length) : webpUrl } : {})
+            }));
+            console.log(`  ✅ ${rewritten} media records switched to storage keys`);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS media_objects (
+                    key VARCHAR(255) PRIMARY KEY,
+                    content_type VARCHAR(100) NOT NULL,
+                    size INTEGER NOT NULL,
+                    data BYTEA NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('  ✅ Media objects table created');
+
+            console.log('🎉 Migration 022 completed successfully!');
+
+        } catch (error) {
+            console.error('❌ Migration 022 failed:', error);
+            throw error;
+        }
+    },
+
+    async down() {
+        console.log('🔄 Rolling back migration 022...');
+
+        try {
+            // Files stored in the database or a bucket are not copied back to disk
+            await run('DROP TABLE IF EXISTS media_objects');
+
+            await rewriteVariants(({ key, webpKey, ...variant }) => ({
+                ...variant,
+                ...(key ? { url: `${UPLOAD_PREFIX}${key}` } : {}),
+                ...(webpKey ? { webpUrl: `${UPLOAD_PREFIX}${webpKey}` } : {})
+            }));
+            await run('ALTER TABLE media DROP COLUMN IF EXISTS storage');
+
+            console.log('🎉 Migration 022 rolled back successfully!');
+
+        } catch (error) {
+            console.error('❌ Rollback failed:', error);
+            throw error;
+        }
+    }
+};
+
+module.exports = migration;
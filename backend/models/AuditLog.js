@@ -0,0 +1,206 @@
+const { query, get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * Audit Log Model
+ * Records who did what to which resource
+ */
+
+class AuditLogModel {
+    /**
+     * Record an action
+     */
+    static async record(entry) {
+        try {
+            const {
+                userId = null,
+                action,
+                resourceType,
+                resourceId = null,
+                oldValues = null,
+                newValues = null,
+                ipAddress = null,
+                userAgent = null
+            } = entry;
+
+            const result = await run(`
+                INSERT INTO audit_logs (
+                    user_id, action, resource_type, resource_id,
+                    old_values, new_values, ip_address, user_agent, created_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+                RETURNING id
+            `, [
+                userId,
+                action,
+                resourceType,
+                resourceId,
+                oldValues ? JSON.stringify(oldValues) : null,
+                newValues ? JSON.stringify(newValues) : null,
+                ipAddress,
+                userAgent
+            ]);
+
+            return result.lastID;
+        } catch (error) {
+            logger.error('Error recording audit log', error, {
+                action: entry.action,
+                resourceType: entry.resourceType,
+                resourceId: entry.resourceId
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Build the WHERE clause for audit filters
+     * `actor` is a user ID or part of an email/display name; `from` and `to` are inclusive dates.
+     */
+    static buildFilters(filters = {}) {
+        const { actor, action, resourceType, resourceId, from, to } = filters;
+
+        const whereConditions = [];
+        const params = [];
+        let paramIndex = 1;
+
+        if (actor) {
+            if (/^\d+$/.test(String(actor))) {
+                whereConditions.push(`a.user_id = $${paramIndex}`);
+                params.push(parseInt(actor));
+            } else {
+                whereConditions.push(`(u.email ILIKE $${paramIndex} OR u.display_name ILIKE $${paramIndex})`);
+                params.push(`%${actor}%`);
+            }
+            paramIndex++;
+        }
+
+        if (action) {
+            whereConditions.push(`a.action = $${paramIndex}`);
+            params.push(action);
+            paramIndex++;
+        }
+
+        if (resourceType) {
+            whereConditions.push(`a.resource_type = $${paramIndex}`);
+            params.push(resourceType);
+            paramIndex++;
+        }
+
+        if (resourceId) {
+            whereConditions.push(`a.resource_id = $${paramIndex}`);
+            params.push(parseInt(resourceId));
+            paramIndex++;
+        }
+
+        if (from) {
+            whereConditions.push(`a.created_at >= $${paramIndex}::date`);
+            params.push(from);
+            paramIndex++;
+        }
+
+        if (to) {
+            whereConditions.push(`a.created_at < $${paramIndex}::date + INTERVAL '1 day'`);
+            params.push(to);
+            paramIndex++;
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        return { whereClause, params, paramIndex };
+    }
+
+    /**
+     * Parse the stored JSON values of an entry
+     */
+    static parseEntry(entry) {
+        const parse = (value) => {
+            if (!value) {
+                return null;
+            }
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        };
+
+        return {
+            ...entry,
+            old_values: parse(entry.old_values),
+            new_values: parse(entry.new_values)
+        };
+    }
+
+    /**
+     * Search the audit log, newest first
+     */
+    static async search(filters = {}, options = {}) {
+        try {
+            const { page = 1, limit = 50 } = options;
+            const offset = (page - 1) * limit;
+            const { whereClause, params, paramIndex } = this.buildFilters(filters);
+
+            const countResult = await get(`
+                SELECT COUNT(*) as total
+                FROM audit_logs a
+                LEFT JOIN users u ON a.user_id = u.id
+                ${whereClause}
+            `, params);
+
+            const total = parseInt(countResult.total);
+
+            const entries = await query(`
+                SELECT
+                    a.*,
+                    u.display_name as actor_name,
+                    u.email as actor_email
+                FROM audit_logs a
+                LEFT JOIN users u ON a.user_id = u.id
+                ${whereClause}
+                ORDER BY a.created_at DESC, a.id DESC
+                LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+            `, [...params, limit, offset]);
+
+            return {
+                entries: entries.map(entry => this.parseEntry(entry)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error searching audit log', error, { filters });
+            throw error;
+        }
+    }
+
+    /**
+     * Get every matching entry for export, newest first, up to `maxRows`
+     */
+    static async getForExport(filters = {}, maxRows = constants.AUDIT.EXPORT_MAX_ROWS) {
+        try {
+            const { whereClause, params, paramIndex } = this.buildFilters(filters);
+
+            const entries = await query(`
+                SELECT
+                    a.*,
+                    u.display_name as actor_name,
+                    u.email as actor_email
+                FROM audit_logs a
+                LEFT JOIN users u ON a.user_id = u.id
+                ${whereClause}
+                ORDER BY a.created_at DESC, a.id DESC
+                LIMIT $${paramIndex}
+            `, [...params, maxRows]);
+
+            return entries;
+        } catch (error) {
+            logger.error('Error exporting audit log', error, { filters });
+            throw error;
+        }
+    }
+}
+
+module.exports = AuditLogModel;
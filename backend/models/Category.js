@@ -1,5 +1,5 @@
 const { query, get, run } = require('../config/database');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 
 /**
  * Category Model
@@ -150,7 +150,7 @@ class CategoryModel {
                     COUNT(content.id) as content_count
                 FROM categories c
                 LEFT JOIN categories parent ON c.parent_id = parent.id
-                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published'
+                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published' AND content.deleted_at IS NULL
                 ${whereClause}
                 GROUP BY c.id, parent.name
                 ORDER BY c.sort_order ASC, c.name ASC
@@ -173,7 +173,7 @@ class CategoryModel {
                     c.*,
                     COUNT(content.id) as content_count
                 FROM categories c
-                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published'
+                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published' AND content.deleted_at IS NULL
                 WHERE c.parent_id IS NULL AND c.is_active = true
                 GROUP BY c.id
                 ORDER BY c.sort_order ASC, c.name ASC
@@ -196,7 +196,7 @@ class CategoryModel {
                     c.*,
                     COUNT(content.id) as content_count
                 FROM categories c
-                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published'
+                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published' AND content.deleted_at IS NULL
                 WHERE c.parent_id = $1 AND c.is_active = true
                 GROUP BY c.id
                 ORDER BY c.sort_order ASC, c.name ASC
@@ -298,7 +298,7 @@ class CategoryModel {
             const contentCount = await get(`
                 SELECT COUNT(*) as count 
                 FROM content 
-                WHERE category_id = $1
+                WHERE category_id = $1 AND deleted_at IS NULL
             `, [id]);
 
             if (contentCount.count > 0) {
@@ -364,7 +364,7 @@ class CategoryModel {
                     COUNT(content.id) as content_count,
                     SUM(content.view_count) as total_views
                 FROM categories c
-                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published'
+                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published' AND content.deleted_at IS NULL
                 WHERE c.is_active = true
                 GROUP BY c.id
                 ORDER BY content_count DESC, total_views DESC
@@ -390,7 +390,7 @@ class CategoryModel {
                     COUNT(content.id) as content_count
                 FROM categories c
                 LEFT JOIN categories parent ON c.parent_id = parent.id
-                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published'
+                LEFT JOIN content ON c.id = content.category_id AND content.status = 'published' AND content.deleted_at IS NULL
                 WHERE c.is_active = true AND (
                     LOWER(c.name) LIKE LOWER($1) OR 
                     LOWER(c.description) LIKE LOWER($1)
@@ -498,7 +498,7 @@ class CategoryModel {
                     AVG(view_count) as avg_views,
                     MAX(created_at) as latest_content
                 FROM content
-                WHERE category_id = $1
+                WHERE category_id = $1 AND deleted_at IS NULL
             `, [categoryId]);
 
             return summary;
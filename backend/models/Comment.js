@@ -1,6 +1,12 @@
 const { query, get, run } = require('../config/database');
 const constants = require('../config/constants');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
+const ReportModel = require('./Report');
+const RoleModel = require('./Role');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Columns carried through the recursive thread query
+const THREAD_COLUMNS = ['id', 'content_id', 'parent_id', 'author_id', 'body', 'like_count', 'created_at', 'updated_at'];
 
 /**
  * Comment Model
@@ -55,7 +61,7 @@ class CommentModel {
                     u.profile_image as author_image
                 FROM comments c
                 LEFT JOIN users u ON c.author_id = u.id
-                WHERE c.id = $1
+                WHERE c.id = $1 AND c.deleted_at IS NULL
             `, [id]);
 
             return comment;
@@ -65,6 +71,95 @@ class CommentModel {
         }
     }
 
+    /**
+     * Load comment threads in a single recursive query
+     * `anchor` selects the first level (top-level comments, or the replies to one comment)
+     * and must project the columns listed in THREAD_COLUMNS plus anchor_rank. Each comment
+     * gets up to REPLIES_PAGE_SIZE replies, down to THREAD_MAX_DEPTH levels; where a
+     * comment has more replies than were loaded, `next_cursor` (or `has_more_replies`
+     * at the depth limit) tells the client to fetch them with getReplies().
+     */
+    static async loadThreads(anchor, params, status, options = {}) {
+        const {
+            maxDepth = constants.COMMENTS.THREAD_MAX_DEPTH,
+            repliesLimit = constants.COMMENTS.REPLIES_PAGE_SIZE
+        } = options;
+
+        const statusParam = params.length + 1;
+        const depthParam = params.length + 2;
+
+        const rows = await query(`
+            WITH RECURSIVE thread AS (
+                ${anchor}
+
+                UNION ALL
+
+                SELECT
+                    ${THREAD_COLUMNS.map(column => `c.${column}`).join(', ')},
+                    t.depth + 1,
+                    t.anchor_rank
+                FROM comments c
+                JOIN thread t ON c.parent_id = t.id
+                WHERE c.status = $${statusParam} AND c.deleted_at IS NULL AND t.depth < $${depthParam}
+            )
+            SELECT
+                t.*,
+                u.display_name as author_name,
+                u.profile_image as author_image,
+                ROW_NUMBER() OVER (PARTITION BY t.parent_id ORDER BY t.created_at, t.id) as sibling_rank,
+                (
+                    SELECT COUNT(*)
+                    FROM comments r
+                    WHERE r.parent_id = t.id AND r.status = $${statusParam} AND r.deleted_at IS NULL
+                ) as reply_count
+            FROM thread t
+            LEFT JOIN users u ON t.author_id = u.id
+            ORDER BY t.depth, t.anchor_rank, t.created_at, t.id
+        `, [...params, status, maxDepth]);
+
+        // Rows arrive level by level, so a parent is always placed before its replies.
+        // Replies past the per-comment limit are dropped along with everything below them.
+        const nodes = new Map();
+        const roots = [];
+
+        rows.forEach(row => {
+            const comment = {
+                id: row.id,
+                parent_id: row.parent_id,
+                body: row.body,
+                like_count: row.like_count,
+                created_at: row.created_at,
+                updated_at: row.updated_at,
+                author_id: row.author_id,
+                author_name: row.author_name,
+                author_image: row.author_image,
+                reply_count: parseInt(row.reply_count),
+                replies: []
+            };
+
+            if (row.depth === 0) {
+                roots.push(comment);
+            } else {
+                const parent = nodes.get(row.parent_id);
+                if (!parent || parseInt(row.sibling_rank) > repliesLimit) {
+                    return;
+                }
+                parent.replies.push(comment);
+            }
+
+            nodes.set(comment.id, comment);
+        });
+
+        nodes.forEach(comment => {
+            comment.has_more_replies = comment.reply_count > comment.replies.length;
+            comment.next_cursor = comment.has_more_replies && comment.replies.length > 0
+                ? comment.replies[comment.replies.length - 1].id
+                : null;
+        });
+
+        return roots;
+    }
+
     /**
      * Get comments for content with threading
      */
@@ -79,54 +174,33 @@ class CommentModel {
             } = options;
 
             const offset = (page - 1) * limit;
-
-            // Get top-level comments
-            const topLevelComments = await query(`
-                SELECT 
-                    c.id, c.body, c.like_count, c.created_at, c.updated_at,
-                    u.display_name as author_name,
-                    u.profile_image as author_image,
-                    u.id as author_id
-                FROM comments c
-                LEFT JOIN users u ON c.author_id = u.id
-                WHERE c.content_id = $1 AND c.parent_id IS NULL AND c.status = $2
-                ORDER BY c.${sort} ${order.toUpperCase()}
-                LIMIT $3 OFFSET $4
-            `, [contentId, status, limit, offset]);
-
-            // Get replies for each top-level comment
-            const commentsWithReplies = await Promise.all(
-                topLevelComments.map(async (comment) => {
-                    const replies = await query(`
-                        SELECT 
-                            c.id, c.body, c.like_count, c.created_at, c.updated_at,
-                            u.display_name as author_name,
-                            u.profile_image as author_image,
-                            u.id as author_id
-                        FROM comments c
-                        LEFT JOIN users u ON c.author_id = u.id
-                        WHERE c.parent_id = $1 AND c.status = $2
-                        ORDER BY c.created_at ASC
-                    `, [comment.id, status]);
-
-                    return {
-                        ...comment,
-                        replies: replies || []
-                    };
-                })
-            );
+            const sortField = constants.COMMENTS.SORT_FIELDS.includes(sort) ? sort : 'created_at';
+            const sortOrder = order === 'desc' ? 'DESC' : 'ASC';
+
+            const comments = await this.loadThreads(`
+                SELECT ${THREAD_COLUMNS.join(', ')}, 0 as depth, anchor_rank
+                FROM (
+                    SELECT
+                        ${THREAD_COLUMNS.join(', ')},
+                        ROW_NUMBER() OVER (ORDER BY ${sortField} ${sortOrder}, id ${sortOrder}) as anchor_rank
+                    FROM comments
+                    WHERE content_id = $1 AND parent_id IS NULL AND status = $2 AND deleted_at IS NULL
+                    ORDER BY ${sortField} ${sortOrder}, id ${sortOrder}
+                    LIMIT $3 OFFSET $4
+                ) top_level
+            `, [contentId, status, limit, offset], status, options);
 
             // Get total count for pagination
             const countResult = await get(`
                 SELECT COUNT(*) as total 
                 FROM comments 
-                WHERE content_id = $1 AND parent_id IS NULL AND status = $2
+                WHERE content_id = $1 AND parent_id IS NULL AND status = $2 AND deleted_at IS NULL
             `, [contentId, status]);
 
             const total = parseInt(countResult.total);
 
             return {
-                comments: commentsWithReplies,
+                comments,
                 pagination: {
                     page,
                     limit,
@@ -140,6 +214,49 @@ class CommentModel {
         }
     }
 
+    /**
+     * Get the next page of replies to a comment, each with its own nested replies
+     * `after` is the ID of the last reply already shown (the next_cursor of the parent).
+     */
+    static async getReplies(parentId, options = {}) {
+        try {
+            const {
+                after = null,
+                limit = constants.COMMENTS.REPLIES_PAGE_SIZE,
+                status = constants.CONTENT_STATUS.PUBLISHED
+            } = options;
+
+            // Fetch one extra row to know whether another page follows
+            const replies = await this.loadThreads(`
+                SELECT ${THREAD_COLUMNS.join(', ')}, 0 as depth, anchor_rank
+                FROM (
+                    SELECT
+                        ${THREAD_COLUMNS.map(column => `c.${column}`).join(', ')},
+                        ROW_NUMBER() OVER (ORDER BY c.created_at, c.id) as anchor_rank
+                    FROM comments c
+                    LEFT JOIN comments cursor_row ON cursor_row.id = $2
+                    WHERE c.parent_id = $1 AND c.status = $3 AND c.deleted_at IS NULL
+                      AND ($2::INTEGER IS NULL OR (c.created_at, c.id) > (cursor_row.created_at, cursor_row.id))
+                    ORDER BY c.created_at, c.id
+                    LIMIT $4
+                ) reply_page
+            `, [parentId, after, status, limit + 1], status, options);
+
+            const hasMore = replies.length > limit;
+            if (hasMore) {
+                replies.pop();
+            }
+
+            return {
+                replies,
+                nextCursor: hasMore ? replies[replies.length - 1].id : null
+            };
+        } catch (error) {
+            logger.error('Error getting comment replies', error, { parentId });
+            throw error;
+        }
+    }
+
     /**
      * Update comment
      */
@@ -153,7 +270,7 @@ class CommentModel {
                     body = COALESCE($1, body),
                     status = COALESCE($2, status),
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = $3
+                WHERE id = $3 AND deleted_at IS NULL
             `, [body, status, id]);
 
             if (result.changes === 0) {
@@ -170,9 +287,24 @@ class CommentModel {
     }
 
     /**
-     * Delete comment
+     * Select the IDs of the comments matched by `anchor` and all of their replies
+     */
+    static subtreeQuery(anchor) {
+        return `
+            WITH RECURSIVE subtree AS (
+                SELECT id FROM comments WHERE ${anchor}
+                UNION
+                SELECT c.id FROM comments c JOIN subtree s ON c.parent_id = s.id
+            )
+            SELECT id FROM subtree
+        `;
+    }
+
+    /**
+     * Move a comment and its replies to the trash
+     * A single statement gives them all the same deleted_at for restore to match on.
      */
-    static async delete(id) {
+    static async delete(id, deletedBy = null) {
         try {
             // Get comment details before deletion
             const comment = await this.findById(id);
@@ -180,14 +312,21 @@ class CommentModel {
                 return false;
             }
 
-            // Delete the comment
-            const result = await run('DELETE FROM comments WHERE id = $1', [id]);
+            const result = await run(`
+                UPDATE comments SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                WHERE id IN (${this.subtreeQuery('id = $1')}) AND deleted_at IS NULL
+            `, [id, deletedBy]);
 
             if (result.changes === 0) {
                 return false;
             }
 
-            logger.info('Comment deleted', { commentId: id, contentId: comment.content_id });
+            logger.info('Comment deleted', {
+                commentId: id,
+                contentId: comment.content_id,
+                deletedBy,
+                removedReplies: result.changes - 1
+            });
 
             return true;
         } catch (error) {
@@ -196,6 +335,51 @@ class CommentModel {
         }
     }
 
+    /**
+     * Bring a comment back from the trash with the replies deleted along with it
+     */
+    static async restore(id) {
+        try {
+            const result = await run(`
+                UPDATE comments SET deleted_at = NULL, deleted_by = NULL
+                WHERE id IN (${this.subtreeQuery('id = $1')})
+                    AND deleted_at = (SELECT deleted_at FROM comments WHERE id = $1)
+            `, [id]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.info('Comment restored', { commentId: id, restoredReplies: result.changes - 1 });
+
+            return true;
+        } catch (error) {
+            logger.error('Error restoring comment', error, { commentId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a trashed comment
+     * Replies and likes are removed by the foreign key cascades.
+     */
+    static async purge(id) {
+        try {
+            const result = await run('DELETE FROM comments WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.info('Comment purged', { commentId: id });
+
+            return true;
+        } catch (error) {
+            logger.error('Error purging comment', error, { commentId: id });
+            throw error;
+        }
+    }
+
     /**
      * Toggle like for comment
      */
@@ -238,7 +422,7 @@ class CommentModel {
                 FROM comments c
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN content cont ON c.content_id = cont.id
-                WHERE c.status = '${constants.CONTENT_STATUS.PUBLISHED}'
+                WHERE c.status = '${constants.CONTENT_STATUS.PUBLISHED}' AND c.deleted_at IS NULL
                 ORDER BY c.created_at DESC
                 LIMIT $1
             `, [limit]);
@@ -267,7 +451,7 @@ class CommentModel {
             const countResult = await get(`
                 SELECT COUNT(*) as total
                 FROM comments
-                WHERE author_id = $1 AND status = $2
+                WHERE author_id = $1 AND status = $2 AND deleted_at IS NULL
             `, [userId, status]);
 
             const total = parseInt(countResult.total);
@@ -281,7 +465,7 @@ class CommentModel {
                     cont.type as content_type
                 FROM comments c
                 LEFT JOIN content cont ON c.content_id = cont.id
-                WHERE c.author_id = $1 AND c.status = $2
+                WHERE c.author_id = $1 AND c.status = $2 AND c.deleted_at IS NULL
                 ORDER BY c.created_at DESC
                 LIMIT $3 OFFSET $4
             `, [userId, status, limit, offset]);
@@ -315,6 +499,7 @@ class CommentModel {
                     SUM(like_count) as total_likes,
                     AVG(like_count) as avg_likes
                 FROM comments
+                WHERE deleted_at IS NULL
             `);
 
             return stats;
@@ -332,17 +517,27 @@ class CommentModel {
             const {
                 page = 1,
                 limit = 20,
-                status = constants.CONTENT_STATUS.PENDING
+                status = constants.CONTENT_STATUS.PENDING,
+                categoryIds = null
             } = options;
 
             const offset = (page - 1) * limit;
 
+            // A moderator's categories are matched through the comment's content
+            let whereClause = 'WHERE c.status = $1 AND c.deleted_at IS NULL';
+            const params = [status];
+            if (categoryIds) {
+                whereClause += ' AND cont.category_id = ANY($2::int[])';
+                params.push(categoryIds);
+            }
+
             // Get total count
             const countResult = await get(`
                 SELECT COUNT(*) as total
-                FROM comments
-                WHERE status = $1
-            `, [status]);
+                FROM comments c
+                LEFT JOIN content cont ON c.content_id = cont.id
+                ${whereClause}
+            `, params);
 
             const total = parseInt(countResult.total);
 
@@ -357,10 +552,10 @@ class CommentModel {
                 FROM comments c
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN content cont ON c.content_id = cont.id
-                WHERE c.status = $1
+                ${whereClause}
                 ORDER BY c.created_at ASC
-                LIMIT $2 OFFSET $3
-            `, [status, limit, offset]);
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
 
             return {
                 comments,
@@ -400,7 +595,7 @@ class CommentModel {
             const result = await run(`
                 UPDATE comments 
                 SET status = $1, updated_at = CURRENT_TIMESTAMP 
-                WHERE id = $2
+                WHERE id = $2 AND deleted_at IS NULL
             `, [newStatus, id]);
 
             if (result.changes === 0) {
@@ -418,14 +613,21 @@ class CommentModel {
 
     /**
      * Report comment
+     * Returns false when the reporter already has an open report on the comment
      */
-    static async report(commentId, reporterId, reason) {
+    static async report(commentId, reporterId, reason, details = null) {
         try {
-            const result = await run(`
-                INSERT INTO comment_reports (
-                    comment_id, reporter_id, reason, created_at
-                ) VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-            `, [commentId, reporterId, reason]);
+            const report = await ReportModel.create({
+                targetType: constants.REPORT_TARGETS.COMMENT,
+                targetId: commentId,
+                reporterId,
+                reason,
+                details
+            });
+
+            if (!report) {
+                return false;
+            }
 
             logger.info('Comment reported', { commentId, reporterId, reason });
 
@@ -447,8 +649,7 @@ class CommentModel {
                 return false;
             }
 
-            // Admins and moderators can edit any comment
-            if (userRole === 'admin' || userRole === 'moderator') {
+            if (await RoleModel.hasPermission(userRole, PERMISSIONS.COMMENTS_EDIT_ANY)) {
                 return true;
             }
 
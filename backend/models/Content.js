@@ -1,12 +1,77 @@
-const { query, get, run } = require('../config/database');
+const { query, get, run, transaction } = require('../config/database');
 const constants = require('../config/constants');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
+const ContentRevisionModel = require('./ContentRevision');
+const MediaModel = require('./Media');
 
 /**
  * Content Model
  * Handles all content-related database operations (articles, discussions)
  */
 
+// Text search configuration; must match the one used by the content_search_vector trigger
+const SEARCH_CONFIG = 'english';
+
+// ts_headline marks matches with these, they are swapped for <mark> once the snippet is escaped
+const HIGHLIGHT_START = '[[fm-hl]]';
+const HIGHLIGHT_STOP = '[[/fm-hl]]';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Turn a ts_headline result into HTML where only the highlights are markup
+ */
+const formatHighlight = (headline) => {
+    if (!headline) {
+        return '';
+    }
+
+    return headline
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_STOP).join('</mark>')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Fill in the featured image of each item from its media record
+ * featured_image becomes the full size URL, with srcsets for responsive markup.
+ * Content from before media records keeps its plain featured_image path.
+ */
+const attachFeaturedImages = async (items) => {
+    const list = items.filter(Boolean);
+    const assets = await MediaModel.findByIds(list.map(item => item.featured_image_id));
+
+    list.forEach(item => {
+        const asset = assets.get(item.featured_image_id);
+        if (!asset) {
+            return;
+        }
+
+        item.featured_image = asset.url;
+        item.featured_image_srcset = asset.srcset;
+        item.featured_image_webp_srcset = asset.webpSrcset;
+        item.featured_image_alt = asset.altText;
+        item.featured_image_asset = asset;
+    });
+
+    return items;
+};
+
 class ContentModel {
     /**
      * Generate URL-friendly slug from title
@@ -63,14 +128,18 @@ class ContentModel {
                 body,
                 type,
                 excerpt = null,
+                format = constants.CONTENT_FORMATS.HTML,
+                source = null,
                 authorId,
                 categoryId = null,
                 tags = [],
                 metaTitle = null,
                 metaDescription = null,
                 featuredImage = null,
+                featuredImageId = null,
                 featured = false,
-                status = constants.CONTENT_STATUS.PUBLISHED
+                status = constants.CONTENT_STATUS.PUBLISHED,
+                publishAt = null
             } = contentData;
 
             // Generate and ensure unique slug
@@ -85,8 +154,8 @@ class ContentModel {
                     title, slug, body, type, excerpt, author_id, 
                     category_id, tags, meta_title, meta_description,
                     featured_image, is_featured, status, published_at,
-                    created_at, updated_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    publish_at, format, source, featured_image_id, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
                 RETURNING id
             `, [
                 title,
@@ -102,7 +171,11 @@ class ContentModel {
                 featuredImage,
                 featured,
                 status,
-                status === constants.CONTENT_STATUS.PUBLISHED ? new Date().toISOString() : null
+                status === constants.CONTENT_STATUS.PUBLISHED ? new Date().toISOString() : null,
+                [constants.CONTENT_STATUS.SCHEDULED, constants.CONTENT_STATUS.PENDING].includes(status) ? publishAt : null,
+                format,
+                format === constants.CONTENT_FORMATS.MARKDOWN ? source : null,
+                featuredImageId
             ]);
 
             logger.info('Content created', { 
@@ -112,7 +185,15 @@ class ContentModel {
                 title 
             });
 
-            return await this.findById(result.lastID);
+            const content = await this.findById(result.lastID);
+            await MediaModel.trackReferences(content);
+
+            // Initial revision so the first edit can be reverted
+            await ContentRevisionModel.create(content.id, ContentRevisionModel.snapshot(content), {
+                editorId: authorId
+            });
+
+            return content;
         } catch (error) {
             logger.error('Error creating content', error, { title: contentData.title });
             throw error;
@@ -135,7 +216,7 @@ class ContentModel {
                 FROM content c
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN categories cat ON c.category_id = cat.id
-                WHERE c.id = $1
+                WHERE c.id = $1 AND c.deleted_at IS NULL
             `, [id]);
 
             if (content && content.tags) {
@@ -146,6 +227,8 @@ class ContentModel {
                 }
             }
 
+            await attachFeaturedImages([content]);
+
             return content;
         } catch (error) {
             logger.error('Error finding content by ID', error, { contentId: id });
@@ -169,7 +252,7 @@ class ContentModel {
                 FROM content c
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN categories cat ON c.category_id = cat.id
-                WHERE c.slug = $1
+                WHERE c.slug = $1 AND c.deleted_at IS NULL
             `, [slug]);
 
             if (content && content.tags) {
@@ -180,6 +263,8 @@ class ContentModel {
                 }
             }
 
+            await attachFeaturedImages([content]);
+
             return content;
         } catch (error) {
             logger.error('Error finding content by slug', error, { slug });
@@ -202,13 +287,14 @@ class ContentModel {
                 author = '',
                 status = constants.CONTENT_STATUS.PUBLISHED,
                 featured = null,
-                search = ''
+                search = '',
+                categoryIds = null
             } = options;
 
             const offset = (page - 1) * limit;
             
             // Build WHERE clause
-            const whereConditions = ['c.status = $1'];
+            const whereConditions = ['c.status = $1', 'c.deleted_at IS NULL'];
             const params = [status];
             let paramIndex = 2;
 
@@ -236,13 +322,16 @@ class ContentModel {
                 paramIndex++;
             }
 
+            // Limits results to a moderator's categories
+            if (categoryIds) {
+                whereConditions.push(`c.category_id = ANY($${paramIndex}::int[])`);
+                params.push(categoryIds);
+                paramIndex++;
+            }
+
             if (search) {
-                whereConditions.push(`(
-                    LOWER(c.title) LIKE LOWER($${paramIndex}) OR 
-                    LOWER(c.body) LIKE LOWER($${paramIndex}) OR 
-                    LOWER(c.excerpt) LIKE LOWER($${paramIndex})
-                )`);
-                params.push(`%${search}%`);
+                whereConditions.push(`c.search_vector @@ websearch_to_tsquery('${SEARCH_CONFIG}', $${paramIndex})`);
+                params.push(search);
                 paramIndex++;
             }
 
@@ -274,7 +363,7 @@ class ContentModel {
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN categories cat ON c.category_id = cat.id
                 LEFT JOIN likes l ON c.id = l.content_id
-                LEFT JOIN comments cm ON c.id = cm.content_id
+                LEFT JOIN comments cm ON c.id = cm.content_id AND cm.deleted_at IS NULL
                 ${whereClause}
                 GROUP BY c.id, u.display_name, u.profile_image, cat.name, cat.slug, cat.color
                 ORDER BY c.${sort} ${order.toUpperCase()}
@@ -292,6 +381,8 @@ class ContentModel {
                 }
             });
 
+            await attachFeaturedImages(content);
+
             return {
                 content,
                 pagination: {
@@ -308,10 +399,20 @@ class ContentModel {
     }
 
     /**
-     * Update content
+     * Update content and record a revision of the result
      */
-    static async update(id, updateData) {
+    static async update(id, updateData, options = {}) {
         try {
+            const { editorId = null } = options;
+
+            const existing = await this.findById(id);
+            if (!existing) {
+                return null;
+            }
+
+            // Content created before revision tracking gets its current state stored first
+            await ContentRevisionModel.ensureBaseline(existing);
+
             const {
                 title,
                 body,
@@ -321,9 +422,20 @@ class ContentModel {
                 metaTitle,
                 metaDescription,
                 featuredImage,
-                status
+                featuredImageId,
+                status,
+                publishAt,
+                format,
+                source
             } = updateData;
 
+            // A new body brings its format along; without one the format and source stay as they are
+            const bodyFormat = body === undefined || body === null ? null : (format || constants.CONTENT_FORMATS.HTML);
+            const bodySource = bodyFormat === constants.CONTENT_FORMATS.MARKDOWN ? source : null;
+
+            // A featured image ID replaces the image outright, null removes it
+            const setFeaturedImage = featuredImageId !== undefined;
+
             // Generate new slug if title changed
             let slug = null;
             if (title) {
@@ -345,24 +457,51 @@ class ContentModel {
                     tags = COALESCE($6, tags),
                     meta_title = COALESCE($7, meta_title),
                     meta_description = COALESCE($8, meta_description),
-                    featured_image = COALESCE($9, featured_image),
+                    featured_image = CASE WHEN $15 THEN $9 ELSE COALESCE($9, featured_image) END,
+                    featured_image_id = CASE WHEN $15 THEN $16 ELSE featured_image_id END,
                     status = COALESCE($10, status),
                     published_at = CASE 
                         WHEN $10 = '${constants.CONTENT_STATUS.PUBLISHED}' AND published_at IS NULL
                         THEN CURRENT_TIMESTAMP
                         ELSE published_at
                     END,
+                    publish_at = CASE
+                        WHEN COALESCE($10, status) = '${constants.CONTENT_STATUS.SCHEDULED}'
+                        THEN COALESCE($12, publish_at)
+                        WHEN $10 = '${constants.CONTENT_STATUS.PENDING}'
+                        THEN $12
+                        WHEN $10 IS NULL AND status = '${constants.CONTENT_STATUS.PENDING}'
+                        THEN publish_at
+                        ELSE NULL
+                    END,
+                    format = COALESCE($13, format),
+                    source = CASE WHEN $13 IS NULL THEN source ELSE $14 END,
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = $11
-            `, [title, slug, body, excerpt, categoryId, tagsJson, metaTitle, metaDescription, featuredImage, status, id]);
+                WHERE id = $11 AND deleted_at IS NULL
+            `, [title, slug, body, excerpt, categoryId, tagsJson, metaTitle, metaDescription, featuredImage, status, id, publishAt || null, bodyFormat, bodySource,
+                setFeaturedImage, setFeaturedImage ? featuredImageId : null]);
 
             if (result.changes === 0) {
                 return null;
             }
 
-            logger.info('Content updated', { contentId: id });
+            const updated = await this.findById(id);
+            await MediaModel.trackReferences(updated);
+
+            const before = ContentRevisionModel.snapshot(existing);
+            const after = ContentRevisionModel.snapshot(updated);
+            const changedFields = ContentRevisionModel.getChangedFields(before, after);
+
+            if (changedFields.length > 0) {
+                await ContentRevisionModel.create(id, after, {
+                    changedFields,
+                    editorId
+                });
+            }
 
-            return await this.findById(id);
+            logger.info('Content updated', { contentId: id, editorId, changedFields });
+
+            return updated;
         } catch (error) {
             logger.error('Error updating content', error, { contentId: id });
             throw error;
@@ -370,17 +509,112 @@ class ContentModel {
     }
 
     /**
-     * Delete content
+     * Restore content to a stored revision
+     * Values are written as-is so fields that were empty in the revision are cleared again.
+     * The status is left alone: publishing goes through review, not through history.
      */
-    static async delete(id) {
+    static async restoreRevision(id, revisionNumber, editorId = null) {
         try {
-            const result = await run('DELETE FROM content WHERE id = $1', [id]);
+            const revision = await ContentRevisionModel.findByNumber(id, revisionNumber);
+            if (!revision) {
+                return null;
+            }
+
+            const existing = await this.findById(id);
+            if (!existing) {
+                return null;
+            }
+
+            await ContentRevisionModel.ensureBaseline(existing);
+
+            const baseSlug = this.generateSlug(revision.title);
+            const slug = await this.ensureUniqueSlug(baseSlug, id);
+
+            await run(`
+                UPDATE content 
+                SET 
+                    title = $1,
+                    slug = $2,
+                    body = $3,
+                    excerpt = $4,
+                    category_id = $5,
+                    tags = $6,
+                    meta_title = $7,
+                    meta_description = $8,
+                    featured_image = $9,
+                    format = $10,
+                    source = $11,
+                    featured_image_id = $12,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $13 AND deleted_at IS NULL
+            `, [
+                revision.title,
+                slug,
+                revision.body,
+                revision.excerpt,
+                revision.category_id,
+                JSON.stringify(revision.tags),
+                revision.meta_title,
+                revision.meta_description,
+                revision.featured_image,
+                revision.format || constants.CONTENT_FORMATS.HTML,
+                revision.source,
+                revision.featured_image_id,
+                id
+            ]);
+
+            const restored = await this.findById(id);
+            await MediaModel.trackReferences(restored);
+
+            const changedFields = ContentRevisionModel.getChangedFields(
+                ContentRevisionModel.snapshot(existing),
+                ContentRevisionModel.snapshot(restored)
+            );
+
+            await ContentRevisionModel.create(id, ContentRevisionModel.snapshot(restored), {
+                changedFields,
+                editorId,
+                restoredFrom: revision.revision_number
+            });
+
+            logger.info('Content revision restored', { contentId: id, revisionNumber, editorId });
+
+            return restored;
+        } catch (error) {
+            logger.error('Error restoring content revision', error, { contentId: id, revisionNumber });
+            throw error;
+        }
+    }
+
+    /**
+     * Move content and its comments to the trash
+     * Both updates run in one transaction so they share a deleted_at, which is
+     * how restore tells the comments that went with the content apart.
+     */
+    static async delete(id, deletedBy = null) {
+        try {
+            const [result] = await transaction([
+                {
+                    sql: `
+                        UPDATE content SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                        WHERE id = $1 AND deleted_at IS NULL
+                    `,
+                    params: [id, deletedBy]
+                },
+                {
+                    sql: `
+                        UPDATE comments SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                        WHERE content_id = $1 AND deleted_at IS NULL
+                    `,
+                    params: [id, deletedBy]
+                }
+            ]);
 
             if (result.changes === 0) {
                 return false;
             }
 
-            logger.info('Content deleted', { contentId: id });
+            logger.info('Content deleted', { contentId: id, deletedBy });
 
             return true;
         } catch (error) {
@@ -389,12 +623,69 @@ class ContentModel {
         }
     }
 
+    /**
+     * Bring content back from the trash with the comments deleted along with it
+     */
+    static async restore(id) {
+        try {
+            const [, result] = await transaction([
+                {
+                    sql: `
+                        UPDATE comments SET deleted_at = NULL, deleted_by = NULL
+                        WHERE content_id = $1
+                            AND deleted_at = (SELECT deleted_at FROM content WHERE id = $1)
+                    `,
+                    params: [id]
+                },
+                {
+                    sql: `
+                        UPDATE content SET deleted_at = NULL, deleted_by = NULL
+                        WHERE id = $1 AND deleted_at IS NOT NULL
+                    `,
+                    params: [id]
+                }
+            ]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.info('Content restored', { contentId: id });
+
+            return true;
+        } catch (error) {
+            logger.error('Error restoring content', error, { contentId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete trashed content
+     * Comments, likes and revisions are removed by the foreign key cascades.
+     */
+    static async purge(id) {
+        try {
+            const result = await run('DELETE FROM content WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.info('Content purged', { contentId: id });
+
+            return true;
+        } catch (error) {
+            logger.error('Error purging content', error, { contentId: id });
+            throw error;
+        }
+    }
+
     /**
      * Increment view count
      */
     static async incrementViewCount(id) {
         try {
-            await run('UPDATE content SET view_count = view_count + 1 WHERE id = $1', [id]);
+            await run('UPDATE content SET view_count = view_count + 1 WHERE id = $1 AND deleted_at IS NULL', [id]);
         } catch (error) {
             logger.error('Error incrementing view count', error, { contentId: id });
             // Don't throw error for this operation
@@ -442,7 +733,7 @@ class ContentModel {
                 FROM content c
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN categories cat ON c.category_id = cat.id
-                WHERE c.is_featured = true AND c.status = '${constants.CONTENT_STATUS.PUBLISHED}'
+                WHERE c.is_featured = true AND c.status = '${constants.CONTENT_STATUS.PUBLISHED}' AND c.deleted_at IS NULL
                 ORDER BY c.created_at DESC
                 LIMIT $1
             `, [limit]);
@@ -458,6 +749,8 @@ class ContentModel {
                 }
             });
 
+            await attachFeaturedImages(content);
+
             return content;
         } catch (error) {
             logger.error('Error getting featured content', error);
@@ -484,8 +777,9 @@ class ContentModel {
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN categories cat ON c.category_id = cat.id
                 LEFT JOIN likes l ON c.id = l.content_id
-                LEFT JOIN comments cm ON c.id = cm.content_id
+                LEFT JOIN comments cm ON c.id = cm.content_id AND cm.deleted_at IS NULL
                 WHERE c.status = '${constants.CONTENT_STATUS.PUBLISHED}'
+                    AND c.deleted_at IS NULL
                     AND c.created_at >= CURRENT_TIMESTAMP - INTERVAL '${days} days'
                 GROUP BY c.id, u.display_name, u.profile_image, cat.name, cat.slug, cat.color
                 ORDER BY (like_count + comment_count + c.view_count) DESC
@@ -503,6 +797,8 @@ class ContentModel {
                 }
             });
 
+            await attachFeaturedImages(content);
+
             return content;
         } catch (error) {
             logger.error('Error getting popular content', error);
@@ -512,6 +808,7 @@ class ContentModel {
 
     /**
      * Search content
+     * Accepts web search syntax ("exact phrase", -excluded, or) and orders by relevance.
      */
     static async search(searchTerm, options = {}) {
         try {
@@ -527,14 +824,10 @@ class ContentModel {
             // Build WHERE clause
             const whereConditions = [
                 `c.status = '${constants.CONTENT_STATUS.PUBLISHED}'`,
-                `(
-                    LOWER(c.title) LIKE LOWER($1) OR 
-                    LOWER(c.body) LIKE LOWER($1) OR 
-                    LOWER(c.excerpt) LIKE LOWER($1) OR
-                    LOWER(c.tags) LIKE LOWER($1)
-                )`
+                'c.deleted_at IS NULL',
+                'c.search_vector @@ q.query'
             ];
-            const params = [`%${searchTerm}%`];
+            const params = [searchTerm];
             let paramIndex = 2;
 
             if (type) {
@@ -550,42 +843,57 @@ class ContentModel {
             }
 
             const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+            const queryJoin = `CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', $1) AS q(query)`;
 
             // Get total count
             const countResult = await get(`
                 SELECT COUNT(*) as total
                 FROM content c
+                ${queryJoin}
                 LEFT JOIN categories cat ON c.category_id = cat.id
                 ${whereClause}
             `, params);
 
             const total = parseInt(countResult.total);
 
-            // Get search results
+            // Rank and highlight only the page being returned, ts_headline is expensive
             const content = await query(`
-                SELECT 
-                    c.*,
-                    u.display_name as author_name,
-                    u.profile_image as author_image,
-                    cat.name as category_name,
-                    cat.slug as category_slug,
-                    cat.color as category_color
-                FROM content c
-                LEFT JOIN users u ON c.author_id = u.id
-                LEFT JOIN categories cat ON c.category_id = cat.id
-                ${whereClause}
-                ORDER BY 
-                    CASE 
-                        WHEN LOWER(c.title) LIKE LOWER($1) THEN 1
-                        WHEN LOWER(c.excerpt) LIKE LOWER($1) THEN 2
-                        ELSE 3
-                    END,
-                    c.created_at DESC
-                LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+                SELECT
+                    ranked.*,
+                    ts_headline('${SEARCH_CONFIG}', ranked.title, ranked.query, 'HighlightAll=true, ${HEADLINE_OPTIONS}') as title_highlight,
+                    ts_headline(
+                        '${SEARCH_CONFIG}',
+                        regexp_replace(COALESCE(ranked.body, ''), '<[^>]*>', ' ', 'g'),
+                        ranked.query,
+                        '${HEADLINE_OPTIONS}'
+                    ) as snippet
+                FROM (
+                    SELECT 
+                        c.id, c.title, c.slug, c.body, c.excerpt, c.type, c.status, c.tags,
+                        c.featured_image, c.featured_image_id, c.is_featured, c.view_count, c.author_id, c.category_id,
+                        c.published_at, c.created_at, c.updated_at,
+                        u.display_name as author_name,
+                        u.profile_image as author_image,
+                        cat.name as category_name,
+                        cat.slug as category_slug,
+                        cat.color as category_color,
+                        (SELECT COUNT(*) FROM likes l WHERE l.content_id = c.id) as like_count,
+                        (SELECT COUNT(*) FROM comments cm WHERE cm.content_id = c.id AND cm.status = '${constants.CONTENT_STATUS.PUBLISHED}' AND cm.deleted_at IS NULL) as comment_count,
+                        ts_rank(c.search_vector, q.query) as rank,
+                        q.query
+                    FROM content c
+                    ${queryJoin}
+                    LEFT JOIN users u ON c.author_id = u.id
+                    LEFT JOIN categories cat ON c.category_id = cat.id
+                    ${whereClause}
+                    ORDER BY rank DESC, c.created_at DESC
+                    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+                ) ranked
+                ORDER BY ranked.rank DESC, ranked.created_at DESC
             `, [...params, limit, offset]);
 
-            // Parse tags for each content item
             content.forEach(item => {
+                // Parse tags
                 if (item.tags) {
                     try {
                         item.tags = JSON.parse(item.tags);
@@ -593,8 +901,18 @@ class ContentModel {
                         item.tags = [];
                     }
                 }
+
+                item.title_highlight = formatHighlight(item.title_highlight);
+                item.snippet = formatHighlight(item.snippet);
+                item.rank = parseFloat(item.rank);
+
+                // Results only need the snippet, not the full body or the parsed query
+                delete item.body;
+                delete item.query;
             });
 
+            await attachFeaturedImages(content);
+
             return {
                 content,
                 pagination: {
@@ -627,7 +945,7 @@ class ContentModel {
             const countResult = await get(`
                 SELECT COUNT(*) as total
                 FROM content
-                WHERE author_id = $1 AND status = $2
+                WHERE author_id = $1 AND status = $2 AND deleted_at IS NULL
             `, [authorId, status]);
 
             const total = parseInt(countResult.total);
@@ -644,8 +962,8 @@ class ContentModel {
                 FROM content c
                 LEFT JOIN categories cat ON c.category_id = cat.id
                 LEFT JOIN likes l ON c.id = l.content_id
-                LEFT JOIN comments cm ON c.id = cm.content_id
-                WHERE c.author_id = $1 AND c.status = $2
+                LEFT JOIN comments cm ON c.id = cm.content_id AND cm.deleted_at IS NULL
+                WHERE c.author_id = $1 AND c.status = $2 AND c.deleted_at IS NULL
                 GROUP BY c.id, cat.name, cat.slug, cat.color
                 ORDER BY c.created_at DESC
                 LIMIT $3 OFFSET $4
@@ -662,6 +980,8 @@ class ContentModel {
                 }
             });
 
+            await attachFeaturedImages(content);
+
             return {
                 content,
                 pagination: {
@@ -685,7 +1005,7 @@ class ContentModel {
             const result = await run(`
                 UPDATE content 
                 SET is_featured = $1, updated_at = CURRENT_TIMESTAMP 
-                WHERE id = $2
+                WHERE id = $2 AND deleted_at IS NULL
             `, [isFeatured, id]);
 
             if (result.changes === 0) {
@@ -701,6 +1021,129 @@ class ContentModel {
         }
     }
 
+    /**
+     * Get scheduled content ordered by publish time
+     */
+    static async getScheduled(options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = constants.PAGINATION.DEFAULT_LIMIT,
+                categoryIds = null
+            } = options;
+
+            const offset = (page - 1) * limit;
+
+            const whereConditions = [`c.status = '${constants.CONTENT_STATUS.SCHEDULED}'`, 'c.deleted_at IS NULL'];
+            const params = [];
+
+            // Limits results to a moderator's categories
+            if (categoryIds) {
+                whereConditions.push('c.category_id = ANY($1::int[])');
+                params.push(categoryIds);
+            }
+
+            const whereClause = whereConditions.join(' AND ');
+
+            const countResult = await get(`
+                SELECT COUNT(*) as total
+                FROM content c
+                WHERE ${whereClause}
+            `, params);
+
+            const total = parseInt(countResult.total);
+
+            const content = await query(`
+                SELECT 
+                    c.id, c.title, c.slug, c.type, c.status, c.publish_at,
+                    c.author_id, c.created_at, c.updated_at,
+                    u.display_name as author_name,
+                    cat.name as category_name
+                FROM content c
+                LEFT JOIN users u ON c.author_id = u.id
+                LEFT JOIN categories cat ON c.category_id = cat.id
+                WHERE ${whereClause}
+                ORDER BY c.publish_at ASC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+
+            return {
+                content,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting scheduled content', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel scheduled publishing and return content to draft
+     */
+    static async cancelSchedule(id) {
+        try {
+            const result = await run(`
+                UPDATE content 
+                SET status = '${constants.CONTENT_STATUS.DRAFT}', publish_at = NULL, updated_at = CURRENT_TIMESTAMP 
+                WHERE id = $1 AND status = '${constants.CONTENT_STATUS.SCHEDULED}' AND deleted_at IS NULL
+            `, [id]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.info('Content schedule cancelled', { contentId: id });
+
+            return true;
+        } catch (error) {
+            logger.error('Error cancelling content schedule', error, { contentId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Publish scheduled content whose publish time has passed
+     * Rows are claimed with SKIP LOCKED so concurrent runs never publish the same item twice.
+     */
+    static async publishDueScheduled(limit = 50) {
+        try {
+            const published = await query(`
+                UPDATE content 
+                SET 
+                    status = '${constants.CONTENT_STATUS.PUBLISHED}',
+                    published_at = COALESCE(published_at, publish_at, CURRENT_TIMESTAMP),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM content
+                    WHERE status = '${constants.CONTENT_STATUS.SCHEDULED}'
+                        AND deleted_at IS NULL
+                        AND publish_at <= CURRENT_TIMESTAMP
+                    ORDER BY publish_at ASC
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING id, title, author_id, publish_at
+            `, [limit]);
+
+            if (published.length > 0) {
+                logger.info('Scheduled content published', {
+                    count: published.length,
+                    contentIds: published.map(item => item.id)
+                });
+            }
+
+            return published;
+        } catch (error) {
+            logger.error('Error publishing scheduled content', error);
+            throw error;
+        }
+    }
+
     /**
      * Get content statistics
      */
@@ -715,6 +1158,7 @@ class ContentModel {
                     SUM(view_count) as total_views,
                     AVG(view_count) as avg_views
                 FROM content
+                WHERE deleted_at IS NULL
             `);
 
             return stats;
@@ -0,0 +1,292 @@
+const { query, get, transaction } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+const { diffWords, diffStats } = require('../utils/diff');
+
+/**
+ * Content Revision Model
+ * Handles stored snapshots of content taken on every edit
+ */
+
+// Content columns captured in each revision
+const TRACKED_FIELDS = [
+    'title',
+    'body',
+    'excerpt',
+    'category_id',
+    'tags',
+    'meta_title',
+    'meta_description',
+    'featured_image',
+    'featured_image_id',
+    'status',
+    'format',
+    'source'
+];
+
+// Fields compared word by word; the rest are compared as whole values
+const TEXT_FIELDS = ['title', 'excerpt', 'body', 'source', 'meta_title', 'meta_description'];
+
+class ContentRevisionModel {
+    /**
+     * Build a revision snapshot from a content row
+     */
+    static snapshot(content) {
+        const snapshot = {};
+
+        TRACKED_FIELDS.forEach(field => {
+            let value = content[field] === undefined ? null : content[field];
+
+            // Tags are parsed into arrays by ContentModel, store them as JSON text again
+            if (field === 'tags' && value !== null && typeof value !== 'string') {
+                value = JSON.stringify(value);
+            }
+
+            // ContentModel fills featured_image in from the media record, only the ID is stored for those
+            if (field === 'featured_image' && content.featured_image_id) {
+                value = null;
+            }
+
+            snapshot[field] = value;
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * List the tracked fields that differ between two snapshots
+     */
+    static getChangedFields(before, after) {
+        return TRACKED_FIELDS.filter(field => {
+            const oldValue = before[field] === null || before[field] === undefined ? null : String(before[field]);
+            const newValue = after[field] === null || after[field] === undefined ? null : String(after[field]);
+            return oldValue !== newValue;
+        });
+    }
+
+    /**
+     * Parse JSON columns on a revision row
+     */
+    static parseRevision(revision) {
+        if (!revision) {
+            return revision;
+        }
+
+        ['tags', 'changed_fields'].forEach(field => {
+            if (revision[field]) {
+                try {
+                    revision[field] = JSON.parse(revision[field]);
+                } catch (e) {
+                    revision[field] = [];
+                }
+            } else {
+                revision[field] = [];
+            }
+        });
+
+        return revision;
+    }
+
+    /**
+     * Store a new revision for content
+     * The content row is locked while the next revision number is taken, so
+     * concurrent edits queue up instead of colliding on the same number.
+     */
+    static async create(contentId, snapshot, options = {}) {
+        try {
+            const {
+                changedFields = [],
+                editorId = null,
+                restoredFrom = null
+            } = options;
+
+            const [, result] = await transaction([
+                {
+                    sql: 'SELECT id FROM content WHERE id = $1 FOR UPDATE',
+                    params: [contentId]
+                },
+                {
+                    sql: `
+                        INSERT INTO content_revisions (
+                            content_id, revision_number, title, body, excerpt,
+                            category_id, tags, meta_title, meta_description,
+                            featured_image, status, changed_fields, editor_id,
+                            restored_from, format, source, featured_image_id, created_at
+                        )
+                        SELECT
+                            $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4,
+                            $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP
+                        FROM content_revisions
+                        WHERE content_id = $1
+                        RETURNING id, revision_number
+                    `,
+                    params: [
+                        contentId,
+                        snapshot.title,
+                        snapshot.body,
+                        snapshot.excerpt,
+                        snapshot.category_id,
+                        snapshot.tags,
+                        snapshot.meta_title,
+                        snapshot.meta_description,
+                        snapshot.featured_image,
+                        snapshot.status,
+                        JSON.stringify(changedFields),
+                        editorId,
+                        restoredFrom,
+                        snapshot.format || constants.CONTENT_FORMATS.HTML,
+                        snapshot.source,
+                        snapshot.featured_image_id
+                    ]
+                }
+            ]);
+
+            return result.lastID;
+        } catch (error) {
+            logger.error('Error creating content revision', error, { contentId });
+            throw error;
+        }
+    }
+
+    /**
+     * Record the current state as the first revision if none exists yet
+     * Content created before revision tracking has no history to restore to.
+     */
+    static async ensureBaseline(content) {
+        try {
+            const existing = await get(
+                'SELECT id FROM content_revisions WHERE content_id = $1 LIMIT 1',
+                [content.id]
+            );
+
+            if (existing) {
+                return false;
+            }
+
+            await this.create(content.id, this.snapshot(content), {
+                editorId: content.author_id
+            });
+
+            return true;
+        } catch (error) {
+            logger.error('Error creating baseline revision', error, { contentId: content.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Get revision history for content
+     */
+    static async getForContent(contentId) {
+        try {
+            const revisions = await query(`
+                SELECT
+                    r.id, r.content_id, r.revision_number, r.title, r.status,
+                    r.changed_fields, r.editor_id, r.restored_from, r.created_at,
+                    u.display_name as editor_name
+                FROM content_revisions r
+                LEFT JOIN users u ON r.editor_id = u.id
+                WHERE r.content_id = $1
+                ORDER BY r.revision_number DESC
+            `, [contentId]);
+
+            revisions.forEach(revision => {
+                if (revision.changed_fields) {
+                    try {
+                        revision.changed_fields = JSON.parse(revision.changed_fields);
+                    } catch (e) {
+                        revision.changed_fields = [];
+                    }
+                } else {
+                    revision.changed_fields = [];
+                }
+            });
+
+            return revisions;
+        } catch (error) {
+            logger.error('Error getting content revisions', error, { contentId });
+            throw error;
+        }
+    }
+
+    /**
+     * Find a revision by its number within a content item
+     */
+    static async findByNumber(contentId, revisionNumber) {
+        try {
+            const revision = await get(`
+                SELECT
+                    r.*,
+                    u.display_name as editor_name
+                FROM content_revisions r
+                LEFT JOIN users u ON r.editor_id = u.id
+                WHERE r.content_id = $1 AND r.revision_number = $2
+            `, [contentId, revisionNumber]);
+
+            return this.parseRevision(revision);
+        } catch (error) {
+            logger.error('Error finding content revision', error, { contentId, revisionNumber });
+            throw error;
+        }
+    }
+
+    /**
+     * Compare two revisions of the same content
+     */
+    static async compare(contentId, fromNumber, toNumber) {
+        try {
+            const [from, to] = await Promise.all([
+                this.findByNumber(contentId, fromNumber),
+                this.findByNumber(contentId, toNumber)
+            ]);
+
+            if (!from || !to) {
+                return null;
+            }
+
+            const fields = {};
+
+            TRACKED_FIELDS.forEach(field => {
+                const oldValue = field === 'tags' ? from.tags.join(', ') : from[field];
+                const newValue = field === 'tags' ? to.tags.join(', ') : to[field];
+
+                if (TEXT_FIELDS.includes(field)) {
+                    const chunks = diffWords(oldValue || '', newValue || '');
+                    const stats = diffStats(chunks);
+                    fields[field] = {
+                        changed: (oldValue || '') !== (newValue || ''),
+                        ...stats,
+                        chunks
+                    };
+                } else {
+                    fields[field] = {
+                        changed: String(oldValue ?? '') !== String(newValue ?? ''),
+                        from: oldValue ?? null,
+                        to: newValue ?? null
+                    };
+                }
+            });
+
+            return {
+                from: {
+                    revision_number: from.revision_number,
+                    editor_id: from.editor_id,
+                    editor_name: from.editor_name,
+                    created_at: from.created_at
+                },
+                to: {
+                    revision_number: to.revision_number,
+                    editor_id: to.editor_id,
+                    editor_name: to.editor_name,
+                    created_at: to.created_at
+                },
+                fields
+            };
+        } catch (error) {
+            logger.error('Error comparing content revisions', error, { contentId, fromNumber, toNumber });
+            throw error;
+        }
+    }
+}
+
+module.exports = ContentRevisionModel;
@@ -0,0 +1,142 @@
+const { query, get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * Email Outbox Model
+ * Handles queued outgoing email and its delivery attempts
+ */
+
+// Messages left in 'sending' this long are assumed lost with a crashed worker
+const STALE_SENDING_MINUTES = 10;
+
+class EmailOutboxModel {
+    /**
+     * Queue a message for delivery
+     */
+    static async enqueue(message) {
+        try {
+            const {
+                to,
+                subject,
+                text,
+                html = null,
+                template = null
+            } = message;
+
+            const result = await run(`
+                INSERT INTO email_outbox (
+                    to_address, subject, text_body, html_body, template,
+                    status, max_attempts, next_attempt_at, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, 'pending', $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                RETURNING id
+            `, [to, subject, text, html, template, constants.EMAIL.OUTBOX_MAX_ATTEMPTS]);
+
+            return result.lastID;
+        } catch (error) {
+            logger.error('Error queueing email', error, { to: message.to, template: message.template });
+            throw error;
+        }
+    }
+
+    /**
+     * Claim due messages for delivery
+     * SKIP LOCKED keeps concurrent workers from claiming the same rows.
+     */
+    static async claimDue(limit = constants.EMAIL.OUTBOX_BATCH_SIZE) {
+        try {
+            return await query(`
+                UPDATE email_outbox
+                SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM email_outbox
+                    WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                       OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+                    ORDER BY next_attempt_at ASC
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            `, [limit]);
+        } catch (error) {
+            logger.error('Error claiming due emails', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a message as delivered
+     */
+    static async markSent(id) {
+        try {
+            await run(`
+                UPDATE email_outbox
+                SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP,
+                    last_error = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [id]);
+        } catch (error) {
+            logger.error('Error marking email sent', error, { emailId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed delivery attempt
+     * The message is retried with exponential backoff until it runs out of attempts.
+     */
+    static async markFailed(id, errorMessage) {
+        try {
+            const email = await get('SELECT attempts, max_attempts FROM email_outbox WHERE id = $1', [id]);
+            if (!email) {
+                return null;
+            }
+
+            const attempts = email.attempts + 1;
+            const exhausted = attempts >= email.max_attempts;
+            const delayMs = Math.min(
+                constants.EMAIL.OUTBOX_RETRY_BASE_MS * Math.pow(2, attempts - 1),
+                constants.EMAIL.OUTBOX_RETRY_MAX_MS
+            );
+
+            await run(`
+                UPDATE email_outbox
+                SET status = $1, attempts = $2, last_error = $3, next_attempt_at = $4,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $5
+            `, [
+                exhausted ? 'failed' : 'pending',
+                attempts,
+                errorMessage,
+                new Date(Date.now() + delayMs).toISOString(),
+                id
+            ]);
+
+            return exhausted ? 'failed' : 'pending';
+        } catch (error) {
+            logger.error('Error marking email failed', error, { emailId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Get outbox statistics
+     */
+    static async getStats() {
+        try {
+            return await get(`
+                SELECT
+                    COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+                    COUNT(CASE WHEN status = 'sending' THEN 1 END) as sending,
+                    COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent,
+                    COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed
+                FROM email_outbox
+            `);
+        } catch (error) {
+            logger.error('Error getting email outbox stats', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = EmailOutboxModel;
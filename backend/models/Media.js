@@ -0,0 +1,363 @@
+const { query, get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * Media Model
+ * Records for uploaded images and the sizes they were re-encoded to, and the
+ * content that uses them. A reference stays for as long as the content exists,
+ * since restoring a revision can bring an image back. Variants hold storage
+ * keys; images are served from /media/<id>/<variant> whichever storage
+ * driver holds them.
+ */
+
+const MEDIA_PATH = '/media';
+
+const VARIANT_NAMES = Object.keys(constants.UPLOAD.IMAGE_VARIANTS).join('|');
+const IMAGE_DIRS = [constants.UPLOAD.IMAGE_DIR, constants.UPLOAD.THUMBNAIL_DIR].join('|');
+
+// Captures the file key from any upload URL; variant files are named <key>-<variant>.<ext>
+const IMAGE_URL_PATTERN = new RegExp(
+    `/${constants.UPLOAD.UPLOAD_DIR}/(?:${IMAGE_DIRS})/([\\w.-]+?)(?:-(?:${VARIANT_NAMES}))?\\.(?:jpe?g|png|gif|webp)\\b`,
+    'gi'
+);
+
+// Captures the media ID from /media/<id> URLs, with or without a variant
+const MEDIA_URL_PATTERN = new RegExp(`${MEDIA_PATH}/(\\d+)(?=[/"'?#\\s)]|$)`, 'g');
+
+const LIST_COLUMNS = `
+    m.*,
+    u.display_name as owner_name,
+    (SELECT COUNT(DISTINCT r.content_id) FROM media_references r WHERE r.media_id = m.id) as reference_count
+`;
+
+class MediaModel {
+    /**
+     * Build a srcset from an image's variants
+     * Cropped thumbnails are left out since their aspect ratio differs, as are
+     * sizes that came out no wider than a smaller one.
+     */
+    static buildSrcset(variants, key = 'url') {
+        const candidates = Object.entries(variants || {})
+            .filter(([name, variant]) => !constants.UPLOAD.IMAGE_VARIANTS[name]?.fit && variant[key] && variant.width)
+            .map(([, variant]) => variant)
+            .sort((a, b) => a.width - b.width)
+            .filter((variant, index, sorted) => index === 0 || variant.width > sorted[index - 1].width);
+
+        return candidates.map(variant => `${variant[key]} ${variant.width}w`).join(', ');
+    }
+
+    /**
+     * Get the file keys of the uploaded images a piece of HTML or a URL points at
+     */
+    static findKeys(text) {
+        const keys = new Set();
+        for (const match of String(text || '').matchAll(IMAGE_URL_PATTERN)) {
+            keys.add(match[1]);
+        }
+        return [...keys];
+    }
+
+    /**
+     * Get the IDs of the media a piece of HTML or a URL points at through /media URLs
+     */
+    static findIds(text) {
+        const ids = new Set();
+        for (const match of String(text || '').matchAll(MEDIA_URL_PATTERN)) {
+            ids.add(parseInt(match[1]));
+        }
+        return [...ids];
+    }
+
+    /**
+     * Public URL of one variant of an image
+     */
+    static variantUrl(id, name, webp = false) {
+        return `${MEDIA_PATH}/${id}/${name}${webp ? '.webp' : ''}`;
+    }
+
+    /**
+     * Parse a media row into the shape the API returns
+     */
+    static toAsset(row) {
+        if (!row) {
+            return null;
+        }
+
+        let variants = {};
+        try {
+            variants = JSON.parse(row.variants);
+        } catch (e) {
+            variants = {};
+        }
+
+        Object.entries(variants).forEach(([name, variant]) => {
+            variant.url = variant.key ? this.variantUrl(row.id, name) : null;
+            variant.webpUrl = variant.webpKey ? this.variantUrl(row.id, name, true) : null;
+        });
+
+        return {
+            id: row.id,
+            ownerId: row.owner_id,
+            originalName: row.original_name,
+            mimeType: row.mime_type,
+            size: row.size,
+            width: row.width,
+            height: row.height,
+            altText: row.alt_text,
+            storage: row.storage,
+            url: variants.full ? variants.full.url : null,
+            srcset: this.buildSrcset(variants),
+            webpSrcset: this.buildSrcset(variants, 'webpUrl'),
+            variants,
+            ownerName: row.owner_name,
+            referenceCount: row.reference_count === undefined ? undefined : parseInt(row.reference_count),
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Record a processed upload
+     */
+    static async create({ ownerId, originalName = null, altText = null, storage, fileKey, mimeType, size, width, height, variants }) {
+        try {
+            const row = await get(`
+                INSERT INTO media (owner_id, original_name, alt_text, storage, file_key, mime_type, size, width, height, variants, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+                RETURNING *
+            `, [ownerId, originalName, altText, storage, fileKey, mimeType, size, width, height, JSON.stringify(variants)]);
+
+            return this.toAsset(row);
+        } catch (error) {
+            logger.error('Error creating media record', error, { ownerId });
+            throw error;
+        }
+    }
+
+    /**
+     * Find a media record by ID
+     */
+    static async findById(id) {
+        try {
+            const row = await get(`
+                SELECT ${LIST_COLUMNS}
+                FROM media m
+                LEFT JOIN users u ON m.owner_id = u.id
+                WHERE m.id = $1
+            `, [id]);
+
+            return this.toAsset(row);
+        } catch (error) {
+            logger.error('Error finding media', error, { mediaId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Find a media record by the key its files share
+     */
+    static async findByFileKey(fileKey) {
+        try {
+            const row = await get('SELECT * FROM media WHERE file_key = $1', [fileKey]);
+
+            return this.toAsset(row);
+        } catch (error) {
+            logger.error('Error finding media', error, { fileKey });
+            throw error;
+        }
+    }
+
+    /**
+     * Find several media records at once, keyed by ID
+     */
+    static async findByIds(ids) {
+        try {
+            const unique = [...new Set(ids.filter(Boolean).map(id => parseInt(id)))];
+            if (unique.length === 0) {
+                return new Map();
+            }
+
+            const rows = await query('SELECT * FROM media WHERE id = ANY($1::int[])', [unique]);
+
+            return new Map(rows.map(row => [row.id, this.toAsset(row)]));
+        } catch (error) {
+            logger.error('Error finding media', error, { count: ids.length });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of media, newest first
+     * ownerId limits it to one member's uploads, unused to uploads no content uses.
+     */
+    static async list(options = {}) {
+        try {
+            const {
+                ownerId = null,
+                unused = false,
+                page = 1,
+                limit = constants.PAGINATION.DEFAULT_LIMIT
+            } = options;
+
+            const offset = (page - 1) * limit;
+            const conditions = [];
+            const params = [];
+
+            if (ownerId) {
+                params.push(ownerId);
+                conditions.push(`m.owner_id = $${params.length}`);
+            }
+
+            if (unused) {
+                conditions.push('NOT EXISTS (SELECT 1 FROM media_references r WHERE r.media_id = m.id)');
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await get(`SELECT COUNT(*) as total FROM media m ${whereClause}`, params);
+            const total = parseInt(countResult.total);
+
+            const rows = await query(`
+                SELECT ${LIST_COLUMNS}
+                FROM media m
+                LEFT JOIN users u ON m.owner_id = u.id
+                ${whereClause}
+                ORDER BY m.created_at DESC, m.id DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+
+            return {
+                media: rows.map(row => this.toAsset(row)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error listing media', error, options);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the content that uses an image, with how it uses it
+     */
+    static async getReferences(id) {
+        try {
+            return await query(`
+                SELECT c.id, c.title, c.slug, c.status, c.deleted_at,
+                    STRING_AGG(r.kind, ',' ORDER BY r.kind) as kinds
+                FROM media_references r
+                JOIN content c ON r.content_id = c.id
+                WHERE r.media_id = $1
+                GROUP BY c.id
+                ORDER BY c.created_at DESC
+            `, [id]);
+        } catch (error) {
+            logger.error('Error getting media references', error, { mediaId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Record the images a piece of content uses, as its featured image and in its body
+     */
+    static async trackReferences(content) {
+        try {
+            if (!content) {
+                return;
+            }
+
+            const featuredKeys = this.findKeys(content.featured_image);
+            const bodyKeys = this.findKeys(content.body);
+            const featuredIds = this.findIds(content.featured_image);
+            const bodyIds = this.findIds(content.body);
+            if (!content.featured_image_id && [featuredKeys, bodyKeys, featuredIds, bodyIds].every(list => list.length === 0)) {
+                return;
+            }
+
+            const { FEATURED, BODY } = constants.MEDIA.REFERENCE_KINDS;
+
+            await run(`
+                INSERT INTO media_references (media_id, content_id, kind, created_at)
+                SELECT m.id, $1, '${FEATURED}', CURRENT_TIMESTAMP
+                FROM media m
+                WHERE m.id = $2 OR m.file_key = ANY($3::text[]) OR m.id = ANY($5::int[])
+                UNION
+                SELECT m.id, $1, '${BODY}', CURRENT_TIMESTAMP
+                FROM media m
+                WHERE m.file_key = ANY($4::text[]) OR m.id = ANY($6::int[])
+                ON CONFLICT DO NOTHING
+            `, [content.id, content.featured_image_id || null, featuredKeys, bodyKeys, featuredIds, bodyIds]);
+        } catch (error) {
+            logger.error('Error tracking media references', error, { contentId: content.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Update an image's alt text
+     */
+    static async updateAltText(id, altText) {
+        try {
+            const result = await run('UPDATE media SET alt_text = $1 WHERE id = $2', [altText || null, id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error updating media alt text', error, { mediaId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Get uploads no content uses that are past the grace period for fresh uploads
+     */
+    static async findUnreferenced(graceHours, limit = constants.MEDIA.GC_BATCH_SIZE) {
+        try {
+            const rows = await query(`
+                SELECT m.*
+                FROM media m
+                WHERE m.created_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 hour')
+                    AND NOT EXISTS (SELECT 1 FROM media_references r WHERE r.media_id = m.id)
+                    AND NOT EXISTS (SELECT 1 FROM content c WHERE c.featured_image_id = m.id)
+                ORDER BY m.created_at
+                LIMIT $2
+            `, [graceHours, limit]);
+
+            return rows.map(row => this.toAsset(row));
+        } catch (error) {
+            logger.error('Error finding unreferenced media', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a media record; its stored files are removed by the caller
+     * With unreferencedOnly, a record some content started using in the meantime is kept.
+     */
+    static async delete(id, { unreferencedOnly = false } = {}) {
+        try {
+            const result = await run(`
+                DELETE FROM media m
+                WHERE m.id = $1
+                    AND (NOT $2 OR (
+                        NOT EXISTS (SELECT 1 FROM media_references r WHERE r.media_id = m.id)
+                        AND NOT EXISTS (SELECT 1 FROM content c WHERE c.featured_image_id = m.id)
+                    ))
+            `, [id, unreferencedOnly]);
+
+            if (result.changes > 0) {
+                logger.info('Media deleted', { mediaId: id });
+            }
+
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error deleting media', error, { mediaId: id });
+            throw error;
+        }
+    }
+}
+
+module.exports = MediaModel;
@@ -0,0 +1,117 @@
+const { query, transaction } = require('../config/database');
+const CategoryModel = require('./Category');
+const { logger } = require('../utils/logger');
+
+/**
+ * Moderator Category Model
+ * Handles the categories a moderator is limited to. Moderators with no
+ * assignments keep platform-wide scope.
+ */
+
+class ModeratorCategoryModel {
+    /**
+     * Get the categories assigned to a user
+     */
+    static async getForUser(userId) {
+        try {
+            const categories = await query(`
+                SELECT
+                    cat.id,
+                    cat.name,
+                    cat.slug,
+                    cat.parent_id,
+                    mc.assigned_by,
+                    mc.created_at as assigned_at
+                FROM moderator_categories mc
+                JOIN categories cat ON mc.category_id = cat.id
+                WHERE mc.user_id = $1
+                ORDER BY cat.sort_order ASC, cat.name ASC
+            `, [userId]);
+
+            return categories;
+        } catch (error) {
+            logger.error('Error getting moderator categories', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the categories assigned to a user
+     */
+    static async setForUser(userId, categoryIds, assignedBy = null) {
+        try {
+            const unique = Array.from(new Set(categoryIds.map(id => parseInt(id))));
+
+            await transaction([
+                {
+                    sql: 'DELETE FROM moderator_categories WHERE user_id = $1',
+                    params: [userId]
+                },
+                ...unique.map(categoryId => ({
+                    sql: `
+                        INSERT INTO moderator_categories (user_id, category_id, assigned_by, created_at)
+                        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                    `,
+                    params: [userId, categoryId, assignedBy]
+                }))
+            ]);
+
+            logger.info('Moderator categories updated', { userId, categoryIds: unique, assignedBy });
+
+            return await this.getForUser(userId);
+        } catch (error) {
+            logger.error('Error updating moderator categories', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the category IDs a user may moderate, including subcategories
+     * Returns null when the user has no assignments and so is not limited.
+     */
+    static async getScope(userId) {
+        try {
+            const assigned = await query(
+                'SELECT category_id FROM moderator_categories WHERE user_id = $1',
+                [userId]
+            );
+
+            if (assigned.length === 0) {
+                return null;
+            }
+
+            const categories = await query('SELECT id, parent_id FROM categories');
+            const assignedIds = new Set(assigned.map(row => row.category_id));
+            const scope = new Set();
+
+            // Everything below an assigned category is in scope too
+            const collect = (category, inScope) => {
+                const included = inScope || assignedIds.has(category.id);
+                if (included) {
+                    scope.add(category.id);
+                }
+                category.children.forEach(child => collect(child, included));
+            };
+            CategoryModel.buildHierarchy(categories).forEach(category => collect(category, false));
+
+            return Array.from(scope);
+        } catch (error) {
+            logger.error('Error getting moderator scope', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a user may moderate items in a category
+     */
+    static async canModerate(userId, categoryId) {
+        const scope = await this.getScope(userId);
+        if (!scope) {
+            return true;
+        }
+
+        return categoryId !== null && categoryId !== undefined && scope.includes(parseInt(categoryId));
+    }
+}
+
+module.exports = ModeratorCategoryModel;
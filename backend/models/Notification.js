@@ -0,0 +1,266 @@
+const { query, get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * Notification Model
+ * Handles in-app notifications and the events that produce them
+ */
+
+// Notifications about trashed content or comments stay hidden until those are restored
+const VISIBLE_CLAUSE = `
+    NOT EXISTS (SELECT 1 FROM content tc WHERE tc.id = n.content_id AND tc.deleted_at IS NOT NULL)
+    AND NOT EXISTS (SELECT 1 FROM comments tcm WHERE tcm.id = n.comment_id AND tcm.deleted_at IS NOT NULL)
+`;
+
+class NotificationModel {
+    /**
+     * Create a notification
+     * Nobody is notified about their own actions; returns null in that case.
+     */
+    static async create(notificationData) {
+        try {
+            const {
+                userId,
+                type,
+                actorId = null,
+                contentId = null,
+                commentId = null,
+                message
+            } = notificationData;
+
+            if (actorId && actorId === userId) {
+                return null;
+            }
+
+            const result = await run(`
+                INSERT INTO notifications (
+                    user_id, type, actor_id, content_id, comment_id, message, created_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+                RETURNING id
+            `, [userId, type, actorId, contentId, commentId, message]);
+
+            return result.lastID;
+        } catch (error) {
+            logger.error('Error creating notification', error, {
+                userId: notificationData.userId,
+                type: notificationData.type
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get notifications for a user
+     */
+    static async getForUser(userId, options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = constants.PAGINATION.DEFAULT_LIMIT,
+                unreadOnly = false
+            } = options;
+
+            const offset = (page - 1) * limit;
+            const unreadClause = unreadOnly ? 'AND n.is_read = FALSE' : '';
+
+            const countResult = await get(`
+                SELECT COUNT(*) as total
+                FROM notifications n
+                WHERE n.user_id = $1 ${unreadClause} AND ${VISIBLE_CLAUSE}
+            `, [userId]);
+
+            const total = parseInt(countResult.total);
+
+            const notifications = await query(`
+                SELECT
+                    n.*,
+                    a.display_name as actor_name,
+                    a.profile_image as actor_image,
+                    c.title as content_title
+                FROM notifications n
+                LEFT JOIN users a ON n.actor_id = a.id
+                LEFT JOIN content c ON n.content_id = c.id
+                WHERE n.user_id = $1 ${unreadClause} AND ${VISIBLE_CLAUSE}
+                ORDER BY n.created_at DESC
+                LIMIT $2 OFFSET $3
+            `, [userId, limit, offset]);
+
+            return {
+                notifications,
+                unreadCount: await this.getUnreadCount(userId),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting notifications', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Count unread notifications for a user
+     */
+    static async getUnreadCount(userId) {
+        try {
+            const result = await get(`
+                SELECT COUNT(*) as count
+                FROM notifications n
+                WHERE n.user_id = $1 AND n.is_read = FALSE AND ${VISIBLE_CLAUSE}
+            `, [userId]);
+
+            return parseInt(result.count);
+        } catch (error) {
+            logger.error('Error counting unread notifications', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a user's notification as read
+     */
+    static async markRead(id, userId) {
+        try {
+            const result = await run(`
+                UPDATE notifications
+                SET is_read = TRUE, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+                WHERE id = $1 AND user_id = $2
+            `, [id, userId]);
+
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error marking notification read', error, { notificationId: id, userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Mark all of a user's notifications as read
+     */
+    static async markAllRead(userId) {
+        try {
+            const result = await run(`
+                UPDATE notifications
+                SET is_read = TRUE, read_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND is_read = FALSE
+            `, [userId]);
+
+            return result.changes;
+        } catch (error) {
+            logger.error('Error marking all notifications read', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Notify a comment author about a published reply
+     * Producers never throw, so a notification problem can't fail the action behind it.
+     */
+    static async notifyCommentReply(reply) {
+        try {
+            if (!reply.parent_id || reply.status !== constants.CONTENT_STATUS.PUBLISHED) {
+                return null;
+            }
+
+            const parent = await get(`
+                SELECT c.author_id, ct.title as content_title
+                FROM comments c
+                JOIN content ct ON c.content_id = ct.id
+                WHERE c.id = $1 AND c.deleted_at IS NULL AND ct.deleted_at IS NULL
+            `, [reply.parent_id]);
+
+            if (!parent) {
+                return null;
+            }
+
+            return await this.create({
+                userId: parent.author_id,
+                type: constants.NOTIFICATION_TYPES.COMMENT_REPLY,
+                actorId: reply.author_id,
+                contentId: reply.content_id,
+                commentId: reply.id,
+                message: `${reply.author_name || 'Someone'} replied to your comment on "${parent.content_title}"`
+            });
+        } catch (error) {
+            logger.error('Error producing reply notification', error, { commentId: reply.id });
+            return null;
+        }
+    }
+
+    /**
+     * Notify a content author that someone liked their content
+     * Liking again after an unlike doesn't add another unread notification.
+     */
+    static async notifyContentLike(content, likerId) {
+        try {
+            const existing = await get(`
+                SELECT id FROM notifications
+                WHERE user_id = $1 AND type = $2 AND actor_id = $3 AND content_id = $4 AND is_read = FALSE
+            `, [content.author_id, constants.NOTIFICATION_TYPES.CONTENT_LIKE, likerId, content.id]);
+
+            if (existing) {
+                return null;
+            }
+
+            const liker = await get('SELECT display_name FROM users WHERE id = $1', [likerId]);
+
+            return await this.create({
+                userId: content.author_id,
+                type: constants.NOTIFICATION_TYPES.CONTENT_LIKE,
+                actorId: likerId,
+                contentId: content.id,
+                message: `${(liker && liker.display_name) || 'Someone'} liked "${content.title}"`
+            });
+        } catch (error) {
+            logger.error('Error producing like notification', error, { contentId: content.id, likerId });
+            return null;
+        }
+    }
+
+    /**
+     * Notify an author how a moderator decided on their post or comment
+     */
+    static async notifyModerationDecision({ itemType, item, approved, moderatorId, reason = null }) {
+        try {
+            const types = constants.NOTIFICATION_TYPES;
+            let type;
+            let message;
+
+            if (itemType === 'comment') {
+                const content = await get('SELECT title FROM content WHERE id = $1', [item.content_id]);
+                const title = content ? content.title : 'a post';
+                type = approved ? types.COMMENT_APPROVED : types.COMMENT_REJECTED;
+                message = approved
+                    ? `Your comment on "${title}" was approved`
+                    : `Your comment on "${title}" was not approved by a moderator`;
+            } else {
+                type = approved ? types.CONTENT_APPROVED : types.CONTENT_REJECTED;
+                message = approved
+                    ? `Your ${item.type} "${item.title}" was approved and is now live`
+                    : `Your ${item.type} "${item.title}" was not approved by a moderator`;
+            }
+
+            if (reason) {
+                message += `: ${reason}`;
+            }
+
+            return await this.create({
+                userId: item.author_id,
+                type,
+                actorId: moderatorId,
+                contentId: itemType === 'comment' ? item.content_id : item.id,
+                commentId: itemType === 'comment' ? item.id : null,
+                message
+            });
+        } catch (error) {
+            logger.error('Error producing moderation notification', error, { itemType, itemId: item.id });
+            return null;
+        }
+    }
+}
+
+module.exports = NotificationModel;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { auth } = require('../config/auth');
+const { logger } = require('../utils/logger');
+
+/**
+ * OIDC Login Model
+ * Short-lived, single-use records for social logins in flight: the state of
+ * an attempt (PKCE verifier, nonce, and the user when linking) while the
+ * browser is at the provider, and the ticket the frontend swaps for tokens
+ * once the provider sends it back. Both are stored hashed.
+ */
+
+class OidcLoginModel {
+    /**
+     * Hash a state or ticket for storage and lookup
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Remember a login attempt until the provider redirects back
+     * Pass a user ID when an account is being linked rather than signed in to.
+     */
+    static async createState({ state, provider, codeVerifier, nonce, userId = null }) {
+        try {
+            const expiresAt = new Date(Date.now() + auth.parseTimeToMs(constants.OIDC.STATE_EXPIRES_IN));
+
+            await run(`
+                INSERT INTO oidc_login_states (state_hash, provider, code_verifier, nonce, user_id, expires_at, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+            `, [this.hashToken(state), provider, codeVerifier, nonce, userId, expiresAt.toISOString()]);
+        } catch (error) {
+            logger.error('Error creating OIDC login state', error, { provider, userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Use up a login attempt's state
+     * Returns { provider, code_verifier, nonce, user_id }, or null if it is unknown, used or expired.
+     */
+    static async consumeState(state) {
+        try {
+            return await get(`
+                DELETE FROM oidc_login_states
+                WHERE state_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+                RETURNING provider, code_verifier, nonce, user_id
+            `, [this.hashToken(state)]);
+        } catch (error) {
+            logger.error('Error consuming OIDC login state', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Issue the single-use ticket for a finished login, returning the plain ticket
+     */
+    static async createTicket(userId, provider) {
+        try {
+            const ticket = crypto.randomBytes(32).toString('hex');
+            const expiresAt = new Date(Date.now() + auth.parseTimeToMs(constants.OIDC.TICKET_EXPIRES_IN));
+
+            await run(`
+                INSERT INTO oidc_login_tickets (ticket_hash, user_id, provider, expires_at, created_at)
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+            `, [this.hashToken(ticket), userId, provider, expiresAt.toISOString()]);
+
+            return ticket;
+        } catch (error) {
+            logger.error('Error creating OIDC login ticket', error, { userId, provider });
+            throw error;
+        }
+    }
+
+    /**
+     * Use up a login ticket
+     * Returns { user_id, provider }, or null if it is unknown, used or expired.
+     */
+    static async consumeTicket(ticket) {
+        try {
+            return await get(`
+                DELETE FROM oidc_login_tickets
+                WHERE ticket_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+                RETURNING user_id, provider
+            `, [this.hashToken(ticket)]);
+        } catch (error) {
+            logger.error('Error consuming OIDC login ticket', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete expired states and tickets
+     */
+    static async cleanup() {
+        try {
+            const states = await run('DELETE FROM oidc_login_states WHERE expires_at <= CURRENT_TIMESTAMP');
+            const tickets = await run('DELETE FROM oidc_login_tickets WHERE expires_at <= CURRENT_TIMESTAMP');
+
+            return states.changes + tickets.changes;
+        } catch (error) {
+            logger.error('Error cleaning up OIDC login states', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = OidcLoginModel;
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { auth } = require('../config/auth');
+const { logger } = require('../utils/logger');
+
+/**
+ * Password Reset Model
+ * Handles single-use, expiring password reset tokens
+ */
+
+class PasswordResetModel {
+    /**
+     * Hash a reset token for storage and lookup
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Issue a new reset token for a user
+     * Any earlier unused tokens for the user stop working. Returns the plain token.
+     */
+    static async createToken(userId, ipAddress = null) {
+        try {
+            const token = crypto.randomBytes(32).toString('hex');
+            const expiresAt = new Date(Date.now() + auth.parseTimeToMs(constants.AUTH.PASSWORD_RESET_EXPIRES_IN));
+
+            await run('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+
+            await run(`
+                INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, ip_address, created_at)
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+            `, [userId, this.hashToken(token), expiresAt.toISOString(), ipAddress]);
+
+            logger.logAuth('Password reset token issued', userId, { ip: ipAddress });
+
+            return { token, expiresAt };
+        } catch (error) {
+            logger.error('Error creating password reset token', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a token is valid without using it up
+     */
+    static async findValid(token) {
+        try {
+            return await get(`
+                SELECT id, user_id, expires_at
+                FROM password_reset_tokens
+                WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            `, [this.hashToken(token)]);
+        } catch (error) {
+            logger.error('Error finding password reset token', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Use a token to set a new password hash
+     * Marking the token used and updating the password happen in one statement,
+     * so a token can only ever be redeemed once. Deleted accounts keep their
+     * password. Returns the user ID, or null.
+     */
+    static async resetPassword(token, passwordHash) {
+        try {
+            const user = await get(`
+                WITH consumed AS (
+                    UPDATE password_reset_tokens
+                    SET used_at = CURRENT_TIMESTAMP
+                    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                    RETURNING user_id
+                )
+                UPDATE users
+                SET password_hash = $2, has_password = true, updated_at = CURRENT_TIMESTAMP
+                FROM consumed
+                WHERE users.id = consumed.user_id AND users.deleted_at IS NULL
+                RETURNING users.id
+            `, [this.hashToken(token), passwordHash]);
+
+            if (!user) {
+                return null;
+            }
+
+            // Other outstanding tokens for the account are no longer needed
+            await run('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+
+            return user.id;
+        } catch (error) {
+            logger.error('Error resetting password with token', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete expired and used tokens
+     */
+    static async cleanup() {
+        try {
+            const result = await run(`
+                DELETE FROM password_reset_tokens
+                WHERE expires_at <= CURRENT_TIMESTAMP OR used_at IS NOT NULL
+            `);
+
+            return result.changes;
+        } catch (error) {
+            logger.error('Error cleaning up password reset tokens', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PasswordResetModel;
@@ -0,0 +1,246 @@
+const { query, get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * Report Model
+ * Handles user reports against content, comments and users
+ */
+
+class ReportModel {
+    /**
+     * Create a report
+     * Returns null when the reporter already has an open report on the target.
+     */
+    static async create(reportData) {
+        try {
+            const {
+                targetType,
+                targetId,
+                reporterId,
+                reason,
+                details = null
+            } = reportData;
+
+            const result = await run(`
+                INSERT INTO reports (
+                    target_type, target_id, reporter_id, reason, details,
+                    status, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, '${constants.REPORT_STATUS.PENDING}', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                ON CONFLICT (target_type, target_id, reporter_id) WHERE status = '${constants.REPORT_STATUS.PENDING}'
+                DO NOTHING
+                RETURNING id
+            `, [targetType, targetId, reporterId, reason, details]);
+
+            if (result.changes === 0) {
+                return null;
+            }
+
+            logger.info('Report created', {
+                reportId: result.lastID,
+                targetType,
+                targetId,
+                reporterId,
+                reason
+            });
+
+            return await this.findById(result.lastID);
+        } catch (error) {
+            logger.error('Error creating report', error, {
+                targetType: reportData.targetType,
+                targetId: reportData.targetId
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Find report by ID
+     */
+    static async findById(id) {
+        try {
+            const report = await get(`
+                SELECT
+                    r.*,
+                    reporter.display_name as reporter_name,
+                    resolver.display_name as resolver_name
+                FROM reports r
+                LEFT JOIN users reporter ON r.reporter_id = reporter.id
+                LEFT JOIN users resolver ON r.resolved_by = resolver.id
+                WHERE r.id = $1
+            `, [id]);
+
+            return report;
+        } catch (error) {
+            logger.error('Error finding report by ID', error, { reportId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Get moderation queue
+     */
+    static async getQueue(options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                status = constants.REPORT_STATUS.PENDING,
+                targetType = '',
+                categoryIds = null
+            } = options;
+
+            const offset = (page - 1) * limit;
+
+            const whereConditions = [];
+            const params = [];
+            let paramIndex = 1;
+
+            if (status) {
+                whereConditions.push(`r.status = $${paramIndex}`);
+                params.push(status);
+                paramIndex++;
+            }
+
+            if (targetType) {
+                whereConditions.push(`r.target_type = $${paramIndex}`);
+                params.push(targetType);
+                paramIndex++;
+            }
+
+            // Limits the queue to reports on posts and comments in a moderator's categories
+            if (categoryIds) {
+                whereConditions.push(`(
+                    (r.target_type = 'content' AND EXISTS (
+                        SELECT 1 FROM content sc WHERE sc.id = r.target_id AND sc.category_id = ANY($${paramIndex}::int[])
+                    )) OR
+                    (r.target_type = 'comment' AND EXISTS (
+                        SELECT 1 FROM comments scm
+                        JOIN content sc ON scm.content_id = sc.id
+                        WHERE scm.id = r.target_id AND sc.category_id = ANY($${paramIndex}::int[])
+                    ))
+                )`);
+                params.push(categoryIds);
+                paramIndex++;
+            }
+
+            const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+            // Get total count
+            const countResult = await get(`
+                SELECT COUNT(*) as total
+                FROM reports r
+                ${whereClause}
+            `, params);
+
+            const total = parseInt(countResult.total);
+
+            // Get reports with a short summary of what was reported
+            const reports = await query(`
+                SELECT
+                    r.*,
+                    reporter.display_name as reporter_name,
+                    resolver.display_name as resolver_name,
+                    COUNT(*) OVER (PARTITION BY r.target_type, r.target_id) as target_report_count,
+                    CASE r.target_type
+                        WHEN 'content' THEN ct.title
+                        WHEN 'comment' THEN LEFT(cm.body, 200)
+                        WHEN 'user' THEN COALESCE(tu.display_name, tu.first_name || ' ' || tu.last_name)
+                    END as target_summary,
+                    CASE r.target_type
+                        WHEN 'content' THEN ct.author_id
+                        WHEN 'comment' THEN cm.author_id
+                        WHEN 'user' THEN tu.id
+                    END as target_owner_id,
+                    cm.content_id as comment_content_id
+                FROM reports r
+                LEFT JOIN users reporter ON r.reporter_id = reporter.id
+                LEFT JOIN users resolver ON r.resolved_by = resolver.id
+                LEFT JOIN content ct ON r.target_type = 'content' AND ct.id = r.target_id AND ct.deleted_at IS NULL
+                LEFT JOIN comments cm ON r.target_type = 'comment' AND cm.id = r.target_id AND cm.deleted_at IS NULL
+                LEFT JOIN users tu ON r.target_type = 'user' AND tu.id = r.target_id AND tu.deleted_at IS NULL
+                ${whereClause}
+                ORDER BY r.created_at ASC
+                LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+            `, [...params, limit, offset]);
+
+            return {
+                reports,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting report queue', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Close a report as resolved or dismissed
+     * Every other open report on the same target is closed with it.
+     */
+    static async close(id, status, moderatorId, note = null) {
+        try {
+            if (![constants.REPORT_STATUS.RESOLVED, constants.REPORT_STATUS.DISMISSED].includes(status)) {
+                throw new Error('Invalid report status');
+            }
+
+            const report = await this.findById(id);
+            if (!report || report.status !== constants.REPORT_STATUS.PENDING) {
+                return 0;
+            }
+
+            const result = await run(`
+                UPDATE reports
+                SET
+                    status = $1,
+                    resolved_by = $2,
+                    resolved_at = CURRENT_TIMESTAMP,
+                    resolution_note = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE target_type = $4 AND target_id = $5 AND status = '${constants.REPORT_STATUS.PENDING}'
+            `, [status, moderatorId, note, report.target_type, report.target_id]);
+
+            logger.info('Reports closed', {
+                reportId: id,
+                targetType: report.target_type,
+                targetId: report.target_id,
+                status,
+                moderatorId,
+                closedCount: result.changes
+            });
+
+            return result.changes;
+        } catch (error) {
+            logger.error('Error closing report', error, { reportId: id });
+            throw error;
+        }
+    }
+
+    /**
+     * Get report statistics
+     */
+    static async getStats() {
+        try {
+            const stats = await get(`
+                SELECT
+                    COUNT(*) as total_reports,
+                    COUNT(CASE WHEN status = '${constants.REPORT_STATUS.PENDING}' THEN 1 END) as pending_reports,
+                    COUNT(CASE WHEN status = '${constants.REPORT_STATUS.RESOLVED}' THEN 1 END) as resolved_reports,
+                    COUNT(CASE WHEN status = '${constants.REPORT_STATUS.DISMISSED}' THEN 1 END) as dismissed_reports
+                FROM reports
+            `);
+
+            return stats;
+        } catch (error) {
+            logger.error('Error getting report stats', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReportModel;
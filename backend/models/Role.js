@@ -0,0 +1,238 @@
+const { query, get, run, transaction } = require('../config/database');
+const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+/**
+ * Role Model
+ * Handles roles and the role -> permission matrix used for authorization
+ */
+
+// How long a process trusts its cached matrix before reloading it
+const CACHE_TTL_MS = 60 * 1000;
+
+// Permissions the admin role must keep so nobody can lock themselves out
+const PROTECTED_ADMIN_PERMISSIONS = [PERMISSIONS.ADMIN_ACCESS, PERMISSIONS.ROLES_MANAGE];
+
+let matrixCache = null;
+let matrixLoadedAt = 0;
+
+class RoleModel {
+    /**
+     * Load the role -> permissions map, served from a short-lived cache
+     */
+    static async getMatrix() {
+        if (matrixCache && Date.now() - matrixLoadedAt < CACHE_TTL_MS) {
+            return matrixCache;
+        }
+
+        try {
+            const rows = await query('SELECT role, permission FROM role_permissions');
+
+            const matrix = new Map();
+            rows.forEach(({ role, permission }) => {
+                if (!matrix.has(role)) {
+                    matrix.set(role, new Set());
+                }
+                matrix.get(role).add(permission);
+            });
+
+            matrixCache = matrix;
+            matrixLoadedAt = Date.now();
+
+            return matrix;
+        } catch (error) {
+            logger.error('Error loading permission matrix', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Drop the cached matrix so the next check reads the database
+     */
+    static clearCache() {
+        matrixCache = null;
+        matrixLoadedAt = 0;
+    }
+
+    /**
+     * Get the permissions granted to a role
+     */
+    static async getPermissions(role) {
+        const matrix = await this.getMatrix();
+        return Array.from(matrix.get(role) || []);
+    }
+
+    /**
+     * Check whether a role holds a permission
+     */
+    static async hasPermission(role, permission) {
+        if (!role) {
+            return false;
+        }
+
+        const matrix = await this.getMatrix();
+        const granted = matrix.get(role);
+        return !!granted && granted.has(permission);
+    }
+
+    /**
+     * Find role by name
+     */
+    static async findByName(name) {
+        try {
+            const role = await get('SELECT * FROM roles WHERE name = $1', [name]);
+            return role;
+        } catch (error) {
+            logger.error('Error finding role', error, { role: name });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all roles with member counts
+     */
+    static async getAll() {
+        try {
+            const roles = await query(`
+                SELECT
+                    r.*,
+                    COUNT(u.id) as user_count
+                FROM roles r
+                LEFT JOIN users u ON u.role = r.name
+                GROUP BY r.name
+                ORDER BY r.is_system DESC, r.created_at ASC
+            `);
+
+            return roles;
+        } catch (error) {
+            logger.error('Error getting roles', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every registered permission
+     */
+    static async getAllPermissions() {
+        try {
+            const permissions = await query(`
+                SELECT name, group_name, description
+                FROM permissions
+                ORDER BY group_name ASC, name ASC
+            `);
+
+            return permissions;
+        } catch (error) {
+            logger.error('Error getting permissions', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a role, optionally starting from another role's permissions
+     */
+    static async create({ name, label, description = null, copyFrom = null }, createdBy = null) {
+        try {
+            const queries = [{
+                sql: `
+                    INSERT INTO roles (name, label, description, is_system, created_at, updated_at)
+                    VALUES ($1, $2, $3, FALSE, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                `,
+                params: [name, label, description]
+            }];
+
+            if (copyFrom) {
+                queries.push({
+                    sql: `
+                        INSERT INTO role_permissions (role, permission, granted_by)
+                        SELECT $1, permission, $2 FROM role_permissions WHERE role = $3
+                    `,
+                    params: [name, createdBy, copyFrom]
+                });
+            }
+
+            await transaction(queries);
+            this.clearCache();
+
+            logger.info('Role created', { role: name, copyFrom, createdBy });
+
+            return await this.findByName(name);
+        } catch (error) {
+            logger.error('Error creating role', error, { role: name });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a custom role
+     * Returns false for system roles and roles still assigned to users.
+     */
+    static async delete(name) {
+        try {
+            const result = await run(`
+                DELETE FROM roles
+                WHERE name = $1
+                  AND is_system = FALSE
+                  AND NOT EXISTS (SELECT 1 FROM users WHERE role = $1)
+            `, [name]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            this.clearCache();
+            logger.info('Role deleted', { role: name });
+
+            return true;
+        } catch (error) {
+            logger.error('Error deleting role', error, { role: name });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the permissions granted to a role
+     */
+    static async setPermissions(role, permissions, grantedBy = null) {
+        try {
+            const unique = Array.from(new Set(permissions));
+
+            await transaction([
+                {
+                    sql: 'DELETE FROM role_permissions WHERE role = $1',
+                    params: [role]
+                },
+                ...unique.map(permission => ({
+                    sql: `
+                        INSERT INTO role_permissions (role, permission, granted_by, created_at)
+                        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                    `,
+                    params: [role, permission, grantedBy]
+                })),
+                {
+                    sql: 'UPDATE roles SET updated_at = CURRENT_TIMESTAMP WHERE name = $1',
+                    params: [role]
+                }
+            ]);
+
+            this.clearCache();
+
+            logger.info('Role permissions updated', { role, permissions: unique, grantedBy });
+
+            return unique;
+        } catch (error) {
+            logger.error('Error updating role permissions', error, { role });
+            throw error;
+        }
+    }
+
+    /**
+     * Permissions that may not be removed from a role
+     */
+    static getProtectedPermissions(role) {
+        return role === constants.ROLES.ADMIN ? PROTECTED_ADMIN_PERMISSIONS : [];
+    }
+}
+
+module.exports = RoleModel;
@@ -0,0 +1,239 @@
+const { query, get, run } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+const ContentModel = require('./Content');
+const CommentModel = require('./Comment');
+const UserModel = require('./User');
+
+/**
+ * Trash Model
+ * Lists soft-deleted content, comments and users and restores or purges them.
+ * Items removed along with something else (the comments of deleted content, a
+ * deleted user's posts) share its deleted_at and are listed under it instead.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_QUERIES = {
+    content: {
+        select: `
+            c.id,
+            c.title,
+            c.type as detail,
+            c.author_id,
+            COALESCE(u.display_name, u.first_name || ' ' || u.last_name) as author_name,
+            c.deleted_at,
+            c.deleted_by,
+            d.display_name as deleted_by_name,
+            NULL as content_count,
+            (SELECT COUNT(*) FROM comments cm WHERE cm.content_id = c.id AND cm.deleted_at = c.deleted_at) as comment_count
+        `,
+        from: `
+            FROM content c
+            LEFT JOIN users u ON c.author_id = u.id
+            LEFT JOIN users d ON c.deleted_by = d.id
+            WHERE c.deleted_at IS NOT NULL
+                AND u.deleted_at IS DISTINCT FROM c.deleted_at
+        `,
+        order: 'c.deleted_at DESC, c.id DESC'
+    },
+    comment: {
+        select: `
+            cm.id,
+            LEFT(cm.body, 200) as title,
+            ct.title as detail,
+            cm.author_id,
+            COALESCE(u.display_name, u.first_name || ' ' || u.last_name) as author_name,
+            cm.deleted_at,
+            cm.deleted_by,
+            d.display_name as deleted_by_name,
+            NULL as content_count,
+            NULL as comment_count
+        `,
+        from: `
+            FROM comments cm
+            LEFT JOIN users u ON cm.author_id = u.id
+            LEFT JOIN users d ON cm.deleted_by = d.id
+            LEFT JOIN content ct ON cm.content_id = ct.id
+            LEFT JOIN comments parent ON cm.parent_id = parent.id
+            WHERE cm.deleted_at IS NOT NULL
+                AND u.deleted_at IS DISTINCT FROM cm.deleted_at
+                AND ct.deleted_at IS DISTINCT FROM cm.deleted_at
+                AND parent.deleted_at IS DISTINCT FROM cm.deleted_at
+        `,
+        order: 'cm.deleted_at DESC, cm.id DESC'
+    },
+    user: {
+        select: `
+            u.id,
+            COALESCE(u.display_name, u.first_name || ' ' || u.last_name) as title,
+            u.email as detail,
+            NULL as author_id,
+            NULL as author_name,
+            u.deleted_at,
+            u.deleted_by,
+            d.display_name as deleted_by_name,
+            (SELECT COUNT(*) FROM content c WHERE c.author_id = u.id AND c.deleted_at = u.deleted_at) as content_count,
+            (SELECT COUNT(*) FROM comments cm WHERE cm.author_id = u.id AND cm.deleted_at = u.deleted_at) as comment_count
+        `,
+        from: `
+            FROM users u
+            LEFT JOIN users d ON u.deleted_by = d.id
+            WHERE u.deleted_at IS NOT NULL
+        `,
+        order: 'u.deleted_at DESC, u.id DESC'
+    }
+};
+
+// What has to be restored before an item can be, checked in this order
+const RESTORE_BLOCKERS = {
+    content: `
+        SELECT c.id, c.deleted_at,
+            CASE WHEN u.deleted_at IS NOT NULL THEN 'author' END as blocked_by
+        FROM content c
+        LEFT JOIN users u ON c.author_id = u.id
+        WHERE c.id = $1 AND c.deleted_at IS NOT NULL
+    `,
+    comment: `
+        SELECT cm.id, cm.deleted_at,
+            CASE
+                WHEN u.deleted_at IS NOT NULL THEN 'author'
+                WHEN ct.deleted_at IS NOT NULL THEN 'content'
+                WHEN parent.deleted_at IS NOT NULL THEN 'parent comment'
+            END as blocked_by
+        FROM comments cm
+        LEFT JOIN users u ON cm.author_id = u.id
+        LEFT JOIN content ct ON cm.content_id = ct.id
+        LEFT JOIN comments parent ON cm.parent_id = parent.id
+        WHERE cm.id = $1 AND cm.deleted_at IS NOT NULL
+    `,
+    user: `
+        SELECT u.id, u.deleted_at, NULL as blocked_by
+        FROM users u
+        WHERE u.id = $1 AND u.deleted_at IS NOT NULL
+    `
+};
+
+class TrashModel {
+    /**
+     * Get a page of trashed items of one type, newest first
+     */
+    static async getItems(type, options = {}) {
+        try {
+            const {
+                page = 1,
+                limit = constants.PAGINATION.DEFAULT_LIMIT,
+                retentionDays = constants.TRASH.RETENTION_DAYS
+            } = options;
+
+            const offset = (page - 1) * limit;
+            const trashQuery = TRASH_QUERIES[type];
+
+            const countResult = await get(`SELECT COUNT(*) as total ${trashQuery.from}`);
+            const total = parseInt(countResult.total);
+
+            const items = await query(`
+                SELECT ${trashQuery.select}
+                ${trashQuery.from}
+                ORDER BY ${trashQuery.order}
+                LIMIT $1 OFFSET $2
+            `, [limit, offset]);
+
+            items.forEach(item => {
+                item.type = type;
+                item.purge_at = new Date(new Date(item.deleted_at).getTime() + retentionDays * DAY_MS);
+                item.content_count = item.content_count === null ? null : parseInt(item.content_count);
+                item.comment_count = item.comment_count === null ? null : parseInt(item.comment_count);
+            });
+
+            return {
+                items,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting trash items', error, { type });
+            throw error;
+        }
+    }
+
+    /**
+     * Find a trashed item
+     * `blocked_by` names what is still in the trash and has to be restored first, if anything.
+     */
+    static async findItem(type, id) {
+        try {
+            return await get(RESTORE_BLOCKERS[type], [id]);
+        } catch (error) {
+            logger.error('Error finding trash item', error, { type, id });
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a trashed item along with whatever was deleted with it
+     */
+    static async restore(type, id) {
+        switch (type) {
+            case 'content':
+                return ContentModel.restore(id);
+            case 'comment':
+                return CommentModel.restore(id);
+            case 'user':
+                return UserModel.restoreUser(id);
+            default:
+                throw new Error(`Unknown trash type: ${type}`);
+        }
+    }
+
+    /**
+     * Permanently delete a trashed item
+     */
+    static async purge(type, id) {
+        switch (type) {
+            case 'content':
+                return ContentModel.purge(id);
+            case 'comment':
+                return CommentModel.purge(id);
+            case 'user':
+                return UserModel.purgeUser(id);
+            default:
+                throw new Error(`Unknown trash type: ${type}`);
+        }
+    }
+
+    /**
+     * Permanently delete everything that has been in the trash longer than the retention period
+     * Users go first so their content and comments are removed by the cascades.
+     */
+    static async purgeExpired(retentionDays = constants.TRASH.RETENTION_DAYS) {
+        try {
+            const cutoff = 'deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)';
+
+            const users = await run(`DELETE FROM users WHERE ${cutoff}`, [retentionDays]);
+            const content = await run(`DELETE FROM content WHERE ${cutoff}`, [retentionDays]);
+            const comments = await run(`DELETE FROM comments WHERE ${cutoff}`, [retentionDays]);
+
+            const purged = {
+                users: users.changes,
+                content: content.changes,
+                comments: comments.changes
+            };
+
+            if (purged.users + purged.content + purged.comments > 0) {
+                logger.info('Expired trash purged', { retentionDays, ...purged });
+            }
+
+            return purged;
+        } catch (error) {
+            logger.error('Error purging expired trash', error, { retentionDays });
+            throw error;
+        }
+    }
+}
+
+module.exports = TrashModel;
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { get, run, transaction } = require('../config/database');
+const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+const RoleModel = require('./Role');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { logger } = require('../utils/logger');
+
+/**
+ * Two-Factor Model
+ * TOTP enrollment, verification and single-use recovery codes, plus the
+ * setting that makes two-factor authentication mandatory for admin roles.
+ */
+
+// How long a process trusts its cached requirement setting before reloading it
+const CACHE_TTL_MS = 60 * 1000;
+
+let requiredCache = null;
+let requiredLoadedAt = 0;
+
+/**
+ * Hash a recovery code for storage and lookup
+ * Codes are compared without dashes or case so they can be typed loosely.
+ */
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+    .digest('hex');
+
+/**
+ * Generate a set of recovery codes, formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => Array.from({ length: constants.TWO_FACTOR.RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+/**
+ * Statements that replace a user's recovery codes
+ */
+const replaceRecoveryCodeStatements = (userId, codes) => [
+    {
+        sql: 'DELETE FROM user_recovery_codes WHERE user_id = $1',
+        params: [userId]
+    },
+    ...codes.map(code => ({
+        sql: 'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, CURRENT_TIMESTAMP)',
+        params: [userId, hashRecoveryCode(code)]
+    }))
+];
+
+class TwoFactorModel {
+    /**
+     * Get a user's two-factor status
+     */
+    static async getStatus(userId) {
+        try {
+            const status = await get(`
+                SELECT
+                    u.two_factor_enabled,
+                    u.two_factor_enabled_at,
+                    (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+                FROM users u
+                WHERE u.id = $1 AND u.deleted_at IS NULL
+            `, [userId]);
+
+            if (!status) {
+                return null;
+            }
+
+            return {
+                enabled: !!status.two_factor_enabled,
+                enabledAt: status.two_factor_enabled_at,
+                recoveryCodesRemaining: parseInt(status.recovery_codes_remaining)
+            };
+        } catch (error) {
+            logger.error('Error getting two-factor status', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Start enrollment with a fresh secret
+     * The secret is not trusted for login until enable() confirms a code from it.
+     * Returns null if two-factor authentication is already on.
+     */
+    static async startEnrollment(user) {
+        try {
+            const secret = generateSecret();
+
+            const result = await run(`
+                UPDATE users
+                SET two_factor_secret = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND (two_factor_enabled IS NULL OR two_factor_enabled = false) AND deleted_at IS NULL
+            `, [user.id, secret]);
+
+            if (result.changes === 0) {
+                return null;
+            }
+
+            return {
+                secret,
+                otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+            };
+        } catch (error) {
+            logger.error('Error starting two-factor enrollment', error, { userId: user.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Turn two-factor authentication on once the user proves their app has the secret
+     * Returns the new recovery codes (shown once), or null if the code is wrong.
+     */
+    static async enable(userId, code) {
+        try {
+            const user = await get(`
+                SELECT two_factor_secret, two_factor_enabled
+                FROM users
+                WHERE id = $1 AND deleted_at IS NULL
+            `, [userId]);
+
+            if (!user || !user.two_factor_secret || user.two_factor_enabled) {
+                return null;
+            }
+
+            const step = verifyTotp(user.two_factor_secret, code);
+            if (step === null) {
+                return null;
+            }
+
+            const recoveryCodes = generateRecoveryCodes();
+
+            await transaction([
+                {
+                    sql: `
+                        UPDATE users
+                        SET
+                            two_factor_enabled = true,
+                            two_factor_enabled_at = CURRENT_TIMESTAMP,
+                            two_factor_last_step = $2,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $1
+                    `,
+                    params: [userId, step]
+                },
+                ...replaceRecoveryCodeStatements(userId, recoveryCodes)
+            ]);
+
+            logger.logAuth('Two-factor authentication enabled', userId);
+
+            return recoveryCodes;
+        } catch (error) {
+            logger.error('Error enabling two-factor authentication', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Check a second-factor code: an authenticator code or an unused recovery code
+     * Returns 'totp' or 'recovery' for the method that matched, or null.
+     * Either way the code is spent and can't be used again.
+     */
+    static async verify(userId, code) {
+        try {
+            const user = await get(`
+                SELECT two_factor_secret, two_factor_last_step
+                FROM users
+                WHERE id = $1 AND two_factor_enabled = true AND deleted_at IS NULL
+            `, [userId]);
+
+            if (!user) {
+                return null;
+            }
+
+            const lastStep = user.two_factor_last_step === null ? null : parseInt(user.two_factor_last_step);
+            const step = verifyTotp(user.two_factor_secret, code, { afterStep: lastStep });
+
+            if (step !== null) {
+                // Guard against two requests racing with the same code
+                const result = await run(`
+                    UPDATE users
+                    SET two_factor_last_step = $2
+                    WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+                `, [userId, step]);
+
+                return result.changes > 0 ? 'totp' : null;
+            }
+
+            const recovery = await run(`
+                UPDATE user_recovery_codes
+                SET used_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+            `, [userId, hashRecoveryCode(code)]);
+
+            if (recovery.changes > 0) {
+                logger.logAuth('Recovery code used', userId);
+                return 'recovery';
+            }
+
+            return null;
+        } catch (error) {
+            logger.error('Error verifying two-factor code', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a user's recovery codes, invalidating the old set
+     */
+    static async regenerateRecoveryCodes(userId) {
+        try {
+            const recoveryCodes = generateRecoveryCodes();
+
+            await transaction(replaceRecoveryCodeStatements(userId, recoveryCodes));
+
+            logger.logAuth('Recovery codes regenerated', userId);
+
+            return recoveryCodes;
+        } catch (error) {
+            logger.error('Error regenerating recovery codes', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Turn two-factor authentication off and forget the secret and recovery codes
+     */
+    static async disable(userId) {
+        try {
+            const [result] = await transaction([
+                {
+                    sql: `
+                        UPDATE users
+                        SET
+                            two_factor_enabled = false,
+                            two_factor_secret = NULL,
+                            two_factor_enabled_at = NULL,
+                            two_factor_last_step = NULL,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $1
+                    `,
+                    params: [userId]
+                },
+                {
+                    sql: 'DELETE FROM user_recovery_codes WHERE user_id = $1',
+                    params: [userId]
+                }
+            ]);
+
+            if (result.changes > 0) {
+                logger.logAuth('Two-factor authentication disabled', userId);
+            }
+
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error disabling two-factor authentication', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether admins have made two-factor authentication mandatory, served from a short-lived cache
+     */
+    static async isEnforced() {
+        if (requiredCache !== null && Date.now() - requiredLoadedAt < CACHE_TTL_MS) {
+            return requiredCache;
+        }
+
+        try {
+            const setting = await get('SELECT value FROM settings WHERE key = $1', [constants.TWO_FACTOR.REQUIRED_SETTING]);
+
+            requiredCache = !!setting && String(setting.value) === 'true';
+            requiredLoadedAt = Date.now();
+
+            return requiredCache;
+        } catch (error) {
+            logger.error('Error loading two-factor requirement', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a user's role must use two-factor authentication
+     */
+    static async isRequiredFor(user) {
+        if (!(await this.isEnforced())) {
+            return false;
+        }
+
+        return await RoleModel.hasPermission(user.role, PERMISSIONS.ADMIN_ACCESS);
+    }
+
+    /**
+     * Drop the cached requirement so the next check reads the database
+     */
+    static clearCache() {
+        requiredCache = null;
+        requiredLoadedAt = 0;
+    }
+}
+
+module.exports = TwoFactorModel;
@@ -1,7 +1,8 @@
-const { get, run, query } = require('../config/database');
+const { get, run, query, transaction } = require('../config/database');
 const { hashPassword, verifyPassword } = require('../config/auth');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 const constants = require('../config/constants');
+const CommentModel = require('./Comment');
 
 /**
  * User Model
@@ -23,7 +24,9 @@ class UserModel {
                 bio,
                 faithTradition,
                 role = 'user',
-                status = 'active'
+                status = 'active',
+                emailVerified = false,
+                hasPassword = true // false for social login accounts, whose random password nobody knows
             } = userData;
 
             // Hash password
@@ -33,8 +36,8 @@ class UserModel {
                 INSERT INTO users (
                     email, password_hash, first_name, last_name, 
                     display_name, bio, faith_tradition, role, status,
-                    email_verified, created_at, updated_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    email_verified, has_password, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
                 RETURNING id
             `, [
                 email.toLowerCase(),
@@ -46,7 +49,8 @@ class UserModel {
                 faithTradition,
                 role,
                 status,
-                false
+                emailVerified,
+                hasPassword
             ]);
 
             const userId = result.lastID;
@@ -70,10 +74,11 @@ class UserModel {
                 SELECT 
                     id, email, password_hash, first_name, last_name, 
                     display_name, bio, faith_tradition, role, status, 
-                    email_verified, profile_image, last_login_at, 
-                    created_at, updated_at
+                    email_verified, profile_image, last_login_at, is_trusted,
+                    suspended_until, suspension_reason, suspended_by,
+                    two_factor_enabled, has_password, created_at, updated_at
                 FROM users 
-                WHERE id = $1
+                WHERE id = $1 AND deleted_at IS NULL
             `, [id]);
 
             return user;
@@ -93,9 +98,10 @@ class UserModel {
                     id, email, password_hash, first_name, last_name, 
                     display_name, bio, faith_tradition, role, status, 
                     email_verified, profile_image, last_login_at, 
-                    created_at, updated_at
+                    suspended_until, suspension_reason,
+                    two_factor_enabled, created_at, updated_at
                 FROM users 
-                WHERE email = $1
+                WHERE email = $1 AND deleted_at IS NULL
             `, [email.toLowerCase()]);
 
             return user;
@@ -163,7 +169,7 @@ class UserModel {
                     faith_tradition = COALESCE($5, faith_tradition),
                     profile_image = COALESCE($6, profile_image),
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = $7
+                WHERE id = $7 AND deleted_at IS NULL
             `, [firstName, lastName, displayName, bio, faithTradition, profileImage, userId]);
 
             if (result.changes === 0) {
@@ -247,14 +253,14 @@ class UserModel {
                     (
                         SELECT COUNT(*) FROM likes l2 
                         WHERE l2.content_id IN (
-                            SELECT id FROM content WHERE author_id = $1
+                            SELECT id FROM content WHERE author_id = $1 AND deleted_at IS NULL
                         ) OR l2.comment_id IN (
-                            SELECT id FROM comments WHERE author_id = $2
+                            SELECT id FROM comments WHERE author_id = $2 AND deleted_at IS NULL
                         )
                     ) as likes_received
                 FROM users u
-                LEFT JOIN content c ON c.author_id = u.id
-                LEFT JOIN comments cm ON cm.author_id = u.id
+                LEFT JOIN content c ON c.author_id = u.id AND c.deleted_at IS NULL
+                LEFT JOIN comments cm ON cm.author_id = u.id AND cm.deleted_at IS NULL
                 LEFT JOIN likes l ON l.user_id = u.id
                 WHERE u.id = $3
             `, [userId, userId, userId]);
@@ -284,7 +290,7 @@ class UserModel {
             const offset = (page - 1) * limit;
             
             // Build WHERE clause
-            const whereConditions = [];
+            const whereConditions = ['deleted_at IS NULL'];
             const params = [];
             let paramIndex = 1;
 
@@ -311,7 +317,7 @@ class UserModel {
                 paramIndex++;
             }
 
-            const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+            const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
 
             // Get total count
             const countResult = await get(`
@@ -327,7 +333,7 @@ class UserModel {
                 SELECT 
                     id, email, first_name, last_name, display_name, 
                     bio, faith_tradition, role, status, email_verified, 
-                    profile_image, last_login_at, created_at, updated_at
+                    profile_image, last_login_at, suspended_until, created_at, updated_at
                 FROM users 
                 ${whereClause}
                 ORDER BY ${sort} ${order.toUpperCase()}
@@ -362,7 +368,7 @@ class UserModel {
                     role = COALESCE($1, role),
                     status = COALESCE($2, status),
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = $3
+                WHERE id = $3 AND deleted_at IS NULL
             `, [role, status, userId]);
 
             if (result.changes === 0) {
@@ -379,17 +385,50 @@ class UserModel {
     }
 
     /**
-     * Delete user (admin)
+     * Move a user to the trash (admin)
+     * Their content, the comments on it and their own comments (with replies) go
+     * with them. Everything shares the transaction's deleted_at so restore can
+     * bring back exactly what this removed, and their sessions are ended.
      */
-    static async deleteUser(userId) {
+    static async deleteUser(userId, deletedBy = null) {
         try {
-            const result = await run('DELETE FROM users WHERE id = $1', [userId]);
+            const authoredComments = CommentModel.subtreeQuery(
+                'author_id = $1 OR content_id IN (SELECT id FROM content WHERE author_id = $1)'
+            );
+
+            const [result] = await transaction([
+                {
+                    sql: `
+                        UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                        WHERE id = $1 AND deleted_at IS NULL
+                    `,
+                    params: [userId, deletedBy]
+                },
+                {
+                    sql: `
+                        UPDATE content SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                        WHERE author_id = $1 AND deleted_at IS NULL
+                    `,
+                    params: [userId, deletedBy]
+                },
+                {
+                    sql: `
+                        UPDATE comments SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                        WHERE id IN (${authoredComments}) AND deleted_at IS NULL
+                    `,
+                    params: [userId, deletedBy]
+                },
+                {
+                    sql: 'UPDATE user_sessions SET is_active = false WHERE user_id = $1',
+                    params: [userId]
+                }
+            ]);
 
             if (result.changes === 0) {
                 return false;
             }
 
-            logger.logAuth('User deleted', userId);
+            logger.logAuth('User deleted', userId, { deletedBy });
 
             return true;
         } catch (error) {
@@ -398,8 +437,77 @@ class UserModel {
         }
     }
 
+    /**
+     * Bring a user back from the trash with the content and comments deleted along with them
+     */
+    static async restoreUser(userId) {
+        try {
+            const authoredComments = CommentModel.subtreeQuery(
+                'author_id = $1 OR content_id IN (SELECT id FROM content WHERE author_id = $1)'
+            );
+            const deletedAt = '(SELECT deleted_at FROM users WHERE id = $1)';
+
+            const [, , result] = await transaction([
+                {
+                    sql: `
+                        UPDATE comments SET deleted_at = NULL, deleted_by = NULL
+                        WHERE id IN (${authoredComments}) AND deleted_at = ${deletedAt}
+                    `,
+                    params: [userId]
+                },
+                {
+                    sql: `
+                        UPDATE content SET deleted_at = NULL, deleted_by = NULL
+                        WHERE author_id = $1 AND deleted_at = ${deletedAt}
+                    `,
+                    params: [userId]
+                },
+                {
+                    sql: `
+                        UPDATE users SET deleted_at = NULL, deleted_by = NULL
+                        WHERE id = $1 AND deleted_at IS NOT NULL
+                    `,
+                    params: [userId]
+                }
+            ]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.logAuth('User restored', userId);
+
+            return true;
+        } catch (error) {
+            logger.error('Error restoring user', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a trashed user
+     * Their content, comments, likes and sessions are removed by the foreign key cascades.
+     */
+    static async purgeUser(userId) {
+        try {
+            const result = await run('DELETE FROM users WHERE id = $1 AND deleted_at IS NOT NULL', [userId]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.logAuth('User purged', userId);
+
+            return true;
+        } catch (error) {
+            logger.error('Error purging user', error, { userId });
+            throw error;
+        }
+    }
+
     /**
      * Check if email exists
+     * Users in the trash still hold their address until they are purged.
      */
     static async emailExists(email) {
         try {
@@ -424,7 +532,7 @@ class UserModel {
                     c.created_at as timestamp,
                     c.status
                 FROM content c
-                WHERE c.author_id = $1
+                WHERE c.author_id = $1 AND c.deleted_at IS NULL
                 
                 UNION ALL
                 
@@ -435,7 +543,7 @@ class UserModel {
                     cm.created_at as timestamp,
                     cm.status
                 FROM comments cm
-                WHERE cm.author_id = $2
+                WHERE cm.author_id = $2 AND cm.deleted_at IS NULL
                 
                 ORDER BY timestamp DESC
                 LIMIT $3
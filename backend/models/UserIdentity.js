@@ -0,0 +1,114 @@
+const { get, query, run } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+/**
+ * User Identity Model
+ * Accounts at OpenID Connect providers linked to users, keyed by the
+ * provider's stable subject ID. A user can link one account per provider.
+ */
+
+class UserIdentityModel {
+    /**
+     * Find the identity for a provider account
+     */
+    static async findBySubject(provider, subject) {
+        try {
+            return await get(`
+                SELECT id, user_id, provider, subject, email
+                FROM user_identities
+                WHERE provider = $1 AND subject = $2
+            `, [provider, subject]);
+        } catch (error) {
+            logger.error('Error finding user identity', error, { provider });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the identities linked to a user
+     */
+    static async getForUser(userId) {
+        try {
+            return await query(`
+                SELECT id, provider, email, created_at, last_login_at
+                FROM user_identities
+                WHERE user_id = $1
+                ORDER BY created_at
+            `, [userId]);
+        } catch (error) {
+            logger.error('Error getting user identities', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Link a provider account to a user
+     * Returns false if the account is linked already, or the user has another account at that provider.
+     */
+    static async link(userId, { provider, subject, email = null }) {
+        try {
+            const result = await run(`
+                INSERT INTO user_identities (user_id, provider, subject, email, created_at)
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+                ON CONFLICT DO NOTHING
+            `, [userId, provider, subject, email]);
+
+            if (result.changes > 0) {
+                logger.logAuth('Social account linked', userId, { provider });
+            }
+
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error linking user identity', error, { userId, provider });
+            throw error;
+        }
+    }
+
+    /**
+     * Note a sign-in with an identity, keeping its email current
+     */
+    static async recordLogin(identityId, email = null) {
+        try {
+            await run(`
+                UPDATE user_identities
+                SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE($2, email)
+                WHERE id = $1
+            `, [identityId, email]);
+        } catch (error) {
+            logger.error('Error recording identity login', error, { identityId });
+            throw error;
+        }
+    }
+
+    /**
+     * Unlink a provider account from a user
+     * An account that is the user's only way to sign in stays linked.
+     * Returns 'unlinked', 'not_found' or 'last_login_method'.
+     */
+    static async unlink(userId, provider) {
+        try {
+            const result = await run(`
+                DELETE FROM user_identities i
+                WHERE i.user_id = $1 AND i.provider = $2
+                    AND (
+                        EXISTS (SELECT 1 FROM users u WHERE u.id = i.user_id AND u.has_password = true)
+                        OR EXISTS (SELECT 1 FROM user_identities o WHERE o.user_id = i.user_id AND o.id <> i.id)
+                    )
+            `, [userId, provider]);
+
+            if (result.changes > 0) {
+                logger.logAuth('Social account unlinked', userId, { provider });
+                return 'unlinked';
+            }
+
+            const identity = await get('SELECT id FROM user_identities WHERE user_id = $1 AND provider = $2', [userId, provider]);
+
+            return identity ? 'last_login_method' : 'not_found';
+        } catch (error) {
+            logger.error('Error unlinking user identity', error, { userId, provider });
+            throw error;
+        }
+    }
+}
+
+module.exports = UserIdentityModel;
@@ -0,0 +1,144 @@
+const { query, transaction } = require('../config/database');
+const constants = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * User Sanction Model
+ * Changes account status and keeps the history of suspensions, bans and
+ * reinstatements. Suspensions with an end date are lifted by expireDue().
+ */
+
+// History entry written for a change to each status
+const STATUS_ACTIONS = {
+    [constants.USER_STATUS.SUSPENDED]: constants.SANCTION_ACTIONS.SUSPEND,
+    [constants.USER_STATUS.BANNED]: constants.SANCTION_ACTIONS.BAN,
+    [constants.USER_STATUS.INACTIVE]: constants.SANCTION_ACTIONS.DEACTIVATE,
+    [constants.USER_STATUS.ACTIVE]: constants.SANCTION_ACTIONS.REINSTATE
+};
+
+// Guards the statements that follow the status update, so they only apply when it did
+const USER_EXISTS = 'EXISTS (SELECT 1 FROM users WHERE id = $1 AND deleted_at IS NULL)';
+
+class UserSanctionModel {
+    /**
+     * Set a user's status and record it in their history
+     * Anything other than active also ends all of the user's sessions. Deleted
+     * users are left untouched: no history row, no session change.
+     */
+    static async apply(userId, { status, reason = null, suspendedUntil = null, issuedBy = null }) {
+        try {
+            const isActive = status === constants.USER_STATUS.ACTIVE;
+            const until = status === constants.USER_STATUS.SUSPENDED ? suspendedUntil : null;
+
+            const statements = [
+                {
+                    sql: `
+                        UPDATE users
+                        SET
+                            status = $2,
+                            suspended_until = $3,
+                            suspension_reason = $4,
+                            suspended_by = $5,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $1 AND deleted_at IS NULL
+                    `,
+                    params: [userId, status, until, isActive ? null : reason, isActive ? null : issuedBy]
+                },
+                {
+                    sql: `
+                        INSERT INTO user_sanctions (user_id, action, reason, expires_at, issued_by, created_at)
+                        SELECT $1::INTEGER, $2, $3, $4::TIMESTAMP, $5::INTEGER, CURRENT_TIMESTAMP
+                        WHERE ${USER_EXISTS}
+                    `,
+                    params: [userId, STATUS_ACTIONS[status], reason, until, issuedBy]
+                }
+            ];
+
+            if (!isActive) {
+                statements.push({
+                    sql: `UPDATE user_sessions SET is_active = false WHERE user_id = $1 AND ${USER_EXISTS}`,
+                    params: [userId]
+                });
+            }
+
+            const [result] = await transaction(statements);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            logger.logAuth('User status changed', userId, { status, suspendedUntil: until, issuedBy });
+
+            return true;
+        } catch (error) {
+            logger.error('Error changing user status', error, { userId, status });
+            throw error;
+        }
+    }
+
+    /**
+     * Reinstate suspended users whose suspension has ended
+     * Pass a user ID to check just that user (used at login, so nobody waits for the job).
+     * Returns the IDs of the users reinstated.
+     */
+    static async expireDue(userId = null) {
+        try {
+            const expired = await query(`
+                WITH expired AS (
+                    UPDATE users
+                    SET
+                        status = '${constants.USER_STATUS.ACTIVE}',
+                        suspended_until = NULL,
+                        suspension_reason = NULL,
+                        suspended_by = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE status = '${constants.USER_STATUS.SUSPENDED}'
+                        AND suspended_until <= CURRENT_TIMESTAMP
+                        AND ($1::INTEGER IS NULL OR id = $1)
+                    RETURNING id
+                )
+                INSERT INTO user_sanctions (user_id, action, created_at)
+                SELECT id, '${constants.SANCTION_ACTIONS.EXPIRE}', CURRENT_TIMESTAMP FROM expired
+                RETURNING user_id
+            `, [userId]);
+
+            const userIds = expired.map(row => row.user_id);
+
+            if (userIds.length > 0) {
+                logger.info('Suspensions expired', { userIds });
+            }
+
+            return userIds;
+        } catch (error) {
+            logger.error('Error expiring suspensions', error, { userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's sanction history, newest first
+     */
+    static async getHistory(userId) {
+        try {
+            return await query(`
+                SELECT
+                    s.id,
+                    s.action,
+                    s.reason,
+                    s.expires_at,
+                    s.issued_by,
+                    s.created_at,
+                    COALESCE(u.display_name, u.first_name || ' ' || u.last_name) as issued_by_name
+                FROM user_sanctions s
+                LEFT JOIN users u ON s.issued_by = u.id
+                WHERE s.user_id = $1
+                ORDER BY s.created_at DESC, s.id DESC
+            `, [userId]);
+        } catch (error) {
+            logger.error('Error getting sanction history', error, { userId });
+            throw error;
+        }
+    }
+}
+
+module.exports = UserSanctionModel;
@@ -3,13 +3,29 @@ const UserModel = require('../models/User');
 const ContentModel = require('../models/Content');
 const CommentModel = require('../models/Comment');
 const CategoryModel = require('../models/Category');
-const { verifyToken, requireModerator, requireAdmin } = require('../middleware/auth');
-const { validateAdminUserUpdate, validateSettings, validatePagination } = require('../middleware/validation');
+const ReportModel = require('../models/Report');
+const EmailOutboxModel = require('../models/EmailOutbox');
+const NotificationModel = require('../models/Notification');
+const RoleModel = require('../models/Role');
+const ModeratorCategoryModel = require('../models/ModeratorCategory');
+const AuditLogModel = require('../models/AuditLog');
+const TrashModel = require('../models/Trash');
+const UserSanctionModel = require('../models/UserSanction');
+const TwoFactorModel = require('../models/TwoFactor');
+const MediaModel = require('../models/Media');
+const { verifyToken, requirePermission, hasPermission, checkModerationScope } = require('../middleware/auth');
+const { validateAdminUserUpdate, validateUserStatus, validateSettings, validatePagination, validateReportClose, validateRoleCreation, validateRolePermissions, validateModeratorCategories, validateModerationReason, validateModerationDecision, validateAuditQuery, validateTrashQuery, validateTrashItem, validateMediaQuery, sanitizeProfileHtml } = require('../middleware/validation');
 const { adminRateLimit } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
 const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 const { query, get, run } = require('../config/database');
 const { logger } = require('../utils/logger');
+const { jobRunner } = require('../utils/jobRunner');
+const { sendReplyNotification, sendModerationOutcome } = require('../utils/emailNotifications');
+const { contentEvents } = require('../utils/contentEvents');
+const { getPolicy } = require('../utils/moderationPolicy');
+const { recordAudit, changedValues, toAuditCsv } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -21,12 +37,139 @@ const router = express.Router();
 // Apply admin rate limiting and authentication to all routes
 router.use(adminRateLimit);
 router.use(verifyToken);
-router.use(requireModerator);
+router.use(requirePermission(PERMISSIONS.ADMIN_ACCESS));
+
+/**
+ * Apply a moderator's approve/reject decision to a post or comment
+ * The decision and reason always go to the audit log; the author is told and
+ * live pages are updated only when the status actually changes.
+ */
+const applyModerationDecision = async (req, { itemType, item, approved, reason = null, publishNow = false }) => {
+    const STATUS = constants.CONTENT_STATUS;
+    // Posts sent for review with a future publish date wait for it once approved, unless published outright
+    const scheduled = itemType !== 'comment' && !publishNow && item.publish_at && new Date(item.publish_at) > new Date();
+    const newStatus = approved ? (scheduled ? STATUS.SCHEDULED : STATUS.PUBLISHED) : STATUS.REJECTED;
+
+    if (itemType === 'comment') {
+        const success = await CommentModel.moderate(item.id, approved ? 'approve' : 'reject', req.user.id);
+        if (!success) {
+            return false;
+        }
+    } else {
+        await ContentModel.update(item.id, { status: newStatus }, { editorId: req.user.id });
+    }
+
+    await recordAudit(req, {
+        action: approved ? constants.AUDIT_ACTIONS.MODERATION_APPROVE : constants.AUDIT_ACTIONS.MODERATION_REJECT,
+        resourceType: itemType,
+        resourceId: item.id,
+        oldValues: { status: item.status },
+        newValues: { status: newStatus, reason }
+    });
+
+    logger.info('Moderation decision recorded', {
+        itemType,
+        itemId: item.id,
+        moderatorId: req.user.id,
+        oldStatus: item.status,
+        newStatus
+    });
+
+    if (item.status === newStatus) {
+        return true;
+    }
+
+    await NotificationModel.notifyModerationDecision({ itemType, item, approved, moderatorId: req.user.id, reason });
+    await sendModerationOutcome({
+        authorId: item.author_id,
+        itemType: itemType === 'comment' ? 'comment' : item.type,
+        itemTitle: itemType === 'comment' ? item.body : item.title,
+        approved,
+        reason,
+        contentId: approved ? (itemType === 'comment' ? item.content_id : item.id) : null
+    });
+
+    if (itemType === 'comment') {
+        if (approved) {
+            // Replies held for moderation notify the parent author once they go live
+            const publishedComment = { ...item, status: STATUS.PUBLISHED };
+            await NotificationModel.notifyCommentReply(publishedComment);
+            await sendReplyNotification(publishedComment);
+
+            await contentEvents.publish(item.content_id, constants.CONTENT_EVENTS.COMMENT_CREATED, { commentId: item.id });
+        } else if (item.status === STATUS.PUBLISHED) {
+            // Take a previously visible comment off open pages
+            await contentEvents.publish(item.content_id, constants.CONTENT_EVENTS.COMMENT_DELETED, { commentId: item.id });
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Check that a status change carries the details it needs
+ * Returns an error message, or null when the change can go ahead.
+ */
+const getSanctionDetailsError = ({ status, reason, suspendedUntil }) => {
+    const USER_STATUS = constants.USER_STATUS;
+
+    if ((status === USER_STATUS.SUSPENDED || status === USER_STATUS.BANNED) && !reason) {
+        return 'A reason is required when suspending or banning a user';
+    }
+    if (status === USER_STATUS.SUSPENDED && !suspendedUntil) {
+        return 'A suspension end date is required';
+    }
+    return null;
+};
+
+/**
+ * Change a user's account status, recording it in their sanction history and the audit log
+ */
+const changeUserStatus = async (req, user, { status, reason = null, suspendedUntil = null }) => {
+    const applied = await UserSanctionModel.apply(user.id, {
+        status,
+        reason,
+        suspendedUntil,
+        issuedBy: req.user.id
+    });
+
+    if (!applied) {
+        return false;
+    }
+
+    const isSuspension = status === constants.USER_STATUS.SUSPENDED;
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.USER_STATUS_CHANGE,
+        resourceType: 'user',
+        resourceId: user.id,
+        oldValues: {
+            status: user.status,
+            suspended_until: user.suspended_until || null,
+            reason: user.suspension_reason || null
+        },
+        newValues: {
+            status,
+            suspended_until: isSuspension ? suspendedUntil : null,
+            reason
+        }
+    });
+
+    logger.info('User status updated by moderator', {
+        targetUserId: user.id,
+        moderatorId: req.user.id,
+        oldStatus: user.status,
+        newStatus: status,
+        suspendedUntil: isSuspension ? suspendedUntil : null
+    });
+
+    return true;
+};
 
 /**
  * @route   GET /api/admin/stats
  * @desc    Get admin dashboard statistics
- * @access  Private (Moderator, Admin)
+ * @access  Private (admin.access)
  */
 router.get('/stats', asyncHandler(async (req, res) => {
     try {
@@ -47,6 +190,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
                     COUNT(CASE WHEN created_at > datetime('now', '-7 days') THEN 1 END) as newUsersWeek,
                     COUNT(CASE WHEN last_login_at > datetime('now', '-24 hours') THEN 1 END) as activeUsers24h
                 FROM users
+                WHERE deleted_at IS NULL
             `),
             
             // Content statistics
@@ -57,6 +201,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
                     COUNT(CASE WHEN status = 'draft' THEN 1 END) as draftContent,
                     COUNT(CASE WHEN status = 'pending' THEN 1 END) as pendingContent
                 FROM content
+                WHERE deleted_at IS NULL
             `),
             
             // Comment statistics
@@ -67,6 +212,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
                     COUNT(CASE WHEN status = 'pending' THEN 1 END) as pendingComments,
                     COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejectedComments
                 FROM comments
+                WHERE deleted_at IS NULL
             `),
             
             // Category statistics
@@ -96,7 +242,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/admin/activity
  * @desc    Get recent platform activity
- * @access  Private (Moderator, Admin)
+ * @access  Private (admin.access)
  */
 router.get('/activity', asyncHandler(async (req, res) => {
     try {
@@ -112,7 +258,7 @@ router.get('/activity', asyncHandler(async (req, res) => {
                 COALESCE(u.display_name, u.first_name || ' ' || u.last_name) as author_name
             FROM content c
             LEFT JOIN users u ON c.author_id = u.id
-            WHERE c.created_at > datetime('now', '-7 days')
+            WHERE c.created_at > datetime('now', '-7 days') AND c.deleted_at IS NULL
             ORDER BY c.created_at DESC
             LIMIT 50
         `);
@@ -130,7 +276,7 @@ router.get('/activity', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/admin/system-status
  * @desc    Get system status and health metrics
- * @access  Private (Moderator, Admin)
+ * @access  Private (admin.access)
  */
 router.get('/system-status', asyncHandler(async (req, res) => {
     try {
@@ -159,6 +305,8 @@ router.get('/system-status', asyncHandler(async (req, res) => {
             totalMemory: formatBytes(memory.heapTotal),
             nodeVersion: process.version,
             platform: process.platform,
+            jobs: jobRunner.getStatus(),
+            emailOutbox: await EmailOutboxModel.getStats(),
             timestamp: new Date().toISOString()
         };
 
@@ -175,9 +323,9 @@ router.get('/system-status', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/admin/users
  * @desc    Get paginated users list with search and filters
- * @access  Private (Moderator, Admin)
+ * @access  Private (users.view)
  */
-router.get('/users', validatePagination, asyncHandler(async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USERS_VIEW), validatePagination, asyncHandler(async (req, res) => {
     const {
         page = 1,
         limit = 20,
@@ -209,9 +357,9 @@ router.get('/users', validatePagination, asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/admin/users/:id
  * @desc    Get single user by ID
- * @access  Private (Moderator, Admin)
+ * @access  Private (users.view)
  */
-router.get('/users/:id', asyncHandler(async (req, res) => {
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_VIEW), asyncHandler(async (req, res) => {
     const user = await UserModel.findById(req.params.id);
     
     if (!user) {
@@ -225,18 +373,20 @@ router.get('/users/:id', asyncHandler(async (req, res) => {
     // Remove sensitive data
     delete user.password_hash;
 
+    const sanctions = await UserSanctionModel.getHistory(user.id);
+
     res.json({
         success: true,
-        data: { user }
+        data: { user, sanctions }
     });
 }));
 
 /**
  * @route   PUT /api/admin/users/:id
  * @desc    Update user profile, role, status, and password
- * @access  Private (Admin)
+ * @access  Private (users.manage)
  */
-router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(async (req, res) => {
+router.put('/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), sanitizeProfileHtml, validateAdminUserUpdate, asyncHandler(async (req, res) => {
     const { 
         email, 
         firstName, 
@@ -246,6 +396,9 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
         bio, 
         role, 
         status, 
+        reason,
+        suspendedUntil,
+        trusted,
         emailVerified, 
         newPassword 
     } = req.body;
@@ -268,6 +421,37 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
         });
     }
 
+    // Roles are stored in the database, so check the name against it
+    if (role && !(await RoleModel.findByName(role))) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Role does not exist',
+            code: 'INVALID_ROLE'
+        });
+    }
+
+    // A new end date on a suspended user replaces their current suspension
+    const statusChanged = !!status && (status !== user.status ||
+        (status === constants.USER_STATUS.SUSPENDED && !!suspendedUntil));
+
+    // Changing account status is the separate users.ban permission
+    if (statusChanged && !(await hasPermission(req.user, PERMISSIONS.USERS_BAN))) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'INSUFFICIENT_PERMISSIONS'
+        });
+    }
+
+    const sanctionError = statusChanged && getSanctionDetailsError({ status, reason, suspendedUntil });
+    if (sanctionError) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: sanctionError,
+            code: 'SANCTION_DETAILS_REQUIRED'
+        });
+    }
+
     // Validate email uniqueness if email is being changed
     if (email && email !== user.email) {
         const existingUser = await query('SELECT id FROM users WHERE email = $1 AND id != $2', [email, req.params.id]);
@@ -289,7 +473,7 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
     if (faithTradition !== undefined) updateData.faith_tradition = faithTradition;
     if (bio !== undefined) updateData.bio = bio;
     if (role) updateData.role = role;
-    if (status) updateData.status = status;
+    if (trusted !== undefined) updateData.is_trusted = !!trusted;
     if (emailVerified !== undefined) updateData.email_verified = emailVerified ? 1 : 0;
 
     // Handle password update
@@ -301,7 +485,7 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
 
     // Update user
     const updateFields = Object.keys(updateData);
-    if (updateFields.length === 0) {
+    if (updateFields.length === 0 && !statusChanged) {
         return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
             success: false,
             message: 'No fields to update',
@@ -309,15 +493,22 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
         });
     }
 
-    const setClause = updateFields.map((field, index) => `${field} = $${index + 1}`).join(', ');
-    const values = updateFields.map(field => updateData[field]);
-    values.push(req.params.id);
+    if (updateFields.length > 0) {
+        const setClause = updateFields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+        const values = updateFields.map(field => updateData[field]);
+        values.push(req.params.id);
+
+        await run(`
+            UPDATE users 
+            SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${values.length}
+        `, values);
+    }
 
-    await run(`
-        UPDATE users 
-        SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $${values.length}
-    `, values);
+    // Status goes through the sanction history, which also ends the user's sessions
+    if (statusChanged) {
+        await changeUserStatus(req, user, { status, reason: reason || null, suspendedUntil: suspendedUntil || null });
+    }
 
     // Get updated user
     const updatedUser = await UserModel.findById(req.params.id);
@@ -330,6 +521,31 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
         passwordChanged: !!newPassword
     });
 
+    // Role changes get their own audit action so they can be filtered on
+    const { role: newRole, password_hash: passwordHash, ...profileData } = updateData;
+    const profileChanges = changedValues(user, profileData);
+    if (profileChanges || passwordHash) {
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.USER_UPDATE,
+            resourceType: 'user',
+            resourceId: user.id,
+            oldValues: profileChanges ? profileChanges.oldValues : null,
+            newValues: {
+                ...(profileChanges ? profileChanges.newValues : {}),
+                ...(passwordHash ? { password_changed: true } : {})
+            }
+        });
+    }
+    if (newRole && newRole !== user.role) {
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.USER_ROLE_CHANGE,
+            resourceType: 'user',
+            resourceId: user.id,
+            oldValues: { role: user.role },
+            newValues: { role: newRole }
+        });
+    }
+
     res.json({
         success: true,
         message: 'User updated successfully',
@@ -339,21 +555,57 @@ router.put('/users/:id', requireAdmin, validateAdminUserUpdate, asyncHandler(asy
 
 /**
  * @route   PUT /api/admin/users/:id/status
- * @desc    Update user status only
- * @access  Private (Moderator, Admin)
+ * @desc    Update user status only; suspensions need a reason and end date, bans a reason
+ * @access  Private (users.ban)
  */
-router.put('/users/:id/status', asyncHandler(async (req, res) => {
-    const { status } = req.body;
+router.put('/users/:id/status', requirePermission(PERMISSIONS.USERS_BAN), validateUserStatus, asyncHandler(async (req, res) => {
+    const { status, reason = null, suspendedUntil = null } = req.body;
+
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND'
+        });
+    }
+
+    // Prevent self-modification
+    if (parseInt(req.params.id) === req.user.id) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: 'Cannot modify your own account',
+            code: 'CANNOT_MODIFY_SELF'
+        });
+    }
 
-    // Validate status
-    if (!Object.values(constants.USER_STATUS).includes(status)) {
+    const sanctionError = getSanctionDetailsError({ status, reason, suspendedUntil });
+    if (sanctionError) {
         return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
             success: false,
-            message: 'Invalid status',
-            code: 'INVALID_STATUS'
+            message: sanctionError,
+            code: 'SANCTION_DETAILS_REQUIRED'
         });
     }
 
+    await changeUserStatus(req, user, { status, reason, suspendedUntil });
+
+    const updatedUser = await UserModel.findById(user.id);
+    delete updatedUser.password_hash;
+
+    res.json({
+        success: true,
+        message: 'User status updated successfully',
+        data: { user: updatedUser }
+    });
+}));
+
+/**
+ * @route   DELETE /api/admin/users/:id/two-factor
+ * @desc    Turn off a user's two-factor authentication (lost device and recovery codes)
+ * @access  Private (users.manage)
+ */
+router.delete('/users/:id/two-factor', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
     const user = await UserModel.findById(req.params.id);
     if (!user) {
         return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
@@ -363,8 +615,8 @@ router.put('/users/:id/status', asyncHandler(async (req, res) => {
         });
     }
 
-    // Prevent self-modification
-    if (parseInt(req.params.id) === req.user.id) {
+    // Admins turn off their own 2FA from their account settings, which asks for a code
+    if (user.id === req.user.id) {
         return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
             success: false,
             message: 'Cannot modify your own account',
@@ -372,28 +624,41 @@ router.put('/users/:id/status', asyncHandler(async (req, res) => {
         });
     }
 
-    const updatedUser = await UserModel.updateUserRoleStatus(req.params.id, { status });
+    if (!user.two_factor_enabled) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Two-factor authentication is not enabled for this user',
+            code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+    }
 
-    logger.info('User status updated by moderator', {
-        targetUserId: req.params.id,
-        moderatorId: req.user.id,
-        oldStatus: user.status,
-        newStatus: status
+    await TwoFactorModel.disable(user.id);
+
+    logger.logSecurity('Two-factor authentication reset by admin', {
+        targetUserId: user.id,
+        adminId: req.user.id
+    });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.USER_TWO_FACTOR_RESET,
+        resourceType: 'user',
+        resourceId: user.id,
+        oldValues: { two_factor_enabled: true },
+        newValues: { two_factor_enabled: false }
     });
 
     res.json({
         success: true,
-        message: 'User status updated successfully',
-        data: { user: updatedUser }
+        message: 'Two-factor authentication reset. The user can set it up again from their account settings.'
     });
 }));
 
 /**
  * @route   DELETE /api/admin/users/:id
  * @desc    Delete user
- * @access  Private (Admin)
+ * @access  Private (users.manage)
  */
-router.delete('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
+router.delete('/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
     const user = await UserModel.findById(req.params.id);
     if (!user) {
         return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
@@ -412,7 +677,7 @@ router.delete('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
         });
     }
 
-    const deleted = await UserModel.deleteUser(req.params.id);
+    const deleted = await UserModel.deleteUser(req.params.id, req.user.id);
     if (!deleted) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -426,18 +691,115 @@ router.delete('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
         adminId: req.user.id
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.USER_DELETE,
+        resourceType: 'user',
+        resourceId: user.id,
+        oldValues: {
+            email: user.email,
+            display_name: user.display_name,
+            role: user.role,
+            status: user.status
+        }
+    });
+
     res.json({
         success: true,
         message: 'User deleted successfully'
     });
 }));
 
+/**
+ * @route   GET /api/admin/users/:id/categories
+ * @desc    Get the categories a moderator is limited to
+ * @access  Private (users.view)
+ */
+router.get('/users/:id/categories', requirePermission(PERMISSIONS.USERS_VIEW), asyncHandler(async (req, res) => {
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND'
+        });
+    }
+
+    const categories = await ModeratorCategoryModel.getForUser(user.id);
+
+    res.json({
+        success: true,
+        data: { categories }
+    });
+}));
+
+/**
+ * @route   PUT /api/admin/users/:id/categories
+ * @desc    Limit a moderator to categories (and their subcategories); an empty list removes the limit
+ * @access  Private (users.manage)
+ */
+router.put('/users/:id/categories', requirePermission(PERMISSIONS.USERS_MANAGE), validateModeratorCategories, asyncHandler(async (req, res) => {
+    const { categoryIds } = req.body;
+
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND'
+        });
+    }
+
+    if (categoryIds.length > 0) {
+        const canModerate = await RoleModel.hasPermission(user.role, PERMISSIONS.CONTENT_MODERATE) ||
+            await RoleModel.hasPermission(user.role, PERMISSIONS.COMMENTS_MODERATE);
+        if (!canModerate) {
+            return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: 'Only users whose role can moderate can be assigned categories',
+                code: 'NOT_A_MODERATOR'
+            });
+        }
+
+        const existing = await query('SELECT id FROM categories WHERE id = ANY($1::int[])', [categoryIds]);
+        if (existing.length !== new Set(categoryIds.map(id => parseInt(id))).size) {
+            return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: 'One or more categories do not exist',
+                code: 'INVALID_CATEGORY'
+            });
+        }
+    }
+
+    const previous = await ModeratorCategoryModel.getForUser(user.id);
+    const categories = await ModeratorCategoryModel.setForUser(user.id, categoryIds, req.user.id);
+
+    logger.logSecurity('Moderator categories changed', {
+        targetUserId: user.id,
+        categoryIds,
+        adminId: req.user.id
+    });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.USER_CATEGORIES,
+        resourceType: 'user',
+        resourceId: user.id,
+        oldValues: { categoryIds: previous.map(category => category.id) },
+        newValues: { categoryIds: categories.map(category => category.id) }
+    });
+
+    res.json({
+        success: true,
+        message: 'Moderator categories updated successfully',
+        data: { categories }
+    });
+}));
+
 /**
  * @route   GET /api/admin/content
  * @desc    Get all content for moderation
- * @access  Private (Moderator, Admin)
+ * @access  Private (content.moderate)
  */
-router.get('/content', validatePagination, asyncHandler(async (req, res) => {
+router.get('/content', requirePermission(PERMISSIONS.CONTENT_MODERATE), validatePagination, asyncHandler(async (req, res) => {
     const {
         page = 1,
         limit = 20,
@@ -457,7 +819,8 @@ router.get('/content', validatePagination, asyncHandler(async (req, res) => {
         author: author ? parseInt(author) : '',
         search,
         sort,
-        order
+        order,
+        categoryIds: await ModeratorCategoryModel.getScope(req.user.id)
     };
 
     const result = await ContentModel.getContent(options);
@@ -468,13 +831,82 @@ router.get('/content', validatePagination, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * @route   GET /api/admin/content/scheduled
+ * @desc    Get content waiting for scheduled publishing
+ * @access  Private (content.moderate)
+ */
+router.get('/content/scheduled', requirePermission(PERMISSIONS.CONTENT_MODERATE), validatePagination, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await ContentModel.getScheduled({
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 100),
+        categoryIds: await ModeratorCategoryModel.getScope(req.user.id)
+    });
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+/**
+ * @route   DELETE /api/admin/content/:id/schedule
+ * @desc    Cancel scheduled publishing and return content to draft
+ * @access  Private (content.moderate)
+ */
+router.delete('/content/:id/schedule', requirePermission(PERMISSIONS.CONTENT_MODERATE), asyncHandler(async (req, res) => {
+    const content = await ContentModel.findById(req.params.id);
+    if (!content) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Content not found',
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (!(await checkModerationScope(req, res, content.category_id))) {
+        return;
+    }
+
+    const cancelled = await ContentModel.cancelSchedule(req.params.id);
+    if (!cancelled) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'Content is not scheduled',
+            code: 'CONTENT_NOT_SCHEDULED'
+        });
+    }
+
+    logger.info('Scheduled publishing cancelled by moderator', {
+        contentId: req.params.id,
+        moderatorId: req.user.id,
+        publishAt: content.publish_at
+    });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CONTENT_SCHEDULE_CANCEL,
+        resourceType: 'content',
+        resourceId: content.id,
+        oldValues: { status: content.status, publish_at: content.publish_at },
+        newValues: { status: constants.CONTENT_STATUS.DRAFT, publish_at: null }
+    });
+
+    res.json({
+        success: true,
+        message: 'Scheduled publishing cancelled',
+        data: { content: await ContentModel.findById(req.params.id) }
+    });
+}));
+
 /**
  * @route   PUT /api/admin/content/:id/status
  * @desc    Update content status
- * @access  Private (Moderator, Admin)
+ * @access  Private (content.moderate)
  */
-router.put('/content/:id/status', asyncHandler(async (req, res) => {
-    const { status } = req.body;
+router.put('/content/:id/status', requirePermission(PERMISSIONS.CONTENT_MODERATE), validateModerationReason, asyncHandler(async (req, res) => {
+    const { status, reason } = req.body;
 
     if (!Object.values(constants.CONTENT_STATUS).includes(status)) {
         return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
@@ -493,14 +925,49 @@ router.put('/content/:id/status', asyncHandler(async (req, res) => {
         });
     }
 
-    const updatedContent = await ContentModel.update(req.params.id, { status });
+    if (!(await checkModerationScope(req, res, content.category_id))) {
+        return;
+    }
 
-    logger.info('Content status updated by moderator', {
-        contentId: req.params.id,
-        moderatorId: req.user.id,
-        oldStatus: content.status,
-        newStatus: status
-    });
+    // Scheduling from here reuses the publish time already set on the content
+    if (status === constants.CONTENT_STATUS.SCHEDULED &&
+        (!content.publish_at || new Date(content.publish_at).getTime() <= Date.now())) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Content has no future publish date to schedule for',
+            code: 'INVALID_PUBLISH_DATE'
+        });
+    }
+
+    // Publishing or rejecting is a moderation decision; other moves are plain status changes
+    if ([constants.CONTENT_STATUS.PUBLISHED, constants.CONTENT_STATUS.REJECTED].includes(status)) {
+        await applyModerationDecision(req, {
+            itemType: 'content',
+            item: content,
+            approved: status === constants.CONTENT_STATUS.PUBLISHED,
+            reason: reason || null,
+            publishNow: true
+        });
+    } else {
+        await ContentModel.update(req.params.id, { status }, { editorId: req.user.id });
+
+        logger.info('Content status updated by moderator', {
+            contentId: req.params.id,
+            moderatorId: req.user.id,
+            oldStatus: content.status,
+            newStatus: status
+        });
+
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.CONTENT_STATUS_CHANGE,
+            resourceType: 'content',
+            resourceId: content.id,
+            oldValues: { status: content.status },
+            newValues: { status }
+        });
+    }
+
+    const updatedContent = await ContentModel.findById(req.params.id);
 
     res.json({
         success: true,
@@ -512,9 +979,9 @@ router.put('/content/:id/status', asyncHandler(async (req, res) => {
 /**
  * @route   PUT /api/admin/content/:id/featured
  * @desc    Update content featured status
- * @access  Private (Moderator, Admin)
+ * @access  Private (content.moderate)
  */
-router.put('/content/:id/featured', asyncHandler(async (req, res) => {
+router.put('/content/:id/featured', requirePermission(PERMISSIONS.CONTENT_MODERATE), asyncHandler(async (req, res) => {
     const { featured } = req.body;
 
     const content = await ContentModel.findById(req.params.id);
@@ -526,6 +993,10 @@ router.put('/content/:id/featured', asyncHandler(async (req, res) => {
         });
     }
 
+    if (!(await checkModerationScope(req, res, content.category_id))) {
+        return;
+    }
+
     const success = await ContentModel.updateFeaturedStatus(req.params.id, featured);
     if (!success) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
@@ -541,6 +1012,14 @@ router.put('/content/:id/featured', asyncHandler(async (req, res) => {
         featured
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CONTENT_FEATURED,
+        resourceType: 'content',
+        resourceId: content.id,
+        oldValues: { is_featured: !!content.is_featured },
+        newValues: { is_featured: !!featured }
+    });
+
     res.json({
         success: true,
         message: 'Featured status updated successfully'
@@ -550,9 +1029,9 @@ router.put('/content/:id/featured', asyncHandler(async (req, res) => {
 /**
  * @route   DELETE /api/admin/content/:id
  * @desc    Delete content
- * @access  Private (Moderator, Admin)
+ * @access  Private (content.delete_any)
  */
-router.delete('/content/:id', asyncHandler(async (req, res) => {
+router.delete('/content/:id', requirePermission(PERMISSIONS.CONTENT_DELETE_ANY), asyncHandler(async (req, res) => {
     const content = await ContentModel.findById(req.params.id);
     if (!content) {
         return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
@@ -562,7 +1041,11 @@ router.delete('/content/:id', asyncHandler(async (req, res) => {
         });
     }
 
-    const success = await ContentModel.delete(req.params.id);
+    if (!(await checkModerationScope(req, res, content.category_id))) {
+        return;
+    }
+
+    const success = await ContentModel.delete(req.params.id, req.user.id);
     if (!success) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -577,6 +1060,18 @@ router.delete('/content/:id', asyncHandler(async (req, res) => {
         contentTitle: content.title
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CONTENT_DELETE,
+        resourceType: 'content',
+        resourceId: content.id,
+        oldValues: {
+            title: content.title,
+            type: content.type,
+            status: content.status,
+            author_id: content.author_id
+        }
+    });
+
     res.json({
         success: true,
         message: 'Content deleted successfully'
@@ -586,9 +1081,9 @@ router.delete('/content/:id', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/admin/comments
  * @desc    Get comments for moderation
- * @access  Private (Moderator, Admin)
+ * @access  Private (comments.moderate)
  */
-router.get('/comments', validatePagination, asyncHandler(async (req, res) => {
+router.get('/comments', requirePermission(PERMISSIONS.COMMENTS_MODERATE), validatePagination, asyncHandler(async (req, res) => {
     const {
         page = 1,
         limit = 20,
@@ -598,7 +1093,8 @@ router.get('/comments', validatePagination, asyncHandler(async (req, res) => {
     const options = {
         page: parseInt(page),
         limit: Math.min(parseInt(limit), 100),
-        status
+        status,
+        categoryIds: await ModeratorCategoryModel.getScope(req.user.id)
     };
 
     const result = await CommentModel.getForModeration(options);
@@ -612,10 +1108,10 @@ router.get('/comments', validatePagination, asyncHandler(async (req, res) => {
 /**
  * @route   PUT /api/admin/comments/:id/moderate
  * @desc    Moderate comment (approve/reject)
- * @access  Private (Moderator, Admin)
+ * @access  Private (comments.moderate)
  */
-router.put('/comments/:id/moderate', asyncHandler(async (req, res) => {
-    const { action } = req.body;
+router.put('/comments/:id/moderate', requirePermission(PERMISSIONS.COMMENTS_MODERATE), validateModerationReason, asyncHandler(async (req, res) => {
+    const { action, reason } = req.body;
 
     if (!['approve', 'reject'].includes(action)) {
         return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
@@ -634,7 +1130,17 @@ router.put('/comments/:id/moderate', asyncHandler(async (req, res) => {
         });
     }
 
-    const success = await CommentModel.moderate(req.params.id, action, req.user.id);
+    const commentContent = await ContentModel.findById(comment.content_id);
+    if (!(await checkModerationScope(req, res, commentContent ? commentContent.category_id : null))) {
+        return;
+    }
+
+    const success = await applyModerationDecision(req, {
+        itemType: 'comment',
+        item: comment,
+        approved: action === 'approve',
+        reason: reason || null
+    });
     if (!success) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -643,12 +1149,6 @@ router.put('/comments/:id/moderate', asyncHandler(async (req, res) => {
         });
     }
 
-    logger.info('Comment moderated', {
-        commentId: req.params.id,
-        moderatorId: req.user.id,
-        action
-    });
-
     res.json({
         success: true,
         message: `Comment ${action}d successfully`
@@ -658,9 +1158,9 @@ router.put('/comments/:id/moderate', asyncHandler(async (req, res) => {
 /**
  * @route   PUT /api/admin/comments/:id/approve
  * @desc    Approve comment
- * @access  Private (Moderator, Admin)
+ * @access  Private (comments.moderate)
  */
-router.put('/comments/:id/approve', asyncHandler(async (req, res) => {
+router.put('/comments/:id/approve', requirePermission(PERMISSIONS.COMMENTS_MODERATE), validateModerationReason, asyncHandler(async (req, res) => {
     const comment = await CommentModel.findById(req.params.id);
     if (!comment) {
         return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
@@ -670,7 +1170,17 @@ router.put('/comments/:id/approve', asyncHandler(async (req, res) => {
         });
     }
 
-    const success = await CommentModel.moderate(req.params.id, 'approve', req.user.id);
+    const commentContent = await ContentModel.findById(comment.content_id);
+    if (!(await checkModerationScope(req, res, commentContent ? commentContent.category_id : null))) {
+        return;
+    }
+
+    const success = await applyModerationDecision(req, {
+        itemType: 'comment',
+        item: comment,
+        approved: true,
+        reason: req.body.reason || null
+    });
     if (!success) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -679,11 +1189,6 @@ router.put('/comments/:id/approve', asyncHandler(async (req, res) => {
         });
     }
 
-    logger.info('Comment approved', {
-        commentId: req.params.id,
-        moderatorId: req.user.id
-    });
-
     res.json({
         success: true,
         message: 'Comment approved successfully'
@@ -693,9 +1198,9 @@ router.put('/comments/:id/approve', asyncHandler(async (req, res) => {
 /**
  * @route   PUT /api/admin/comments/:id/reject
  * @desc    Reject comment
- * @access  Private (Moderator, Admin)
+ * @access  Private (comments.moderate)
  */
-router.put('/comments/:id/reject', asyncHandler(async (req, res) => {
+router.put('/comments/:id/reject', requirePermission(PERMISSIONS.COMMENTS_MODERATE), validateModerationReason, asyncHandler(async (req, res) => {
     const comment = await CommentModel.findById(req.params.id);
     if (!comment) {
         return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
@@ -705,7 +1210,17 @@ router.put('/comments/:id/reject', asyncHandler(async (req, res) => {
         });
     }
 
-    const success = await CommentModel.moderate(req.params.id, 'reject', req.user.id);
+    const commentContent = await ContentModel.findById(comment.content_id);
+    if (!(await checkModerationScope(req, res, commentContent ? commentContent.category_id : null))) {
+        return;
+    }
+
+    const success = await applyModerationDecision(req, {
+        itemType: 'comment',
+        item: comment,
+        approved: false,
+        reason: req.body.reason || null
+    });
     if (!success) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -714,11 +1229,6 @@ router.put('/comments/:id/reject', asyncHandler(async (req, res) => {
         });
     }
 
-    logger.info('Comment rejected', {
-        commentId: req.params.id,
-        moderatorId: req.user.id
-    });
-
     res.json({
         success: true,
         message: 'Comment rejected successfully'
@@ -728,9 +1238,9 @@ router.put('/comments/:id/reject', asyncHandler(async (req, res) => {
 /**
  * @route   DELETE /api/admin/comments/:id
  * @desc    Delete comment
- * @access  Private (Moderator, Admin)
+ * @access  Private (comments.delete_any)
  */
-router.delete('/comments/:id', asyncHandler(async (req, res) => {
+router.delete('/comments/:id', requirePermission(PERMISSIONS.COMMENTS_DELETE_ANY), asyncHandler(async (req, res) => {
     const comment = await CommentModel.findById(req.params.id);
     if (!comment) {
         return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
@@ -740,7 +1250,12 @@ router.delete('/comments/:id', asyncHandler(async (req, res) => {
         });
     }
 
-    const success = await CommentModel.delete(req.params.id);
+    const commentContent = await ContentModel.findById(comment.content_id);
+    if (!(await checkModerationScope(req, res, commentContent ? commentContent.category_id : null))) {
+        return;
+    }
+
+    const success = await CommentModel.delete(req.params.id, req.user.id);
     if (!success) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -754,18 +1269,126 @@ router.delete('/comments/:id', asyncHandler(async (req, res) => {
         moderatorId: req.user.id
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.COMMENT_DELETE,
+        resourceType: 'comment',
+        resourceId: comment.id,
+        oldValues: {
+            content_id: comment.content_id,
+            author_id: comment.author_id,
+            status: comment.status,
+            body: comment.body
+        }
+    });
+
+    await contentEvents.publish(comment.content_id, constants.CONTENT_EVENTS.COMMENT_DELETED, { commentId: comment.id });
+
     res.json({
         success: true,
         message: 'Comment deleted successfully'
     });
 }));
 
+/**
+ * @route   GET /api/admin/moderation/queue
+ * @desc    Get posts and comments waiting for review, oldest first
+ * @access  Private (content.moderate or comments.moderate)
+ */
+router.get('/moderation/queue', requirePermission(PERMISSIONS.CONTENT_MODERATE, PERMISSIONS.COMMENTS_MODERATE), validatePagination, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    const options = {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 100),
+        status: constants.CONTENT_STATUS.PENDING,
+        categoryIds: await ModeratorCategoryModel.getScope(req.user.id)
+    };
+
+    const [content, comments] = await Promise.all([
+        hasPermission(req.user, PERMISSIONS.CONTENT_MODERATE).then(allowed =>
+            allowed ? ContentModel.getContent({ ...options, sort: 'created_at', order: 'asc' }) : null),
+        hasPermission(req.user, PERMISSIONS.COMMENTS_MODERATE).then(allowed =>
+            allowed ? CommentModel.getForModeration(options) : null)
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            policy: getPolicy(),
+            content,
+            comments
+        }
+    });
+}));
+
+/**
+ * @route   PUT /api/admin/moderation/:itemType/:id
+ * @desc    Approve or reject a queued post or comment; rejections need a reason
+ * @access  Private (content.moderate or comments.moderate, by item type)
+ */
+router.put('/moderation/:itemType/:id', validateModerationDecision, asyncHandler(async (req, res) => {
+    const { itemType, id } = req.params;
+    const { decision, reason } = req.body;
+
+    const permission = itemType === 'comment' ? PERMISSIONS.COMMENTS_MODERATE : PERMISSIONS.CONTENT_MODERATE;
+    if (!(await hasPermission(req.user, permission))) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'INSUFFICIENT_PERMISSIONS'
+        });
+    }
+
+    const item = itemType === 'comment'
+        ? await CommentModel.findById(id)
+        : await ContentModel.findById(id);
+    if (!item) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: itemType === 'comment' ? 'Comment not found' : 'Content not found',
+            code: itemType === 'comment' ? 'COMMENT_NOT_FOUND' : 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (item.status !== constants.CONTENT_STATUS.PENDING) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'This item is no longer waiting for review',
+            code: 'NOT_PENDING'
+        });
+    }
+
+    const content = itemType === 'comment' ? await ContentModel.findById(item.content_id) : item;
+    if (!(await checkModerationScope(req, res, content ? content.category_id : null))) {
+        return;
+    }
+
+    const success = await applyModerationDecision(req, {
+        itemType,
+        item,
+        approved: decision === 'approve',
+        reason: reason || null
+    });
+    if (!success) {
+        return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+            success: false,
+            message: 'Failed to apply moderation decision',
+            code: 'MODERATION_FAILED'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: decision === 'approve' ? 'Approved and published' : 'Rejected'
+    });
+}));
+
 /**
  * @route   GET /api/admin/categories
  * @desc    Get all categories including inactive
- * @access  Private (Moderator, Admin)
+ * @access  Private (categories.manage)
  */
-router.get('/categories', asyncHandler(async (req, res) => {
+router.get('/categories', requirePermission(PERMISSIONS.CATEGORIES_MANAGE), asyncHandler(async (req, res) => {
     const categories = await CategoryModel.getAll(true);
 
     res.json({
@@ -777,9 +1400,9 @@ router.get('/categories', asyncHandler(async (req, res) => {
 /**
  * @route   POST /api/admin/categories/reorder
  * @desc    Reorder categories
- * @access  Private (Moderator, Admin)
+ * @access  Private (categories.manage)
  */
-router.post('/categories/reorder', asyncHandler(async (req, res) => {
+router.post('/categories/reorder', requirePermission(PERMISSIONS.CATEGORIES_MANAGE), asyncHandler(async (req, res) => {
     const { categoryOrders } = req.body;
 
     if (!Array.isArray(categoryOrders)) {
@@ -804,6 +1427,12 @@ router.post('/categories/reorder', asyncHandler(async (req, res) => {
         count: categoryOrders.length
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CATEGORY_REORDER,
+        resourceType: 'category',
+        newValues: { categoryOrders }
+    });
+
     res.json({
         success: true,
         message: 'Categories reordered successfully'
@@ -813,9 +1442,9 @@ router.post('/categories/reorder', asyncHandler(async (req, res) => {
 /**
  * @route   POST /api/admin/categories
  * @desc    Create new category
- * @access  Private (Moderator, Admin)
+ * @access  Private (categories.manage)
  */
-router.post('/categories', asyncHandler(async (req, res) => {
+router.post('/categories', requirePermission(PERMISSIONS.CATEGORIES_MANAGE), asyncHandler(async (req, res) => {
     const { name, description, color, icon } = req.body;
 
     // Validate required fields
@@ -849,6 +1478,13 @@ router.post('/categories', asyncHandler(async (req, res) => {
         name
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CATEGORY_CREATE,
+        resourceType: 'category',
+        resourceId: result.lastID,
+        newValues: { name, description: description || null, color: color || '#4A90E2', icon: icon || 'fas fa-folder' }
+    });
+
     res.json({
         success: true,
         message: 'Category created successfully',
@@ -859,9 +1495,9 @@ router.post('/categories', asyncHandler(async (req, res) => {
 /**
  * @route   DELETE /api/admin/categories/:id
  * @desc    Delete category
- * @access  Private (Moderator, Admin)
+ * @access  Private (categories.delete)
  */
-router.delete('/categories/:id', asyncHandler(async (req, res) => {
+router.delete('/categories/:id', requirePermission(PERMISSIONS.CATEGORIES_DELETE), asyncHandler(async (req, res) => {
     const categoryId = req.params.id;
 
     // Check if category exists
@@ -878,7 +1514,7 @@ router.delete('/categories/:id', asyncHandler(async (req, res) => {
     const contentCount = await get(`
         SELECT COUNT(*) as count 
         FROM content 
-        WHERE category_id = $1
+        WHERE category_id = $1 AND deleted_at IS NULL
     `, [categoryId]);
 
     if (contentCount.count > 0) {
@@ -905,6 +1541,13 @@ router.delete('/categories/:id', asyncHandler(async (req, res) => {
         categoryName: category.name
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CATEGORY_DELETE,
+        resourceType: 'category',
+        resourceId: category.id,
+        oldValues: { name: category.name, slug: category.slug, parent_id: category.parent_id }
+    });
+
     res.json({
         success: true,
         message: 'Category deleted successfully'
@@ -914,7 +1557,7 @@ router.delete('/categories/:id', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/admin/analytics
  * @desc    Get platform analytics
- * @access  Private (Moderator, Admin)
+ * @access  Private (admin.access)
  */
 router.get('/analytics', asyncHandler(async (req, res) => {
     const { timeframe = '7d' } = req.query;
@@ -944,7 +1587,7 @@ router.get('/analytics', asyncHandler(async (req, res) => {
                     DATE(created_at) as date,
                     COUNT(*) as new_users
                 FROM users 
-                WHERE created_at > datetime('now', '-${days} days')
+                WHERE created_at > datetime('now', '-${days} days') AND deleted_at IS NULL
                 GROUP BY DATE(created_at)
                 ORDER BY date ASC
             `),
@@ -956,7 +1599,7 @@ router.get('/analytics', asyncHandler(async (req, res) => {
                     type,
                     COUNT(*) as count
                 FROM content 
-                WHERE created_at > datetime('now', '-${days} days')
+                WHERE created_at > datetime('now', '-${days} days') AND deleted_at IS NULL
                 GROUP BY DATE(created_at), type
                 ORDER BY date ASC
             `),
@@ -969,7 +1612,7 @@ router.get('/analytics', asyncHandler(async (req, res) => {
                     COUNT(DISTINCT c.user_id) as commenting_users,
                     COUNT(c.id) as total_comments
                 FROM likes l
-                LEFT JOIN comments c ON c.created_at > datetime('now', '-${days} days')
+                LEFT JOIN comments c ON c.created_at > datetime('now', '-${days} days') AND c.deleted_at IS NULL
                 WHERE l.created_at > datetime('now', '-${days} days')
             `),
             
@@ -987,6 +1630,7 @@ router.get('/analytics', asyncHandler(async (req, res) => {
                 FROM content c
                 JOIN users u ON c.author_id = u.id
                 WHERE c.status = 'published' 
+                AND c.deleted_at IS NULL
                 AND c.created_at > datetime('now', '-${days} days')
                 ORDER BY engagement_score DESC
                 LIMIT 10
@@ -1003,6 +1647,7 @@ router.get('/analytics', asyncHandler(async (req, res) => {
                 FROM categories cat
                 LEFT JOIN content c ON cat.id = c.category_id 
                     AND c.status = 'published'
+                    AND c.deleted_at IS NULL
                     AND c.created_at > datetime('now', '-${days} days')
                 GROUP BY cat.id, cat.name
                 HAVING content_count > 0
@@ -1030,27 +1675,24 @@ router.get('/analytics', asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/admin/reports
- * @desc    Get content and user reports
- * @access  Private (Moderator, Admin)
+ * @desc    Get content, comment and user reports
+ * @access  Private (reports.manage)
  */
-router.get('/reports', validatePagination, asyncHandler(async (req, res) => {
+router.get('/reports', requirePermission(PERMISSIONS.REPORTS_MANAGE), validatePagination, asyncHandler(async (req, res) => {
     const {
         page = 1,
         limit = 20,
-        status = 'pending'
+        status = constants.REPORT_STATUS.PENDING,
+        type = ''
     } = req.query;
 
-    // Since we don't have a reports table in our current schema,
-    // this is a placeholder that would be implemented with proper reporting
-    const reports = {
-        reports: [],
-        pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: 0,
-            pages: 0
-        }
-    };
+    const reports = await ReportModel.getQueue({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status,
+        targetType: type,
+        categoryIds: await ModeratorCategoryModel.getScope(req.user.id)
+    });
 
     res.json({
         success: true,
@@ -1058,12 +1700,481 @@ router.get('/reports', validatePagination, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * Find the category a reported item belongs to
+ * Reported users belong to none, so only unrestricted moderators handle them.
+ */
+const getReportCategoryId = async (report) => {
+    if (report.target_type === 'content') {
+        const content = await ContentModel.findById(report.target_id);
+        return content ? content.category_id : null;
+    }
+
+    if (report.target_type === 'comment') {
+        const comment = await CommentModel.findById(report.target_id);
+        const commentContent = comment ? await ContentModel.findById(comment.content_id) : null;
+        return commentContent ? commentContent.category_id : null;
+    }
+
+    return null;
+};
+
+/**
+ * Close a pending report with the given outcome
+ */
+const closeReport = (status) => asyncHandler(async (req, res) => {
+    const reportId = req.params.id;
+    const { note = null } = req.body;
+
+    const report = await ReportModel.findById(reportId);
+
+    if (!report) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Report not found',
+            code: 'REPORT_NOT_FOUND'
+        });
+    }
+
+    if (!(await checkModerationScope(req, res, await getReportCategoryId(report)))) {
+        return;
+    }
+
+    const closedCount = await ReportModel.close(reportId, status, req.user.id, note);
+
+    if (closedCount === 0) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'Report has already been closed',
+            code: 'REPORT_ALREADY_CLOSED'
+        });
+    }
+
+    logger.info(`Report ${status} by moderator`, {
+        reportId,
+        targetType: report.target_type,
+        targetId: report.target_id,
+        closedCount,
+        moderatorId: req.user.id
+    });
+
+    await recordAudit(req, {
+        action: status === constants.REPORT_STATUS.RESOLVED
+            ? constants.AUDIT_ACTIONS.REPORT_RESOLVE
+            : constants.AUDIT_ACTIONS.REPORT_DISMISS,
+        resourceType: 'report',
+        resourceId: report.id,
+        oldValues: { status: report.status },
+        newValues: {
+            status,
+            note,
+            target_type: report.target_type,
+            target_id: report.target_id,
+            closed_count: closedCount
+        }
+    });
+
+    res.json({
+        success: true,
+        message: `Report ${status}`,
+        data: { closedCount }
+    });
+});
+
+/**
+ * @route   PUT /api/admin/reports/:id/resolve
+ * @desc    Resolve a report (and every open report on the same target)
+ * @access  Private (reports.manage)
+ */
+router.put('/reports/:id/resolve', requirePermission(PERMISSIONS.REPORTS_MANAGE), validateReportClose, closeReport(constants.REPORT_STATUS.RESOLVED));
+
+/**
+ * @route   PUT /api/admin/reports/:id/dismiss
+ * @desc    Dismiss a report (and every open report on the same target)
+ * @access  Private (reports.manage)
+ */
+router.put('/reports/:id/dismiss', requirePermission(PERMISSIONS.REPORTS_MANAGE), validateReportClose, closeReport(constants.REPORT_STATUS.DISMISSED));
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles for role pickers and filters
+ * @access  Private (users.view or roles.manage)
+ */
+router.get('/roles', requirePermission(PERMISSIONS.USERS_VIEW, PERMISSIONS.ROLES_MANAGE), asyncHandler(async (req, res) => {
+    const roles = await RoleModel.getAll();
+
+    res.json({
+        success: true,
+        data: { roles }
+    });
+}));
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Get roles, registered permissions and the grants between them
+ * @access  Private (roles.manage)
+ */
+router.get('/permissions', requirePermission(PERMISSIONS.ROLES_MANAGE), asyncHandler(async (req, res) => {
+    const [roles, permissions, matrix] = await Promise.all([
+        RoleModel.getAll(),
+        RoleModel.getAllPermissions(),
+        RoleModel.getMatrix()
+    ]);
+
+    const grants = {};
+    roles.forEach(role => {
+        grants[role.name] = Array.from(matrix.get(role.name) || []);
+    });
+
+    res.json({
+        success: true,
+        data: {
+            roles: roles.map(role => ({
+                ...role,
+                protected_permissions: RoleModel.getProtectedPermissions(role.name)
+            })),
+            permissions,
+            grants
+        }
+    });
+}));
+
+/**
+ * @route   PUT /api/admin/roles/:name/permissions
+ * @desc    Replace the permissions granted to a role
+ * @access  Private (roles.manage)
+ */
+router.put('/roles/:name/permissions', requirePermission(PERMISSIONS.ROLES_MANAGE), validateRolePermissions, asyncHandler(async (req, res) => {
+    const { name } = req.params;
+    const { permissions } = req.body;
+
+    const role = await RoleModel.findByName(name);
+    if (!role) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Role not found',
+            code: 'ROLE_NOT_FOUND'
+        });
+    }
+
+    const known = new Set((await RoleModel.getAllPermissions()).map(permission => permission.name));
+    const unknown = permissions.filter(permission => !known.has(permission));
+    if (unknown.length > 0) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: `Unknown permissions: ${unknown.join(', ')}`,
+            code: 'INVALID_PERMISSION'
+        });
+    }
+
+    // Stop the last way back into this screen from being switched off
+    const missing = RoleModel.getProtectedPermissions(name).filter(permission => !permissions.includes(permission));
+    if (missing.length > 0) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: `The ${role.label} role must keep: ${missing.join(', ')}`,
+            code: 'ROLE_LOCKOUT'
+        });
+    }
+
+    const previous = await RoleModel.getPermissions(name);
+    const granted = await RoleModel.setPermissions(name, permissions, req.user.id);
+
+    logger.logSecurity('Role permissions changed', {
+        role: name,
+        permissions: granted,
+        adminId: req.user.id
+    });
+
+    // Roles are keyed by name, so it goes in the values rather than resource_id
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.ROLE_PERMISSIONS_CHANGE,
+        resourceType: 'role',
+        oldValues: { role: name, permissions: previous },
+        newValues: { role: name, permissions: granted }
+    });
+
+    res.json({
+        success: true,
+        message: 'Permissions updated successfully',
+        data: { role: name, permissions: granted }
+    });
+}));
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role
+ * @access  Private (roles.manage)
+ */
+router.post('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), validateRoleCreation, asyncHandler(async (req, res) => {
+    const { name, label, description, copyFrom } = req.body;
+
+    if (await RoleModel.findByName(name)) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'A role with this name already exists',
+            code: 'ROLE_EXISTS'
+        });
+    }
+
+    if (copyFrom && !(await RoleModel.findByName(copyFrom))) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Role to copy from does not exist',
+            code: 'INVALID_ROLE'
+        });
+    }
+
+    const role = await RoleModel.create({ name, label, description, copyFrom }, req.user.id);
+
+    logger.logSecurity('Role created', {
+        role: name,
+        copyFrom: copyFrom || null,
+        adminId: req.user.id
+    });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.ROLE_CREATE,
+        resourceType: 'role',
+        newValues: { role: name, label, description: description || null, copyFrom: copyFrom || null }
+    });
+
+    res.status(constants.HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role }
+    });
+}));
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a custom role that has no members
+ * @access  Private (roles.manage)
+ */
+router.delete('/roles/:name', requirePermission(PERMISSIONS.ROLES_MANAGE), asyncHandler(async (req, res) => {
+    const role = await RoleModel.findByName(req.params.name);
+    if (!role) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Role not found',
+            code: 'ROLE_NOT_FOUND'
+        });
+    }
+
+    if (role.is_system) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Built-in roles cannot be deleted',
+            code: 'SYSTEM_ROLE'
+        });
+    }
+
+    const deleted = await RoleModel.delete(role.name);
+    if (!deleted) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'Reassign the members of this role before deleting it',
+            code: 'ROLE_IN_USE'
+        });
+    }
+
+    logger.logSecurity('Role deleted', {
+        role: role.name,
+        adminId: req.user.id
+    });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.ROLE_DELETE,
+        resourceType: 'role',
+        oldValues: { role: role.name, label: role.label, description: role.description }
+    });
+
+    res.json({
+        success: true,
+        message: 'Role deleted successfully'
+    });
+}));
+
+/**
+ * @route   GET /api/admin/trash
+ * @desc    List deleted content, comments or users with when they will be purged
+ * @access  Private (trash.manage)
+ */
+router.get('/trash', requirePermission(PERMISSIONS.TRASH_MANAGE), validateTrashQuery, asyncHandler(async (req, res) => {
+    const {
+        type = 'content',
+        page = 1,
+        limit = constants.PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const result = await TrashModel.getItems(type, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+    });
+
+    res.json({
+        success: true,
+        data: {
+            ...result,
+            types: constants.TRASH.TYPES,
+            retentionDays: constants.TRASH.RETENTION_DAYS
+        }
+    });
+}));
+
+/**
+ * @route   POST /api/admin/trash/:type/:id/restore
+ * @desc    Restore a deleted item along with everything deleted with it
+ * @access  Private (trash.manage)
+ */
+router.post('/trash/:type/:id/restore', requirePermission(PERMISSIONS.TRASH_MANAGE), validateTrashItem, asyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+
+    const item = await TrashModel.findItem(type, id);
+    if (!item) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Item not found in trash',
+            code: 'TRASH_ITEM_NOT_FOUND'
+        });
+    }
+
+    if (item.blocked_by) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: `The ${item.blocked_by} of this ${type} is also in the trash and must be restored first`,
+            code: 'RESTORE_BLOCKED'
+        });
+    }
+
+    const restored = await TrashModel.restore(type, id);
+    if (!restored) {
+        return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+            success: false,
+            message: 'Failed to restore item',
+            code: 'RESTORE_FAILED'
+        });
+    }
+
+    logger.info('Trash item restored', { type, id, adminId: req.user.id });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.TRASH_RESTORE,
+        resourceType: type,
+        resourceId: item.id,
+        oldValues: { deleted_at: item.deleted_at }
+    });
+
+    if (type === 'comment') {
+        const comment = await CommentModel.findById(id);
+        if (comment && comment.status === constants.CONTENT_STATUS.PUBLISHED) {
+            await contentEvents.publish(comment.content_id, constants.CONTENT_EVENTS.COMMENT_CREATED, { commentId: comment.id });
+        }
+    }
+
+    res.json({
+        success: true,
+        message: 'Item restored successfully'
+    });
+}));
+
+/**
+ * @route   DELETE /api/admin/trash/:type/:id
+ * @desc    Permanently delete an item from the trash
+ * @access  Private (trash.manage)
+ */
+router.delete('/trash/:type/:id', requirePermission(PERMISSIONS.TRASH_MANAGE), validateTrashItem, asyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+
+    const item = await TrashModel.findItem(type, id);
+    if (!item) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Item not found in trash',
+            code: 'TRASH_ITEM_NOT_FOUND'
+        });
+    }
+
+    const purged = await TrashModel.purge(type, id);
+    if (!purged) {
+        return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+            success: false,
+            message: 'Failed to purge item',
+            code: 'PURGE_FAILED'
+        });
+    }
+
+    logger.info('Trash item purged', { type, id, adminId: req.user.id });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.TRASH_PURGE,
+        resourceType: type,
+        resourceId: item.id,
+        oldValues: { deleted_at: item.deleted_at }
+    });
+
+    res.json({
+        success: true,
+        message: 'Item permanently deleted'
+    });
+}));
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Search the audit log by actor, action, resource and date range; ?format=csv downloads it
+ * @access  Private (audit.view)
+ */
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), validateAuditQuery, asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 50,
+        actor,
+        action,
+        resourceType,
+        resourceId,
+        from,
+        to,
+        format = 'json'
+    } = req.query;
+
+    const filters = { actor, action, resourceType, resourceId, from, to };
+
+    if (format === 'csv') {
+        const entries = await AuditLogModel.getForExport(filters);
+
+        logger.info('Audit log exported', {
+            adminId: req.user.id,
+            filters,
+            rowCount: entries.length
+        });
+
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.send(toAuditCsv(entries));
+    }
+
+    const result = await AuditLogModel.search(filters, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+    });
+
+    res.json({
+        success: true,
+        data: {
+            ...result,
+            actions: Object.values(constants.AUDIT_ACTIONS),
+            resourceTypes: constants.AUDIT.RESOURCE_TYPES
+        }
+    });
+}));
+
 /**
  * @route   GET /api/admin/settings
  * @desc    Get application settings
- * @access  Private (Admin)
+ * @access  Private (settings.manage)
  */
-router.get('/settings', requireAdmin, asyncHandler(async (req, res) => {
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), asyncHandler(async (req, res) => {
     const settings = await query('SELECT * FROM settings ORDER BY key ASC');
 
     // Convert to key-value object
@@ -1100,12 +2211,18 @@ router.get('/settings', requireAdmin, asyncHandler(async (req, res) => {
 /**
  * @route   PUT /api/admin/settings
  * @desc    Update application settings
- * @access  Private (Admin)
+ * @access  Private (settings.manage)
  */
-router.put('/settings', requireAdmin, validateSettings, asyncHandler(async (req, res) => {
+router.put('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateSettings, asyncHandler(async (req, res) => {
     const { settings } = req.body;
 
     try {
+        const existing = await query('SELECT key, value FROM settings WHERE key = ANY($1::text[])', [settings.map(setting => setting.key)]);
+        const before = {};
+        existing.forEach(setting => {
+            before[setting.key] = setting.value;
+        });
+
         // Update each setting
         for (const setting of settings) {
             await run(`
@@ -1117,11 +2234,29 @@ router.put('/settings', requireAdmin, validateSettings, asyncHandler(async (req,
             `, [setting.key, setting.value]);
         }
 
+        if (settings.some(setting => setting.key === constants.TWO_FACTOR.REQUIRED_SETTING)) {
+            TwoFactorModel.clearCache();
+        }
+
         logger.info('Settings updated by admin', {
             adminId: req.user.id,
             settingsCount: settings.length
         });
 
+        const after = {};
+        settings.forEach(setting => {
+            after[setting.key] = setting.value;
+        });
+        const changes = changedValues(before, after);
+        if (changes) {
+            await recordAudit(req, {
+                action: constants.AUDIT_ACTIONS.SETTINGS_UPDATE,
+                resourceType: 'settings',
+                oldValues: changes.oldValues,
+                newValues: changes.newValues
+            });
+        }
+
         res.json({
             success: true,
             message: 'Settings updated successfully'
@@ -1135,9 +2270,9 @@ router.put('/settings', requireAdmin, validateSettings, asyncHandler(async (req,
 /**
  * @route   POST /api/admin/cleanup
  * @desc    Run cleanup tasks
- * @access  Private (Admin)
+ * @access  Private (settings.manage)
  */
-router.post('/cleanup', requireAdmin, asyncHandler(async (req, res) => {
+router.post('/cleanup', requirePermission(PERMISSIONS.SETTINGS_MANAGE), asyncHandler(async (req, res) => {
     const { cleanupExpiredSessions } = require('../config/auth');
     
     try {
@@ -1148,6 +2283,12 @@ router.post('/cleanup', requireAdmin, asyncHandler(async (req, res) => {
             cleanedSessions
         });
 
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.SYSTEM_CLEANUP,
+            resourceType: 'system',
+            newValues: { cleanedSessions }
+        });
+
         res.json({
             success: true,
             message: 'Cleanup completed successfully',
@@ -1164,9 +2305,9 @@ router.post('/cleanup', requireAdmin, asyncHandler(async (req, res) => {
 /**
  * @route   POST /api/admin/export
  * @desc    Export platform data
- * @access  Private (Admin)
+ * @access  Private (settings.manage)
  */
-router.post('/export', requireAdmin, asyncHandler(async (req, res) => {
+router.post('/export', requirePermission(PERMISSIONS.SETTINGS_MANAGE), asyncHandler(async (req, res) => {
     try {
         // Get all data for export
         const [users, content, comments, categories] = await Promise.all([
@@ -1174,6 +2315,7 @@ router.post('/export', requireAdmin, asyncHandler(async (req, res) => {
                 SELECT id, email, first_name, last_name, display_name, 
                        faith_tradition, role, status, created_at
                 FROM users
+                WHERE deleted_at IS NULL
                 ORDER BY created_at DESC
             `),
             query(`
@@ -1181,6 +2323,7 @@ router.post('/export', requireAdmin, asyncHandler(async (req, res) => {
                 FROM content c
                 LEFT JOIN users u ON c.author_id = u.id
                 LEFT JOIN categories cat ON c.category_id = cat.id
+                WHERE c.deleted_at IS NULL
                 ORDER BY c.created_at DESC
             `),
             query(`
@@ -1188,6 +2331,7 @@ router.post('/export', requireAdmin, asyncHandler(async (req, res) => {
                 FROM comments cm
                 LEFT JOIN users u ON cm.author_id = u.id
                 LEFT JOIN content c ON cm.content_id = c.id
+                WHERE cm.deleted_at IS NULL
                 ORDER BY cm.created_at DESC
             `),
             query(`
@@ -1222,6 +2366,12 @@ router.post('/export', requireAdmin, asyncHandler(async (req, res) => {
             recordCount: users.length + content.length + comments.length + categories.length
         });
 
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.DATA_EXPORT,
+            resourceType: 'system',
+            newValues: exportData.statistics
+        });
+
         res.json({
             success: true,
             message: 'Data export completed successfully',
@@ -1236,4 +2386,33 @@ router.post('/export', requireAdmin, asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * @route   GET /api/admin/media
+ * @desc    Browse every member's uploads, optionally one owner's or only unused ones
+ * @access  Private (media.manage_any)
+ */
+router.get('/media', requirePermission(PERMISSIONS.MEDIA_MANAGE_ANY), validateMediaQuery, asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = constants.PAGINATION.DEFAULT_LIMIT,
+        owner,
+        unused
+    } = req.query;
+
+    const result = await MediaModel.list({
+        ownerId: owner ? parseInt(owner) : null,
+        unused: unused === 'true',
+        page: parseInt(page),
+        limit: parseInt(limit)
+    });
+
+    res.json({
+        success: true,
+        data: {
+            ...result,
+            gcGraceHours: constants.MEDIA.GC_GRACE_HOURS
+        }
+    });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,20 @@
 const express = require('express');
 const CategoryModel = require('../models/Category');
 const CommentModel = require('../models/Comment');
-const { optionalAuth, verifyToken, requireUser, requireModerator, requireAdmin } = require('../middleware/auth');
-const { validateIdParam, validateCategoryCreation, validatePagination } = require('../middleware/validation');
-const { generalRateLimit } = require('../middleware/rateLimit');
+const ContentModel = require('../models/Content');
+const UserModel = require('../models/User');
+const ReportModel = require('../models/Report');
+const NotificationModel = require('../models/Notification');
+const { optionalAuth, verifyToken, requirePermission, hasPermission, requireActiveAccount, checkModerationScope } = require('../middleware/auth');
+const { validateIdParam, validateCategoryCreation, validatePagination, validateRepliesQuery, validateReport, sanitizeCommentHtml } = require('../middleware/validation');
+const { generalRateLimit, reportRateLimit } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
 const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 const { healthCheck, getStats } = require('../config/database');
 const { logger } = require('../utils/logger');
+const { contentEvents } = require('../utils/contentEvents');
+const { recordAudit, changedValues } = require('../utils/audit');
 
 // Import database setup function
 const { setupDatabase } = require('../../api/setup-db');
@@ -145,9 +152,9 @@ router.get('/categories/search', optionalAuth, asyncHandler(async (req, res) =>
 /**
  * @route   POST /api/categories
  * @desc    Create new category
- * @access  Private (Admin, Moderator)
+ * @access  Private (categories.manage)
  */
-router.post('/categories', verifyToken, requireModerator, validateCategoryCreation, asyncHandler(async (req, res) => {
+router.post('/categories', verifyToken, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), validateCategoryCreation, asyncHandler(async (req, res) => {
     const { name, description, color, icon, parentId, sortOrder } = req.body;
 
     // Check if category name already exists
@@ -175,6 +182,13 @@ router.post('/categories', verifyToken, requireModerator, validateCategoryCreati
         name
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CATEGORY_CREATE,
+        resourceType: 'category',
+        resourceId: category.id,
+        newValues: { name: category.name, slug: category.slug, parent_id: category.parent_id }
+    });
+
     res.status(constants.HTTP_STATUS.CREATED).json({
         success: true,
         message: 'Category created successfully',
@@ -257,9 +271,9 @@ router.get('/categories/slug/:slug', optionalAuth, asyncHandler(async (req, res)
 /**
  * @route   PUT /api/categories/:id
  * @desc    Update category
- * @access  Private (Admin, Moderator)
+ * @access  Private (categories.manage)
  */
-router.put('/categories/:id', verifyToken, requireModerator, validateIdParam, asyncHandler(async (req, res) => {
+router.put('/categories/:id', verifyToken, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), validateIdParam, asyncHandler(async (req, res) => {
     const { name, description, color, icon, parentId, sortOrder, isActive } = req.body;
 
     const category = await CategoryModel.findById(req.params.id);
@@ -299,6 +313,25 @@ router.put('/categories/:id', verifyToken, requireModerator, validateIdParam, as
         updatedBy: req.user.id
     });
 
+    const changes = changedValues(category, {
+        name: updatedCategory.name,
+        description: updatedCategory.description,
+        color: updatedCategory.color,
+        icon: updatedCategory.icon,
+        parent_id: updatedCategory.parent_id,
+        sort_order: updatedCategory.sort_order,
+        is_active: updatedCategory.is_active
+    });
+    if (changes) {
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.CATEGORY_UPDATE,
+            resourceType: 'category',
+            resourceId: category.id,
+            oldValues: changes.oldValues,
+            newValues: changes.newValues
+        });
+    }
+
     res.json({
         success: true,
         message: 'Category updated successfully',
@@ -309,9 +342,10 @@ router.put('/categories/:id', verifyToken, requireModerator, validateIdParam, as
 /**
  * @route   DELETE /api/categories/:id
  * @desc    Delete category
- * @access  Private (Admin)
+ * @access  Private (categories.delete)
  */
-router.delete('/categories/:id', verifyToken, requireAdmin, validateIdParam, asyncHandler(async (req, res) => {
+router.delete('/categories/:id', verifyToken, requirePermission(PERMISSIONS.CATEGORIES_DELETE), validateIdParam, asyncHandler(async (req, res) => {
+    const category = await CategoryModel.findById(req.params.id);
     const result = await CategoryModel.delete(req.params.id);
 
     if (!result.success) {
@@ -327,6 +361,13 @@ router.delete('/categories/:id', verifyToken, requireAdmin, validateIdParam, asy
         deletedBy: req.user.id
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CATEGORY_DELETE,
+        resourceType: 'category',
+        resourceId: parseInt(req.params.id),
+        oldValues: category ? { name: category.name, slug: category.slug, parent_id: category.parent_id } : null
+    });
+
     res.json({
         success: true,
         message: result.message
@@ -349,12 +390,41 @@ router.get('/comments/recent', optionalAuth, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * @route   GET /api/comments/:id/replies
+ * @desc    Load more replies to a comment (cursor-paginated, with nested replies)
+ * @access  Public
+ */
+router.get('/comments/:id/replies', optionalAuth, validateRepliesQuery, asyncHandler(async (req, res) => {
+    const { after, limit = constants.COMMENTS.REPLIES_PAGE_SIZE } = req.query;
+
+    const comment = await CommentModel.findById(req.params.id);
+
+    if (!comment || comment.status !== constants.CONTENT_STATUS.PUBLISHED) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Comment not found',
+            code: 'COMMENT_NOT_FOUND'
+        });
+    }
+
+    const result = await CommentModel.getReplies(comment.id, {
+        after: after ? parseInt(after) : null,
+        limit: parseInt(limit)
+    });
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
 /**
  * @route   PUT /api/comments/:id
  * @desc    Update comment
- * @access  Private (Author within 30 minutes, Moderator, Admin)
+ * @access  Private (Author within 30 minutes, or comments.edit_any)
  */
-router.put('/comments/:id', verifyToken, requireUser, validateIdParam, asyncHandler(async (req, res) => {
+router.put('/comments/:id', verifyToken, requirePermission(PERMISSIONS.COMMENTS_CREATE), requireActiveAccount, validateIdParam, sanitizeCommentHtml, asyncHandler(async (req, res) => {
     const { body } = req.body;
 
     if (!body || body.trim().length === 0) {
@@ -386,6 +456,14 @@ router.put('/comments/:id', verifyToken, requireUser, validateIdParam, asyncHand
         });
     }
 
+    // Editing someone else's comment is moderation, so it stays within assigned categories
+    if (comment.author_id !== req.user.id) {
+        const commentContent = await ContentModel.findById(comment.content_id);
+        if (!(await checkModerationScope(req, res, commentContent ? commentContent.category_id : null))) {
+            return;
+        }
+    }
+
     const updatedComment = await CommentModel.update(req.params.id, { body: body.trim() });
 
     logger.info('Comment updated', {
@@ -393,6 +471,8 @@ router.put('/comments/:id', verifyToken, requireUser, validateIdParam, asyncHand
         updatedBy: req.user.id
     });
 
+    await contentEvents.publish(comment.content_id, constants.CONTENT_EVENTS.COMMENT_UPDATED, { commentId: comment.id });
+
     res.json({
         success: true,
         message: 'Comment updated successfully',
@@ -403,9 +483,9 @@ router.put('/comments/:id', verifyToken, requireUser, validateIdParam, asyncHand
 /**
  * @route   DELETE /api/comments/:id
  * @desc    Delete comment
- * @access  Private (Author, Moderator, Admin)
+ * @access  Private (Author or comments.delete_any)
  */
-router.delete('/comments/:id', verifyToken, requireUser, validateIdParam, asyncHandler(async (req, res) => {
+router.delete('/comments/:id', verifyToken, requirePermission(PERMISSIONS.COMMENTS_CREATE), validateIdParam, asyncHandler(async (req, res) => {
     const comment = await CommentModel.findById(req.params.id);
 
     if (!comment) {
@@ -417,7 +497,7 @@ router.delete('/comments/:id', verifyToken, requireUser, validateIdParam, asyncH
     }
 
     // Check permissions
-    if (comment.author_id !== req.user.id && req.user.role !== constants.ROLES.ADMIN && req.user.role !== constants.ROLES.MODERATOR) {
+    if (comment.author_id !== req.user.id && !(await hasPermission(req.user, PERMISSIONS.COMMENTS_DELETE_ANY))) {
         return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
             success: false,
             message: constants.ERRORS.ACCESS_DENIED,
@@ -425,7 +505,14 @@ router.delete('/comments/:id', verifyToken, requireUser, validateIdParam, asyncH
         });
     }
 
-    const deleted = await CommentModel.delete(req.params.id);
+    if (comment.author_id !== req.user.id) {
+        const commentContent = await ContentModel.findById(comment.content_id);
+        if (!(await checkModerationScope(req, res, commentContent ? commentContent.category_id : null))) {
+            return;
+        }
+    }
+
+    const deleted = await CommentModel.delete(req.params.id, req.user.id);
 
     if (!deleted) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
@@ -440,6 +527,20 @@ router.delete('/comments/:id', verifyToken, requireUser, validateIdParam, asyncH
         deletedBy: req.user.id
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.COMMENT_DELETE,
+        resourceType: 'comment',
+        resourceId: comment.id,
+        oldValues: {
+            content_id: comment.content_id,
+            author_id: comment.author_id,
+            status: comment.status,
+            body: comment.body
+        }
+    });
+
+    await contentEvents.publish(comment.content_id, constants.CONTENT_EVENTS.COMMENT_DELETED, { commentId: comment.id });
+
     res.json({
         success: true,
         message: 'Comment deleted successfully'
@@ -451,7 +552,7 @@ router.delete('/comments/:id', verifyToken, requireUser, validateIdParam, asyncH
  * @desc    Toggle like on comment
  * @access  Private
  */
-router.post('/comments/:id/like', verifyToken, requireUser, validateIdParam, asyncHandler(async (req, res) => {
+router.post('/comments/:id/like', verifyToken, requirePermission(PERMISSIONS.COMMUNITY_PARTICIPATE), validateIdParam, asyncHandler(async (req, res) => {
     const comment = await CommentModel.findById(req.params.id);
 
     if (!comment) {
@@ -464,6 +565,8 @@ router.post('/comments/:id/like', verifyToken, requireUser, validateIdParam, asy
 
     const result = await CommentModel.toggleLike(req.params.id, req.user.id);
 
+    await contentEvents.publish(comment.content_id, constants.CONTENT_EVENTS.LIKES_UPDATED, { commentId: comment.id });
+
     res.json({
         success: true,
         message: result.liked ? 'Comment liked' : 'Like removed',
@@ -471,6 +574,175 @@ router.post('/comments/:id/like', verifyToken, requireUser, validateIdParam, asy
     });
 }));
 
+/**
+ * @route   POST /api/comments/:id/report
+ * @desc    Report comment to moderators
+ * @access  Private
+ */
+router.post('/comments/:id/report', verifyToken, requirePermission(PERMISSIONS.COMMUNITY_PARTICIPATE), reportRateLimit, validateReport, asyncHandler(async (req, res) => {
+    const { reason, details } = req.body;
+
+    const comment = await CommentModel.findById(req.params.id);
+
+    if (!comment || comment.status !== constants.CONTENT_STATUS.PUBLISHED) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Comment not found',
+            code: 'COMMENT_NOT_FOUND'
+        });
+    }
+
+    if (comment.author_id === req.user.id) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'You cannot report your own comment',
+            code: 'CANNOT_REPORT_OWN'
+        });
+    }
+
+    const reported = await CommentModel.report(comment.id, req.user.id, reason, details);
+
+    if (!reported) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'You have already reported this comment',
+            code: 'ALREADY_REPORTED'
+        });
+    }
+
+    res.status(constants.HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Report submitted. Thank you for helping keep the community safe.'
+    });
+}));
+
+/**
+ * @route   POST /api/users/:id/report
+ * @desc    Report user to moderators
+ * @access  Private
+ */
+router.post('/users/:id/report', verifyToken, requirePermission(PERMISSIONS.COMMUNITY_PARTICIPATE), reportRateLimit, validateReport, asyncHandler(async (req, res) => {
+    const { reason, details } = req.body;
+
+    const user = await UserModel.findById(req.params.id);
+
+    if (!user) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.USER_NOT_FOUND,
+            code: 'USER_NOT_FOUND'
+        });
+    }
+
+    if (user.id === req.user.id) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'You cannot report yourself',
+            code: 'CANNOT_REPORT_OWN'
+        });
+    }
+
+    const report = await ReportModel.create({
+        targetType: constants.REPORT_TARGETS.USER,
+        targetId: user.id,
+        reporterId: req.user.id,
+        reason,
+        details
+    });
+
+    if (!report) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'You have already reported this user',
+            code: 'ALREADY_REPORTED'
+        });
+    }
+
+    logger.info('User reported', {
+        reportedUserId: user.id,
+        reportId: report.id,
+        reporterId: req.user.id,
+        reason
+    });
+
+    res.status(constants.HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Report submitted. Thank you for helping keep the community safe.',
+        data: { reportId: report.id }
+    });
+}));
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get current user's notifications
+ * @access  Private
+ */
+router.get('/notifications', verifyToken, validatePagination, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const result = await NotificationModel.getForUser(req.user.id, {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), constants.PAGINATION.MAX_LIMIT),
+        unreadOnly: unread === 'true'
+    });
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get number of unread notifications
+ * @access  Private
+ */
+router.get('/notifications/unread-count', verifyToken, asyncHandler(async (req, res) => {
+    const unreadCount = await NotificationModel.getUnreadCount(req.user.id);
+
+    res.json({
+        success: true,
+        data: { unreadCount }
+    });
+}));
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/notifications/read-all', verifyToken, asyncHandler(async (req, res) => {
+    const updated = await NotificationModel.markAllRead(req.user.id);
+
+    res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: { updated }
+    });
+}));
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/notifications/:id/read', verifyToken, validateIdParam, asyncHandler(async (req, res) => {
+    const marked = await NotificationModel.markRead(req.params.id, req.user.id);
+
+    if (!marked) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Notification not found',
+            code: 'NOTIFICATION_NOT_FOUND'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Notification marked as read'
+    });
+}));
+
 /**
  * @route   GET /api/stats
  * @desc    Get platform statistics
@@ -1,12 +1,23 @@
 const express = require('express');
 const UserModel = require('../models/User');
-const { generateTokenPair, refreshAccessToken, logout, getClientIp, getUserAgent, validatePasswordStrength } = require('../config/auth');
-const { validateUserRegistration, validateUserLogin, validatePasswordChange, validateUserProfileUpdate } = require('../middleware/validation');
-const { authRateLimit, passwordResetRateLimit } = require('../middleware/rateLimit');
+const PasswordResetModel = require('../models/PasswordReset');
+const RoleModel = require('../models/Role');
+const UserSanctionModel = require('../models/UserSanction');
+const TwoFactorModel = require('../models/TwoFactor');
+const UserIdentityModel = require('../models/UserIdentity');
+const OidcLoginModel = require('../models/OidcLogin');
+const { auth, generateTokenPair, refreshAccessToken, logout, getClientIp, getUserAgent, validatePasswordStrength, hashPassword, verifyPassword, getUserSessions, invalidateUserSession, invalidateAllUserSessions, generateEmailVerificationToken, verifyEmailVerificationToken, generateTwoFactorChallenge, verifyTwoFactorChallenge } = require('../config/auth');
+const { validateUserRegistration, validateUserLogin, validatePasswordChange, validateForgotPassword, validatePasswordReset, validateUserProfileUpdate, validateTwoFactorCode, validateTwoFactorLogin, validateTwoFactorDisable, validateSessionParam, validateSocialLoginTicket, sanitizeProfileHtml } = require('../middleware/validation');
+const { authRateLimit, passwordResetRateLimit, emailRateLimit } = require('../middleware/rateLimit');
 const { verifyToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const constants = require('../config/constants');
 const { logger } = require('../utils/logger');
+const { mailer } = require('../utils/mailer');
+const { parseUserAgent } = require('../utils/userAgent');
+const { getIpLocation } = require('../utils/ipLocation');
+const { getProvider, listProviders } = require('../config/oidc');
+const { randomToken, createPkce, buildAuthorizationUrl, exchangeCode, verifyIdToken } = require('../utils/oidc');
 
 const router = express.Router();
 
@@ -15,12 +26,133 @@ const router = express.Router();
  * Handles user registration, login, logout, and token refresh
  */
 
+/**
+ * Queue a signed verification link for a user
+ */
+const sendVerificationEmail = (user) => mailer.queue('verification', user.email, {
+    firstName: user.first_name,
+    verifyUrl: `${constants.SERVER.SITE_URL}/?verifyToken=${generateEmailVerificationToken(user)}`,
+    expiresIn: constants.AUTH.EMAIL_VERIFICATION_EXPIRES_IN
+});
+
+/**
+ * Issue tokens for a user who has passed every login step
+ */
+const sendLoginResponse = async (req, res, user, extra = {}) => {
+    const tokens = await generateTokenPair(
+        user,
+        getClientIp(req),
+        getUserAgent(req)
+    );
+
+    logger.logAuth('User logged in', user.id, {
+        email: user.email,
+        ip: getClientIp(req)
+    });
+
+    res.json({
+        success: true,
+        message: constants.SUCCESS.LOGIN_SUCCESS,
+        data: {
+            user: {
+                id: user.id,
+                email: user.email,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                displayName: user.display_name,
+                role: user.role,
+                permissions: await RoleModel.getPermissions(user.role),
+                faithTradition: user.faith_tradition,
+                profileImage: user.profile_image,
+                emailVerified: !!user.email_verified,
+                twoFactorEnabled: !!user.two_factor_enabled
+            },
+            tokens,
+            ...extra
+        }
+    });
+};
+
+/**
+ * Explain why a user who proved who they are still can't sign in
+ * Returns { message, code, data } for the response, or null if the account is active.
+ */
+const getAccountStatusError = async (user) => {
+    // Check user status - if undefined, default to active
+    let userStatus = user.status || constants.USER_STATUS.ACTIVE;
+
+    // A suspension that ended since the expiry job last ran is lifted now
+    if (userStatus === constants.USER_STATUS.SUSPENDED && user.suspended_until && new Date(user.suspended_until) <= new Date()) {
+        const expired = await UserSanctionModel.expireDue(user.id);
+        if (expired.length > 0) {
+            userStatus = constants.USER_STATUS.ACTIVE;
+        }
+    }
+
+    if (userStatus === constants.USER_STATUS.ACTIVE) {
+        return null;
+    }
+
+    let message = 'Account is not active';
+    let code = 'ACCOUNT_INACTIVE';
+
+    switch (userStatus) {
+        case constants.USER_STATUS.SUSPENDED:
+            message = user.suspended_until
+                ? `Account is suspended until ${new Date(user.suspended_until).toUTCString()}`
+                : 'Account is suspended';
+            code = 'ACCOUNT_SUSPENDED';
+            break;
+        case constants.USER_STATUS.BANNED:
+            message = 'Account is banned';
+            code = 'ACCOUNT_BANNED';
+            break;
+    }
+
+    if (user.suspension_reason) {
+        message += `. Reason: ${user.suspension_reason}`;
+    }
+
+    return {
+        message,
+        code,
+        data: {
+            status: userStatus,
+            reason: user.suspension_reason || null,
+            suspendedUntil: user.suspended_until || null
+        }
+    };
+};
+
+/**
+ * Finish the first login step: a two-factor challenge if the user has 2FA on, tokens otherwise
+ */
+const continueLogin = async (req, res, user) => {
+    // The first factor alone isn't enough once 2FA is on; the client sends a code to /login/2fa next
+    if (user.two_factor_enabled) {
+        logger.logAuth('Two-factor challenge issued', user.id, {
+            ip: getClientIp(req)
+        });
+
+        return res.json({
+            success: true,
+            message: 'Enter the code from your authenticator app',
+            data: {
+                twoFactorRequired: true,
+                challengeToken: generateTwoFactorChallenge(user)
+            }
+        });
+    }
+
+    await sendLoginResponse(req, res, user);
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register new user
  * @access  Public
  */
-router.post('/register', authRateLimit, validateUserRegistration, asyncHandler(async (req, res) => {
+router.post('/register', authRateLimit, sanitizeProfileHtml, validateUserRegistration, asyncHandler(async (req, res) => {
     const { email, password, firstName, lastName, faithTradition, bio } = req.body;
 
     // Check if registration is enabled
@@ -74,6 +206,12 @@ router.post('/register', authRateLimit, validateUserRegistration, asyncHandler(a
         ip: getClientIp(req)
     });
 
+    if (constants.FEATURES.EMAIL_VERIFICATION) {
+        await sendVerificationEmail(user);
+    } else {
+        await mailer.queue('welcome', user.email, { firstName: user.first_name });
+    }
+
     res.status(constants.HTTP_STATUS.CREATED).json({
         success: true,
         message: constants.SUCCESS.USER_CREATED,
@@ -85,9 +223,12 @@ router.post('/register', authRateLimit, validateUserRegistration, asyncHandler(a
                 lastName: user.last_name,
                 displayName: user.display_name,
                 role: user.role,
-                faithTradition: user.faith_tradition
+                permissions: await RoleModel.getPermissions(user.role),
+                faithTradition: user.faith_tradition,
+                emailVerified: !!user.email_verified
             },
-            tokens
+            tokens,
+            verificationRequired: constants.FEATURES.EMAIL_VERIFICATION && !user.email_verified
         }
     });
 }));
@@ -110,60 +251,70 @@ router.post('/login', authRateLimit, validateUserLogin, asyncHandler(async (req,
         });
     }
 
-    // Check user status - if undefined, default to active
-    const userStatus = user.status || constants.USER_STATUS.ACTIVE;
-    
-    if (userStatus !== constants.USER_STATUS.ACTIVE) {
-        let message = 'Account is not active';
-        let code = 'ACCOUNT_INACTIVE';
-
-        switch (userStatus) {
-            case constants.USER_STATUS.SUSPENDED:
-                message = 'Account is suspended';
-                code = 'ACCOUNT_SUSPENDED';
-                break;
-            case constants.USER_STATUS.BANNED:
-                message = 'Account is banned';
-                code = 'ACCOUNT_BANNED';
-                break;
-        }
-
+    const statusError = await getAccountStatusError(user);
+    if (statusError) {
         return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
             success: false,
-            message,
-            code
+            ...statusError
         });
     }
 
-    // Generate token pair
-    const tokens = await generateTokenPair(
-        user,
-        getClientIp(req),
-        getUserAgent(req)
-    );
+    await continueLogin(req, res, user);
+}));
 
-    logger.logAuth('User logged in', user.id, {
-        email: user.email,
-        ip: getClientIp(req)
-    });
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: exchange the challenge from /login and a code for tokens
+ * @access  Public
+ */
+router.post('/login/2fa', authRateLimit, validateTwoFactorLogin, asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
 
-    res.json({
-        success: true,
-        message: constants.SUCCESS.LOGIN_SUCCESS,
-        data: {
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                displayName: user.display_name,
-                role: user.role,
-                faithTradition: user.faith_tradition,
-                profileImage: user.profile_image
-            },
-            tokens
-        }
-    });
+    let decoded;
+    try {
+        decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+        return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+            success: false,
+            message: `${error.message}. Please log in again.`,
+            code: 'INVALID_TWO_FACTOR_CHALLENGE'
+        });
+    }
+
+    // The account may have been suspended or deleted since the password step
+    const user = await UserModel.findById(decoded.userId);
+    if (!user || user.status !== constants.USER_STATUS.ACTIVE) {
+        return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+            success: false,
+            message: constants.ERRORS.INVALID_CREDENTIALS,
+            code: 'INVALID_CREDENTIALS'
+        });
+    }
+
+    const method = await TwoFactorModel.verify(user.id, code);
+    if (!method) {
+        logger.logSecurity('Invalid two-factor code', {
+            userId: user.id,
+            ip: getClientIp(req)
+        });
+
+        return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+            success: false,
+            message: 'Invalid authentication code',
+            code: 'INVALID_TWO_FACTOR_CODE'
+        });
+    }
+
+    delete user.password_hash;
+
+    // Tell the user how many recovery codes they have left after spending one
+    const extra = {};
+    if (method === 'recovery') {
+        const status = await TwoFactorModel.getStatus(user.id);
+        extra.recoveryCodesRemaining = status.recoveryCodesRemaining;
+    }
+
+    await sendLoginResponse(req, res, user, extra);
 }));
 
 /**
@@ -230,6 +381,321 @@ router.post('/logout', verifyToken, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * Look up the provider named in the URL, answering 404 when social login is off or it isn't configured
+ */
+const loadOidcProvider = (req, res, next) => {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Sign-in provider not found',
+            code: 'PROVIDER_NOT_FOUND'
+        });
+    }
+
+    req.oidcProvider = provider;
+    next();
+};
+
+const OIDC_COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: constants.SERVER.NODE_ENV === 'production',
+    path: '/api/auth/oidc'
+};
+
+/**
+ * Read a cookie from the request
+ */
+const readCookie = (req, name) => {
+    const pair = (req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+
+    return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+/**
+ * Start an authorization code + PKCE login at a provider
+ * Returns the URL to send the browser to. Pass a user ID to link an account instead of signing in.
+ */
+const startOidcLogin = async (req, res, userId = null) => {
+    const provider = req.oidcProvider;
+    const state = randomToken();
+    const nonce = randomToken();
+    const pkce = createPkce();
+
+    await OidcLoginModel.createState({
+        state,
+        provider: provider.id,
+        codeVerifier: pkce.verifier,
+        nonce,
+        userId
+    });
+
+    // Ties the callback to this browser, so nobody can finish their own login in someone else's
+    res.cookie(constants.OIDC.STATE_COOKIE, state, {
+        ...OIDC_COOKIE_OPTIONS,
+        maxAge: auth.parseTimeToMs(constants.OIDC.STATE_EXPIRES_IN)
+    });
+
+    return buildAuthorizationUrl(provider, { state, nonce, codeChallenge: pkce.challenge });
+};
+
+/**
+ * Send the browser back to the app with the outcome of a provider redirect
+ */
+const redirectToApp = (res, params) => res.redirect(`/?${new URLSearchParams(params).toString()}`);
+
+/**
+ * Find the user for a provider account, linking or creating one when needed
+ * Existing accounts are only matched by email when the provider has verified it.
+ * Returns { userId } or { error }.
+ */
+const resolveSocialUser = async (provider, claims) => {
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+    const identity = await UserIdentityModel.findBySubject(provider.id, claims.sub);
+    if (identity) {
+        await UserIdentityModel.recordLogin(identity.id, email);
+        return { userId: identity.user_id };
+    }
+
+    if (!email) {
+        return { error: `${provider.name} did not share an email address` };
+    }
+
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    const link = { provider: provider.id, subject: claims.sub, email };
+
+    const existing = await UserModel.findByEmail(email);
+    if (existing) {
+        if (!emailVerified) {
+            return { error: `An account with this email already exists. Log in and link ${provider.name} from Settings.` };
+        }
+        if (!(await UserIdentityModel.link(existing.id, link))) {
+            return { error: `A different ${provider.name} account is already linked to this user` };
+        }
+        return { userId: existing.id };
+    }
+
+    if (!constants.FEATURES.REGISTRATION_ENABLED) {
+        return { error: 'User registration is currently disabled' };
+    }
+
+    const [nameFirst, ...nameRest] = String(claims.name || '').trim().split(/\s+/);
+    const user = await UserModel.create({
+        email,
+        password: randomToken(32),
+        firstName: String(claims.given_name || nameFirst || email.split('@')[0]).slice(0, 100),
+        lastName: String(claims.family_name || nameRest.join(' ') || '-').slice(0, 100),
+        emailVerified,
+        hasPassword: false
+    });
+
+    await UserIdentityModel.link(user.id, link);
+    await mailer.queue('welcome', user.email, { firstName: user.first_name });
+
+    logger.logAuth('User registered', user.id, { email, provider: provider.id });
+
+    return { userId: user.id };
+};
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List the providers users can sign in with
+ * @access  Public
+ */
+router.get('/oidc/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: { providers: listProviders() }
+    });
+});
+
+/**
+ * @route   GET /api/auth/oidc/:provider/login
+ * @desc    Send the browser to a provider to sign in
+ * @access  Public
+ */
+router.get('/oidc/:provider/login', loadOidcProvider, asyncHandler(async (req, res) => {
+    res.redirect(await startOidcLogin(req, res));
+}));
+
+/**
+ * @route   POST /api/auth/oidc/:provider/link
+ * @desc    Start linking a provider account; returns the URL to send the browser to
+ * @access  Private
+ */
+router.post('/oidc/:provider/link', verifyToken, loadOidcProvider, asyncHandler(async (req, res) => {
+    const authorizationUrl = await startOidcLogin(req, res, req.user.id);
+
+    res.json({
+        success: true,
+        data: { authorizationUrl }
+    });
+}));
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Provider redirect after sign-in; finishes a login or a link and returns to the app
+ * @access  Public
+ */
+router.get('/oidc/:provider/callback', loadOidcProvider, asyncHandler(async (req, res) => {
+    const provider = req.oidcProvider;
+    const { code, state, error } = req.query;
+    const cookieState = readCookie(req, constants.OIDC.STATE_COOKIE);
+
+    res.clearCookie(constants.OIDC.STATE_COOKIE, OIDC_COOKIE_OPTIONS);
+
+    if (error) {
+        return redirectToApp(res, {
+            socialError: error === 'access_denied' ? `${provider.name} sign-in was cancelled` : `${provider.name} sign-in failed`
+        });
+    }
+
+    const attempt = typeof state === 'string' && state === cookieState
+        ? await OidcLoginModel.consumeState(state)
+        : null;
+
+    if (!attempt || attempt.provider !== provider.id || typeof code !== 'string') {
+        logger.logSecurity('Invalid OIDC callback state', {
+            provider: provider.id,
+            ip: getClientIp(req)
+        });
+
+        return redirectToApp(res, { socialError: 'Sign-in expired. Please try again.' });
+    }
+
+    let claims;
+    try {
+        const tokens = await exchangeCode(provider, { code, codeVerifier: attempt.code_verifier });
+        claims = await verifyIdToken(provider, tokens.id_token, { nonce: attempt.nonce });
+    } catch (exchangeError) {
+        logger.logSecurity('OIDC sign-in failed', {
+            provider: provider.id,
+            error: exchangeError.message,
+            ip: getClientIp(req)
+        });
+
+        return redirectToApp(res, { socialError: `${provider.name} sign-in failed` });
+    }
+
+    // Linking an account to the user who started the flow
+    if (attempt.user_id) {
+        const identity = await UserIdentityModel.findBySubject(provider.id, claims.sub);
+
+        if (identity && identity.user_id !== attempt.user_id) {
+            return redirectToApp(res, { socialError: `That ${provider.name} account is linked to another user` });
+        }
+        if (!identity && !(await UserIdentityModel.link(attempt.user_id, { provider: provider.id, subject: claims.sub, email: claims.email || null }))) {
+            return redirectToApp(res, { socialError: `A different ${provider.name} account is already linked` });
+        }
+
+        return redirectToApp(res, { socialLinked: provider.name });
+    }
+
+    const result = await resolveSocialUser(provider, claims);
+    if (result.error) {
+        return redirectToApp(res, { socialError: result.error });
+    }
+
+    // Tokens don't go in the URL; the app swaps this single-use ticket for them
+    const ticket = await OidcLoginModel.createTicket(result.userId, provider.id);
+
+    redirectToApp(res, { socialLogin: ticket });
+}));
+
+/**
+ * @route   POST /api/auth/oidc/exchange
+ * @desc    Swap the ticket from a finished social login for tokens (or a two-factor challenge)
+ * @access  Public
+ */
+router.post('/oidc/exchange', authRateLimit, validateSocialLoginTicket, asyncHandler(async (req, res) => {
+    const ticket = constants.FEATURES.SOCIAL_LOGIN
+        ? await OidcLoginModel.consumeTicket(req.body.ticket)
+        : null;
+    const user = ticket ? await UserModel.findById(ticket.user_id) : null;
+
+    if (!user) {
+        return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+            success: false,
+            message: 'Sign-in expired. Please try again.',
+            code: 'INVALID_SOCIAL_LOGIN_TICKET'
+        });
+    }
+
+    const statusError = await getAccountStatusError(user);
+    if (statusError) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            ...statusError
+        });
+    }
+
+    delete user.password_hash;
+    await UserModel.updateLastLogin(user.id);
+
+    await continueLogin(req, res, user);
+}));
+
+/**
+ * @route   GET /api/auth/oidc/identities
+ * @desc    List the provider accounts linked to the user, and the providers available
+ * @access  Private
+ */
+router.get('/oidc/identities', verifyToken, asyncHandler(async (req, res) => {
+    const identities = await UserIdentityModel.getForUser(req.user.id);
+    const user = await UserModel.findById(req.user.id);
+
+    res.json({
+        success: true,
+        data: {
+            identities: identities.map(identity => ({
+                provider: identity.provider,
+                email: identity.email,
+                linkedAt: identity.created_at,
+                lastLoginAt: identity.last_login_at
+            })),
+            providers: listProviders(),
+            hasPassword: user.has_password !== false
+        }
+    });
+}));
+
+/**
+ * @route   DELETE /api/auth/oidc/identities/:provider
+ * @desc    Unlink a provider account
+ * @access  Private
+ */
+router.delete('/oidc/identities/:provider', verifyToken, asyncHandler(async (req, res) => {
+    const result = await UserIdentityModel.unlink(req.user.id, req.params.provider);
+
+    if (result === 'not_found') {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Linked account not found',
+            code: 'IDENTITY_NOT_FOUND'
+        });
+    }
+
+    if (result === 'last_login_method') {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'This is the only way to sign in to your account. Set a password first using "Forgot your password?".',
+            code: 'LAST_LOGIN_METHOD'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Account unlinked'
+    });
+}));
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get user profile
@@ -261,9 +727,13 @@ router.get('/profile', verifyToken, asyncHandler(async (req, res) => {
                 bio: user.bio,
                 faithTradition: user.faith_tradition,
                 role: user.role,
+                permissions: await RoleModel.getPermissions(user.role),
                 status: user.status,
                 profileImage: user.profile_image,
                 emailVerified: !!user.email_verified,
+                hasPassword: user.has_password !== false,
+                twoFactorEnabled: !!user.two_factor_enabled,
+                twoFactorSetupRequired: !!req.user.two_factor_setup_required,
                 lastLoginAt: user.last_login_at,
                 createdAt: user.created_at
             },
@@ -277,7 +747,7 @@ router.get('/profile', verifyToken, asyncHandler(async (req, res) => {
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/profile', verifyToken, validateUserProfileUpdate, asyncHandler(async (req, res) => {
+router.put('/profile', verifyToken, sanitizeProfileHtml, validateUserProfileUpdate, asyncHandler(async (req, res) => {
     const { firstName, lastName, displayName, bio, faithTradition } = req.body;
 
     const updatedUser = await UserModel.updateProfile(req.user.id, {
@@ -344,14 +814,247 @@ router.post('/change-password', verifyToken, passwordResetRateLimit, validatePas
     });
 }));
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetRateLimit, validateForgotPassword, asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    const clientIp = getClientIp(req);
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const response = {
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await UserModel.findByEmail(email);
+
+    if (!user || user.status === constants.USER_STATUS.BANNED) {
+        logger.logSecurity('Password reset requested for unknown or banned account', {
+            email,
+            ip: clientIp
+        });
+        return res.json(response);
+    }
+
+    const { token, expiresAt } = await PasswordResetModel.createToken(user.id, clientIp);
+    const resetUrl = `${constants.SERVER.SITE_URL}/?resetToken=${token}`;
+    const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+
+    await mailer.queue('passwordReset', user.email, {
+        firstName: user.first_name,
+        resetUrl,
+        expiresInMinutes: minutes
+    });
+
+    res.json(response);
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using an emailed reset token
+ * @access  Public
+ */
+router.post('/reset-password', passwordResetRateLimit, validatePasswordReset, asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+    const clientIp = getClientIp(req);
+
+    const passwordHash = await hashPassword(newPassword);
+    const userId = await PasswordResetModel.resetPassword(token, passwordHash);
+
+    if (!userId) {
+        logger.logSecurity('Invalid password reset token used', { ip: clientIp });
+
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Invalid or expired reset token',
+            code: 'INVALID_RESET_TOKEN'
+        });
+    }
+
+    // Whoever had access before the reset is signed out everywhere
+    await invalidateAllUserSessions(userId);
+
+    logger.logAuth('Password reset', userId, {
+        ip: clientIp,
+        userAgent: getUserAgent(req)
+    });
+
+    res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+    });
+}));
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', verifyToken, asyncHandler(async (req, res) => {
+    const status = await TwoFactorModel.getStatus(req.user.id);
+
+    res.json({
+        success: true,
+        data: {
+            ...status,
+            required: await TwoFactorModel.isRequiredFor(req.user)
+        }
+    });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment: get a new secret and otpauth URI to show as a QR code
+ * @access  Private
+ */
+router.post('/2fa/setup', verifyToken, asyncHandler(async (req, res) => {
+    const enrollment = await TwoFactorModel.startEnrollment(req.user);
+
+    if (!enrollment) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'Two-factor authentication is already enabled',
+            code: 'TWO_FACTOR_ALREADY_ENABLED'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: enrollment
+    });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish enrollment with a code from the authenticator app; returns recovery codes once
+ * @access  Private
+ */
+router.post('/2fa/enable', verifyToken, authRateLimit, validateTwoFactorCode, asyncHandler(async (req, res) => {
+    const recoveryCodes = await TwoFactorModel.enable(req.user.id, req.body.code);
+
+    if (!recoveryCodes) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Invalid authentication code. Start setup again if the problem continues.',
+            code: 'INVALID_TWO_FACTOR_CODE'
+        });
+    }
+
+    // Sessions that only ever passed the password check are ended; this one gets fresh tokens
+    await invalidateAllUserSessions(req.user.id);
+    const tokens = await generateTokenPair(req.user, getClientIp(req), getUserAgent(req));
+
+    logger.logAuth('Two-factor enrollment completed', req.user.id, {
+        ip: getClientIp(req)
+    });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: { recoveryCodes, tokens }
+    });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (needs a current code)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', verifyToken, authRateLimit, validateTwoFactorCode, asyncHandler(async (req, res) => {
+    const method = await TwoFactorModel.verify(req.user.id, req.body.code);
+
+    if (!method) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Invalid authentication code',
+            code: 'INVALID_TWO_FACTOR_CODE'
+        });
+    }
+
+    const recoveryCodes = await TwoFactorModel.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+        success: true,
+        message: 'New recovery codes generated. The old codes no longer work.',
+        data: { recoveryCodes }
+    });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (needs the password and a current code)
+ * @access  Private
+ */
+router.post('/2fa/disable', verifyToken, authRateLimit, validateTwoFactorDisable, asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    if (await TwoFactorModel.isRequiredFor(req.user)) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: 'Your role requires two-factor authentication',
+            code: 'TWO_FACTOR_REQUIRED'
+        });
+    }
+
+    const user = await UserModel.findById(req.user.id);
+    if (!user.two_factor_enabled) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Two-factor authentication is not enabled',
+            code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+    }
+
+    if (!(await verifyPassword(password, user.password_hash))) {
+        logger.logSecurity('Invalid password on two-factor disable', {
+            userId: user.id,
+            ip: getClientIp(req)
+        });
+
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Current password is incorrect',
+            code: 'INVALID_PASSWORD'
+        });
+    }
+
+    if (!(await TwoFactorModel.verify(user.id, code))) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Invalid authentication code',
+            code: 'INVALID_TWO_FACTOR_CODE'
+        });
+    }
+
+    await TwoFactorModel.disable(user.id);
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+}));
+
 /**
  * @route   GET /api/auth/sessions
- * @desc    Get user active sessions
+ * @desc    Get user active sessions with device, location and last use
  * @access  Private
  */
 router.get('/sessions', verifyToken, asyncHandler(async (req, res) => {
-    const { getUserSessions } = require('../config/auth');
-    const sessions = await getUserSessions(req.user.id);
+    const rows = await getUserSessions(req.user.id);
+
+    const sessions = await Promise.all(rows.map(async (session) => ({
+        id: session.id,
+        ipAddress: session.ip_address,
+        device: parseUserAgent(session.user_agent),
+        location: await getIpLocation(session.ip_address),
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.sessionId
+    })));
 
     res.json({
         success: true,
@@ -359,13 +1062,41 @@ router.get('/sessions', verifyToken, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a single session
+ * @access  Private
+ */
+router.delete('/sessions/:id', verifyToken, validateSessionParam, asyncHandler(async (req, res) => {
+    const revoked = await invalidateUserSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Session not found',
+            code: 'SESSION_NOT_FOUND'
+        });
+    }
+
+    logger.logAuth('Session invalidated', req.user.id, {
+        sessionId: req.params.id,
+        current: req.params.id === req.sessionId,
+        ip: getClientIp(req)
+    });
+
+    res.json({
+        success: true,
+        message: 'Session signed out',
+        data: { current: req.params.id === req.sessionId }
+    });
+}));
+
 /**
  * @route   DELETE /api/auth/sessions
  * @desc    Invalidate all user sessions
  * @access  Private
  */
 router.delete('/sessions', verifyToken, asyncHandler(async (req, res) => {
-    const { invalidateAllUserSessions } = require('../config/auth');
     await invalidateAllUserSessions(req.user.id);
 
     logger.logAuth('All sessions invalidated', req.user.id, {
@@ -395,25 +1126,47 @@ router.get('/activity', verifyToken, asyncHandler(async (req, res) => {
 }));
 
 /**
- * @route   POST /api/auth/verify-email
- * @desc    Verify email address
- * @access  Private
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address from an emailed link
+ * @access  Public
  */
-router.post('/verify-email', verifyToken, asyncHandler(async (req, res) => {
-    // In a real implementation, this would validate an email verification token
-    // For now, we'll just mark the email as verified
-    
-    const success = await UserModel.verifyEmail(req.user.id);
-    
-    if (!success) {
+router.get('/verify-email/:token', authRateLimit, asyncHandler(async (req, res) => {
+    let decoded;
+
+    try {
+        decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (error) {
+        logger.logSecurity('Invalid email verification token', {
+            error: error.message,
+            ip: getClientIp(req)
+        });
+
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: error.message,
+            code: error.message === 'Verification link expired' ? 'VERIFICATION_EXPIRED' : 'VERIFICATION_INVALID'
+        });
+    }
+
+    const user = await UserModel.findById(decoded.userId);
+
+    // A link issued for an earlier email address doesn't verify the current one
+    if (!user || user.email !== decoded.email) {
         return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
             success: false,
-            message: 'Email verification failed',
-            code: 'VERIFICATION_FAILED'
+            message: 'Invalid verification link',
+            code: 'VERIFICATION_INVALID'
+        });
+    }
+
+    if (user.email_verified) {
+        return res.json({
+            success: true,
+            message: 'Email address is already verified'
         });
     }
 
-    logger.logAuth('Email verified', req.user.id);
+    await UserModel.verifyEmail(user.id);
 
     res.json({
         success: true,
@@ -421,4 +1174,32 @@ router.post('/verify-email', verifyToken, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/verify-email/resend', verifyToken, emailRateLimit, asyncHandler(async (req, res) => {
+    const user = await UserModel.findById(req.user.id);
+
+    if (user.email_verified) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Email address is already verified',
+            code: 'ALREADY_VERIFIED'
+        });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.logAuth('Verification email resent', user.id, {
+        ip: getClientIp(req)
+    });
+
+    res.json({
+        success: true,
+        message: `A new verification link has been sent to ${user.email}`
+    });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,21 @@
 const express = require('express');
 const ContentModel = require('../models/Content');
 const CommentModel = require('../models/Comment');
-const { verifyToken, optionalAuth, requireUser, requireOwnershipOrRole } = require('../middleware/auth');
-const { validateContentCreation, validateContentUpdate, validateCommentCreation, validateIdParam, validatePagination, validateSearch, sanitizeHtml } = require('../middleware/validation');
-const { contentCreationRateLimit, commentRateLimit, searchRateLimit } = require('../middleware/rateLimit');
+const ContentRevisionModel = require('../models/ContentRevision');
+const ReportModel = require('../models/Report');
+const NotificationModel = require('../models/Notification');
+const MediaModel = require('../models/Media');
+const { verifyToken, optionalAuth, requirePermission, hasPermission, requireActiveAccount, checkModerationScope } = require('../middleware/auth');
+const { validateContentCreation, validateContentUpdate, validateCommentCreation, validateReport, validateIdParam, validateRevisionParams, validatePagination, validateSearch, validateContentPreview, sanitizeHtml, sanitizeCommentHtml } = require('../middleware/validation');
+const { contentCreationRateLimit, commentRateLimit, reportRateLimit, searchRateLimit } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
 const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 const { logger } = require('../utils/logger');
+const { sendReplyNotification } = require('../utils/emailNotifications');
+const { contentEvents } = require('../utils/contentEvents');
+const { requiresReview } = require('../utils/moderationPolicy');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -15,6 +24,35 @@ const router = express.Router();
  * Handles articles, discussions, and comments
  */
 
+/**
+ * Check that a date value lies in the future
+ */
+const isFutureDate = (value) => {
+    if (!value) {
+        return false;
+    }
+
+    const time = new Date(value).getTime();
+    return !isNaN(time) && time > Date.now();
+};
+
+/**
+ * Send the error for a featured image ID with no media record behind it
+ * Returns true if the response was sent.
+ */
+const rejectMissingFeaturedImage = async (featuredImageId, res) => {
+    if (!featuredImageId || await MediaModel.findById(featuredImageId)) {
+        return false;
+    }
+
+    res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Featured image not found, upload it first',
+        code: 'MEDIA_NOT_FOUND'
+    });
+    return true;
+};
+
 /**
  * @route   GET /api/content
  * @desc    Get paginated content list
@@ -87,11 +125,11 @@ router.get('/popular', optionalAuth, asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/content/search
- * @desc    Search content
+ * @desc    Full-text search over published content, ranked with highlighted snippets
  * @access  Public
  */
-router.get('/search', searchRateLimit, optionalAuth, asyncHandler(async (req, res) => {
-    const { q, type = '', category = '', limit = 20, offset = 0 } = req.query;
+router.get('/search', searchRateLimit, optionalAuth, validatePagination, asyncHandler(async (req, res) => {
+    const { q, type = '', category = '', page = 1, limit = 20 } = req.query;
 
     if (!q || q.trim().length === 0) {
         return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
@@ -104,62 +142,89 @@ router.get('/search', searchRateLimit, optionalAuth, asyncHandler(async (req, re
     const options = {
         type,
         category: category ? parseInt(category) : '',
-        limit: Math.min(parseInt(limit), constants.PAGINATION.MAX_LIMIT),
-        offset: parseInt(offset)
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), constants.PAGINATION.MAX_LIMIT)
     };
 
-    const content = await ContentModel.search(q.trim(), options);
+    const result = await ContentModel.search(q.trim(), options);
 
     res.json({
         success: true,
-        data: { content, query: q.trim() }
+        data: {
+            content: result.content,
+            pagination: result.pagination,
+            query: q.trim()
+        }
     });
 }));
 
 /**
  * @route   POST /api/content
  * @desc    Create new content
- * @access  Private
+ * @access  Private (content.create)
  */
-router.post('/', verifyToken, requireUser, contentCreationRateLimit, validateContentCreation, sanitizeHtml, asyncHandler(async (req, res) => {
+router.post('/', verifyToken, requirePermission(PERMISSIONS.CONTENT_CREATE), requireActiveAccount, contentCreationRateLimit, validateContentCreation, sanitizeHtml, asyncHandler(async (req, res) => {
     const {
         title,
         body,
         type,
         excerpt,
+        format,
+        source,
         categoryId,
         tags,
         metaTitle,
         metaDescription,
-        featuredImage,
-        status = constants.CONTENT_STATUS.PUBLISHED
+        featuredImageId,
+        status = constants.CONTENT_STATUS.PUBLISHED,
+        publishAt
     } = req.body;
 
-    // Check content moderation settings
+    // Scheduled content needs a publish time in the future, even when it goes to review first
+    const scheduling = status === constants.CONTENT_STATUS.SCHEDULED;
+    if (scheduling && !isFutureDate(publishAt)) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Scheduled content requires a publish date in the future',
+            code: 'INVALID_PUBLISH_DATE'
+        });
+    }
+
+    // Posts that would go live wait for a moderator when the policy says so; drafts stay drafts
     let finalStatus = status;
-    if (constants.FEATURES.CONTENT_MODERATION && req.user.role === constants.ROLES.USER) {
+    if ([constants.CONTENT_STATUS.PUBLISHED, constants.CONTENT_STATUS.SCHEDULED].includes(status) &&
+        await requiresReview(req.user, 'content')) {
         finalStatus = constants.CONTENT_STATUS.PENDING;
     }
 
+    if (await rejectMissingFeaturedImage(featuredImageId, res)) {
+        return;
+    }
+
     const content = await ContentModel.create({
         title,
         body,
         type,
         excerpt,
+        format,
+        source,
         authorId: req.user.id,
         categoryId: categoryId ? parseInt(categoryId) : null,
         tags: tags || [],
         metaTitle,
         metaDescription,
-        featuredImage,
-        status: finalStatus
+        featuredImageId: featuredImageId ? parseInt(featuredImageId) : null,
+        status: finalStatus,
+        // Kept while pending too, so approval schedules the post instead of publishing it
+        publishAt: scheduling ? new Date(publishAt).toISOString() : null
     });
 
     logger.info('Content created', {
         contentId: content.id,
         authorId: req.user.id,
         type,
-        status: finalStatus
+        status: finalStatus,
+        publishAt: content.publish_at
     });
 
     res.status(constants.HTTP_STATUS.CREATED).json({
@@ -169,6 +234,18 @@ router.post('/', verifyToken, requireUser, contentCreationRateLimit, validateCon
     });
 }));
 
+/**
+ * @route   POST /api/content/preview
+ * @desc    Render a body the way it would be saved, for the editor's preview
+ * @access  Private (content.create)
+ */
+router.post('/preview', verifyToken, requirePermission(PERMISSIONS.CONTENT_CREATE), validateContentPreview, sanitizeHtml, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: { html: req.body.body }
+    });
+}));
+
 /**
  * @route   GET /api/content/:id
  * @desc    Get content by ID
@@ -187,7 +264,7 @@ router.get('/:id', optionalAuth, validateIdParam, asyncHandler(async (req, res)
 
     // Check if user can view unpublished content
     if (content.status !== constants.CONTENT_STATUS.PUBLISHED) {
-        if (!req.user || (req.user.id !== content.author_id && req.user.role !== constants.ROLES.ADMIN && req.user.role !== constants.ROLES.MODERATOR)) {
+        if (!req.user || (req.user.id !== content.author_id && !(await hasPermission(req.user, PERMISSIONS.CONTENT_VIEW_UNPUBLISHED)))) {
             return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
                 success: false,
                 message: constants.ERRORS.NOT_FOUND,
@@ -226,7 +303,7 @@ router.get('/slug/:slug', optionalAuth, asyncHandler(async (req, res) => {
 
     // Check if user can view unpublished content
     if (content.status !== constants.CONTENT_STATUS.PUBLISHED) {
-        if (!req.user || (req.user.id !== content.author_id && req.user.role !== constants.ROLES.ADMIN && req.user.role !== constants.ROLES.MODERATOR)) {
+        if (!req.user || (req.user.id !== content.author_id && !(await hasPermission(req.user, PERMISSIONS.CONTENT_VIEW_UNPUBLISHED)))) {
             return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
                 success: false,
                 message: constants.ERRORS.NOT_FOUND,
@@ -250,9 +327,9 @@ router.get('/slug/:slug', optionalAuth, asyncHandler(async (req, res) => {
 /**
  * @route   PUT /api/content/:id
  * @desc    Update content
- * @access  Private (Author, Moderator, Admin)
+ * @access  Private (Author or content.edit_any)
  */
-router.put('/:id', verifyToken, validateContentUpdate, sanitizeHtml, asyncHandler(async (req, res) => {
+router.put('/:id', verifyToken, requireActiveAccount, validateContentUpdate, sanitizeHtml, asyncHandler(async (req, res) => {
     const content = await ContentModel.findById(req.params.id);
 
     if (!content) {
@@ -264,7 +341,7 @@ router.put('/:id', verifyToken, validateContentUpdate, sanitizeHtml, asyncHandle
     }
 
     // Check permissions
-    if (content.author_id !== req.user.id && req.user.role !== constants.ROLES.ADMIN && req.user.role !== constants.ROLES.MODERATOR) {
+    if (content.author_id !== req.user.id && !(await hasPermission(req.user, PERMISSIONS.CONTENT_EDIT_ANY))) {
         return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
             success: false,
             message: constants.ERRORS.ACCESS_DENIED,
@@ -276,31 +353,74 @@ router.put('/:id', verifyToken, validateContentUpdate, sanitizeHtml, asyncHandle
         title,
         body,
         excerpt,
+        format,
+        source,
         categoryId,
         tags,
         metaTitle,
         metaDescription,
-        featuredImage,
-        status
+        featuredImageId,
+        publishAt
     } = req.body;
+    let { status } = req.body;
+
+    // Editing someone else's post is moderation, so it stays within assigned categories, wherever the post moves;
+    // uncategorized posts are only for moderators without assignments
+    if (content.author_id !== req.user.id) {
+        const scopedCategoryIds = new Set([content.category_id]);
+        if (categoryId) {
+            scopedCategoryIds.add(parseInt(categoryId));
+        }
+
+        for (const scopedCategoryId of scopedCategoryIds) {
+            if (!(await checkModerationScope(req, res, scopedCategoryId))) {
+                return;
+            }
+        }
+    }
+
+    // Moving to (or rescheduling) scheduled status needs a future publish time, even when it goes to review first
+    const scheduling = (status || content.status) === constants.CONTENT_STATUS.SCHEDULED;
+    if (scheduling && !isFutureDate(publishAt || content.publish_at)) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Scheduled content requires a publish date in the future',
+            code: 'INVALID_PUBLISH_DATE'
+        });
+    }
+
+    // Publishing an unpublished post goes through the same review as a new one
+    if ([constants.CONTENT_STATUS.PUBLISHED, constants.CONTENT_STATUS.SCHEDULED].includes(status) &&
+        status !== content.status && await requiresReview(req.user, 'content')) {
+        status = constants.CONTENT_STATUS.PENDING;
+    }
+
+    if (await rejectMissingFeaturedImage(featuredImageId, res)) {
+        return;
+    }
 
     const updatedContent = await ContentModel.update(req.params.id, {
         title,
         body,
         excerpt,
+        format,
+        source,
         categoryId: categoryId ? parseInt(categoryId) : undefined,
         tags,
         metaTitle,
         metaDescription,
-        featuredImage,
-        status
-    });
+        featuredImageId: featuredImageId ? parseInt(featuredImageId) : featuredImageId,
+        status,
+        publishAt: scheduling ? new Date(publishAt || content.publish_at).toISOString() : undefined
+    }, { editorId: req.user.id });
 
     logger.info('Content updated', {
         contentId: req.params.id,
         updatedBy: req.user.id
     });
 
+    await contentEvents.publish(req.params.id, constants.CONTENT_EVENTS.CONTENT_UPDATED);
+
     res.json({
         success: true,
         message: constants.SUCCESS.CONTENT_UPDATED,
@@ -311,7 +431,7 @@ router.put('/:id', verifyToken, validateContentUpdate, sanitizeHtml, asyncHandle
 /**
  * @route   DELETE /api/content/:id
  * @desc    Delete content
- * @access  Private (Author, Moderator, Admin)
+ * @access  Private (Author or content.delete_any)
  */
 router.delete('/:id', verifyToken, validateIdParam, asyncHandler(async (req, res) => {
     const content = await ContentModel.findById(req.params.id);
@@ -325,7 +445,7 @@ router.delete('/:id', verifyToken, validateIdParam, asyncHandler(async (req, res
     }
 
     // Check permissions
-    if (content.author_id !== req.user.id && req.user.role !== constants.ROLES.ADMIN && req.user.role !== constants.ROLES.MODERATOR) {
+    if (content.author_id !== req.user.id && !(await hasPermission(req.user, PERMISSIONS.CONTENT_DELETE_ANY))) {
         return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
             success: false,
             message: constants.ERRORS.ACCESS_DENIED,
@@ -333,7 +453,11 @@ router.delete('/:id', verifyToken, validateIdParam, asyncHandler(async (req, res
         });
     }
 
-    const deleted = await ContentModel.delete(req.params.id);
+    if (content.author_id !== req.user.id && !(await checkModerationScope(req, res, content.category_id))) {
+        return;
+    }
+
+    const deleted = await ContentModel.delete(req.params.id, req.user.id);
 
     if (!deleted) {
         return res.status(constants.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
@@ -348,18 +472,238 @@ router.delete('/:id', verifyToken, validateIdParam, asyncHandler(async (req, res
         deletedBy: req.user.id
     });
 
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CONTENT_DELETE,
+        resourceType: 'content',
+        resourceId: content.id,
+        oldValues: {
+            title: content.title,
+            type: content.type,
+            status: content.status,
+            author_id: content.author_id
+        }
+    });
+
     res.json({
         success: true,
         message: constants.SUCCESS.CONTENT_DELETED
     });
 }));
 
+/**
+ * Check whether a user may view and restore revisions of content
+ */
+const canManageRevisions = async (content, user) => {
+    return content.author_id === user.id ||
+        await hasPermission(user, PERMISSIONS.CONTENT_EDIT_ANY);
+};
+
+/**
+ * @route   GET /api/content/:id/revisions
+ * @desc    Get revision history for content
+ * @access  Private (Author or content.edit_any)
+ */
+router.get('/:id/revisions', verifyToken, validateIdParam, asyncHandler(async (req, res) => {
+    const content = await ContentModel.findById(req.params.id);
+
+    if (!content) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (!(await canManageRevisions(content, req.user))) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'NOT_CONTENT_OWNER'
+        });
+    }
+
+    const revisions = await ContentRevisionModel.getForContent(req.params.id);
+
+    res.json({
+        success: true,
+        data: { revisions }
+    });
+}));
+
+/**
+ * @route   GET /api/content/:id/revisions/diff
+ * @desc    Get a word-level diff between two revisions
+ * @access  Private (Author or content.edit_any)
+ */
+router.get('/:id/revisions/diff', verifyToken, validateIdParam, asyncHandler(async (req, res) => {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Both from and to revision numbers are required',
+            code: 'INVALID_REVISION_RANGE'
+        });
+    }
+
+    const content = await ContentModel.findById(req.params.id);
+
+    if (!content) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (!(await canManageRevisions(content, req.user))) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'NOT_CONTENT_OWNER'
+        });
+    }
+
+    const diff = await ContentRevisionModel.compare(req.params.id, from, to);
+
+    if (!diff) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Revision not found',
+            code: 'REVISION_NOT_FOUND'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: { diff }
+    });
+}));
+
+/**
+ * @route   GET /api/content/:id/revisions/:rev
+ * @desc    Get a single revision
+ * @access  Private (Author or content.edit_any)
+ */
+router.get('/:id/revisions/:rev', verifyToken, validateRevisionParams, asyncHandler(async (req, res) => {
+    const content = await ContentModel.findById(req.params.id);
+
+    if (!content) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (!(await canManageRevisions(content, req.user))) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'NOT_CONTENT_OWNER'
+        });
+    }
+
+    const revision = await ContentRevisionModel.findByNumber(req.params.id, parseInt(req.params.rev));
+
+    if (!revision) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Revision not found',
+            code: 'REVISION_NOT_FOUND'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: { revision }
+    });
+}));
+
+/**
+ * @route   POST /api/content/:id/revisions/:rev/restore
+ * @desc    Restore content to a previous revision
+ * @access  Private (Author or content.edit_any)
+ */
+router.post('/:id/revisions/:rev/restore', verifyToken, requireActiveAccount, validateRevisionParams, asyncHandler(async (req, res) => {
+    const content = await ContentModel.findById(req.params.id);
+
+    if (!content) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (!(await canManageRevisions(content, req.user))) {
+        return res.status(constants.HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: constants.ERRORS.ACCESS_DENIED,
+            code: 'NOT_CONTENT_OWNER'
+        });
+    }
+
+    const revisionNumber = parseInt(req.params.rev);
+    const revision = await ContentRevisionModel.findByNumber(req.params.id, revisionNumber);
+
+    if (!revision) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Revision not found',
+            code: 'REVISION_NOT_FOUND'
+        });
+    }
+
+    // Restoring someone else's post is an edit like any other, including the category it moves back to
+    if (content.author_id !== req.user.id) {
+        for (const scopedCategoryId of new Set([content.category_id, revision.category_id])) {
+            if (!(await checkModerationScope(req, res, scopedCategoryId))) {
+                return;
+            }
+        }
+    }
+
+    const restoredContent = await ContentModel.restoreRevision(req.params.id, revisionNumber, req.user.id);
+
+    if (!restoredContent) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    logger.info('Content revision restored', {
+        contentId: req.params.id,
+        revisionNumber,
+        restoredBy: req.user.id
+    });
+
+    await recordAudit(req, {
+        action: constants.AUDIT_ACTIONS.CONTENT_REVISION_RESTORE,
+        resourceType: 'content',
+        resourceId: content.id,
+        oldValues: { title: content.title, category_id: content.category_id },
+        newValues: { revision_number: revisionNumber, title: restoredContent.title, category_id: restoredContent.category_id }
+    });
+
+    await contentEvents.publish(req.params.id, constants.CONTENT_EVENTS.CONTENT_UPDATED);
+
+    res.json({
+        success: true,
+        message: `Content restored to revision ${revisionNumber}`,
+        data: { content: restoredContent }
+    });
+}));
+
 /**
  * @route   POST /api/content/:id/like
  * @desc    Toggle like on content
- * @access  Private
+ * @access  Private (community.participate)
  */
-router.post('/:id/like', verifyToken, requireUser, validateIdParam, asyncHandler(async (req, res) => {
+router.post('/:id/like', verifyToken, requirePermission(PERMISSIONS.COMMUNITY_PARTICIPATE), validateIdParam, asyncHandler(async (req, res) => {
     const content = await ContentModel.findById(req.params.id);
 
     if (!content) {
@@ -380,6 +724,12 @@ router.post('/:id/like', verifyToken, requireUser, validateIdParam, asyncHandler
 
     const result = await ContentModel.toggleLike(req.params.id, req.user.id);
 
+    if (result.liked) {
+        await NotificationModel.notifyContentLike(content, req.user.id);
+    }
+
+    await contentEvents.publish(content.id, constants.CONTENT_EVENTS.LIKES_UPDATED);
+
     res.json({
         success: true,
         message: result.liked ? 'Content liked' : 'Like removed',
@@ -387,6 +737,62 @@ router.post('/:id/like', verifyToken, requireUser, validateIdParam, asyncHandler
     });
 }));
 
+/**
+ * @route   POST /api/content/:id/report
+ * @desc    Report content to moderators
+ * @access  Private (community.participate)
+ */
+router.post('/:id/report', verifyToken, requirePermission(PERMISSIONS.COMMUNITY_PARTICIPATE), reportRateLimit, validateReport, asyncHandler(async (req, res) => {
+    const { reason, details } = req.body;
+
+    const content = await ContentModel.findById(req.params.id);
+
+    if (!content || content.status !== constants.CONTENT_STATUS.PUBLISHED) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    if (content.author_id === req.user.id) {
+        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'You cannot report your own content',
+            code: 'CANNOT_REPORT_OWN'
+        });
+    }
+
+    const report = await ReportModel.create({
+        targetType: constants.REPORT_TARGETS.CONTENT,
+        targetId: content.id,
+        reporterId: req.user.id,
+        reason,
+        details
+    });
+
+    if (!report) {
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'You have already reported this content',
+            code: 'ALREADY_REPORTED'
+        });
+    }
+
+    logger.info('Content reported', {
+        contentId: content.id,
+        reportId: report.id,
+        reporterId: req.user.id,
+        reason
+    });
+
+    res.status(constants.HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Report submitted. Thank you for helping keep the community safe.',
+        data: { reportId: report.id }
+    });
+}));
+
 /**
  * @route   GET /api/content/:id/comments
  * @desc    Get comments for content
@@ -425,12 +831,81 @@ router.get('/:id/comments', optionalAuth, validateIdParam, validatePagination, a
     });
 }));
 
+/**
+ * @route   GET /api/content/:id/stream
+ * @desc    Server-Sent Events stream of new comments, edits and like counts
+ * @access  Public
+ */
+router.get('/:id/stream', validateIdParam, asyncHandler(async (req, res) => {
+    const content = await ContentModel.findById(req.params.id);
+
+    if (!content || content.status !== constants.CONTENT_STATUS.PUBLISHED) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: constants.ERRORS.NOT_FOUND,
+            code: 'CONTENT_NOT_FOUND'
+        });
+    }
+
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = null;
+
+    const cleanup = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    };
+
+    // Compression buffers output, so flush after every write
+    const write = (chunk) => {
+        res.write(chunk);
+        if (res.flush) {
+            res.flush();
+        }
+    };
+
+    const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    res.on('close', cleanup);
+
+    unsubscribe = await contentEvents.subscribe(content.id, (event) => {
+        send(event.type, event.data);
+
+        if (event.type === constants.CONTENT_EVENTS.SHUTDOWN) {
+            cleanup();
+            res.end();
+        }
+    });
+
+    // The client went away while the subscription was being set up
+    if (closed) {
+        cleanup();
+        return;
+    }
+
+    res.writeHead(constants.HTTP_STATUS.OK, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    write(`retry: ${constants.REALTIME.CLIENT_RETRY_MS}\n\n`);
+    send('ready', { contentId: content.id, likeCount: content.like_count });
+
+    heartbeat = setInterval(() => write(': heartbeat\n\n'), constants.REALTIME.HEARTBEAT_INTERVAL_MS);
+}));
+
 /**
  * @route   POST /api/content/:id/comments
  * @desc    Create comment on content
- * @access  Private
+ * @access  Private (comments.create)
  */
-router.post('/:id/comments', verifyToken, requireUser, commentRateLimit, validateCommentCreation, asyncHandler(async (req, res) => {
+router.post('/:id/comments', verifyToken, requirePermission(PERMISSIONS.COMMENTS_CREATE), requireActiveAccount, commentRateLimit, sanitizeCommentHtml, validateCommentCreation, asyncHandler(async (req, res) => {
     const { body, parentId } = req.body;
 
     const content = await ContentModel.findById(req.params.id);
@@ -463,11 +938,10 @@ router.post('/:id/comments', verifyToken, requireUser, commentRateLimit, validat
         }
     }
 
-    // Check moderation settings
-    let status = constants.CONTENT_STATUS.PUBLISHED;
-    if (constants.FEATURES.CONTENT_MODERATION && req.user.role === constants.ROLES.USER) {
-        status = constants.CONTENT_STATUS.PENDING;
-    }
+    // Hold the comment for review when the moderation policy applies to this author
+    const status = await requiresReview(req.user, 'comment')
+        ? constants.CONTENT_STATUS.PENDING
+        : constants.CONTENT_STATUS.PUBLISHED;
 
     const comment = await CommentModel.create({
         contentId: parseInt(req.params.id),
@@ -484,6 +958,13 @@ router.post('/:id/comments', verifyToken, requireUser, commentRateLimit, validat
         status
     });
 
+    await NotificationModel.notifyCommentReply(comment);
+    await sendReplyNotification(comment);
+
+    if (status === constants.CONTENT_STATUS.PUBLISHED) {
+        await contentEvents.publish(comment.content_id, constants.CONTENT_EVENTS.COMMENT_CREATED, { commentId: comment.id });
+    }
+
     res.status(constants.HTTP_STATUS.CREATED).json({
         success: true,
         message: 'Comment created successfully',
@@ -506,10 +987,9 @@ router.get('/author/:authorId', optionalAuth, validateIdParam, validatePaginatio
     const options = {
         limit: Math.min(parseInt(limit), constants.PAGINATION.MAX_LIMIT),
         offset: parseInt(offset),
-        includeUnpublished: includeUnpublished === 'true' && req.user && (
+        includeUnpublished: includeUnpublished === 'true' && !!req.user && (
             req.user.id === parseInt(req.params.authorId) ||
-            req.user.role === constants.ROLES.ADMIN ||
-            req.user.role === constants.ROLES.MODERATOR
+            await hasPermission(req.user, PERMISSIONS.CONTENT_VIEW_UNPUBLISHED)
         )
     };
 
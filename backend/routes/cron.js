@@ -0,0 +1,92 @@
+const express = require('express');
+const crypto = require('crypto');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { jobRunner } = require('../utils/jobRunner');
+const { logger } = require('../utils/logger');
+const constants = require('../config/constants');
+
+const router = express.Router();
+
+/**
+ * Cron Routes
+ * Runs background jobs on deployments without a long-running process (Vercel).
+ * A scheduler calls these with the CRON_SECRET as a bearer token; each job
+ * still takes its advisory lock, so overlapping calls never run it twice.
+ */
+
+/**
+ * Require the cron secret as a bearer token
+ */
+const verifyCronSecret = (req, res, next) => {
+    const secret = constants.JOBS.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const provided = Buffer.from(req.headers.authorization || '');
+
+    if (!secret || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        logger.logSecurity('Rejected cron request', { ip: req.ip, path: req.originalUrl });
+        return res.status(constants.HTTP_STATUS.UNAUTHORIZED).json({
+            success: false,
+            message: 'Invalid cron secret',
+            code: 'INVALID_CRON_SECRET'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Run jobs once and report how each went
+ */
+const runJobs = async (names) => {
+    const results = [];
+
+    for (const name of names) {
+        try {
+            // false means another instance holds the job right now
+            const ran = await jobRunner.runJob(name);
+            results.push({ name, ran });
+        } catch (error) {
+            results.push({ name, ran: false, error: error.message });
+        }
+    }
+
+    return results;
+};
+
+/**
+ * @route   GET /api/cron
+ * @desc    Run every background job once
+ * @access  Cron secret
+ */
+router.get('/', verifyCronSecret, asyncHandler(async (req, res) => {
+    const jobs = await runJobs(jobRunner.getStatus().map(job => job.name));
+
+    res.json({
+        success: true,
+        data: { jobs }
+    });
+}));
+
+/**
+ * @route   GET /api/cron/:job
+ * @desc    Run one background job once
+ * @access  Cron secret
+ */
+router.get('/:job', verifyCronSecret, asyncHandler(async (req, res) => {
+    if (!jobRunner.has(req.params.job)) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Job not found',
+            code: 'JOB_NOT_FOUND'
+        });
+    }
+
+    const [job] = await runJobs([req.params.job]);
+
+    res.json({
+        success: true,
+        data: { jobs: [job] }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const MediaModel = require('../models/Media');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getStorage } = require('../utils/storage');
+const { logger } = require('../utils/logger');
+const constants = require('../config/constants');
+
+const router = express.Router();
+
+/**
+ * Media Routes
+ * Serves uploaded images from whichever storage holds them. Stored files never
+ * change under a key, so responses can be cached for good.
+ */
+
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+
+const sendNotFound = (res) => res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+    success: false,
+    message: 'Image not found',
+    code: 'MEDIA_NOT_FOUND'
+});
+
+/**
+ * Send a stored file, or redirect to a signed URL when the storage hands them out
+ */
+const sendStoredFile = async (req, res, driver, key) => {
+    const storage = getStorage(driver);
+    const ttl = constants.STORAGE.SIGNED_URL_TTL_SECONDS;
+
+    const signedUrl = constants.STORAGE.S3.PROXY_READS ? null : await storage.getSignedUrl(key, ttl);
+    if (signedUrl) {
+        // Don't let caches keep the redirect past the signature's lifetime
+        res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 2)}`);
+        return res.redirect(302, signedUrl);
+    }
+
+    const object = await storage.createReadStream(key);
+    if (!object) {
+        return sendNotFound(res);
+    }
+
+    res.set({
+        'Content-Type': object.contentType,
+        'Cache-Control': IMMUTABLE_CACHE,
+        'X-Content-Type-Options': 'nosniff'
+    });
+    if (object.size !== undefined) {
+        res.set('Content-Length', object.size);
+    }
+
+    if (req.method === 'HEAD') {
+        object.stream.destroy();
+        return res.end();
+    }
+
+    pipeline(object.stream, res, (error) => {
+        // Clients going away mid-download is routine
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.error('Error streaming stored file', error, { driver, key });
+        }
+    });
+};
+
+/**
+ * @route   GET /media/:id/:variant
+ * @desc    Get one size of an uploaded image (thumbnail, card or full, the default; add .webp for WebP)
+ * @access  Public
+ */
+router.get('/media/:id(\\d+)/:variant?', asyncHandler(async (req, res) => {
+    const match = /^([a-z]+)(\.webp)?$/.exec(req.params.variant || 'full');
+    if (!match) {
+        return sendNotFound(res);
+    }
+
+    const [, name, webp] = match;
+    const media = await MediaModel.findById(req.params.id);
+    const variant = media && media.variants[name];
+    const key = variant && (webp ? variant.webpKey : variant.key);
+
+    if (!key) {
+        return sendNotFound(res);
+    }
+
+    await sendStoredFile(req, res, media.storage, key);
+}));
+
+/**
+ * @route   GET /uploads/:directory/:file
+ * @desc    Get an image by the URL it had before uploads went through storage adapters
+ * @access  Public
+ */
+router.get('/uploads/:directory(images|thumbnails)/:file([\\w-]+\\.\\w+)', asyncHandler(async (req, res) => {
+    const key = `${req.params.directory}/${req.params.file}`;
+    const [fileKey] = MediaModel.findKeys(`/${constants.UPLOAD.UPLOAD_DIR}/${key}`);
+    const media = fileKey ? await MediaModel.findByFileKey(fileKey) : null;
+
+    // Files no record knows about can only have been written to local disk
+    await sendStoredFile(req, res, media ? media.storage : 'local', key);
+}));
+
+module.exports = router;
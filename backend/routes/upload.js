@@ -1,34 +1,24 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, requireActiveAccount, hasPermission } = require('../middleware/auth');
+const { validateIdParam, validateMediaQuery, validateMediaAltText, sanitizeMediaHtml } = require('../middleware/validation');
 const { logger } = require('../utils/logger');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const MediaModel = require('../models/Media');
+const { processImage } = require('../utils/imageProcessor');
+const { deleteMedia } = require('../utils/mediaLibrary');
+const { recordAudit } = require('../utils/audit');
+const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../../uploads/images');
-        try {
-            await fs.mkdir(uploadDir, { recursive: true });
-            cb(null, uploadDir);
-        } catch (error) {
-            cb(error);
-        }
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const extension = path.extname(file.originalname);
-        cb(null, `image-${uniqueSuffix}${extension}`);
-    }
-});
+// Keep uploads in memory: they are re-encoded before anything is stored
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
-    // Check if file is an image
-    if (file.mimetype.startsWith('image/')) {
+    // The processor checks the actual contents; this just turns away the obvious mismatches early
+    if (constants.UPLOAD.ALLOWED_TYPES.includes(file.mimetype)) {
         cb(null, true);
     } else {
         cb(new Error('Only image files are allowed'), false);
@@ -39,17 +29,17 @@ const upload = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: 5 * 1024 * 1024, // 5MB limit
+        fileSize: constants.UPLOAD.MAX_FILE_SIZE,
         files: 1 // Only one file at a time
     }
 });
 
 /**
  * @route   POST /api/upload/image
- * @desc    Upload an image file
+ * @desc    Upload an image (with optional altText), re-encoded into thumbnail, card and full sizes plus WebP
  * @access  Private (Authenticated users)
  */
-router.post('/image', verifyToken, upload.single('image'), asyncHandler(async (req, res) => {
+router.post('/image', verifyToken, requireActiveAccount, upload.single('image'), sanitizeMediaHtml, validateMediaAltText, asyncHandler(async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -59,30 +49,49 @@ router.post('/image', verifyToken, upload.single('image'), asyncHandler(async (r
             });
         }
 
-        // Generate URL for the uploaded file
-        const imageUrl = `/uploads/images/${req.file.filename}`;
-        
+        const processed = await processImage(req.file.buffer);
+        const media = await MediaModel.create({
+            ownerId: req.user.id,
+            originalName: req.file.originalname,
+            altText: req.body.altText || null,
+            ...processed
+        });
+
         logger.info('Image uploaded successfully', {
             userId: req.user.id,
-            filename: req.file.filename,
+            mediaId: media.id,
             originalName: req.file.originalname,
-            size: req.file.size,
-            mimetype: req.file.mimetype
+            uploadedSize: req.file.size,
+            storedSize: media.size
         });
 
         res.json({
             success: true,
             message: 'Image uploaded successfully',
             data: {
-                url: imageUrl,
-                filename: req.file.filename,
-                originalName: req.file.originalname,
-                size: req.file.size,
-                mimetype: req.file.mimetype
+                id: media.id,
+                url: media.url,
+                width: media.width,
+                height: media.height,
+                srcset: media.srcset,
+                webpSrcset: media.webpSrcset,
+                variants: media.variants,
+                altText: media.altText,
+                originalName: media.originalName,
+                size: media.size,
+                mimetype: media.mimeType
             }
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
         logger.error('Image upload failed', {
             userId: req.user?.id,
             error: error.message,
@@ -98,63 +107,135 @@ router.post('/image', verifyToken, upload.single('image'), asyncHandler(async (r
 }));
 
 /**
- * @route   DELETE /api/upload/image/:filename
- * @desc    Delete an uploaded image
+ * Check that a user may edit or delete an upload
+ */
+const canManageMedia = async (user, media) =>
+    media.ownerId === user.id || await hasPermission(user, PERMISSIONS.MEDIA_MANAGE_ANY);
+
+/**
+ * @route   GET /api/upload/media
+ * @desc    Get the current user's uploads, with how many posts use each
  * @access  Private (Authenticated users)
  */
-router.delete('/image/:filename', verifyToken, asyncHandler(async (req, res) => {
-    try {
-        const { filename } = req.params;
-        
-        // Validate filename to prevent directory traversal
-        if (!filename || filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid filename',
-                code: 'INVALID_FILENAME'
-            });
-        }
+router.get('/media', verifyToken, validateMediaQuery, asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = constants.PAGINATION.DEFAULT_LIMIT,
+        unused
+    } = req.query;
 
-        const filePath = path.join(__dirname, '../../uploads/images', filename);
-        
-        try {
-            await fs.access(filePath);
-            await fs.unlink(filePath);
-            
-            logger.info('Image deleted successfully', {
-                userId: req.user.id,
-                filename: filename
-            });
+    const result = await MediaModel.list({
+        ownerId: req.user.id,
+        unused: unused === 'true',
+        page: parseInt(page),
+        limit: parseInt(limit)
+    });
 
-            res.json({
-                success: true,
-                message: 'Image deleted successfully'
-            });
+    res.json({
+        success: true,
+        data: result
+    });
+}));
 
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Image not found',
-                    code: 'FILE_NOT_FOUND'
-                });
-            }
-            throw error;
-        }
+/**
+ * @route   GET /api/upload/media/:id
+ * @desc    Get an upload and the posts that use it
+ * @access  Private (Owner or media.manage_any)
+ */
+router.get('/media/:id', verifyToken, validateIdParam, asyncHandler(async (req, res) => {
+    const media = await MediaModel.findById(req.params.id);
 
-    } catch (error) {
-        logger.error('Image deletion failed', {
-            userId: req.user?.id,
-            filename: req.params.filename,
-            error: error.message
+    if (!media || !(await canManageMedia(req.user, media))) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Media not found',
+            code: 'MEDIA_NOT_FOUND'
         });
+    }
 
-        res.status(500).json({
+    const references = await MediaModel.getReferences(media.id);
+
+    res.json({
+        success: true,
+        data: { media, references }
+    });
+}));
+
+/**
+ * @route   PUT /api/upload/media/:id
+ * @desc    Update an upload's alt text
+ * @access  Private (Owner or media.manage_any)
+ */
+router.put('/media/:id', verifyToken, requireActiveAccount, validateIdParam, sanitizeMediaHtml, validateMediaAltText, asyncHandler(async (req, res) => {
+    const media = await MediaModel.findById(req.params.id);
+
+    if (!media || !(await canManageMedia(req.user, media))) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Media not found',
+            code: 'MEDIA_NOT_FOUND'
+        });
+    }
+
+    await MediaModel.updateAltText(media.id, req.body.altText);
+
+    res.json({
+        success: true,
+        message: 'Alt text updated',
+        data: { media: await MediaModel.findById(media.id) }
+    });
+}));
+
+/**
+ * @route   DELETE /api/upload/media/:id
+ * @desc    Delete an upload and its files; uploads in use need ?force=true and media.manage_any
+ * @access  Private (Owner or media.manage_any)
+ */
+router.delete('/media/:id', verifyToken, validateIdParam, asyncHandler(async (req, res) => {
+    const media = await MediaModel.findById(req.params.id);
+
+    if (!media || !(await canManageMedia(req.user, media))) {
+        return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Media not found',
+            code: 'MEDIA_NOT_FOUND'
+        });
+    }
+
+    const force = req.query.force === 'true' && await hasPermission(req.user, PERMISSIONS.MEDIA_MANAGE_ANY);
+    const deleted = await deleteMedia(media, { unreferencedOnly: !force });
+
+    if (!deleted) {
+        const references = await MediaModel.getReferences(media.id);
+
+        return res.status(constants.HTTP_STATUS.CONFLICT).json({
             success: false,
-            message: 'Failed to delete image',
-            code: 'DELETE_FAILED'
+            message: 'This image is used by a post. Remove it from the post first.',
+            code: 'MEDIA_IN_USE',
+            data: { references }
         });
     }
+
+    logger.info('Media deleted by user', {
+        userId: req.user.id,
+        mediaId: media.id,
+        ownerId: media.ownerId,
+        force
+    });
+
+    if (media.ownerId !== req.user.id) {
+        await recordAudit(req, {
+            action: constants.AUDIT_ACTIONS.MEDIA_DELETE,
+            resourceType: 'media',
+            resourceId: media.id,
+            oldValues: { ownerId: media.ownerId, originalName: media.originalName, url: media.url, referenceCount: media.referenceCount }
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Image deleted successfully'
+    });
 }));
 
 // Error handling for multer
@@ -165,7 +246,7 @@ router.use((error, req, res, next) => {
 
         switch (error.code) {
             case 'LIMIT_FILE_SIZE':
-                message = 'File size too large. Maximum size is 5MB';
+                message = `File size too large. Maximum size is ${Math.round(constants.UPLOAD.MAX_FILE_SIZE / (1024 * 1024))}MB`;
                 code = 'FILE_TOO_LARGE';
                 break;
             case 'LIMIT_FILE_COUNT':
@@ -188,7 +269,7 @@ router.use((error, req, res, next) => {
     if (error.message === 'Only image files are allowed') {
         return res.status(400).json({
             success: false,
-            message: 'Only image files are allowed (PNG, JPG, GIF, etc.)',
+            message: 'Only image files are allowed (JPEG, PNG, GIF or WebP)',
             code: 'INVALID_FILE_TYPE'
         });
     }
@@ -10,8 +10,12 @@ const constants = require('./config/constants');
 const { initialize: initializeDatabase } = require('./config/database');
 
 // Import middleware
-const { requestLogger, errorLogger, logger } = require('./utils/logger');
+const { requestLogger, errorLogger, logger, setupGracefulShutdown } = require('./utils/logger');
 const { errorHandler, notFoundHandler, handleUnhandledRejection, handleUncaughtException, handleGracefulShutdown } = require('./middleware/errorHandler');
+const { jobRunner } = require('./utils/jobRunner');
+const { contentEvents } = require('./utils/contentEvents');
+const { registerJobs } = require('./utils/backgroundJobs');
+const { getSignedUrlOrigins } = require('./utils/storage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +23,7 @@ const contentRoutes = require('./routes/content');
 const apiRoutes = require('./routes/api');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
+const mediaRoutes = require('./routes/media');
 
 /**
  * FaithMasters Server
@@ -38,6 +43,7 @@ class FaithMastersServer {
     async initialize() {
         try {
             // Handle uncaught exceptions and unhandled rejections
+            setupGracefulShutdown(logger);
             handleUnhandledRejection();
             handleUncaughtException();
 
@@ -58,6 +64,9 @@ class FaithMastersServer {
             // Start server
             await this.start();
 
+            // Start background jobs
+            this.setupJobs();
+
             logger.info('FaithMasters server initialized successfully');
 
         } catch (error) {
@@ -77,7 +86,10 @@ class FaithMastersServer {
 
         // Security middleware
         this.app.use(helmet({
-            contentSecurityPolicy: constants.SECURITY.HELMET_CSP ? undefined : false,
+            // Images stored in a bucket are loaded from signed URLs on the bucket's origin
+            contentSecurityPolicy: constants.SECURITY.HELMET_CSP
+                ? { directives: { imgSrc: ["'self'", 'data:', ...getSignedUrlOrigins()] } }
+                : false,
             crossOriginEmbedderPolicy: false
         }));
 
@@ -123,12 +135,6 @@ class FaithMastersServer {
         // Custom request logging
         this.app.use(requestLogger(logger));
 
-        // Static file serving
-        this.app.use('/uploads', express.static(path.join(__dirname, '../uploads'), {
-            maxAge: '1d',
-            etag: true
-        }));
-
         // Serve frontend files
         this.app.use(express.static(path.join(__dirname, '../frontend'), {
             maxAge: '1h',
@@ -150,6 +156,9 @@ class FaithMastersServer {
         this.app.use('/api/upload', uploadRoutes);
         this.app.use('/api', apiRoutes);
 
+        // Uploaded images, from whichever storage holds them
+        this.app.use(mediaRoutes);
+
         // Admin panel route
         this.app.get('/admin.html', (req, res) => {
             res.sendFile(path.join(__dirname, '../frontend/views/admin.html'), (err) => {
@@ -205,6 +214,21 @@ class FaithMastersServer {
         logger.info('Error handling setup completed');
     }
 
+    /**
+     * Setup background jobs
+     */
+    setupJobs() {
+        if (!constants.JOBS.ENABLED) {
+            logger.info('Background jobs disabled');
+            return;
+        }
+
+        registerJobs();
+        jobRunner.start();
+
+        logger.info('Background jobs setup completed');
+    }
+
     /**
      * Start the server
      */
@@ -227,7 +251,7 @@ class FaithMastersServer {
                 });
 
                 // Setup graceful shutdown
-                handleGracefulShutdown(this.server);
+                handleGracefulShutdown(this.server, () => contentEvents.close());
 
                 resolve();
             });
@@ -255,6 +279,9 @@ class FaithMastersServer {
         this.isShuttingDown = true;
         logger.info('Shutting down server gracefully...');
 
+        jobRunner.stop();
+        await contentEvents.close();
+
         return new Promise((resolve) => {
             if (this.server) {
                 this.server.close(() => {
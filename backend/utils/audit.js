@@ -0,0 +1,111 @@
+const AuditLogModel = require('../models/AuditLog');
+const { getClientIp, getUserAgent } = require('../config/auth');
+const { logger } = require('./logger');
+
+/**
+ * Audit Trail
+ * Writes admin and moderation actions to audit_logs with the acting user and
+ * the request's IP and user agent. It runs after the action has been applied,
+ * so a failed write is logged rather than failing the request.
+ */
+
+/**
+ * Record an action taken by the user making the request
+ */
+const recordAudit = async (req, { action, resourceType, resourceId = null, oldValues = null, newValues = null }) => {
+    try {
+        return await AuditLogModel.record({
+            userId: req.user ? req.user.id : null,
+            action,
+            resourceType,
+            resourceId,
+            oldValues,
+            newValues,
+            ipAddress: getClientIp(req),
+            userAgent: getUserAgent(req)
+        });
+    } catch (error) {
+        logger.error('Failed to write audit log', error, {
+            action,
+            resourceType,
+            resourceId,
+            userId: req.user ? req.user.id : null
+        });
+        return null;
+    }
+};
+
+// Booleans are sent as 1/0 for some columns and empty strings clear a field,
+// so compare values in a form where those count as unchanged
+const normalize = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return typeof value === 'boolean' ? String(Number(value)) : String(value);
+};
+
+/**
+ * Pick the fields of `after` that differ from `before`
+ * Returns null when nothing changed.
+ */
+const changedValues = (before, after) => {
+    const oldValues = {};
+    const newValues = {};
+
+    Object.keys(after).forEach(key => {
+        if (normalize(before[key]) !== normalize(after[key])) {
+            oldValues[key] = before[key] === undefined ? null : before[key];
+            newValues[key] = after[key];
+        }
+    });
+
+    return Object.keys(newValues).length > 0 ? { oldValues, newValues } : null;
+};
+
+const CSV_COLUMNS = [
+    ['id', entry => entry.id],
+    ['created_at', entry => entry.created_at instanceof Date ? entry.created_at.toISOString() : entry.created_at],
+    ['actor_id', entry => entry.user_id],
+    ['actor_name', entry => entry.actor_name],
+    ['actor_email', entry => entry.actor_email],
+    ['action', entry => entry.action],
+    ['resource_type', entry => entry.resource_type],
+    ['resource_id', entry => entry.resource_id],
+    ['old_values', entry => entry.old_values],
+    ['new_values', entry => entry.new_values],
+    ['ip_address', entry => entry.ip_address],
+    ['user_agent', entry => entry.user_agent]
+];
+
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text = String(value);
+    // Stop spreadsheet apps from running cell text as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format audit entries (with stored JSON values) as CSV
+ */
+const toAuditCsv = (entries) => {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+
+    entries.forEach(entry => {
+        lines.push(CSV_COLUMNS.map(([, pick]) => escapeCsv(pick(entry))).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    recordAudit,
+    changedValues,
+    toAuditCsv
+};
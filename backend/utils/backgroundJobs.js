@@ -0,0 +1,62 @@
+const constants = require('../config/constants');
+const { jobRunner } = require('./jobRunner');
+const { mailer } = require('./mailer');
+const { collectUnusedMedia } = require('./mediaLibrary');
+
+// Models used by background jobs
+const ContentModel = require('../models/Content');
+const PasswordResetModel = require('../models/PasswordReset');
+const OidcLoginModel = require('../models/OidcLogin');
+const TrashModel = require('../models/Trash');
+const UserSanctionModel = require('../models/UserSanction');
+
+/**
+ * Background Jobs
+ * The long-running server runs these on timers; serverless deployments have
+ * no process that outlives a request, so a scheduled call to /api/cron runs
+ * them instead. Both paths go through jobRunner and its advisory locks.
+ */
+
+/**
+ * Register every background job with the job runner
+ */
+const registerJobs = () => {
+    // Publish scheduled content once its publish time has passed
+    jobRunner.register('publish-scheduled-content', constants.JOBS.SCHEDULED_PUBLISH_INTERVAL_MS, async () => {
+        await ContentModel.publishDueScheduled(constants.JOBS.SCHEDULED_PUBLISH_BATCH_SIZE);
+    });
+
+    // Deliver queued email and retry failed sends
+    jobRunner.register('process-email-outbox', constants.JOBS.EMAIL_OUTBOX_INTERVAL_MS, async () => {
+        await mailer.processOutbox();
+    });
+
+    // Drop expired and used password reset tokens
+    jobRunner.register('cleanup-password-reset-tokens', constants.JOBS.TOKEN_CLEANUP_INTERVAL_MS, async () => {
+        await PasswordResetModel.cleanup();
+    });
+
+    // Drop social login attempts and tickets that were never used
+    jobRunner.register('cleanup-oidc-logins', constants.JOBS.TOKEN_CLEANUP_INTERVAL_MS, async () => {
+        await OidcLoginModel.cleanup();
+    });
+
+    // Permanently delete content, comments and users past the trash retention period
+    jobRunner.register('purge-trash', constants.JOBS.TRASH_PURGE_INTERVAL_MS, async () => {
+        await TrashModel.purgeExpired(constants.TRASH.RETENTION_DAYS);
+    });
+
+    // Reinstate users whose suspension has ended
+    jobRunner.register('expire-suspensions', constants.JOBS.SUSPENSION_EXPIRY_INTERVAL_MS, async () => {
+        await UserSanctionModel.expireDue();
+    });
+
+    // Delete uploads that no content uses once their grace period has passed
+    jobRunner.register('collect-unused-media', constants.JOBS.MEDIA_GC_INTERVAL_MS, async () => {
+        await collectUnusedMedia(constants.MEDIA.GC_GRACE_HOURS);
+    });
+};
+
+module.exports = {
+    registerJobs
+};
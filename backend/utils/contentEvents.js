@@ -0,0 +1,221 @@
+const ContentModel = require('../models/Content');
+const CommentModel = require('../models/Comment');
+const constants = require('../config/constants');
+const { createPubSub } = require('./pubsub');
+const { logger } = require('./logger');
+
+/**
+ * Content Events
+ * Publishes live updates for a content item (new comments, edits, like counts)
+ * and delivers them to the SSE streams open on this process. Messages on the
+ * pub/sub carry only IDs; each process loads the current record once when a
+ * message arrives and hands the result to all of its local listeners.
+ */
+
+const EVENTS = constants.CONTENT_EVENTS;
+
+class ContentEvents {
+    constructor(pubsub = null) {
+        this.pubsub = pubsub;
+        // contentId -> { listeners: Set, subscription: Promise<unsubscribe> }
+        this.channels = new Map();
+    }
+
+    /**
+     * Replace the pub/sub adapter
+     */
+    setPubSub(pubsub) {
+        this.pubsub = pubsub;
+    }
+
+    /**
+     * Get the active adapter, creating the configured one on first use
+     */
+    getPubSub() {
+        if (!this.pubsub) {
+            this.pubsub = createPubSub();
+        }
+
+        return this.pubsub;
+    }
+
+    channelName(contentId) {
+        return `content:${contentId}`;
+    }
+
+    /**
+     * Publish an event for a content item
+     * Never throws, so a pub/sub outage can't fail the request behind the event.
+     */
+    async publish(contentId, type, data = {}) {
+        try {
+            await this.getPubSub().publish(this.channelName(contentId), {
+                type,
+                contentId: parseInt(contentId),
+                ...data
+            });
+        } catch (error) {
+            logger.error('Error publishing content event', error, { contentId, type });
+        }
+    }
+
+    /**
+     * Listen for events on a content item
+     * The pub/sub subscription is shared by every listener on the same item.
+     * Returns an unsubscribe function.
+     */
+    async subscribe(contentId, listener) {
+        const id = parseInt(contentId);
+        let entry = this.channels.get(id);
+
+        if (!entry) {
+            entry = {
+                listeners: new Set(),
+                subscription: this.getPubSub().subscribe(this.channelName(id), (message) => this.dispatch(id, message))
+            };
+            this.channels.set(id, entry);
+        }
+
+        entry.listeners.add(listener);
+
+        try {
+            await entry.subscription;
+        } catch (error) {
+            this.unsubscribe(id, entry, listener);
+            throw error;
+        }
+
+        return () => this.unsubscribe(id, entry, listener);
+    }
+
+    unsubscribe(contentId, entry, listener) {
+        entry.listeners.delete(listener);
+
+        if (entry.listeners.size === 0 && this.channels.get(contentId) === entry) {
+            this.channels.delete(contentId);
+            entry.subscription
+                .then(unsubscribe => unsubscribe())
+                .catch(() => {});
+        }
+    }
+
+    /**
+     * Hydrate an incoming message and pass it to local listeners
+     */
+    async dispatch(contentId, message) {
+        const entry = this.channels.get(contentId);
+        if (!entry) {
+            return;
+        }
+
+        try {
+            const event = await this.hydrate(message);
+            if (!event) {
+                return;
+            }
+
+            entry.listeners.forEach(listener => listener(event));
+        } catch (error) {
+            logger.error('Error dispatching content event', error, { contentId, type: message.type });
+        }
+    }
+
+    /**
+     * Load the data a client needs to render an event
+     * Returns null when the event should not reach public streams.
+     */
+    async hydrate(message) {
+        switch (message.type) {
+            case EVENTS.COMMENT_CREATED:
+            case EVENTS.COMMENT_UPDATED: {
+                const comment = await CommentModel.findById(message.commentId);
+                if (!comment || comment.status !== constants.CONTENT_STATUS.PUBLISHED) {
+                    return null;
+                }
+
+                return {
+                    type: message.type,
+                    data: {
+                        comment: {
+                            id: comment.id,
+                            parent_id: comment.parent_id,
+                            body: comment.body,
+                            like_count: comment.like_count,
+                            created_at: comment.created_at,
+                            updated_at: comment.updated_at,
+                            author_id: comment.author_id,
+                            author_name: comment.author_name,
+                            author_image: comment.author_image
+                        }
+                    }
+                };
+            }
+
+            case EVENTS.COMMENT_DELETED:
+                return { type: message.type, data: { commentId: message.commentId } };
+
+            case EVENTS.LIKES_UPDATED: {
+                const target = message.commentId
+                    ? await CommentModel.findById(message.commentId)
+                    : await ContentModel.findById(message.contentId);
+                if (!target) {
+                    return null;
+                }
+
+                return {
+                    type: message.type,
+                    data: {
+                        targetType: message.commentId ? 'comment' : 'content',
+                        targetId: target.id,
+                        likeCount: target.like_count
+                    }
+                };
+            }
+
+            case EVENTS.CONTENT_UPDATED: {
+                const content = await ContentModel.findById(message.contentId);
+                if (!content || content.status !== constants.CONTENT_STATUS.PUBLISHED) {
+                    return null;
+                }
+
+                return {
+                    type: message.type,
+                    data: {
+                        content: {
+                            id: content.id,
+                            title: content.title,
+                            excerpt: content.excerpt,
+                            body: content.body,
+                            updated_at: content.updated_at
+                        }
+                    }
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Tell every local listener the server is going away and release the adapter
+     */
+    async close() {
+        this.channels.forEach((entry) => {
+            entry.listeners.forEach(listener => listener({ type: EVENTS.SHUTDOWN, data: {} }));
+        });
+        this.channels.clear();
+
+        if (this.pubsub) {
+            await this.pubsub.close();
+        }
+    }
+}
+
+// Create and export content events instance
+const contentEvents = new ContentEvents();
+
+module.exports = {
+    ContentEvents,
+    contentEvents
+};
@@ -0,0 +1,179 @@
+/**
+ * Diff Utilities
+ * Word-level text diffing used for content revision comparison
+ */
+
+/**
+ * Split text into diffable tokens
+ * HTML tags, whitespace runs and words each become a single token so that
+ * joining the tokens back together reproduces the original string.
+ */
+const tokenize = (text) => {
+    if (text === null || text === undefined || text === '') {
+        return [];
+    }
+
+    return String(text).match(/<[^>]*>|\s+|[^\s<]+|</g) || [];
+};
+
+// Edit scripts longer than this aren't searched for; the change is shown as one
+// replacement instead. Keeps the trace (about 4·D² bytes) and the time bounded.
+const MAX_EDITS = 1000;
+
+/**
+ * Compute the shortest edit script between two token arrays (Myers' algorithm)
+ * Returns null when it needs more than maxEdits insertions and deletions.
+ */
+const diffTokens = (oldTokens, newTokens, maxEdits = MAX_EDITS) => {
+    const n = oldTokens.length;
+    const m = newTokens.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    outer:
+    for (let d = 0; d <= max; d++) {
+        if (d > maxEdits) {
+            return null;
+        }
+
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+
+            let y = x - k;
+            while (x < n && y < m && oldTokens[x] === newTokens[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                break outer;
+            }
+        }
+
+        // Only diagonals -d..d can have been reached in d edits
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+
+    // Walk the trace backwards to recover the edit operations
+    const furthest = (d, k) => trace[d][k + d];
+    const operations = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length; d > 0; d--) {
+        const k = x - y;
+
+        let prevK;
+        if (k === -d || (k !== d && furthest(d - 1, k - 1) < furthest(d - 1, k + 1))) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+
+        const prevX = furthest(d - 1, prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            operations.push({ type: 'equal', value: oldTokens[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (x === prevX) {
+            operations.push({ type: 'insert', value: newTokens[y - 1] });
+        } else {
+            operations.push({ type: 'delete', value: oldTokens[x - 1] });
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    while (x > 0 && y > 0) {
+        operations.push({ type: 'equal', value: oldTokens[x - 1] });
+        x--;
+        y--;
+    }
+
+    return operations.reverse();
+};
+
+/**
+ * Produce a word-level diff between two strings
+ * Adjacent operations of the same type are merged into a single chunk.
+ */
+const diffWords = (oldText, newText) => {
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+
+    // Trim the common prefix and suffix to keep the edit graph small
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+        start++;
+    }
+
+    let oldEnd = oldTokens.length;
+    let newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const oldMiddle = oldTokens.slice(start, oldEnd);
+    const newMiddle = newTokens.slice(start, newEnd);
+
+    // Too different to diff word by word: show the changed span as one replacement
+    const middle = diffTokens(oldMiddle, newMiddle) || [
+        ...oldMiddle.map(value => ({ type: 'delete', value })),
+        ...newMiddle.map(value => ({ type: 'insert', value }))
+    ];
+
+    const operations = [
+        ...oldTokens.slice(0, start).map(value => ({ type: 'equal', value })),
+        ...middle,
+        ...oldTokens.slice(oldEnd).map(value => ({ type: 'equal', value }))
+    ];
+
+    const chunks = [];
+    operations.forEach(operation => {
+        const last = chunks[chunks.length - 1];
+        if (last && last.type === operation.type) {
+            last.value += operation.value;
+        } else {
+            chunks.push({ ...operation });
+        }
+    });
+
+    return chunks;
+};
+
+/**
+ * Summarise a diff as counts of inserted and deleted words
+ */
+const diffStats = (chunks) => {
+    const countWords = (value) => tokenize(value).filter(token => /\S/.test(token) && !token.startsWith('<')).length;
+
+    return chunks.reduce((stats, chunk) => {
+        if (chunk.type === 'insert') {
+            stats.insertions += countWords(chunk.value);
+        } else if (chunk.type === 'delete') {
+            stats.deletions += countWords(chunk.value);
+        }
+        return stats;
+    }, { insertions: 0, deletions: 0 });
+};
+
+module.exports = {
+    tokenize,
+    diffWords,
+    diffStats
+};
@@ -0,0 +1,85 @@
+const UserModel = require('../models/User');
+const ContentModel = require('../models/Content');
+const CommentModel = require('../models/Comment');
+const constants = require('../config/constants');
+const { mailer } = require('./mailer');
+const { contentUrl } = require('./emailTemplates');
+const { logger } = require('./logger');
+
+/**
+ * Email Notifications
+ * Builds and queues the emails sent in response to community activity.
+ * Failures are logged and never thrown, so they can't fail the request that triggered them.
+ */
+
+/**
+ * Plain-text excerpt of a comment or content body
+ */
+const excerpt = (html, length = 200) => {
+    const text = String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.substring(0, length)}…` : text;
+};
+
+/**
+ * Tell a comment author that someone replied to them
+ * Only published replies to other people's comments send an email.
+ */
+const sendReplyNotification = async (reply) => {
+    try {
+        if (!reply.parent_id || reply.status !== constants.CONTENT_STATUS.PUBLISHED) {
+            return;
+        }
+
+        const parent = await CommentModel.findById(reply.parent_id);
+        if (!parent || parent.author_id === reply.author_id) {
+            return;
+        }
+
+        const [recipient, content] = await Promise.all([
+            UserModel.findById(parent.author_id),
+            ContentModel.findById(reply.content_id)
+        ]);
+
+        if (!recipient || recipient.status !== constants.USER_STATUS.ACTIVE || !content) {
+            return;
+        }
+
+        await mailer.queue('replyNotification', recipient.email, {
+            firstName: recipient.first_name,
+            replierName: reply.author_name || 'Someone',
+            contentTitle: content.title,
+            replyExcerpt: excerpt(reply.body),
+            contentUrl: contentUrl(content.id)
+        });
+    } catch (error) {
+        logger.error('Error sending reply notification', error, { commentId: reply.id });
+    }
+};
+
+/**
+ * Tell an author how a moderator handled their content or comment
+ */
+const sendModerationOutcome = async ({ authorId, itemType, itemTitle, approved, contentId = null, reason = null }) => {
+    try {
+        const author = await UserModel.findById(authorId);
+        if (!author) {
+            return;
+        }
+
+        await mailer.queue('moderationOutcome', author.email, {
+            firstName: author.first_name,
+            itemType,
+            itemTitle: excerpt(itemTitle, 100),
+            approved,
+            reason,
+            itemUrl: contentId ? contentUrl(contentId) : null
+        });
+    } catch (error) {
+        logger.error('Error sending moderation outcome', error, { authorId, itemType });
+    }
+};
+
+module.exports = {
+    sendReplyNotification,
+    sendModerationOutcome
+};
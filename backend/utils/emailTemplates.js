@@ -0,0 +1,222 @@
+const constants = require('../config/constants');
+
+/**
+ * Email Templates
+ * Each template takes a data object and returns { subject, text, html }.
+ * Values are escaped when placed in HTML; the text part is sent as-is.
+ */
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap body HTML in the shared email layout
+ */
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f5f7fa;font-family:Arial,Helvetica,sans-serif;color:#2c3e50;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f5f7fa;padding:24px 0;">
+        <tr>
+            <td align="center">
+                <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden;">
+                    <tr>
+                        <td style="background:#4A90E2;padding:20px 32px;color:#ffffff;font-size:22px;font-weight:bold;">
+                            ${escapeHtml(constants.SERVER.SITE_NAME)}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding:32px;font-size:15px;line-height:1.6;">
+                            ${bodyHtml}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding:16px 32px;background:#f8f9fa;color:#6c757d;font-size:12px;">
+                            You are receiving this email because you have an account at
+                            <a href="${escapeHtml(constants.SERVER.SITE_URL)}" style="color:#6c757d;">${escapeHtml(constants.SERVER.SITE_NAME)}</a>.
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ */
+const button = (url, label) => `
+    <p style="margin:24px 0;">
+        <a href="${escapeHtml(url)}" style="display:inline-block;background:#4A90E2;color:#ffffff;text-decoration:none;padding:12px 24px;border-radius:4px;font-weight:bold;">${escapeHtml(label)}</a>
+    </p>
+    <p style="font-size:13px;color:#6c757d;">If the button doesn't work, copy this link into your browser:<br>
+        <a href="${escapeHtml(url)}" style="color:#4A90E2;word-break:break-all;">${escapeHtml(url)}</a>
+    </p>`;
+
+const templates = {
+    /**
+     * Sent after registration when email verification is off
+     */
+    welcome: ({ firstName }) => {
+        const site = constants.SERVER.SITE_NAME;
+        const subject = `Welcome to ${site}`;
+
+        return {
+            subject,
+            text: [
+                `Hi ${firstName},`,
+                '',
+                `Welcome to ${site}! Your account is ready, and you can start reading, discussing and sharing right away.`,
+                '',
+                constants.SERVER.SITE_URL
+            ].join('\n'),
+            html: layout(subject, `
+                <p>Hi ${escapeHtml(firstName)},</p>
+                <p>Welcome to ${escapeHtml(site)}! Your account is ready, and you can start reading, discussing and sharing right away.</p>
+                ${button(constants.SERVER.SITE_URL, `Visit ${site}`)}`)
+        };
+    },
+
+    /**
+     * Email address confirmation link
+     */
+    verification: ({ firstName, verifyUrl, expiresIn }) => {
+        const site = constants.SERVER.SITE_NAME;
+        const subject = `Confirm your ${site} email address`;
+
+        return {
+            subject,
+            text: [
+                `Hi ${firstName},`,
+                '',
+                `Welcome to ${site}! Please confirm your email address by opening the link below:`,
+                '',
+                verifyUrl,
+                '',
+                `The link is valid for ${expiresIn}. If you didn't create an account, you can ignore this email.`
+            ].join('\n'),
+            html: layout(subject, `
+                <p>Hi ${escapeHtml(firstName)},</p>
+                <p>Welcome to ${escapeHtml(site)}! Please confirm your email address to start posting.</p>
+                ${button(verifyUrl, 'Confirm email address')}
+                <p>The link is valid for ${escapeHtml(expiresIn)}. If you didn't create an account, you can ignore this email.</p>`)
+        };
+    },
+
+    /**
+     * Password reset link
+     */
+    passwordReset: ({ firstName, resetUrl, expiresInMinutes }) => {
+        const site = constants.SERVER.SITE_NAME;
+        const subject = `Reset your ${site} password`;
+
+        return {
+            subject,
+            text: [
+                `Hi ${firstName},`,
+                '',
+                `We received a request to reset your ${site} password.`,
+                `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+                '',
+                resetUrl,
+                '',
+                'If you didn\'t ask for this, you can ignore this email. Your password won\'t change.'
+            ].join('\n'),
+            html: layout(subject, `
+                <p>Hi ${escapeHtml(firstName)},</p>
+                <p>We received a request to reset your ${escapeHtml(site)} password.
+                    Use the button below within ${escapeHtml(expiresInMinutes)} minutes to choose a new one.</p>
+                ${button(resetUrl, 'Reset password')}
+                <p>If you didn't ask for this, you can ignore this email. Your password won't change.</p>`)
+        };
+    },
+
+    /**
+     * Result of a moderator reviewing the user's content or comment
+     */
+    moderationOutcome: ({ firstName, itemType, itemTitle, approved, reason = null, itemUrl = null }) => {
+        const outcome = approved ? 'approved' : 'not approved';
+        const subject = `Your ${itemType} was ${outcome}`;
+
+        const text = [
+            `Hi ${firstName},`,
+            '',
+            `A moderator reviewed your ${itemType} "${itemTitle}" and it was ${outcome}.`
+        ];
+        if (reason) {
+            text.push('', `Reason: ${reason}`);
+        }
+        if (approved && itemUrl) {
+            text.push('', `It is now live: ${itemUrl}`);
+        }
+
+        return {
+            subject,
+            text: text.join('\n'),
+            html: layout(subject, `
+                <p>Hi ${escapeHtml(firstName)},</p>
+                <p>A moderator reviewed your ${escapeHtml(itemType)} <strong>"${escapeHtml(itemTitle)}"</strong>
+                    and it was <strong>${escapeHtml(outcome)}</strong>.</p>
+                ${reason ? `<p style="padding:12px 16px;background:#f8f9fa;border-left:4px solid #ced4da;">Reason: ${escapeHtml(reason)}</p>` : ''}
+                ${approved && itemUrl ? button(itemUrl, `View your ${itemType}`) : ''}`)
+        };
+    },
+
+    /**
+     * Someone replied to the user's comment
+     */
+    replyNotification: ({ firstName, replierName, contentTitle, replyExcerpt, contentUrl }) => {
+        const subject = `${replierName} replied to your comment`;
+
+        return {
+            subject,
+            text: [
+                `Hi ${firstName},`,
+                '',
+                `${replierName} replied to your comment on "${contentTitle}":`,
+                '',
+                `"${replyExcerpt}"`,
+                '',
+                `Join the conversation: ${contentUrl}`
+            ].join('\n'),
+            html: layout(subject, `
+                <p>Hi ${escapeHtml(firstName)},</p>
+                <p><strong>${escapeHtml(replierName)}</strong> replied to your comment on <strong>"${escapeHtml(contentTitle)}"</strong>:</p>
+                <blockquote style="margin:16px 0;padding:12px 16px;background:#f8f9fa;border-left:4px solid #4A90E2;">${escapeHtml(replyExcerpt)}</blockquote>
+                ${button(contentUrl, 'View the reply')}`)
+        };
+    }
+};
+
+/**
+ * Link to a content item in the web app
+ */
+const contentUrl = (contentId) => `${constants.SERVER.SITE_URL}/?content=${contentId}`;
+
+/**
+ * Render a template by name
+ */
+const renderTemplate = (name, data = {}) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    return template(data);
+};
+
+module.exports = {
+    templates,
+    renderTemplate,
+    contentUrl,
+    escapeHtml
+};
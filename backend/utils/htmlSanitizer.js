@@ -0,0 +1,515 @@
+const constants = require('../config/constants');
+
+/**
+ * HTML Sanitizer
+ * Tokenizes user HTML and rebuilds it from an allowlist instead of patching
+ * the input with regexes: anything not explicitly allowed is dropped, every
+ * attribute is re-quoted and escaped, and tags are balanced. Because the
+ * output is always our own serialization, markup the browser would parse
+ * differently from us can't survive.
+ *
+ * Profiles:
+ *   rich  Article bodies: what the Quill editor in create-article.js produces
+ *   text  Comments, bios and excerpts, which are shown as plain text: all tags
+ *         are removed and the text is kept exactly as typed. Removing a tag can
+ *         join the text around it into a new one ("<<b>img ...>"), so tags are
+ *         stripped again until none are left.
+ */
+
+// Elements dropped together with everything inside them
+const DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'template', 'noscript', 'textarea', 'title', 'xmp', 'noembed',
+    'noframes', 'iframe', 'object', 'applet', 'svg', 'math', 'select', 'head', 'plaintext'
+]);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'col', 'wbr']);
+
+const DIGITS = /^\d{1,4}$/;
+
+// Attributes allowed per tag, each with a check that returns the value to keep or null
+const RICH_TAGS = {
+    p: {}, br: {}, hr: {},
+    h1: {}, h2: {}, h3: {}, h4: {}, h5: {}, h6: {},
+    strong: {}, b: {}, em: {}, i: {}, u: {}, s: {}, strike: {}, sub: {}, sup: {},
+    blockquote: {}, code: {},
+    pre: {
+        'data-language': value => (/^[a-z0-9+#-]{1,30}$/i.test(value) ? value : null),
+        spellcheck: value => (value === 'false' ? value : null)
+    },
+    span: {
+        contenteditable: value => (value === 'false' ? value : null), // Quill's list markers
+        'data-value': value => value // formula source
+    },
+    div: {
+        'data-language': value => (/^[a-z0-9+#-]{1,30}$/i.test(value) ? value : null), // code blocks
+        spellcheck: value => (value === 'false' ? value : null)
+    },
+    a: {
+        href: value => sanitizeUrl(value, ['http', 'https', 'mailto', 'tel']),
+        target: value => (value === '_blank' ? value : null),
+        title: value => value
+    },
+    img: {
+        src: value => sanitizeImageSrc(value),
+        alt: value => value,
+        title: value => value,
+        width: value => (DIGITS.test(value) ? value : null),
+        height: value => (DIGITS.test(value) ? value : null)
+    },
+    iframe: {
+        src: value => sanitizeVideoSrc(value)
+    },
+    ol: { start: value => (DIGITS.test(value) ? value : null) },
+    ul: {},
+    li: { 'data-list': value => (['bullet', 'ordered', 'checked', 'unchecked', 'check'].includes(value) ? value : null) },
+    table: { border: value => (DIGITS.test(value) ? value : null) },
+    thead: {}, tbody: {}, tfoot: {}, tr: {}, caption: {}, colgroup: {}, col: {},
+    td: {
+        colspan: value => (DIGITS.test(value) ? value : null),
+        rowspan: value => (DIGITS.test(value) ? value : null),
+        'data-row': value => (/^[\w-]{1,50}$/.test(value) ? value : null)
+    },
+    th: {
+        colspan: value => (DIGITS.test(value) ? value : null),
+        rowspan: value => (DIGITS.test(value) ? value : null),
+        'data-row': value => (/^[\w-]{1,50}$/.test(value) ? value : null)
+    }
+};
+
+// Attributes every allowed tag may carry
+const RICH_GLOBAL_ATTRIBUTES = {
+    class: value => sanitizeClass(value),
+    style: value => sanitizeStyle(value)
+};
+
+// Inline styles Quill and the table tool write
+const ALLOWED_STYLE_PROPERTIES = new Set([
+    'color', 'background-color', 'background', 'text-align', 'text-decoration', 'font-weight', 'font-style',
+    'font-size', 'vertical-align', 'width', 'height', 'border', 'border-top', 'border-right', 'border-bottom',
+    'border-left', 'border-color', 'border-width', 'border-style', 'border-collapse', 'padding', 'padding-top',
+    'padding-right', 'padding-bottom', 'padding-left', 'margin', 'margin-top', 'margin-right', 'margin-bottom',
+    'margin-left'
+]);
+
+const ALLOWED_STYLE_FUNCTIONS = new Set(['rgb', 'rgba', 'hsl', 'hsla']);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n',
+    lpar: '(', rpar: ')', sol: '/', bsol: '\\', period: '.', comma: ',', semi: ';', equals: '='
+};
+
+/**
+ * Decode character references in an attribute value
+ * Unknown named references are left as they are, so they end up as literal text.
+ */
+const decodeEntities = (value) => value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+    if (decimal || hex) {
+        const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '�';
+    }
+    const decoded = NAMED_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+});
+
+const escapeAttribute = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Character references are already escaped, any other "&" is not
+const escapeText = (value) => value
+    .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Allow a URL only with one of the given schemes, or as a relative link
+ * Browsers ignore control characters and whitespace inside a scheme, so they are ignored here too.
+ */
+function sanitizeUrl(value, schemes) {
+    const url = value.trim();
+    const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+
+    if (scheme) {
+        return schemes.includes(scheme[1].toLowerCase()) ? url : null;
+    }
+
+    // No scheme: a path, query or fragment on this site, or a //host link
+    return /^[\\/]{2}/.test(compact) && !/^\/\//.test(compact) ? null : url;
+}
+
+/**
+ * Images: web URLs, site paths and pasted raster images (Quill stores those as data URLs)
+ */
+function sanitizeImageSrc(value) {
+    if (/^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i.test(value.trim())) {
+        return value.trim().replace(/\s/g, '');
+    }
+
+    return sanitizeUrl(value, ['http', 'https']);
+}
+
+/**
+ * Video embeds: only players on the allowed hosts, always over HTTPS
+ * Watch-page links are turned into their embeddable player URLs.
+ */
+function sanitizeVideoSrc(value) {
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+
+    if ((host === 'youtube.com' || host === 'www.youtube.com') && url.pathname === '/watch' && url.searchParams.get('v')) {
+        url = new URL(`https://www.youtube.com/embed/${encodeURIComponent(url.searchParams.get('v'))}`);
+    } else if (host === 'youtu.be') {
+        url = new URL(`https://www.youtube.com/embed/${encodeURIComponent(url.pathname.slice(1))}`);
+    } else if ((host === 'vimeo.com' || host === 'www.vimeo.com') && /^\/\d+$/.test(url.pathname)) {
+        url = new URL(`https://player.vimeo.com/video${url.pathname}`);
+    }
+
+    if (url.protocol !== 'https:' || !constants.SECURITY.VIDEO_EMBED_HOSTS.includes(url.hostname.toLowerCase())) {
+        return null;
+    }
+
+    return url.toString();
+}
+
+/**
+ * Keep only Quill's own classes (ql-align-center, ql-indent-1, ql-size-large, ...)
+ */
+function sanitizeClass(value) {
+    const classes = value.split(/\s+/).filter(name => /^ql-[a-z0-9-]{1,40}$/.test(name));
+
+    return classes.length > 0 ? classes.join(' ') : null;
+}
+
+/**
+ * Keep allowed properties whose values are plain keywords, lengths and colours
+ * No url(), expression(), var(), escapes, quotes or comments get through.
+ */
+function sanitizeStyle(value) {
+    const declarations = value.split(';').map(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) {
+            return null;
+        }
+
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        const propertyValue = declaration.slice(colon + 1).trim();
+
+        if (!ALLOWED_STYLE_PROPERTIES.has(property) || !/^[#\w.%\s,()-]{1,100}$/.test(propertyValue)) {
+            return null;
+        }
+
+        const functions = propertyValue.match(/[\w-]+(?=\s*\()/g) || [];
+        if (functions.some(name => !ALLOWED_STYLE_FUNCTIONS.has(name.toLowerCase()))) {
+            return null;
+        }
+
+        return `${property}: ${propertyValue}`;
+    }).filter(Boolean);
+
+    return declarations.length > 0 ? declarations.join('; ') : null;
+}
+
+/**
+ * Split HTML into text, start tag and end tag tokens
+ * Comments, doctypes and processing instructions are skipped. A tag left
+ * unfinished at the end of the input is dropped, as browsers do.
+ */
+const tokenize = (html) => {
+    const tokens = [];
+    let index = 0;
+
+    while (index < html.length) {
+        const open = html.indexOf('<', index);
+
+        if (open === -1) {
+            tokens.push({ type: 'text', value: html.slice(index) });
+            break;
+        }
+        if (open > index) {
+            tokens.push({ type: 'text', value: html.slice(index, open) });
+        }
+
+        if (html.startsWith('<!--', open)) {
+            const close = html.indexOf('-->', open + 4);
+            index = close === -1 ? html.length : close + 3;
+            continue;
+        }
+
+        const next = html[open + 1];
+
+        if (next === '!' || next === '?' || (next === '/' && !/[a-z]/i.test(html[open + 2] || ''))) {
+            // Bogus comment; a bare "</" followed by a non-letter is one too
+            if (next === '/' && html[open + 2] !== '>' && !html.slice(open + 2).includes('>')) {
+                tokens.push({ type: 'text', value: '</' });
+                index = open + 2;
+                continue;
+            }
+            const close = html.indexOf('>', open);
+            index = close === -1 ? html.length : close + 1;
+            continue;
+        }
+
+        const isEndTag = next === '/';
+        const nameStart = open + (isEndTag ? 2 : 1);
+
+        if (!/[a-z]/i.test(html[nameStart] || '')) {
+            // A "<" that doesn't start a tag is text
+            tokens.push({ type: 'text', value: '<' });
+            index = open + 1;
+            continue;
+        }
+
+        let position = nameStart;
+        while (position < html.length && !/[\s/>]/.test(html[position])) {
+            position++;
+        }
+        const name = html.slice(nameStart, position).toLowerCase();
+
+        const attributes = [];
+        let closed = false;
+
+        while (position < html.length) {
+            while (position < html.length && /[\s/]/.test(html[position])) {
+                position++;
+            }
+            if (html[position] === '>') {
+                closed = true;
+                position++;
+                break;
+            }
+            if (position >= html.length) {
+                break;
+            }
+
+            // A name may begin with "=", but never contain one
+            const attributeStart = position;
+            position++;
+            while (position < html.length && !/[\s/>=]/.test(html[position])) {
+                position++;
+            }
+            const attributeName = html.slice(attributeStart, position).toLowerCase();
+
+            while (position < html.length && /\s/.test(html[position])) {
+                position++;
+            }
+
+            let value = '';
+            if (html[position] === '=') {
+                position++;
+                while (position < html.length && /\s/.test(html[position])) {
+                    position++;
+                }
+
+                const quote = html[position];
+                if (quote === '"' || quote === "'") {
+                    const end = html.indexOf(quote, position + 1);
+                    if (end === -1) {
+                        position = html.length;
+                        break;
+                    }
+                    value = html.slice(position + 1, end);
+                    position = end + 1;
+                } else {
+                    const valueStart = position;
+                    while (position < html.length && !/[\s>]/.test(html[position])) {
+                        position++;
+                    }
+                    value = html.slice(valueStart, position);
+                }
+            }
+
+            attributes.push({ name: attributeName, value: decodeEntities(value) });
+        }
+
+        if (!closed) {
+            break;
+        }
+
+        tokens.push({ type: isEndTag ? 'end' : 'start', name, attributes });
+        index = position;
+    }
+
+    return tokens;
+};
+
+/**
+ * Build an allowed tag's attribute string, or null if the tag is useless without a required attribute
+ */
+const buildAttributes = (name, attributes) => {
+    const rules = RICH_TAGS[name];
+    const kept = new Map();
+
+    for (const { name: attribute, value } of attributes) {
+        const check = rules[attribute] || RICH_GLOBAL_ATTRIBUTES[attribute];
+        const clean = check ? check(value) : null;
+
+        if (clean !== null && clean !== undefined && !kept.has(attribute)) {
+            kept.set(attribute, clean);
+        }
+    }
+
+    if (name === 'iframe') {
+        if (!kept.has('src')) {
+            return null;
+        }
+        // Same markup Quill writes for its video embed
+        return ` class="ql-video" frameborder="0" allowfullscreen="true" src="${escapeAttribute(kept.get('src'))}"`;
+    }
+
+    if (name === 'img' && !kept.has('src')) {
+        return null;
+    }
+
+    if (name === 'a' && kept.has('href')) {
+        kept.set('rel', 'noopener noreferrer');
+    }
+
+    return Array.from(kept, ([attribute, value]) => ` ${attribute}="${escapeAttribute(value)}"`).join('');
+};
+
+/**
+ * Rebuild HTML keeping only the allowed tags and attributes
+ */
+const sanitizeRich = (tokens) => {
+    const output = [];
+    const stack = [];
+    let skipping = null;
+
+    for (const token of tokens) {
+        if (skipping) {
+            // Inside a dropped element: wait for its end tag
+            if (token.type === 'end' && token.name === skipping.name && --skipping.depth === 0) {
+                skipping = null;
+            } else if (token.type === 'start' && token.name === skipping.name) {
+                skipping.depth++;
+            }
+            continue;
+        }
+
+        if (token.type === 'text') {
+            output.push(escapeText(token.value));
+            continue;
+        }
+
+        const { name } = token;
+
+        if (token.type === 'start') {
+            if (name === 'iframe') {
+                const attributes = buildAttributes(name, token.attributes);
+                if (attributes !== null) {
+                    output.push(`<iframe${attributes}></iframe>`);
+                }
+                // Whatever the iframe wraps is never shown
+                skipping = { name, depth: 1 };
+                continue;
+            }
+
+            if (DROP_WITH_CONTENT.has(name)) {
+                if (name === 'plaintext') {
+                    break;
+                }
+                skipping = { name, depth: 1 };
+                continue;
+            }
+
+            if (!RICH_TAGS[name]) {
+                continue;
+            }
+
+            const attributes = buildAttributes(name, token.attributes);
+            if (attributes === null) {
+                continue;
+            }
+
+            output.push(`<${name}${attributes}>`);
+            if (!VOID_ELEMENTS.has(name)) {
+                stack.push(name);
+            }
+            continue;
+        }
+
+        // End tag: close it and anything left open inside it
+        const openIndex = stack.lastIndexOf(name);
+        if (openIndex !== -1) {
+            while (stack.length > openIndex) {
+                output.push(`</${stack.pop()}>`);
+            }
+        }
+    }
+
+    while (stack.length > 0) {
+        output.push(`</${stack.pop()}>`);
+    }
+
+    return output.join('');
+};
+
+/**
+ * Keep only the text, exactly as written, outside of dropped elements
+ */
+const sanitizeText = (tokens) => {
+    const output = [];
+    let skipping = null;
+
+    for (const token of tokens) {
+        if (skipping) {
+            if (token.type === 'end' && token.name === skipping.name && --skipping.depth === 0) {
+                skipping = null;
+            } else if (token.type === 'start' && token.name === skipping.name) {
+                skipping.depth++;
+            }
+            continue;
+        }
+
+        if (token.type === 'text') {
+            output.push(token.value);
+        } else if (token.type === 'start' && DROP_WITH_CONTENT.has(token.name)) {
+            if (token.name === 'plaintext') {
+                break;
+            }
+            skipping = { name: token.name, depth: 1 };
+        }
+    }
+
+    return output.join('');
+};
+
+/**
+ * Sanitize a string of user HTML with the given profile ('rich' or 'text')
+ */
+const sanitize = (html, profile = 'rich') => {
+    if (typeof html !== 'string' || html === '') {
+        return html;
+    }
+
+    // NUL is never valid in HTML and some parsers skip over it
+    const clean = html.replace(/\u0000/g, '');
+
+    if (profile !== 'text') {
+        return sanitizeRich(tokenize(clean));
+    }
+
+    // Every pass that finds markup makes the text shorter, so this ends
+    let previous = clean;
+    let text = sanitizeText(tokenize(clean));
+    while (text !== previous) {
+        previous = text;
+        text = sanitizeText(tokenize(text));
+    }
+
+    return text;
+};
+
+module.exports = {
+    sanitize,
+    sanitizeUrl
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const constants = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { getStorage } = require('./storage');
+
+/**
+ * Image Processor
+ * Uploaded images are never stored as sent. Each one is decoded and
+ * re-encoded into the sizes in constants.UPLOAD.IMAGE_VARIANTS, as JPEG (PNG
+ * when it has transparency) and WebP. Re-encoding drops EXIF, GPS and any
+ * other metadata, and whatever a polyglot file carried besides the pixels.
+ * The encoded files go to the configured storage adapter.
+ */
+
+const INPUT_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+// Read only the first frame of animations, and refuse decompression bombs
+const INPUT_OPTIONS = {
+    failOn: 'error',
+    animated: false,
+    limitInputPixels: constants.UPLOAD.MAX_IMAGE_PIXELS
+};
+
+/**
+ * Storage key prefix for a variant
+ * Thumbnails get their own directory, the other sizes live with the images.
+ */
+const getVariantPrefix = (variant) => (variant === 'thumbnail' ? constants.UPLOAD.THUMBNAIL_DIR : constants.UPLOAD.IMAGE_DIR);
+
+/**
+ * Decode an uploaded image and check it really is one we accept
+ */
+const readImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, INPUT_OPTIONS).metadata();
+    } catch (error) {
+        throw new AppError('The file is not a readable image', constants.HTTP_STATUS.BAD_REQUEST, 'INVALID_IMAGE');
+    }
+
+    if (!INPUT_FORMATS.includes(metadata.format)) {
+        throw new AppError('Only JPEG, PNG, GIF and WebP images are allowed', constants.HTTP_STATUS.BAD_REQUEST, 'INVALID_IMAGE');
+    }
+
+    return metadata;
+};
+
+/**
+ * Encode every variant of an image
+ * Returns { format, variants: [{ name, main, webp }] } with encoded buffers and their sizes.
+ */
+const encodeVariants = async (buffer, metadata) => {
+    const quality = constants.UPLOAD.IMAGE_QUALITY;
+    const format = metadata.hasAlpha ? 'png' : 'jpeg';
+    const variants = [];
+
+    for (const [name, size] of Object.entries(constants.UPLOAD.IMAGE_VARIANTS)) {
+        // rotate() applies the EXIF orientation before the metadata is dropped
+        const resized = sharp(buffer, INPUT_OPTIONS)
+            .rotate()
+            .resize({
+                width: size.width,
+                height: size.height,
+                fit: size.fit || 'inside',
+                withoutEnlargement: true
+            });
+
+        const encoder = format === 'png'
+            ? resized.clone().png({ compressionLevel: 9 })
+            : resized.clone().jpeg({ quality, mozjpeg: true });
+
+        const [main, webp] = await Promise.all([
+            encoder.toBuffer({ resolveWithObject: true }),
+            resized.clone().webp({ quality }).toBuffer({ resolveWithObject: true })
+        ]);
+
+        variants.push({ name, main, webp });
+    }
+
+    return { format, variants };
+};
+
+/**
+ * Process an uploaded image and store its variants
+ * Returns what a media record needs: the storage driver used, the key the
+ * files share, the MIME type, the full size's dimensions, the total bytes
+ * stored and a map of variant name to { width, height, size, key, webpKey }.
+ */
+const processImage = async (buffer, { driver = constants.STORAGE.DRIVER } = {}) => {
+    const metadata = await readImage(buffer);
+    const { format, variants } = await encodeVariants(buffer, metadata);
+
+    const storage = getStorage(driver);
+    const baseName = `image-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const extension = format === 'png' ? 'png' : 'jpg';
+    const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+    const stored = [];
+    const result = {};
+    let totalSize = 0;
+
+    try {
+        for (const { name, main, webp } of variants) {
+            const prefix = getVariantPrefix(name);
+            const key = `${prefix}/${baseName}-${name}.${extension}`;
+            const webpKey = `${prefix}/${baseName}-${name}.webp`;
+
+            await storage.put(key, main.data, { contentType: mimeType });
+            stored.push(key);
+            await storage.put(webpKey, webp.data, { contentType: 'image/webp' });
+            stored.push(webpKey);
+
+            result[name] = {
+                width: main.info.width,
+                height: main.info.height,
+                size: main.info.size,
+                key,
+                webpKey
+            };
+            totalSize += main.info.size + webp.info.size;
+        }
+    } catch (error) {
+        // Don't leave half an image behind
+        await Promise.all(stored.map(key => storage.delete(key).catch(() => {})));
+        throw error;
+    }
+
+    return {
+        storage: driver,
+        fileKey: baseName,
+        mimeType,
+        width: result.full.width,
+        height: result.full.height,
+        size: totalSize,
+        variants: result
+    };
+};
+
+/**
+ * Delete the stored files of every variant of an image
+ * Files that are already gone are skipped.
+ */
+const deleteImageFiles = async (variants, driver) => {
+    const storage = getStorage(driver);
+    const keys = Object.values(variants || {}).flatMap(variant => [variant.key, variant.webpKey]).filter(Boolean);
+
+    for (const key of keys) {
+        await storage.delete(key);
+    }
+};
+
+module.exports = {
+    processImage,
+    deleteImageFiles
+};
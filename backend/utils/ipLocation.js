@@ -0,0 +1,168 @@
+const fs = require('fs');
+const net = require('net');
+const constants = require('../config/constants');
+const { logger } = require('./logger');
+
+/**
+ * IP Location Utilities
+ * Approximate location for an IP address, looked up offline. Private and
+ * loopback addresses are reported as the local network; public IPv4
+ * addresses are matched against the CSV of ranges at IP_LOCATION_DB_PATH
+ * (start_ip,end_ip,country[,region[,city]] - DB-IP's free "IP to Country
+ * Lite" CSV works as-is). Without that file only local addresses resolve.
+ */
+
+// Private, loopback, link-local and carrier-grade NAT ranges
+const LOCAL_IPV4_RANGES = [
+    ['10.0.0.0', '10.255.255.255'],
+    ['100.64.0.0', '100.127.255.255'],
+    ['127.0.0.0', '127.255.255.255'],
+    ['169.254.0.0', '169.254.255.255'],
+    ['172.16.0.0', '172.31.255.255'],
+    ['192.168.0.0', '192.168.255.255']
+];
+
+const LOCAL_NETWORK = { country: null, region: null, city: null, label: 'Local network' };
+
+let ranges = null;
+let loading = null;
+
+/**
+ * Convert a dotted IPv4 address to an unsigned integer
+ */
+const ipv4ToNumber = (ip) => ip.split('.').reduce((total, octet) => total * 256 + parseInt(octet, 10), 0);
+
+const localRanges = LOCAL_IPV4_RANGES.map(([start, end]) => [ipv4ToNumber(start), ipv4ToNumber(end)]);
+
+/**
+ * Strip the IPv6 prefix Node puts on IPv4 client addresses
+ */
+const normalizeIp = (ip) => String(ip || '').trim().replace(/^::ffff:/i, '');
+
+/**
+ * Check whether an address belongs to a private or loopback network
+ */
+const isLocalAddress = (ip) => {
+    if (net.isIPv4(ip)) {
+        const value = ipv4ToNumber(ip);
+        return localRanges.some(([start, end]) => value >= start && value <= end);
+    }
+
+    if (net.isIPv6(ip)) {
+        const lower = ip.toLowerCase();
+        return lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+    }
+
+    return false;
+};
+
+/**
+ * Turn a two-letter country code into its English name
+ */
+const getCountryName = (code) => {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'region' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+};
+
+/**
+ * Load the IPv4 ranges from the configured CSV, once
+ */
+const loadRanges = () => {
+    if (ranges) {
+        return Promise.resolve(ranges);
+    }
+
+    if (!loading) {
+        const path = constants.AUTH.IP_LOCATION_DB_PATH;
+
+        loading = (path ? fs.promises.readFile(path, 'utf8') : Promise.resolve(''))
+            .then(contents => {
+                ranges = contents
+                    .split(/\r?\n/)
+                    .map(line => line.split(',').map(column => column.trim().replace(/^"|"$/g, '')))
+                    .filter(([start, end, country]) => country && net.isIPv4(start) && net.isIPv4(end))
+                    .map(([start, end, country, region, city]) => ({
+                        start: ipv4ToNumber(start),
+                        end: ipv4ToNumber(end),
+                        country,
+                        region: region || null,
+                        city: city || null
+                    }))
+                    .sort((a, b) => a.start - b.start);
+
+                if (path) {
+                    logger.info('IP location ranges loaded', { path, ranges: ranges.length });
+                }
+
+                return ranges;
+            })
+            .catch(error => {
+                logger.warn('Failed to load IP location ranges', { path, error: error.message });
+                ranges = [];
+                return ranges;
+            });
+    }
+
+    return loading;
+};
+
+/**
+ * Find the range containing an IPv4 address
+ */
+const findRange = (list, value) => {
+    let low = 0;
+    let high = list.length - 1;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const range = list[middle];
+
+        if (value < range.start) {
+            high = middle - 1;
+        } else if (value > range.end) {
+            low = middle + 1;
+        } else {
+            return range;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Look up the approximate location of an IP address
+ * Returns { country, region, city, label }, or null if it isn't known.
+ */
+const getIpLocation = async (ipAddress) => {
+    const ip = normalizeIp(ipAddress);
+
+    if (isLocalAddress(ip)) {
+        return LOCAL_NETWORK;
+    }
+
+    if (!net.isIPv4(ip)) {
+        return null;
+    }
+
+    const range = findRange(await loadRanges(), ipv4ToNumber(ip));
+    if (!range) {
+        return null;
+    }
+
+    const country = getCountryName(range.country);
+
+    return {
+        country,
+        region: range.region,
+        city: range.city,
+        label: [range.city, range.region, country].filter(Boolean).join(', ')
+    };
+};
+
+module.exports = {
+    getIpLocation,
+    isLocalAddress
+};
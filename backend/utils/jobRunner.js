@@ -0,0 +1,160 @@
+const { databaseManager } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * Background Job Runner
+ * Runs registered jobs on fixed intervals. Each run holds a PostgreSQL advisory
+ * lock keyed on the job name, so when several server instances share a database
+ * only one of them executes a given job at a time.
+ */
+
+class JobRunner {
+    constructor() {
+        this.jobs = new Map();
+        this.isRunning = false;
+    }
+
+    /**
+     * Register a job
+     */
+    register(name, intervalMs, handler) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job already registered: ${name}`);
+        }
+
+        this.jobs.set(name, {
+            name,
+            intervalMs,
+            handler,
+            timer: null,
+            inProgress: false,
+            lastRunAt: null,
+            lastError: null
+        });
+
+        // Jobs registered after start() begin immediately
+        if (this.isRunning) {
+            this.schedule(this.jobs.get(name));
+        }
+    }
+
+    /**
+     * Check whether a job is registered
+     */
+    has(name) {
+        return this.jobs.has(name);
+    }
+
+    /**
+     * Start all registered jobs
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.jobs.forEach(job => this.schedule(job));
+
+        logger.info('Job runner started', { jobs: Array.from(this.jobs.keys()) });
+    }
+
+    /**
+     * Stop all jobs
+     */
+    stop() {
+        this.isRunning = false;
+        this.jobs.forEach(job => {
+            if (job.timer) {
+                clearInterval(job.timer);
+                job.timer = null;
+            }
+        });
+
+        logger.info('Job runner stopped');
+    }
+
+    /**
+     * Start the interval timer for a job
+     */
+    schedule(job) {
+        job.timer = setInterval(() => {
+            this.runJob(job.name).catch(() => {});
+        }, job.intervalMs);
+
+        // Don't keep the process alive just for background jobs
+        if (job.timer.unref) {
+            job.timer.unref();
+        }
+    }
+
+    /**
+     * Run a job once under its advisory lock
+     * Returns false when another instance (or an earlier run) still holds the job.
+     */
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        if (job.inProgress || !databaseManager.pool) {
+            return false;
+        }
+
+        job.inProgress = true;
+        let client = null;
+        let locked = false;
+
+        try {
+            client = await databaseManager.pool.connect();
+
+            const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`job:${name}`]);
+            locked = result.rows[0].locked;
+
+            if (!locked) {
+                return false;
+            }
+
+            await job.handler();
+
+            job.lastRunAt = new Date();
+            job.lastError = null;
+
+            return true;
+        } catch (error) {
+            job.lastError = error.message;
+            logger.error('Background job failed', error, { job: name });
+            throw error;
+        } finally {
+            if (client) {
+                if (locked) {
+                    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`job:${name}`]).catch(() => {});
+                }
+                client.release();
+            }
+            job.inProgress = false;
+        }
+    }
+
+    /**
+     * Get status of all jobs
+     */
+    getStatus() {
+        return Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            intervalMs: job.intervalMs,
+            inProgress: job.inProgress,
+            lastRunAt: job.lastRunAt,
+            lastError: job.lastError
+        }));
+    }
+}
+
+// Create and export job runner instance
+const jobRunner = new JobRunner();
+
+module.exports = {
+    JobRunner,
+    jobRunner
+};
@@ -289,6 +289,8 @@ const errorLogger = (logger) => {
 
 /**
  * Graceful shutdown logging
+ * Called by the server at startup; registering process listeners on require
+ * would add another set every time the module is loaded, as in test runs.
  */
 const setupGracefulShutdown = (logger) => {
     const gracefulShutdown = (signal) => {
@@ -320,13 +322,11 @@ const setupGracefulShutdown = (logger) => {
 // Create default logger instance
 const defaultLogger = new Logger('FaithMasters');
 
-// Setup graceful shutdown
-setupGracefulShutdown(defaultLogger);
-
 module.exports = {
     Logger,
     logger: defaultLogger,
     requestLogger,
     errorLogger,
+    setupGracefulShutdown,
     winston: logger
 };
\ No newline at end of file
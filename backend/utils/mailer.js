@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const constants = require('../config/constants');
+const EmailOutboxModel = require('../models/EmailOutbox');
+const { renderTemplate } = require('./emailTemplates');
+const { logger } = require('./logger');
+
+/**
+ * Mailer
+ * Sends templated email through a nodemailer-compatible transport. Messages are
+ * written to the email_outbox table and delivered by the process-email-outbox
+ * job (a timer on the server, /api/cron on Vercel), which retries with backoff
+ * when delivery fails; requests never wait on the mail server, so response
+ * times don't reveal who was sent mail. Any object with a sendMail(message)
+ * method can be plugged in with setTransport(), which is how a local SMTP
+ * stand-in or an in-memory transport is used outside production.
+ */
+
+/**
+ * Transport that writes each message to disk as an .eml file instead of sending it
+ */
+class FileTransport {
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    async sendMail(message) {
+        const info = await this.renderer.sendMail(message);
+
+        const slug = String(message.subject || 'message')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .substring(0, 50);
+        const filePath = path.join(this.directory, `${Date.now()}-${slug}.eml`);
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(filePath, info.message);
+
+        return { ...info, path: filePath };
+    }
+}
+
+class Mailer {
+    constructor(transport = null) {
+        this.transport = transport;
+    }
+
+    /**
+     * Build the default transport from the email configuration
+     */
+    createDefaultTransport() {
+        if (constants.EMAIL.TRANSPORT === 'file') {
+            return new FileTransport(constants.EMAIL.FILE_DIR);
+        }
+
+        return nodemailer.createTransport({
+            host: constants.EMAIL.SMTP_HOST,
+            port: constants.EMAIL.SMTP_PORT,
+            secure: constants.EMAIL.SMTP_SECURE,
+            auth: {
+                user: constants.EMAIL.SMTP_USER,
+                pass: constants.EMAIL.SMTP_PASS
+            }
+        });
+    }
+
+    /**
+     * Replace the transport used for sending
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Get the active transport, creating the default one on first use
+     */
+    getTransport() {
+        if (!this.transport) {
+            this.transport = this.createDefaultTransport();
+        }
+
+        return this.transport;
+    }
+
+    /**
+     * Send an email immediately, bypassing the outbox
+     */
+    async send({ to, subject, text, html = null }) {
+        try {
+            const info = await this.getTransport().sendMail({
+                from: `"${constants.SERVER.SITE_NAME}" <${constants.EMAIL.FROM_ADDRESS}>`,
+                to,
+                subject,
+                text,
+                html: html || undefined
+            });
+
+            logger.info('Email sent', {
+                to,
+                subject,
+                messageId: info && info.messageId,
+                path: info && info.path
+            });
+
+            return info;
+        } catch (error) {
+            logger.error('Error sending email', error, { to, subject });
+            throw error;
+        }
+    }
+
+    /**
+     * Render a template and queue it for the outbox job to deliver
+     * Never throws, so callers on a request path aren't failed by email problems.
+     */
+    async queue(template, to, data = {}) {
+        try {
+            const { subject, text, html } = renderTemplate(template, data);
+
+            return await EmailOutboxModel.enqueue({ to, subject, text, html, template });
+        } catch (error) {
+            logger.error('Error queueing email', error, { to, template });
+            return null;
+        }
+    }
+
+    /**
+     * Deliver a claimed outbox message and record the outcome
+     */
+    async deliver(email) {
+        try {
+            await this.send({
+                to: email.to_address,
+                subject: email.subject,
+                text: email.text_body,
+                html: email.html_body
+            });
+
+            await EmailOutboxModel.markSent(email.id);
+            return true;
+        } catch (error) {
+            const status = await EmailOutboxModel.markFailed(email.id, error.message);
+
+            if (status === 'failed') {
+                logger.warn('Email delivery abandoned after final attempt', {
+                    emailId: email.id,
+                    to: email.to_address,
+                    error: error.message
+                });
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * Deliver due outbox messages
+     */
+    async processOutbox(limit = constants.EMAIL.OUTBOX_BATCH_SIZE) {
+        const emails = await EmailOutboxModel.claimDue(limit);
+        const result = { sent: 0, failed: 0 };
+
+        for (const email of emails) {
+            if (await this.deliver(email)) {
+                result.sent++;
+            } else {
+                result.failed++;
+            }
+        }
+
+        if (emails.length > 0) {
+            logger.info('Email outbox processed', result);
+        }
+
+        return result;
+    }
+}
+
+// Create and export mailer instance
+const mailer = new Mailer();
+
+module.exports = {
+    Mailer,
+    FileTransport,
+    mailer
+};
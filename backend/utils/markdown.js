@@ -0,0 +1,345 @@
+/**
+ * Markdown Renderer
+ * Turns the Markdown authors write into HTML: the CommonMark blocks and
+ * inlines people actually use, plus GitHub's tables, task lists,
+ * strikethrough and bare links. HTML typed into Markdown is shown as text
+ * rather than passed through. The output still goes through the HTML
+ * sanitizer like any other content body.
+ */
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Characters a backslash can escape
+const ESCAPABLE = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+
+const isBlank = (line) => line.trim() === '';
+
+/**
+ * Render inline Markdown: code, links, images, emphasis and line breaks
+ * Code spans, escapes, links and images are swapped for placeholders first
+ * so emphasis markers inside them are left alone.
+ */
+const renderInline = (text, { links = true } = {}) => {
+    const stash = [];
+    const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let output = text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+            const trimmed = /^ [\s\S]* $/.test(code) && code.trim() ? code.slice(1, -1) : code;
+            return hold(`<code>${escapeHtml(trimmed.replace(/\n/g, ' '))}</code>`);
+        })
+        .replace(ESCAPABLE, (match, char) => hold(escapeHtml(char)));
+
+    output = output.replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) => (
+        hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`)
+    ));
+
+    if (links) {
+        output = output
+            .replace(/\[((?:[^\]\u0000]|\u0000\d+\u0000)*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) => (
+                hold(`<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${renderInline(label, { links: false })}</a>`)
+            ))
+            .replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) => (
+                hold(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/i, ''))}</a>`)
+            ))
+            .replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]*[^\s<\u0000.,:;"'!?)\]])/g, (match, before, url) => (
+                before + hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)
+            ));
+    }
+
+    output = escapeHtml(output)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        // Two trailing spaces or a backslash end a line with a hard break
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    return output.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+};
+
+/**
+ * Split a table row into its cells
+ */
+const splitRow = (line) => {
+    const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim());
+};
+
+/**
+ * Render a pipe table: header row, delimiter row, then body rows
+ */
+const renderTable = (header, delimiter, rows) => {
+    const alignments = splitRow(delimiter).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+
+    const renderRow = (line, tag) => {
+        const cells = splitRow(line);
+        return '<tr>' + alignments.map((align, index) => {
+            const style = align ? ` style="text-align: ${align}"` : '';
+            return `<${tag}${style}>${renderInline(cells[index] || '')}</${tag}>`;
+        }).join('') + '</tr>';
+    };
+
+    const body = rows.length > 0 ? `<tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody>` : '';
+
+    return `<table><thead>${renderRow(header, 'th')}</thead>${body}</table>`;
+};
+
+/**
+ * Does this line start a block that interrupts a paragraph?
+ */
+const interruptsParagraph = (line) => (
+    FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+    /^ {0,3}([-*+]|1[.)])[ \t]+\S/.test(line)
+);
+
+/**
+ * Render a list starting at lines[start]
+ * Returns the HTML and the index of the first line after the list.
+ */
+const renderList = (lines, start) => {
+    const [, , marker] = LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(marker);
+    const delimiter = marker.slice(-1);
+    const items = [];
+    let index = start;
+    let loose = false;
+
+    while (index < lines.length) {
+        const match = LIST_ITEM.exec(lines[index]);
+        if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== delimiter || RULE.test(lines[index])) {
+            break;
+        }
+
+        // Continuation lines are indented at least as far as the item's text
+        const contentIndent = match[1].length + match[2].length + Math.min(match[3].length || 1, 4);
+        const itemLines = [lines[index].slice(match[0].length)];
+        index++;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (isBlank(line)) {
+                const next = lines.slice(index + 1).find(candidate => !isBlank(candidate));
+                if (next === undefined || next.search(/\S/) < contentIndent) {
+                    break;
+                }
+                itemLines.push('');
+                index++;
+                continue;
+            }
+
+            const lineIndent = line.search(/\S/);
+            if (lineIndent >= contentIndent) {
+                itemLines.push(line.slice(contentIndent));
+            } else if (!LIST_ITEM.test(line) && !interruptsParagraph(line) && !isBlank(itemLines[itemLines.length - 1])) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+            index++;
+        }
+
+        if (itemLines.slice(0, -1).some(isBlank)) {
+            loose = true;
+        }
+
+        items.push(itemLines);
+
+        // A blank line between items makes the whole list loose
+        if (index < lines.length && isBlank(lines[index])) {
+            const next = index + 1 < lines.length ? LIST_ITEM.exec(lines[index + 1]) : null;
+            if (next && /\d/.test(next[2]) === ordered && next[2].slice(-1) === delimiter) {
+                loose = true;
+                index++;
+            }
+        }
+    }
+
+    const isTaskList = !ordered && items.every(item => /^\[[ xX]\][ \t]/.test(item[0]));
+
+    const renderedItems = items.map(item => {
+        if (isTaskList) {
+            const checked = /^\[[xX]\]/.test(item[0]);
+            const body = renderBlocks([item[0].slice(4), ...item.slice(1)], { tight: !loose });
+            return `<li data-list="${checked ? 'checked' : 'unchecked'}">${body}</li>`;
+        }
+        return `<li>${renderBlocks(item, { tight: !loose })}</li>`;
+    }).join('');
+
+    const startNumber = ordered ? parseInt(marker, 10) : 1;
+    const openTag = ordered ? `<ol${startNumber !== 1 ? ` start="${startNumber}"` : ''}>` : '<ul>';
+
+    // Checklists use Quill's list markup so they look the same as ones made in the editor
+    const html = isTaskList ? `<ol>${renderedItems}</ol>` : `${openTag}${renderedItems}</${ordered ? 'ol' : 'ul'}>`;
+
+    return { html, next: index };
+};
+
+/**
+ * Render block-level Markdown
+ * In a tight list item paragraphs are written without <p> tags.
+ */
+function renderBlocks(lines, { tight = false } = {}) {
+    const html = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (isBlank(line)) {
+            index++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const [, marker, language] = fence;
+            const indent = line.search(/\S/);
+            const code = [];
+            index++;
+            while (index < lines.length && !new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`).test(lines[index])) {
+                code.push(lines[index].replace(new RegExp(`^ {0,${indent}}`), ''));
+                index++;
+            }
+            index++;
+            const languageAttribute = language ? ` data-language="${escapeHtml(language.replace(ESCAPABLE, '$1'))}"` : '';
+            html.push(`<pre${languageAttribute}><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Indented code
+        if (/^( {4}|\t)/.test(line)) {
+            const code = [];
+            while (index < lines.length && (/^( {4}|\t)/.test(lines[index]) || isBlank(lines[index]))) {
+                code.push(lines[index].replace(/^( {4}|\t)/, ''));
+                index++;
+            }
+            while (code.length > 0 && isBlank(code[code.length - 1])) {
+                code.pop();
+            }
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (index < lines.length && !isBlank(lines[index])) {
+                if (QUOTE.test(lines[index])) {
+                    quoted.push(lines[index].replace(QUOTE, ''));
+                } else if (interruptsParagraph(lines[index])) {
+                    break;
+                } else {
+                    // Lazy continuation
+                    quoted.push(lines[index]);
+                }
+                index++;
+            }
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = renderList(lines, index);
+            html.push(list.html);
+            index = list.next;
+            continue;
+        }
+
+        if (line.includes('|') && index + 1 < lines.length && TABLE_DELIMITER.test(lines[index + 1]) &&
+            lines[index + 1].includes('-')) {
+            const rows = [];
+            const header = line;
+            const delimiter = lines[index + 1];
+            index += 2;
+            while (index < lines.length && !isBlank(lines[index]) && lines[index].includes('|')) {
+                rows.push(lines[index]);
+                index++;
+            }
+            html.push(renderTable(header, delimiter, rows));
+            continue;
+        }
+
+        // Paragraph, or a setext heading when underlined with = or -
+        const paragraph = [line.trim()];
+        index++;
+        let headingLevel = 0;
+
+        while (index < lines.length && !isBlank(lines[index])) {
+            const setext = SETEXT.exec(lines[index]);
+            if (setext) {
+                headingLevel = setext[1][0] === '=' ? 1 : 2;
+                index++;
+                break;
+            }
+            if (interruptsParagraph(lines[index])) {
+                break;
+            }
+            paragraph.push(lines[index].replace(/^[ \t]+/, ''));
+            index++;
+        }
+
+        const text = renderInline(paragraph.join('\n').replace(/[ \t]+$/, ''));
+
+        if (headingLevel) {
+            html.push(`<h${headingLevel}>${text}</h${headingLevel}>`);
+        } else {
+            html.push(tight ? text : `<p>${text}</p>`);
+        }
+    }
+
+    return html.join(tight ? '' : '\n');
+}
+
+/**
+ * Render a Markdown document to HTML
+ */
+const renderMarkdown = (source) => {
+    if (typeof source !== 'string' || source === '') {
+        return '';
+    }
+
+    const lines = source
+        .replace(/\u0000/g, '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n');
+
+    return renderBlocks(lines);
+};
+
+module.exports = {
+    renderMarkdown
+};
@@ -0,0 +1,56 @@
+const MediaModel = require('../models/Media');
+const constants = require('../config/constants');
+const { logger } = require('./logger');
+const { deleteImageFiles } = require('./imageProcessor');
+
+/**
+ * Media Library
+ * Removing uploads: the record goes first, so nothing points at files that are
+ * already gone, then every variant file in the storage that holds it.
+ */
+
+/**
+ * Delete an upload and its files
+ * Returns false if it was already gone, or is in use and unreferencedOnly was set.
+ */
+const deleteMedia = async (asset, { unreferencedOnly = false } = {}) => {
+    const deleted = await MediaModel.delete(asset.id, { unreferencedOnly });
+    if (!deleted) {
+        return false;
+    }
+
+    try {
+        await deleteImageFiles(asset.variants, asset.storage);
+    } catch (error) {
+        // The record is gone either way; leftover files are only wasted space
+        logger.error('Error deleting media files', error, { mediaId: asset.id });
+    }
+
+    return true;
+};
+
+/**
+ * Delete uploads no content uses once they are past the grace period
+ * Returns how many were deleted.
+ */
+const collectUnusedMedia = async (graceHours = constants.MEDIA.GC_GRACE_HOURS) => {
+    const unused = await MediaModel.findUnreferenced(graceHours);
+    let deleted = 0;
+
+    for (const asset of unused) {
+        if (await deleteMedia(asset, { unreferencedOnly: true })) {
+            deleted++;
+        }
+    }
+
+    if (deleted > 0) {
+        logger.info('Unused media collected', { deleted });
+    }
+
+    return deleted;
+};
+
+module.exports = {
+    deleteMedia,
+    collectUnusedMedia
+};
@@ -0,0 +1,187 @@
+/**
+ * Mock OpenID Connect Provider
+ * A minimal provider for trying social login locally: discovery, an
+ * authorize page where you type the identity to sign in as, a token endpoint
+ * that checks PKCE, and RS256-signed ID tokens. Never run it in production.
+ *
+ *   npm run mock-oidc
+ *
+ * Then start the app with SOCIAL_LOGIN=true, OIDC_PROVIDERS=mock,
+ * OIDC_MOCK_ISSUER=http://localhost:4010, OIDC_MOCK_CLIENT_ID=faithmasters
+ * and OIDC_MOCK_CLIENT_SECRET=mock-secret.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+/**
+ * Build the provider app
+ * Pass clientSecret: null to accept public clients without a secret.
+ * tokenIssuer and tokenAudience put other values in the ID tokens, to check that clients reject them.
+ */
+const createMockOidcProvider = ({ issuer, clientId, clientSecret, tokenIssuer = issuer, tokenAudience = clientId }) => {
+    const app = express();
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            scopes_supported: ['openid', 'email', 'profile'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+            code_challenge_methods_supported: ['S256']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+
+        if (client_id !== clientId || !redirect_uri || response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+            return res.status(400).send('Invalid authorization request: needs client_id, redirect_uri, response_type=code and an S256 code_challenge');
+        }
+
+        const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+            .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+            .join('');
+
+        res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock OIDC Provider</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 40px auto;">
+    <h2>Mock OIDC Provider</h2>
+    <p>Sign in to <strong>${escapeHtml(client_id)}</strong> as:</p>
+    <form method="post" action="/authorize">
+        ${hidden}
+        <p><label>Email<br><input type="email" name="email" value="mock.user@example.com" required></label></p>
+        <p><label>Name<br><input type="text" name="name" value="Mock User"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <button type="submit" name="action" value="approve">Sign in</button>
+        <button type="submit" name="action" value="deny">Cancel</button>
+    </form>
+</body>
+</html>`);
+    });
+
+    app.post('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, email, name, email_verified, action } = req.body;
+        const redirect = new URL(redirect_uri);
+
+        if (state) {
+            redirect.searchParams.set('state', state);
+        }
+
+        if (action !== 'approve') {
+            redirect.searchParams.set('error', 'access_denied');
+            return res.redirect(redirect.toString());
+        }
+
+        const [givenName, ...familyName] = String(name || '').trim().split(/\s+/);
+        const code = crypto.randomBytes(16).toString('hex');
+
+        codes.set(code, {
+            clientId: client_id,
+            redirectUri: redirect_uri,
+            codeChallenge: code_challenge,
+            expiresAt: Date.now() + CODE_TTL_MS,
+            claims: {
+                // The same email always gets the same subject, like a real account
+                sub: `mock-${crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex').slice(0, 16)}`,
+                email,
+                email_verified: email_verified === 'true',
+                name: name || undefined,
+                given_name: givenName || undefined,
+                family_name: familyName.join(' ') || undefined,
+                nonce: nonce || undefined
+            }
+        });
+
+        redirect.searchParams.set('code', code);
+        res.redirect(redirect.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        let id = req.body.client_id;
+        let secret = req.body.client_secret;
+
+        const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+        if (basic) {
+            [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        }
+
+        if (id !== clientId || (clientSecret && secret !== clientSecret)) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const { grant_type, code, redirect_uri, code_verifier } = req.body;
+        const grant = codes.get(code);
+        codes.delete(code);
+
+        if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+            grant.clientId !== id || grant.redirectUri !== redirect_uri) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const idToken = jwt.sign(grant.claims, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer: tokenIssuer,
+            audience: tokenAudience,
+            expiresIn: '5m'
+        });
+
+        res.json({
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    });
+
+    return app;
+};
+
+// Run the provider if called directly
+if (require.main === module) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ The mock OIDC provider must not run in production');
+        process.exit(1);
+    }
+
+    const port = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+    const options = {
+        issuer: `http://localhost:${port}`,
+        clientId: process.env.MOCK_OIDC_CLIENT_ID || 'faithmasters',
+        clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET === undefined ? 'mock-secret' : (process.env.MOCK_OIDC_CLIENT_SECRET || null)
+    };
+
+    createMockOidcProvider(options).listen(port, () => {
+        console.log(`🔑 Mock OIDC provider running at ${options.issuer} (client ID "${options.clientId}")`);
+    });
+}
+
+module.exports = { createMockOidcProvider };
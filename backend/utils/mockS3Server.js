@@ -0,0 +1,185 @@
+/**
+ * Mock S3 Server
+ * A minimal S3-compatible object store for trying the s3 storage driver
+ * locally: path-style PUT, GET, HEAD and DELETE on one bucket, with SigV4
+ * checked on signed requests and presigned URLs. Objects live in memory and
+ * are gone when it stops. Never run it in production.
+ *
+ *   npm run mock-s3
+ *
+ * Then start the app with STORAGE_DRIVER=s3, S3_ENDPOINT=http://localhost:4566,
+ * S3_BUCKET=faithmasters, S3_ACCESS_KEY_ID=mock-access-key and
+ * S3_SECRET_ACCESS_KEY=mock-secret-key.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { UNSIGNED_PAYLOAD, sha256Hex, computeSignature } = require('./s3Signer');
+
+const MAX_OBJECT_SIZE = '50mb';
+
+const sendError = (res, status, code, message) => {
+    res.status(status)
+        .type('application/xml')
+        .send(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+};
+
+const parseAmzDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+    return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : NaN;
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Check a request's signature, from its Authorization header or presigned query
+ * Returns an error code, or null when the request is properly signed.
+ */
+const verifySignature = (req, { region, accessKeyId, secretAccessKey }) => {
+    const presigned = req.query['X-Amz-Signature'] !== undefined;
+    let credential, signedHeaders, signature, amzDate, payloadHash;
+    const query = {};
+
+    if (presigned) {
+        ({
+            'X-Amz-Credential': credential,
+            'X-Amz-SignedHeaders': signedHeaders,
+            'X-Amz-Signature': signature,
+            'X-Amz-Date': amzDate
+        } = req.query);
+        payloadHash = UNSIGNED_PAYLOAD;
+
+        const expires = parseInt(req.query['X-Amz-Expires']);
+        if (!expires || parseAmzDate(amzDate) + expires * 1000 < Date.now()) {
+            return 'AccessDenied';
+        }
+
+        Object.entries(req.query)
+            .filter(([name]) => name !== 'X-Amz-Signature')
+            .forEach(([name, value]) => { query[name] = value; });
+    } else {
+        const match = /^AWS4-HMAC-SHA256 Credential=([^,]+), ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/
+            .exec(req.headers.authorization || '');
+        if (!match) {
+            return 'AccessDenied';
+        }
+
+        [, credential, signedHeaders, signature] = match;
+        amzDate = req.headers['x-amz-date'];
+        payloadHash = req.headers['x-amz-content-sha256'];
+
+        if (!payloadHash || (payloadHash !== UNSIGNED_PAYLOAD && payloadHash !== sha256Hex(Buffer.isBuffer(req.body) ? req.body : ''))) {
+            return 'XAmzContentSHA256Mismatch';
+        }
+    }
+
+    const [keyId, day, credentialRegion] = String(credential || '').split('/');
+    if (keyId !== accessKeyId) {
+        return 'InvalidAccessKeyId';
+    }
+    if (credentialRegion !== region || !String(amzDate || '').startsWith(day)) {
+        return 'AuthorizationQueryParametersError';
+    }
+
+    const headers = {};
+    String(signedHeaders || '').split(';').forEach(name => {
+        headers[name] = req.headers[name] || '';
+    });
+
+    const expected = computeSignature({
+        method: req.method,
+        path: decodeURIComponent(req.path),
+        query,
+        headers,
+        payloadHash,
+        amzDate,
+        region,
+        secretAccessKey
+    });
+
+    return safeEqual(expected.signature, String(signature)) ? null : 'SignatureDoesNotMatch';
+};
+
+/**
+ * Build the server app
+ */
+const createMockS3Server = ({ bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) => {
+    const app = express();
+    const objects = new Map();
+
+    app.use(express.raw({ type: () => true, limit: MAX_OBJECT_SIZE }));
+
+    app.all('/:bucket/*', (req, res) => {
+        if (req.params.bucket !== bucket) {
+            return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+        }
+
+        const error = verifySignature(req, { region, accessKeyId, secretAccessKey });
+        if (error) {
+            return sendError(res, 403, error, 'The request signature could not be verified');
+        }
+
+        const key = decodeURIComponent(req.params[0]);
+        const object = objects.get(key);
+
+        switch (req.method) {
+            case 'PUT': {
+                const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+                const etag = `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+                objects.set(key, {
+                    data,
+                    contentType: req.headers['content-type'] || 'application/octet-stream',
+                    etag,
+                    lastModified: new Date()
+                });
+                return res.set('ETag', etag).status(200).end();
+            }
+
+            case 'GET':
+            case 'HEAD':
+                if (!object) {
+                    return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist');
+                }
+                res.set({
+                    'Content-Type': object.contentType,
+                    'Content-Length': object.data.length,
+                    'ETag': object.etag,
+                    'Last-Modified': object.lastModified.toUTCString()
+                });
+                return req.method === 'HEAD' ? res.status(200).end() : res.status(200).end(object.data);
+
+            case 'DELETE':
+                objects.delete(key);
+                return res.status(204).end();
+
+            default:
+                return sendError(res, 405, 'MethodNotAllowed', 'The specified method is not allowed');
+        }
+    });
+
+    app.use((req, res) => sendError(res, 400, 'InvalidRequest', 'Only path-style object requests are supported'));
+
+    return app;
+};
+
+// Run the server if called directly
+if (require.main === module) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ The mock S3 server must not run in production');
+        process.exit(1);
+    }
+
+    const port = parseInt(process.env.MOCK_S3_PORT) || 4566;
+    const options = {
+        bucket: process.env.MOCK_S3_BUCKET || 'faithmasters',
+        region: process.env.MOCK_S3_REGION || 'us-east-1',
+        accessKeyId: process.env.MOCK_S3_ACCESS_KEY_ID || 'mock-access-key',
+        secretAccessKey: process.env.MOCK_S3_SECRET_ACCESS_KEY || 'mock-secret-key'
+    };
+
+    createMockS3Server(options).listen(port, () => {
+        console.log(`🪣 Mock S3 server running at http://localhost:${port} (bucket "${options.bucket}")`);
+    });
+}
+
+module.exports = { createMockS3Server };
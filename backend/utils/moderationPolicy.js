@@ -0,0 +1,95 @@
+const UserModel = require('../models/User');
+const RoleModel = require('../models/Role');
+const constants = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+const { get } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * Moderation Policy
+ * Decides whether a new post or comment goes live at once or waits in the
+ * moderator queue. MODERATION.POLICY picks who is reviewed: nobody ('off'),
+ * new members ('new_users') or everyone ('all'). Roles holding the publish
+ * permission and members marked trusted are never held.
+ */
+
+const POLICY = {
+    OFF: 'off',
+    NEW_USERS: 'new_users',
+    ALL: 'all'
+};
+
+const PUBLISH_PERMISSIONS = {
+    content: PERMISSIONS.CONTENT_PUBLISH,
+    comment: PERMISSIONS.COMMENTS_PUBLISH
+};
+
+/**
+ * Get the active policy
+ */
+const getPolicy = () => {
+    if (!constants.FEATURES.CONTENT_MODERATION) {
+        return POLICY.OFF;
+    }
+
+    const policy = constants.MODERATION.POLICY;
+    if (!constants.MODERATION.POLICIES.includes(policy)) {
+        logger.warn('Unknown moderation policy, reviewing everyone', { policy });
+        return POLICY.ALL;
+    }
+
+    return policy;
+};
+
+/**
+ * Check whether a member is still new: a young account or too few approved posts
+ */
+const isNewUser = async (user) => {
+    const ageMs = Date.now() - new Date(user.created_at).getTime();
+    if (ageMs < constants.MODERATION.NEW_USER_DAYS * 24 * 60 * 60 * 1000) {
+        return true;
+    }
+
+    const result = await get(`
+        SELECT
+            (SELECT COUNT(*) FROM content WHERE author_id = $1 AND status = $2 AND deleted_at IS NULL) +
+            (SELECT COUNT(*) FROM comments WHERE author_id = $1 AND status = $2 AND deleted_at IS NULL) as approved
+    `, [user.id, constants.CONTENT_STATUS.PUBLISHED]);
+
+    return parseInt(result.approved) < constants.MODERATION.NEW_USER_MIN_APPROVED;
+};
+
+/**
+ * Decide whether a new item ('content' or 'comment') by this user needs review
+ */
+const requiresReview = async (user, itemType) => {
+    const policy = getPolicy();
+    if (policy === POLICY.OFF) {
+        return false;
+    }
+
+    if (await RoleModel.hasPermission(user.role, PUBLISH_PERMISSIONS[itemType])) {
+        return false;
+    }
+
+    const author = await UserModel.findById(user.id);
+    if (!author) {
+        return true;
+    }
+
+    if (author.is_trusted) {
+        return false;
+    }
+
+    if (policy === POLICY.ALL) {
+        return true;
+    }
+
+    return await isNewUser(author);
+};
+
+module.exports = {
+    POLICY,
+    getPolicy,
+    requiresReview
+};
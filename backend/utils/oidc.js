@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const constants = require('../config/constants');
+
+/**
+ * OpenID Connect Client
+ * The relying-party side of the authorization code flow with PKCE: provider
+ * discovery, the authorization redirect, the code exchange and ID token
+ * checks against the provider's published signing keys.
+ */
+
+// How long discovery documents and signing keys are trusted before refetching
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const metadataCache = new Map();
+const keyCache = new Map();
+
+/**
+ * Random URL-safe string for state, nonce and PKCE values
+ */
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ */
+const createPkce = () => {
+    const verifier = randomToken(32);
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    return { verifier, challenge };
+};
+
+/**
+ * Providers must be reached over HTTPS; plain HTTP is only allowed on this machine, for a mock provider
+ */
+const assertSecureUrl = (url) => {
+    const parsed = new URL(url);
+    const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocal)) {
+        throw new Error(`OIDC endpoint must use HTTPS: ${url}`);
+    }
+};
+
+/**
+ * Make an HTTP request and parse the JSON response
+ */
+const requestJson = (url, { method = 'GET', headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+    assertSecureUrl(url);
+
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+        method,
+        headers: {
+            Accept: 'application/json',
+            ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+            ...headers
+        },
+        timeout: constants.OIDC.HTTP_TIMEOUT_MS
+    }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+            let json;
+            try {
+                json = JSON.parse(data);
+            } catch (error) {
+                return reject(new Error(`Invalid JSON from ${url}`));
+            }
+
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return reject(new Error(json.error_description || json.error || `Request to ${url} failed with status ${response.statusCode}`));
+            }
+
+            resolve(json);
+        });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+    request.on('error', reject);
+
+    if (body) {
+        request.write(body);
+    }
+    request.end();
+});
+
+/**
+ * Fetch a provider's discovery document, served from cache when fresh
+ */
+const discover = async (provider) => {
+    const cached = metadataCache.get(provider.issuer);
+    if (cached && Date.now() - cached.loadedAt < METADATA_TTL_MS) {
+        return cached.metadata;
+    }
+
+    const metadata = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== provider.issuer) {
+        throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${provider.issuer}`);
+    }
+
+    metadataCache.set(provider.issuer, { metadata, loadedAt: Date.now() });
+
+    return metadata;
+};
+
+/**
+ * Find the key an ID token was signed with
+ * Keys are refetched once when the token names one we haven't seen, since providers rotate them.
+ */
+const getSigningKey = async (provider, kid) => {
+    const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    const cached = keyCache.get(provider.issuer);
+    if (cached && Date.now() - cached.loadedAt < METADATA_TTL_MS) {
+        const key = findKey(cached.keys);
+        if (key) {
+            return crypto.createPublicKey({ key, format: 'jwk' });
+        }
+    }
+
+    const metadata = await discover(provider);
+    const { keys = [] } = await requestJson(metadata.jwks_uri);
+    keyCache.set(provider.issuer, { keys, loadedAt: Date.now() });
+
+    const key = findKey(keys);
+    if (!key) {
+        throw new Error('ID token signing key not found');
+    }
+
+    return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Build the URL that sends the browser to the provider's login page
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+    const metadata = await discover(provider);
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * Swap an authorization code for the provider's tokens
+ */
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+    const metadata = await discover(provider);
+
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // client_secret_basic unless the provider only takes the secret in the body
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (!provider.clientSecret) {
+        params.set('client_id', provider.clientId);
+    } else if (!authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+        params.set('client_id', provider.clientId);
+        params.set('client_secret', provider.clientSecret);
+    } else {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await requestJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers,
+        body: params.toString()
+    });
+
+    if (!tokens.id_token) {
+        throw new Error('Token response did not include an ID token');
+    }
+
+    return tokens;
+};
+
+/**
+ * Check an ID token's signature, issuer, audience, expiry and nonce
+ * Returns its claims.
+ */
+const verifyIdToken = async (provider, idToken, { nonce }) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new Error('Invalid ID token');
+    }
+
+    const key = await getSigningKey(provider, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTolerance: 60
+    });
+
+    if (!claims.sub) {
+        throw new Error('ID token has no subject');
+    }
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce does not match the login attempt');
+    }
+
+    return claims;
+};
+
+module.exports = {
+    randomToken,
+    createPkce,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
@@ -0,0 +1,174 @@
+const { EventEmitter } = require('events');
+const { Client } = require('pg');
+const constants = require('../config/constants');
+const { databaseManager, query } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * Pub/Sub Adapters
+ * Carry live events between server processes. An adapter implements
+ * publish(channel, message), subscribe(channel, handler) -> unsubscribe and close().
+ * Messages must be JSON-serializable. Any object with that shape, for example one
+ * backed by Redis, can be passed to ContentEvents.setPubSub().
+ */
+
+/**
+ * Single-process adapter; subscribers only see messages published by the same process
+ */
+class MemoryPubSub {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    async publish(channel, message) {
+        // Round-trip through JSON so handlers see the same shape as with a remote broker
+        this.emitter.emit(channel, JSON.parse(JSON.stringify(message)));
+    }
+
+    async subscribe(channel, handler) {
+        this.emitter.on(channel, handler);
+
+        return async () => {
+            this.emitter.off(channel, handler);
+        };
+    }
+
+    async close() {
+        this.emitter.removeAllListeners();
+    }
+}
+
+/**
+ * Multi-process adapter using PostgreSQL LISTEN/NOTIFY
+ * One connection per process listens on a single Postgres channel; the logical
+ * channel travels in the payload and is fanned out locally. NOTIFY payloads are
+ * limited to 8000 bytes, so messages should carry IDs rather than full records.
+ */
+class PostgresPubSub {
+    constructor(connectionString, pgChannel = constants.REALTIME.PG_CHANNEL) {
+        this.connectionString = connectionString;
+        this.pgChannel = pgChannel;
+        this.local = new EventEmitter();
+        this.local.setMaxListeners(0);
+        this.client = null;
+        this.connecting = null;
+        this.reconnectTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Open the listening connection once
+     */
+    connect() {
+        if (!this.connecting) {
+            this.connecting = this.listen().catch((error) => {
+                this.connecting = null;
+                throw error;
+            });
+        }
+
+        return this.connecting;
+    }
+
+    async listen() {
+        const client = new Client({
+            connectionString: this.connectionString,
+            ssl: databaseManager.isServerless ? { rejectUnauthorized: false } : false
+        });
+
+        client.on('notification', (notification) => {
+            if (notification.channel !== this.pgChannel) {
+                return;
+            }
+
+            try {
+                const { channel, message } = JSON.parse(notification.payload);
+                this.local.emit(channel, message);
+            } catch (error) {
+                logger.error('Error parsing pub/sub notification', error);
+            }
+        });
+
+        client.on('error', (error) => {
+            logger.error('Pub/sub listener connection error', error);
+            client.end().catch(() => {});
+            this.scheduleReconnect();
+        });
+
+        await client.connect();
+        await client.query(`LISTEN ${client.escapeIdentifier(this.pgChannel)}`);
+
+        this.client = client;
+        logger.info('Pub/sub listener connected', { channel: this.pgChannel });
+
+        return client;
+    }
+
+    /**
+     * Replace a broken listening connection after a delay
+     * Messages published while disconnected are lost; clients catch up on their next reload.
+     */
+    scheduleReconnect() {
+        this.client = null;
+        this.connecting = null;
+
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch((error) => {
+                logger.error('Pub/sub listener reconnect failed', error);
+                this.scheduleReconnect();
+            });
+        }, constants.REALTIME.RECONNECT_DELAY_MS);
+        this.reconnectTimer.unref();
+    }
+
+    async publish(channel, message) {
+        await query('SELECT pg_notify($1, $2)', [this.pgChannel, JSON.stringify({ channel, message })]);
+    }
+
+    async subscribe(channel, handler) {
+        await this.connect();
+        this.local.on(channel, handler);
+
+        return async () => {
+            this.local.off(channel, handler);
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.local.removeAllListeners();
+
+        if (this.client) {
+            await this.client.end();
+            this.client = null;
+        }
+    }
+}
+
+/**
+ * Create the adapter named in the realtime configuration
+ */
+const createPubSub = (type = constants.REALTIME.PUBSUB) => {
+    if (type === 'postgres') {
+        return new PostgresPubSub(process.env.DATABASE_URL || process.env.POSTGRES_URL);
+    }
+
+    if (type !== 'memory') {
+        logger.warn('Unknown pub/sub adapter, falling back to memory', { type });
+    }
+
+    return new MemoryPubSub();
+};
+
+module.exports = {
+    MemoryPubSub,
+    PostgresPubSub,
+    createPubSub
+};
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Readable } = require('stream');
+const constants = require('../config/constants');
+const { get, run } = require('../config/database');
+const { logger } = require('./logger');
+const { sha256Hex, encodePath, signRequest, presignUrl } = require('./s3Signer');
+
+/**
+ * Storage Adapters
+ * Where uploaded files live. An adapter implements
+ * put(key, data, { contentType }), createReadStream(key) -> { stream, size, contentType }
+ * or null when the object is missing, delete(key), which ignores missing objects,
+ * and getSignedUrl(key, expiresIn) -> a URL clients can fetch directly, or null
+ * when the adapter can only be read through the app. Keys are relative paths
+ * such as images/image-123-abc-full.jpg. Any object with that shape can be
+ * registered with setStorage().
+ */
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+const KEY_PATTERN = /^[\w-]+(?:\/[\w.-]+)*$/;
+
+/**
+ * Refuse keys that could escape the storage root or the bucket
+ */
+const assertKey = (key) => {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').some(part => part === '..' || part === '.')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+};
+
+const contentTypeForKey = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Files under a directory on local disk
+ * Fine for a single server with a persistent disk; serverless deployments lose them.
+ */
+class LocalStorage {
+    constructor(root = path.join(__dirname, '../..', constants.STORAGE.LOCAL_DIR)) {
+        this.root = path.resolve(root);
+    }
+
+    resolve(key) {
+        assertKey(key);
+        return path.join(this.root, key);
+    }
+
+    async put(key, data) {
+        const file = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+        // Readers never see a half-written file
+        const temp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            await fs.promises.writeFile(temp, data);
+            await fs.promises.rename(temp, file);
+        } catch (error) {
+            await fs.promises.unlink(temp).catch(() => {});
+            throw error;
+        }
+    }
+
+    async createReadStream(key) {
+        const file = this.resolve(key);
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        if (!stats.isFile()) {
+            return null;
+        }
+
+        return {
+            stream: fs.createReadStream(file),
+            size: stats.size,
+            contentType: contentTypeForKey(key)
+        };
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async getSignedUrl() {
+        return null;
+    }
+}
+
+/**
+ * Objects in an S3-compatible bucket (AWS S3, MinIO, R2, the mock-s3 stand-in)
+ * Requests are signed with SigV4; reads can be handed to clients as presigned URLs.
+ */
+class S3Storage {
+    constructor(options = constants.STORAGE.S3) {
+        const {
+            ENDPOINT: endpoint,
+            REGION: region,
+            BUCKET: bucket,
+            ACCESS_KEY_ID: accessKeyId,
+            SECRET_ACCESS_KEY: secretAccessKey,
+            FORCE_PATH_STYLE: forcePathStyle
+        } = options;
+
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        this.region = region;
+        this.bucket = bucket;
+        this.credentials = { accessKeyId, secretAccessKey };
+        this.forcePathStyle = forcePathStyle;
+        this.client = this.endpoint.protocol === 'http:' ? http : https;
+    }
+
+    /**
+     * Host objects are requested from
+     */
+    get host() {
+        return this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    }
+
+    /**
+     * Origin signed URLs point at
+     */
+    get origin() {
+        return `${this.endpoint.protocol}//${this.host}`;
+    }
+
+    /**
+     * Host and decoded path of an object
+     */
+    locate(key) {
+        assertKey(key);
+        const basePath = this.endpoint.pathname.replace(/\/$/, '');
+
+        return {
+            host: this.host,
+            path: this.forcePathStyle ? `${basePath}/${this.bucket}/${key}` : `${basePath}/${key}`
+        };
+    }
+
+    /**
+     * Send a signed request for an object
+     * Resolves with the response unread, so reads can be streamed on.
+     */
+    request(method, key, { body = null, headers = {} } = {}) {
+        const { host, path: objectPath } = this.locate(key);
+        const signedHeaders = signRequest({
+            method,
+            host,
+            path: objectPath,
+            headers: body ? { ...headers, 'content-length': body.length } : headers,
+            payloadHash: body ? sha256Hex(body) : sha256Hex(''),
+            credentials: this.credentials,
+            region: this.region
+        });
+
+        return new Promise((resolve, reject) => {
+            const request = this.client.request({
+                protocol: this.endpoint.protocol,
+                hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+                port: this.endpoint.port || undefined,
+                method,
+                path: encodePath(objectPath),
+                headers: signedHeaders,
+                timeout: constants.STORAGE.HTTP_TIMEOUT_MS
+            }, resolve);
+
+            request.on('timeout', () => request.destroy(new Error(`S3 ${method} timed out`)));
+            request.on('error', reject);
+            request.end(body || undefined);
+        });
+    }
+
+    /**
+     * Read a response to the end and fail unless its status is expected
+     */
+    async expectStatus(response, method, key, statuses) {
+        const chunks = [];
+        for await (const chunk of response) {
+            chunks.push(chunk);
+        }
+
+        if (!statuses.includes(response.statusCode)) {
+            const detail = Buffer.concat(chunks).toString('utf8').match(/<Code>([^<]+)<\/Code>/);
+            throw new Error(`S3 ${method} ${key} failed with ${response.statusCode}${detail ? ` (${detail[1]})` : ''}`);
+        }
+    }
+
+    async put(key, data, { contentType = contentTypeForKey(key) } = {}) {
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const response = await this.request('PUT', key, { body, headers: { 'content-type': contentType } });
+        await this.expectStatus(response, 'PUT', key, [200]);
+    }
+
+    async createReadStream(key) {
+        const response = await this.request('GET', key);
+
+        if (response.statusCode !== 200) {
+            await this.expectStatus(response, 'GET', key, [404]);
+            return null;
+        }
+
+        return {
+            stream: response,
+            size: parseInt(response.headers['content-length']) || undefined,
+            contentType: response.headers['content-type'] || contentTypeForKey(key)
+        };
+    }
+
+    async delete(key) {
+        const response = await this.request('DELETE', key);
+        await this.expectStatus(response, 'DELETE', key, [200, 204, 404]);
+    }
+
+    async getSignedUrl(key, expiresIn = constants.STORAGE.SIGNED_URL_TTL_SECONDS) {
+        const { host, path: objectPath } = this.locate(key);
+
+        return presignUrl({
+            protocol: this.endpoint.protocol,
+            host,
+            path: objectPath,
+            expiresIn,
+            credentials: this.credentials,
+            region: this.region
+        });
+    }
+}
+
+/**
+ * Objects stored as blobs in the media_objects table
+ * Needs nothing besides the database, so it works on serverless deployments
+ * without a bucket. Reads are streamed in chunks rather than loaded whole.
+ */
+class DatabaseStorage {
+    constructor(chunkSize = constants.STORAGE.DATABASE_CHUNK_SIZE) {
+        this.chunkSize = chunkSize;
+    }
+
+    async put(key, data, { contentType = contentTypeForKey(key) } = {}) {
+        assertKey(key);
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+        await run(`
+            INSERT INTO media_objects (key, content_type, size, data, created_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+            ON CONFLICT (key) DO UPDATE
+            SET content_type = EXCLUDED.content_type, size = EXCLUDED.size, data = EXCLUDED.data
+        `, [key, contentType, body.length, body]);
+    }
+
+    async createReadStream(key) {
+        assertKey(key);
+        const object = await get('SELECT content_type, size FROM media_objects WHERE key = $1', [key]);
+        if (!object) {
+            return null;
+        }
+
+        const size = parseInt(object.size);
+        const chunkSize = this.chunkSize;
+        let offset = 0;
+
+        const stream = new Readable({
+            async read() {
+                try {
+                    if (offset >= size) {
+                        this.push(null);
+                        return;
+                    }
+
+                    // substring() on bytea counts from 1
+                    const row = await get(
+                        'SELECT substring(data FROM $2 FOR $3) AS chunk FROM media_objects WHERE key = $1',
+                        [key, offset + 1, chunkSize]
+                    );
+
+                    if (!row || !row.chunk || row.chunk.length === 0) {
+                        this.destroy(new Error(`Storage object ${key} changed while being read`));
+                        return;
+                    }
+
+                    offset += row.chunk.length;
+                    this.push(row.chunk);
+                } catch (error) {
+                    this.destroy(error);
+                }
+            }
+        });
+
+        return {
+            stream,
+            size,
+            contentType: object.content_type
+        };
+    }
+
+    async delete(key) {
+        assertKey(key);
+        await run('DELETE FROM media_objects WHERE key = $1', [key]);
+    }
+
+    async getSignedUrl() {
+        return null;
+    }
+}
+
+const adapters = new Map();
+
+/**
+ * Create the adapter for a storage driver
+ */
+const createStorage = (driver = constants.STORAGE.DRIVER) => {
+    if (driver === 's3') {
+        return new S3Storage();
+    }
+
+    if (driver === 'database') {
+        return new DatabaseStorage();
+    }
+
+    if (driver !== 'local') {
+        logger.warn('Unknown storage driver, falling back to local', { driver });
+    }
+
+    return new LocalStorage();
+};
+
+/**
+ * Get the adapter for a driver, creating it on first use
+ * Media records remember the driver they were stored with, so files stay
+ * readable after the configured driver changes.
+ */
+const getStorage = (driver = constants.STORAGE.DRIVER) => {
+    if (!adapters.has(driver)) {
+        adapters.set(driver, createStorage(driver));
+    }
+
+    return adapters.get(driver);
+};
+
+/**
+ * Register an adapter for a driver name, replacing the built-in one
+ */
+const setStorage = (driver, adapter) => {
+    adapters.set(driver, adapter);
+};
+
+/**
+ * Origins browsers are redirected to for images, for the CSP img-src
+ */
+const getSignedUrlOrigins = () => {
+    if (constants.STORAGE.DRIVER !== 's3' || constants.STORAGE.S3.PROXY_READS) {
+        return [];
+    }
+
+    return [getStorage('s3').origin];
+};
+
+module.exports = {
+    LocalStorage,
+    S3Storage,
+    DatabaseStorage,
+    contentTypeForKey,
+    createStorage,
+    getStorage,
+    setStorage,
+    getSignedUrlOrigins
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const constants = require('../config/constants');
+
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226), with
+ * the SHA-1 / 6 digit / 30 second defaults that authenticator apps expect.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps take secrets in
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ */
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret (160 bits, as recommended by RFC 4226)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the HOTP code for a counter value
+ */
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** constants.TWO_FACTOR.DIGITS).padStart(constants.TWO_FACTOR.DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a moment in time
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / constants.TWO_FACTOR.STEP_SECONDS);
+
+/**
+ * Compute the TOTP code for a moment in time
+ */
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getTimeStep(time));
+
+/**
+ * Check a code against the steps around now
+ * Returns the matching time step, or null. Steps at or before `afterStep` are
+ * rejected so a code that has already been used can't be replayed.
+ */
+const verifyTotp = (secret, code, { afterStep = null, time = Date.now() } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== constants.TWO_FACTOR.DIGITS) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(time);
+    const window = constants.TWO_FACTOR.WINDOW;
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (afterStep !== null && step <= afterStep) {
+            continue;
+        }
+
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer = constants.TWO_FACTOR.ISSUER }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(constants.TWO_FACTOR.DIGITS),
+        period: String(constants.TWO_FACTOR.STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    generateTotp,
+    getTimeStep,
+    verifyTotp,
+    buildOtpauthUri
+};
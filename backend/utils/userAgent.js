@@ -0,0 +1,75 @@
+/**
+ * User Agent Utilities
+ * Turns a User-Agent header into a short device label such as
+ * "Chrome on Windows" for the session list. Order matters: many browsers
+ * also claim to be Chrome or Safari, so the more specific ones are checked first.
+ */
+
+const BROWSERS = [
+    { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+    { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+    { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+    { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+    { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+    { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+    { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+    { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'Windows', pattern: /Windows/ },
+    { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+    { name: 'ChromeOS', pattern: /CrOS/ },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Work out the kind of device from the user agent
+ */
+const getDeviceType = (userAgent) => {
+    if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+        return 'tablet';
+    }
+    if (/Mobi|iPhone|iPod/.test(userAgent)) {
+        return 'mobile';
+    }
+    return 'desktop';
+};
+
+/**
+ * Parse a User-Agent header into browser, operating system, device type and label
+ */
+const parseUserAgent = (userAgent) => {
+    const ua = String(userAgent || '');
+
+    if (!ua || ua === 'unknown') {
+        return { browser: null, browserVersion: null, os: null, deviceType: null, label: 'Unknown device' };
+    }
+
+    const browser = BROWSERS.find(candidate => candidate.pattern.test(ua));
+    const os = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(ua));
+    const browserVersion = browser ? ua.match(browser.pattern)[1].split('.')[0] : null;
+
+    let label;
+    if (browser && os) {
+        label = `${browser.name} on ${os.name}`;
+    } else if (browser || os) {
+        label = (browser || os).name;
+    } else {
+        // Scripts and API clients, e.g. "curl/8.4.0"
+        label = ua.split(/[\s/]/)[0] || 'Unknown device';
+    }
+
+    return {
+        browser: browser ? browser.name : null,
+        browserVersion,
+        os: os ? os.name : null,
+        deviceType: browser || os ? getDeviceType(ua) : null,
+        label
+    };
+};
+
+module.exports = {
+    parseUserAgent
+};
@@ -7,6 +7,7 @@ class AdminPanel {
     constructor() {
         this.apiBase = '/api';
         this.currentUser = null;
+        this.roles = [];
         this.authToken = localStorage.getItem('authToken');
         this.currentSection = 'dashboard';
         this.currentPage = 1;
@@ -59,6 +60,9 @@ class AdminPanel {
             // Setup event listeners
             this.setupEventListeners();
             
+            // Role pickers are filled from the roles table
+            await this.loadRoleOptions();
+            
             // Load initial dashboard
             await this.loadDashboard();
             
@@ -98,13 +102,20 @@ class AdminPanel {
                 const user = response.data.user;
                 console.log('User role:', user.role);
                 
-                if (user.role === 'admin' || user.role === 'moderator') {
+                if (user.twoFactorSetupRequired) {
+                    // The API refuses admin requests until 2FA is set up, so send them to do that
+                    window.location.href = '/?twoFactorSetup=true';
+                    return false;
+                }
+                
+                if ((user.permissions || []).includes('admin.access')) {
                     this.currentUser = user;
-                this.updateUserInfo();
+                    this.updateUserInfo();
+                    this.applyPermissionVisibility();
                     console.log('Admin authentication successful');
-                return true;
-            } else {
-                    throw new Error(`Insufficient permissions. User role: ${user.role}. Required: admin or moderator.`);
+                    return true;
+                } else {
+                    throw new Error(`Insufficient permissions. User role: ${user.role}. Required: admin.access.`);
                 }
             } else {
                 throw new Error('Invalid response from auth profile endpoint');
@@ -127,7 +138,7 @@ class AdminPanel {
         }
 
         // Search inputs
-        const searchInputs = ['userSearch', 'contentSearch'];
+        const searchInputs = ['userSearch', 'contentSearch', 'auditActor', 'auditResourceId', 'mediaOwnerFilter'];
         searchInputs.forEach(inputId => {
             const element = document.getElementById(inputId);
             if (element) {
@@ -143,7 +154,7 @@ class AdminPanel {
         });
 
         // Filter dropdowns
-        const filterSelects = ['userRoleFilter', 'userStatusFilter', 'contentTypeFilter', 'contentStatusFilter', 'commentStatusFilter'];
+        const filterSelects = ['userRoleFilter', 'userStatusFilter', 'contentTypeFilter', 'contentStatusFilter', 'commentStatusFilter', 'reportTypeFilter', 'reportStatusFilter', 'auditActionFilter', 'auditResourceFilter', 'auditFromFilter', 'auditToFilter', 'trashTypeFilter', 'mediaUsageFilter'];
         filterSelects.forEach(selectId => {
             const element = document.getElementById(selectId);
             if (element) {
@@ -218,7 +229,9 @@ class AdminPanel {
                     this.redirectToLogin();
                     return;
                 }
-                throw new Error(result.message || 'API call failed');
+                const error = new Error(result.message || 'API call failed');
+                error.code = result.code;
+                throw error;
             }
 
             console.log('✅ API call successful');
@@ -268,12 +281,18 @@ class AdminPanel {
     getSectionTitle(section) {
         const titles = {
             dashboard: 'Dashboard',
+            moderation: 'Moderation Queue',
             users: 'User Management',
             content: 'Content Management',
             comments: 'Comment Moderation',
+            reports: 'Reports',
             categories: 'Category Management',
             analytics: 'Platform Analytics',
-            settings: 'Application Settings'
+            settings: 'Application Settings',
+            roles: 'Roles & Permissions',
+            audit: 'Audit Log',
+            trash: 'Trash',
+            media: 'Media Library'
         };
         return titles[section] || section;
     }
@@ -287,6 +306,9 @@ class AdminPanel {
                 case 'dashboard':
                     await this.loadDashboard();
                     break;
+                case 'moderation':
+                    await this.loadModerationQueue();
+                    break;
                 case 'users':
                     await this.loadUsers();
                     break;
@@ -296,6 +318,9 @@ class AdminPanel {
                 case 'comments':
                     await this.loadComments();
                     break;
+                case 'reports':
+                    await this.loadReports();
+                    break;
                 case 'categories':
                     await this.loadCategories();
                     break;
@@ -305,6 +330,18 @@ class AdminPanel {
                 case 'settings':
                     await this.loadSettings();
                     break;
+                case 'roles':
+                    await this.loadPermissionMatrix();
+                    break;
+                case 'audit':
+                    await this.loadAuditLog();
+                    break;
+                case 'trash':
+                    await this.loadTrash();
+                    break;
+                case 'media':
+                    await this.loadMedia();
+                    break;
             }
         } catch (error) {
             console.error(`Failed to load ${section} data:`, error);
@@ -447,7 +484,7 @@ class AdminPanel {
                 </td>
                 <td>${this.escapeHtml(user.email)}</td>
                 <td><span class="badge badge-${user.role}">${user.role}</span></td>
-                <td><span class="status-badge ${user.status}">${user.status}</span></td>
+                <td><span class="status-badge ${user.status}" ${user.suspended_until ? `title="Until ${this.formatDate(user.suspended_until)}"` : ''}>${user.status}</span></td>
                 <td>${this.formatDate(user.created_at)}</td>
                 <td>${user.lastLogin ? this.formatDate(user.lastLogin) : 'Never'}</td>
                 <td>
@@ -510,7 +547,10 @@ class AdminPanel {
                 </td>
                 <td><span class="badge badge-${item.type}">${item.type}</span></td>
                 <td>${this.escapeHtml(item.author_name)}</td>
-                <td><span class="status-badge ${item.status}">${item.status}</span></td>
+                <td>
+                    <span class="status-badge ${item.status}">${item.status}</span>
+                    ${item.status === 'scheduled' && item.publish_at ? `<br><small class="text-muted">${this.formatDate(item.publish_at)}</small>` : ''}
+                </td>
                 <td>${item.view_count || 0}</td>
                 <td>${this.formatDate(item.created_at)}</td>
                 <td>
@@ -521,6 +561,11 @@ class AdminPanel {
                         <button class="btn btn-sm btn-warning" onclick="admin.editContent(${item.id})">
                             <i class="fas fa-edit"></i>
                         </button>
+                        ${item.status === 'scheduled' ? `
+                            <button class="btn btn-sm btn-secondary" onclick="admin.cancelSchedule(${item.id})" title="Cancel schedule">
+                                <i class="fas fa-calendar-times"></i>
+                            </button>
+                        ` : ''}
                         <button class="btn btn-sm btn-danger" onclick="admin.deleteContent(${item.id})">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -554,6 +599,127 @@ class AdminPanel {
         }
     }
 
+    /**
+     * Load posts and comments waiting for review
+     */
+    async loadModerationQueue() {
+        try {
+            const response = await this.apiCall('/admin/moderation/queue');
+
+            if (response.success) {
+                const { policy, content, comments } = response.data;
+                const policyLabels = {
+                    off: 'Pre-moderation is off',
+                    new_users: 'Reviewing new members',
+                    all: 'Reviewing all members'
+                };
+                document.getElementById('moderationPolicy').textContent = policyLabels[policy] || policy;
+
+                document.getElementById('queueContent').style.display = content ? '' : 'none';
+                document.getElementById('queueComments').style.display = comments ? '' : 'none';
+
+                if (content) {
+                    this.renderQueueContent(content.content);
+                }
+                if (comments) {
+                    this.renderQueueComments(comments.comments);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load moderation queue:', error);
+            this.showError('Failed to load moderation queue');
+        }
+    }
+
+    renderQueueContent(items) {
+        const tbody = document.getElementById('queueContentBody');
+
+        if (!items || items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">No posts waiting for review.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = items.map(item => `
+            <tr>
+                <td>
+                    <a href="#" onclick="admin.viewContent(${item.id})">${this.escapeHtml(item.title)}</a>
+                    <div class="comment-preview">${this.escapeHtml(item.type)}</div>
+                </td>
+                <td>${this.escapeHtml(item.author_name)}</td>
+                <td>${this.escapeHtml(item.category_name || '-')}</td>
+                <td>${this.formatDate(item.created_at)}</td>
+                <td>${this.renderQueueActions('content', item.id)}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderQueueComments(items) {
+        const tbody = document.getElementById('queueCommentsBody');
+
+        if (!items || items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">No comments waiting for review.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = items.map(comment => `
+            <tr>
+                <td>
+                    <div class="comment-preview">
+                        ${this.escapeHtml(comment.body.substring(0, 200))}${comment.body.length > 200 ? '...' : ''}
+                    </div>
+                </td>
+                <td>${this.escapeHtml(comment.author_name)}</td>
+                <td>
+                    <a href="#" onclick="admin.viewContent(${comment.content_id})">${this.escapeHtml(comment.content_title)}</a>
+                </td>
+                <td>${this.formatDate(comment.created_at)}</td>
+                <td>${this.renderQueueActions('comment', comment.id)}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderQueueActions(itemType, id) {
+        return `
+            <div class="action-buttons">
+                <button class="btn btn-sm btn-success" onclick="admin.decideQueueItem('${itemType}', ${id}, 'approve')" title="Approve">
+                    <i class="fas fa-check"></i>
+                </button>
+                <button class="btn btn-sm btn-danger" onclick="admin.decideQueueItem('${itemType}', ${id}, 'reject')" title="Reject">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Approve or reject a queued item; rejections ask for the reason sent to the author
+     */
+    async decideQueueItem(itemType, id, decision) {
+        let reason;
+        if (decision === 'reject') {
+            reason = prompt('Why is this being rejected? The author will see this reason.');
+            if (reason === null) {
+                return;
+            }
+            if (!reason.trim()) {
+                this.showError('A reason is required when rejecting');
+                return;
+            }
+        }
+
+        try {
+            const response = await this.apiCall(`/admin/moderation/${itemType}/${id}`, 'PUT', { decision, reason });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadModerationQueue();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to apply decision');
+            this.loadModerationQueue();
+        }
+    }
+
     /**
      * Render comments table
      */
@@ -597,6 +763,101 @@ class AdminPanel {
         `).join('');
     }
 
+    /**
+     * Load reports
+     */
+    async loadReports() {
+        try {
+            const params = this.getFilterParams();
+            const queryString = new URLSearchParams({
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                ...params
+            });
+
+            const response = await this.apiCall(`/admin/reports?${queryString}`);
+            
+            if (response.success) {
+                this.renderReportsTable(response.data.reports);
+                this.renderPagination(response.data.pagination, 'reportsPagination');
+            }
+        } catch (error) {
+            console.error('Failed to load reports:', error);
+            this.showError('Failed to load reports');
+        }
+    }
+
+    /**
+     * Render reports table
+     */
+    renderReportsTable(reports) {
+        const tbody = document.getElementById('reportsTableBody');
+        
+        if (!reports || reports.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center">No reports found.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = reports.map(report => `
+            <tr>
+                <td>
+                    <div class="report-target">
+                        <span class="badge badge-${report.target_type}">${report.target_type}</span>
+                        ${this.renderReportTarget(report)}
+                    </div>
+                </td>
+                <td>
+                    <div class="report-reason">
+                        <strong>${this.escapeHtml(report.reason.replace('_', ' '))}</strong>
+                        ${report.details ? `<p>${this.escapeHtml(report.details)}</p>` : ''}
+                    </div>
+                </td>
+                <td>${this.escapeHtml(report.reporter_name || 'Deleted user')}</td>
+                <td>${report.target_report_count}</td>
+                <td>
+                    <span class="status-badge ${report.status}">${report.status}</span>
+                    ${report.resolver_name ? `<div class="report-resolution">by ${this.escapeHtml(report.resolver_name)}</div>` : ''}
+                    ${report.resolution_note ? `<div class="report-resolution">${this.escapeHtml(report.resolution_note)}</div>` : ''}
+                </td>
+                <td>${this.formatDate(report.created_at)}</td>
+                <td>
+                    <div class="action-buttons">
+                        ${report.status === 'pending' ? `
+                            <button class="btn btn-sm btn-success" onclick="admin.resolveReport(${report.id})" title="Resolve">
+                                <i class="fas fa-check"></i>
+                            </button>
+                            <button class="btn btn-sm btn-secondary" onclick="admin.dismissReport(${report.id})" title="Dismiss">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render a link to the reported item
+     */
+    renderReportTarget(report) {
+        if (report.target_summary === null || report.target_summary === undefined) {
+            return '<em>Removed</em>';
+        }
+
+        const summary = this.escapeHtml(report.target_summary.substring(0, 100));
+
+        switch (report.target_type) {
+            case 'content':
+                return `<a href="#" onclick="admin.viewContent(${report.target_id})">${summary}</a>`;
+            case 'comment':
+                return `<a href="#" onclick="admin.viewContent(${report.comment_content_id})">${summary}</a>`;
+            case 'user':
+                return `<a href="#" onclick="admin.editUser(${report.target_id})">${summary}</a>`;
+            default:
+                return summary;
+        }
+    }
+
     /**
      * Load categories
      */
@@ -731,115 +992,682 @@ class AdminPanel {
     }
 
     /**
-     * Get filter parameters
+     * Load roles into the role filter and role pickers
      */
-    getFilterParams() {
-        const params = {};
-        
-        // Get search term
-        const searchInput = document.getElementById(`${this.currentSection}Search`);
-        if (searchInput && searchInput.value.trim()) {
-            params.search = searchInput.value.trim();
+    async loadRoleOptions() {
+        if (!this.hasPermission('users.view') && !this.hasPermission('roles.manage')) {
+            return;
         }
-        
-        // Get filter values based on current section
-        if (this.currentSection === 'users') {
-            const roleFilter = document.getElementById('userRoleFilter');
-            const statusFilter = document.getElementById('userStatusFilter');
-            
-            if (roleFilter && roleFilter.value) params.role = roleFilter.value;
-            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
-            
-        } else if (this.currentSection === 'content') {
-            const typeFilter = document.getElementById('contentTypeFilter');
-            const statusFilter = document.getElementById('contentStatusFilter');
-            
-            if (typeFilter && typeFilter.value) params.type = typeFilter.value;
-            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
-            
-        } else if (this.currentSection === 'comments') {
-            const statusFilter = document.getElementById('commentStatusFilter');
-            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
+
+        try {
+            const response = await this.apiCall('/admin/roles');
+
+            if (response.success) {
+                this.roles = response.data.roles;
+                this.updateUserInfo();
+
+                const options = this.roles.map(role => `
+                    <option value="${this.escapeHtml(role.name)}">${this.escapeHtml(role.label)}</option>
+                `).join('');
+
+                document.getElementById('userRoleFilter').innerHTML = '<option value="">All Roles</option>' + options;
+                document.getElementById('userRole').innerHTML = options;
+                document.getElementById('roleCopyFrom').innerHTML = '<option value="">No permissions</option>' + options;
+            }
+        } catch (error) {
+            console.error('Failed to load roles:', error);
         }
-        
-        return params;
     }
 
     /**
-     * Apply filters
+     * Load the role/permission matrix
      */
-    applyFilters() {
-        this.currentPage = 1;
-        this.loadSectionData(this.currentSection);
+    async loadPermissionMatrix() {
+        try {
+            const response = await this.apiCall('/admin/permissions');
+
+            if (response.success) {
+                this.renderPermissionMatrix(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to load permissions:', error);
+            this.showError('Failed to load permissions');
+        }
     }
 
     /**
-     * Render pagination
+     * Render the matrix: one row per permission, one column per role
      */
-    renderPagination(pagination, containerId) {
-        const container = document.getElementById(containerId);
-        
-        if (!pagination || pagination.pages <= 1) {
-            container.innerHTML = '';
-            return;
-        }
-
-        const { page, pages } = pagination;
-        let paginationHTML = '';
-
-        // Previous button
-        paginationHTML += `
-            <button ${page === 1 ? 'disabled' : ''} onclick="admin.changePage(${page - 1})">
-                Previous
-            </button>
+    renderPermissionMatrix({ roles, permissions, grants }) {
+        const table = document.getElementById('permissionMatrix');
+
+        const header = `
+            <thead>
+                <tr>
+                    <th>Permission</th>
+                    ${roles.map(role => `
+                        <th class="role-column">
+                            <div class="role-label">${this.escapeHtml(role.label)}</div>
+                            <small>${role.user_count} member${parseInt(role.user_count) === 1 ? '' : 's'}</small>
+                            ${role.is_system ? '' : `
+                                <button class="btn btn-sm btn-danger" onclick="admin.deleteRole('${role.name}')" title="Delete role">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            `}
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
         `;
 
-        // Page numbers
-        const startPage = Math.max(1, page - 2);
-        const endPage = Math.min(pages, page + 2);
+        let currentGroup = null;
+        const rows = permissions.map(permission => {
+            let groupRow = '';
+            if (permission.group_name !== currentGroup) {
+                currentGroup = permission.group_name;
+                groupRow = `<tr class="permission-group"><td colspan="${roles.length + 1}">${this.escapeHtml(currentGroup)}</td></tr>`;
+            }
 
-        for (let i = startPage; i <= endPage; i++) {
-            paginationHTML += `
-                <button ${i === page ? 'class="active"' : ''} onclick="admin.changePage(${i})">
-                    ${i}
-                </button>
+            return groupRow + `
+                <tr>
+                    <td>
+                        <div class="permission-name">${this.escapeHtml(permission.name)}</div>
+                        <small>${this.escapeHtml(permission.description)}</small>
+                    </td>
+                    ${roles.map(role => {
+                        const granted = (grants[role.name] || []).includes(permission.name);
+                        const locked = role.protected_permissions.includes(permission.name);
+                        return `
+                            <td class="role-column">
+                                <input type="checkbox"
+                                    data-role="${role.name}"
+                                    data-grant="${permission.name}"
+                                    ${granted ? 'checked' : ''}
+                                    ${locked ? 'disabled title="Required for this role"' : ''}>
+                            </td>
+                        `;
+                    }).join('')}
+                </tr>
             `;
-        }
-
-        // Next button
-        paginationHTML += `
-            <button ${page === pages ? 'disabled' : ''} onclick="admin.changePage(${page + 1})">
-                Next
-            </button>
+        }).join('');
+
+        const footer = `
+            <tfoot>
+                <tr>
+                    <td></td>
+                    ${roles.map(role => `
+                        <td class="role-column">
+                            <button class="btn btn-sm btn-primary" onclick="admin.saveRolePermissions('${role.name}')">Save</button>
+                        </td>
+                    `).join('')}
+                </tr>
+            </tfoot>
         `;
 
-        container.innerHTML = paginationHTML;
+        table.innerHTML = header + `<tbody>${rows}</tbody>` + footer;
     }
 
     /**
-     * Change page
+     * Save the checked permissions for one role
      */
-    changePage(page) {
-        this.currentPage = page;
-        this.loadSectionData(this.currentSection);
+    async saveRolePermissions(roleName) {
+        const permissions = Array.from(
+            document.querySelectorAll(`#permissionMatrix input[data-role="${roleName}"]:checked`)
+        ).map(input => input.dataset.grant);
+
+        try {
+            const response = await this.apiCall(`/admin/roles/${roleName}/permissions`, 'PUT', { permissions });
+
+            if (response.success) {
+                this.showSuccess('Permissions updated successfully');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to update permissions');
+            this.loadPermissionMatrix();
+        }
+    }
+
+    showCreateRoleModal() {
+        document.getElementById('roleForm').reset();
+        this.showModal('roleModal');
+    }
+
+    async saveRole() {
+        const form = document.getElementById('roleForm');
+        const formData = new FormData(form);
+
+        const roleData = {
+            name: formData.get('name').trim(),
+            label: formData.get('label').trim(),
+            description: formData.get('description').trim() || undefined,
+            copyFrom: formData.get('copyFrom') || undefined
+        };
+
+        try {
+            const response = await this.apiCall('/admin/roles', 'POST', roleData);
+
+            if (response.success) {
+                this.closeModal('roleModal');
+                this.showSuccess('Role created successfully');
+                await this.loadRoleOptions();
+                this.loadPermissionMatrix();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to create role');
+        }
+    }
+
+    async deleteRole(roleName) {
+        if (!confirm('Are you sure you want to delete this role? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/admin/roles/${roleName}`, 'DELETE');
+
+            if (response.success) {
+                this.showSuccess('Role deleted successfully');
+                await this.loadRoleOptions();
+                this.loadPermissionMatrix();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to delete role');
+        }
     }
 
     /**
-     * User management functions
+     * Load the audit log
      */
-    async editUser(userId) {
-        console.log('👤 Starting editUser function with ID:', userId);
+    async loadAuditLog() {
         try {
-            // Store current user ID for updating
-            this.currentEditUserId = userId;
-            console.log('💾 Set currentEditUserId to:', this.currentEditUserId);
-            
-            // Get user data
-            console.log('📡 Fetching user data...');
-            const response = await this.apiCall(`/admin/users/${userId}`);
+            const queryString = new URLSearchParams({
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                ...this.getFilterParams()
+            });
+
+            const response = await this.apiCall(`/admin/audit?${queryString}`);
+
+            if (response.success) {
+                this.populateAuditFilters(response.data.actions, response.data.resourceTypes);
+                this.renderAuditTable(response.data.entries);
+                this.renderPagination(response.data.pagination, 'auditPagination');
+            }
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.showError('Failed to load audit log');
+        }
+    }
+
+    /**
+     * Fill the action and resource filters the first time the log loads
+     */
+    populateAuditFilters(actions, resourceTypes) {
+        const fill = (selectId, values) => {
+            const select = document.getElementById(selectId);
+            if (select.options.length > 1) {
+                return;
+            }
+
+            values.forEach(value => {
+                select.add(new Option(value, value));
+            });
+        };
+
+        fill('auditActionFilter', actions);
+        fill('auditResourceFilter', resourceTypes);
+    }
+
+    /**
+     * Render audit log table
+     */
+    renderAuditTable(entries) {
+        const tbody = document.getElementById('auditTableBody');
+
+        if (!entries || entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No audit entries found.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td>${this.formatDate(entry.created_at)}</td>
+                <td>
+                    ${entry.user_id ? `
+                        <strong>${this.escapeHtml(entry.actor_name || `User #${entry.user_id}`)}</strong>
+                        ${entry.actor_email ? `<div class="audit-actor-email">${this.escapeHtml(entry.actor_email)}</div>` : ''}
+                    ` : '<em>Deleted user</em>'}
+                </td>
+                <td><code>${this.escapeHtml(entry.action)}</code></td>
+                <td>
+                    <span class="badge badge-${this.escapeHtml(entry.resource_type)}">${this.escapeHtml(entry.resource_type)}</span>
+                    ${entry.resource_id ? `<span class="audit-resource-id-label">#${entry.resource_id}</span>` : ''}
+                </td>
+                <td>${this.renderAuditChanges(entry)}</td>
+                <td>${this.escapeHtml(entry.ip_address || '')}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Show old -> new for each field an audit entry touched
+     */
+    renderAuditChanges(entry) {
+        const oldValues = entry.old_values || {};
+        const newValues = entry.new_values || {};
+        const keys = Array.from(new Set([...Object.keys(oldValues), ...Object.keys(newValues)]));
+
+        if (keys.length === 0) {
+            return '';
+        }
+
+        const format = (value) => {
+            if (value === undefined) return '';
+            return this.escapeHtml(typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+        };
+
+        return `
+            <ul class="audit-changes">
+                ${keys.map(key => `
+                    <li>
+                        <strong>${this.escapeHtml(key)}:</strong>
+                        ${key in oldValues ? `<code>${format(oldValues[key])}</code>` : ''}
+                        ${key in oldValues && key in newValues ? '&rarr;' : ''}
+                        ${key in newValues ? `<code>${format(newValues[key])}</code>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Download the filtered audit log as CSV
+     */
+    async exportAuditLog() {
+        try {
+            const queryString = new URLSearchParams({
+                ...this.getFilterParams(),
+                format: 'csv'
+            });
+
+            // The export is a file, so fetch it directly rather than through apiCall's JSON handling
+            const response = await fetch(`${this.apiBase}/admin/audit?${queryString}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Export failed');
+            }
+
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+
+            this.showSuccess('Audit log exported');
+        } catch (error) {
+            this.showError('Failed to export audit log');
+        }
+    }
+
+    /**
+     * Load deleted items of the selected type
+     */
+    async loadTrash() {
+        try {
+            const queryString = new URLSearchParams({
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                ...this.getFilterParams()
+            });
+
+            const response = await this.apiCall(`/admin/trash?${queryString}`);
+
+            if (response.success) {
+                document.getElementById('trashRetentionNote').textContent =
+                    `Items are permanently deleted ${response.data.retentionDays} days after they were moved to the trash.`;
+                this.renderTrashTable(response.data.items);
+                this.renderPagination(response.data.pagination, 'trashPagination');
+            }
+        } catch (error) {
+            console.error('Failed to load trash:', error);
+            this.showError('Failed to load trash');
+        }
+    }
+
+    /**
+     * Render trash table
+     */
+    renderTrashTable(items) {
+        const tbody = document.getElementById('trashTableBody');
+
+        if (!items || items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">The trash is empty.</td></tr>';
+            return;
+        }
+
+        const removedWith = (item) => {
+            const parts = [];
+            if (item.content_count) parts.push(`${item.content_count} posts`);
+            if (item.comment_count) parts.push(`${item.comment_count} comments`);
+            return parts.length > 0 ? `<div class="trash-item-detail">With ${parts.join(' and ')}</div>` : '';
+        };
+
+        tbody.innerHTML = items.map(item => `
+            <tr>
+                <td>
+                    <strong>${this.escapeHtml(item.title || `#${item.id}`)}</strong>
+                    ${item.detail ? `<div class="trash-item-detail">${this.escapeHtml(item.detail)}</div>` : ''}
+                    ${removedWith(item)}
+                </td>
+                <td>${item.author_id ? this.escapeHtml(item.author_name || `User #${item.author_id}`) : ''}</td>
+                <td>${this.formatDate(item.deleted_at)}</td>
+                <td>${this.escapeHtml(item.deleted_by_name || '')}</td>
+                <td>${this.formatDate(item.purge_at)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-success" onclick="admin.restoreTrashItem('${item.type}', ${item.id})" title="Restore">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="admin.purgeTrashItem('${item.type}', ${item.id})" title="Delete permanently">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async restoreTrashItem(type, id) {
+        try {
+            const response = await this.apiCall(`/admin/trash/${type}/${id}/restore`, 'POST');
+
+            if (response.success) {
+                this.showSuccess('Item restored');
+                this.loadTrash();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to restore item');
+        }
+    }
+
+    async purgeTrashItem(type, id) {
+        if (!confirm('Permanently delete this item and everything deleted with it? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/admin/trash/${type}/${id}`, 'DELETE');
+
+            if (response.success) {
+                this.showSuccess('Item permanently deleted');
+                this.loadTrash();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to delete item');
+        }
+    }
+
+    /**
+     * Load uploads for the media library
+     */
+    async loadMedia() {
+        try {
+            const queryString = new URLSearchParams({
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                ...this.getFilterParams()
+            });
+
+            const response = await this.apiCall(`/admin/media?${queryString}`);
+
+            if (response.success) {
+                document.getElementById('mediaGcNote').textContent =
+                    `Uploads no post uses are deleted automatically ${response.data.gcGraceHours} hours after they were uploaded.`;
+                this.renderMediaTable(response.data.media);
+                this.renderPagination(response.data.pagination, 'mediaPagination');
+            }
+        } catch (error) {
+            console.error('Failed to load media:', error);
+            this.showError('Failed to load media');
+        }
+    }
+
+    /**
+     * Render media table
+     */
+    renderMediaTable(media) {
+        const tbody = document.getElementById('mediaTableBody');
+
+        if (!media || media.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No uploads found.</td></tr>';
+            return;
+        }
+
+        const thumbnailUrl = (item) => (item.variants.thumbnail || item.variants.full || {}).url || '';
+        const dimensions = (item) => item.width && item.height ? `${item.width}×${item.height} · ` : '';
+
+        tbody.innerHTML = media.map(item => `
+            <tr>
+                <td>
+                    <a href="${this.escapeHtml(item.url)}" target="_blank" rel="noopener">
+                        <img class="media-thumb" src="${this.escapeHtml(thumbnailUrl(item))}" alt="${this.escapeHtml(item.altText || '')}">
+                    </a>
+                </td>
+                <td>
+                    <strong>${this.escapeHtml(item.originalName || `#${item.id}`)}</strong>
+                    <div class="media-item-detail">${dimensions(item)}${Math.ceil(item.size / 1024)} KB</div>
+                    <div class="media-item-detail">${item.altText ? `Alt: ${this.escapeHtml(item.altText)}` : '<em>No alt text</em>'}</div>
+                </td>
+                <td>${item.ownerId ? this.escapeHtml(item.ownerName || `User #${item.ownerId}`) : ''}</td>
+                <td>${item.referenceCount ? `${item.referenceCount} post${item.referenceCount === 1 ? '' : 's'}` : '<span class="media-item-detail">Unused</span>'}</td>
+                <td>${this.formatDate(item.createdAt)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-secondary" onclick="admin.editMediaAltText(${item.id})" title="Edit alt text">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="admin.deleteMedia(${item.id})" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async editMediaAltText(mediaId) {
+        try {
+            const { data } = await this.apiCall(`/upload/media/${mediaId}`);
+            const altText = prompt('Describe the image for readers who can\'t see it:', data.media.altText || '');
+            if (altText === null) {
+                return;
+            }
+
+            const response = await this.apiCall(`/upload/media/${mediaId}`, 'PUT', { altText });
+
+            if (response.success) {
+                this.showSuccess('Alt text updated');
+                this.loadMedia();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to update alt text');
+        }
+    }
+
+    async deleteMedia(mediaId) {
+        if (!confirm('Delete this image and all of its sizes? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            let response;
+            try {
+                response = await this.apiCall(`/upload/media/${mediaId}`, 'DELETE');
+            } catch (error) {
+                if (error.code !== 'MEDIA_IN_USE' ||
+                    !confirm('Posts still use this image and will show it as missing. Delete it anyway?')) {
+                    throw error;
+                }
+                response = await this.apiCall(`/upload/media/${mediaId}?force=true`, 'DELETE');
+            }
+
+            if (response.success) {
+                this.showSuccess('Image deleted');
+                this.loadMedia();
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to delete image');
+        }
+    }
+
+    /**
+     * Get filter parameters
+     */
+    getFilterParams() {
+        const params = {};
+        
+        // Get search term
+        const searchInput = document.getElementById(`${this.currentSection}Search`);
+        if (searchInput && searchInput.value.trim()) {
+            params.search = searchInput.value.trim();
+        }
+        
+        // Get filter values based on current section
+        if (this.currentSection === 'users') {
+            const roleFilter = document.getElementById('userRoleFilter');
+            const statusFilter = document.getElementById('userStatusFilter');
+            
+            if (roleFilter && roleFilter.value) params.role = roleFilter.value;
+            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
+            
+        } else if (this.currentSection === 'content') {
+            const typeFilter = document.getElementById('contentTypeFilter');
+            const statusFilter = document.getElementById('contentStatusFilter');
+            
+            if (typeFilter && typeFilter.value) params.type = typeFilter.value;
+            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
+            
+        } else if (this.currentSection === 'comments') {
+            const statusFilter = document.getElementById('commentStatusFilter');
+            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
+            
+        } else if (this.currentSection === 'reports') {
+            const typeFilter = document.getElementById('reportTypeFilter');
+            const statusFilter = document.getElementById('reportStatusFilter');
+            
+            if (typeFilter && typeFilter.value) params.type = typeFilter.value;
+            if (statusFilter && statusFilter.value) params.status = statusFilter.value;
+
+        } else if (this.currentSection === 'audit') {
+            const filters = {
+                actor: document.getElementById('auditActor').value.trim(),
+                action: document.getElementById('auditActionFilter').value,
+                resourceType: document.getElementById('auditResourceFilter').value,
+                resourceId: document.getElementById('auditResourceId').value.trim(),
+                from: document.getElementById('auditFromFilter').value,
+                to: document.getElementById('auditToFilter').value
+            };
+
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+
+        } else if (this.currentSection === 'trash') {
+            const typeFilter = document.getElementById('trashTypeFilter');
+            if (typeFilter && typeFilter.value) params.type = typeFilter.value;
+
+        } else if (this.currentSection === 'media') {
+            const ownerFilter = document.getElementById('mediaOwnerFilter');
+            const usageFilter = document.getElementById('mediaUsageFilter');
+
+            if (ownerFilter && ownerFilter.value) params.owner = ownerFilter.value;
+            if (usageFilter && usageFilter.value) params.unused = usageFilter.value;
+        }
+        
+        return params;
+    }
+
+    /**
+     * Apply filters
+     */
+    applyFilters() {
+        this.currentPage = 1;
+        this.loadSectionData(this.currentSection);
+    }
+
+    /**
+     * Render pagination
+     */
+    renderPagination(pagination, containerId) {
+        const container = document.getElementById(containerId);
+        
+        if (!pagination || pagination.pages <= 1) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { page, pages } = pagination;
+        let paginationHTML = '';
+
+        // Previous button
+        paginationHTML += `
+            <button ${page === 1 ? 'disabled' : ''} onclick="admin.changePage(${page - 1})">
+                Previous
+            </button>
+        `;
+
+        // Page numbers
+        const startPage = Math.max(1, page - 2);
+        const endPage = Math.min(pages, page + 2);
+
+        for (let i = startPage; i <= endPage; i++) {
+            paginationHTML += `
+                <button ${i === page ? 'class="active"' : ''} onclick="admin.changePage(${i})">
+                    ${i}
+                </button>
+            `;
+        }
+
+        // Next button
+        paginationHTML += `
+            <button ${page === pages ? 'disabled' : ''} onclick="admin.changePage(${page + 1})">
+                Next
+            </button>
+        `;
+
+        container.innerHTML = paginationHTML;
+    }
+
+    /**
+     * Change page
+     */
+    changePage(page) {
+        this.currentPage = page;
+        this.loadSectionData(this.currentSection);
+    }
+
+    /**
+     * User management functions
+     */
+    async editUser(userId) {
+        console.log('👤 Starting editUser function with ID:', userId);
+        try {
+            // Store current user ID for updating
+            this.currentEditUserId = userId;
+            console.log('💾 Set currentEditUserId to:', this.currentEditUserId);
+            
+            // Get user data
+            console.log('📡 Fetching user data...');
+            const response = await this.apiCall(`/admin/users/${userId}`);
             
             if (response.success) {
                 const user = response.data.user;
+                this.currentEditUser = user;
                 
                 // Populate read-only user information
                 document.getElementById('userIdDisplay').textContent = user.id || '-';
@@ -847,6 +1675,9 @@ class AdminPanel {
                     this.formatDate(user.created_at) : '-';
                 document.getElementById('userLastLogin').textContent = user.last_login_at ? 
                     this.formatDate(user.last_login_at) : 'Never';
+                document.getElementById('userTwoFactor').textContent = user.two_factor_enabled ? 'Enabled' : 'Off';
+                document.getElementById('userTwoFactorReset').style.display =
+                    user.two_factor_enabled && this.hasPermission('users.manage') ? '' : 'none';
                 
                 // Populate editable profile fields
                 document.getElementById('userEmail').value = user.email || '';
@@ -859,7 +1690,18 @@ class AdminPanel {
                 // Populate account settings
                 document.getElementById('userRole').value = user.role || 'user';
                 document.getElementById('userStatus').value = user.status || 'active';
+                document.getElementById('userSuspendedUntil').value = user.suspended_until ?
+                    this.toDateTimeLocal(user.suspended_until) : '';
+                document.getElementById('userStatusReason').value = user.suspension_reason || '';
+                document.getElementById('userStatus').onchange = () => this.toggleSanctionFields();
+                this.toggleSanctionFields();
+                this.renderSanctionHistory(response.data.sanctions);
                 document.getElementById('userEmailVerified').checked = user.email_verified === 1;
+                document.getElementById('userTrusted').checked = !!user.is_trusted;
+                
+                if (this.hasPermission('users.manage')) {
+                    await this.loadModerationCategories(userId);
+                }
                 
                 // Clear password fields
                 document.getElementById('userNewPassword').value = '';
@@ -900,7 +1742,10 @@ class AdminPanel {
             const bio = document.getElementById('userBio').value.trim();
             const role = document.getElementById('userRole').value;
             const status = document.getElementById('userStatus').value;
+            const suspendedUntil = document.getElementById('userSuspendedUntil').value;
+            const reason = document.getElementById('userStatusReason').value.trim();
             const emailVerified = document.getElementById('userEmailVerified').checked;
+            const trusted = document.getElementById('userTrusted').checked;
             const newPassword = document.getElementById('userNewPassword').value;
             const confirmPassword = document.getElementById('userConfirmPassword').value;
 
@@ -953,6 +1798,7 @@ class AdminPanel {
                 bio: bio || null,
                 role,
                 status,
+                trusted,
                 emailVerified
             };
 
@@ -961,6 +1807,25 @@ class AdminPanel {
                 updateData.newPassword = newPassword;
             }
 
+            // Sanction details are only sent with a new status or suspension end date
+            const original = this.currentEditUser || {};
+            const suspensionChanged = status === 'suspended' && suspendedUntil !== 
+                (original.suspended_until ? this.toDateTimeLocal(original.suspended_until) : '');
+            if (status !== original.status || suspensionChanged) {
+                if ((status === 'suspended' || status === 'banned') && !reason) {
+                    this.showError('Please give a reason for the suspension or ban');
+                    return;
+                }
+                if (status === 'suspended' && !suspendedUntil) {
+                    this.showError('Please choose when the suspension ends');
+                    return;
+                }
+                updateData.reason = reason || null;
+                if (status === 'suspended') {
+                    updateData.suspendedUntil = new Date(suspendedUntil).toISOString();
+                }
+            }
+
             console.log('📤 Prepared update data:', updateData);
             console.log('🎯 API endpoint:', `/admin/users/${this.currentEditUserId}`);
 
@@ -969,12 +1834,17 @@ class AdminPanel {
 
             console.log('📨 Update response:', response);
 
+            if (response.success && this.hasPermission('users.manage')) {
+                await this.saveModerationCategories(this.currentEditUserId);
+            }
+
             if (response.success) {
                 console.log('✅ User update successful');
                 this.showSuccess('User updated successfully');
                 this.closeModal('userModal');
                 this.loadUsers(); // Refresh the users table
                 this.currentEditUserId = null; // Clear stored user ID
+                this.currentEditUser = null;
             } else {
                 console.error('❌ User update failed:', response.message);
                 console.error('❌ Validation errors:', response.errors);
@@ -986,25 +1856,150 @@ class AdminPanel {
         }
     }
 
+    /**
+     * Show the category tree with a moderator's assigned categories checked
+     */
+    async loadModerationCategories(userId) {
+        const container = document.getElementById('userModerationCategories');
+        container.innerHTML = '<p class="loading">Loading categories...</p>';
+
+        try {
+            const [categoriesResponse, assignedResponse] = await Promise.all([
+                this.apiCall('/categories'),
+                this.apiCall(`/admin/users/${userId}/categories`)
+            ]);
+
+            const assigned = new Set(assignedResponse.data.categories.map(category => category.id));
+            const renderTree = (categories, depth) => categories.map(category => `
+                <label class="category-check" style="padding-left: ${depth * 1.25}rem">
+                    <input type="checkbox" value="${category.id}" ${assigned.has(category.id) ? 'checked' : ''}>
+                    ${this.escapeHtml(category.name)}
+                </label>
+                ${renderTree(category.children || [], depth + 1)}
+            `).join('');
+
+            container.innerHTML = renderTree(categoriesResponse.data.categories, 0) ||
+                '<p class="no-activity">No categories yet.</p>';
+        } catch (error) {
+            console.error('Failed to load moderation categories:', error);
+            container.innerHTML = '<p class="no-activity">Failed to load categories.</p>';
+        }
+    }
+
+    async saveModerationCategories(userId) {
+        const categoryIds = Array.from(
+            document.querySelectorAll('#userModerationCategories input:checked')
+        ).map(input => parseInt(input.value));
+
+        try {
+            await this.apiCall(`/admin/users/${userId}/categories`, 'PUT', { categoryIds });
+        } catch (error) {
+            this.showError(error.message || 'Failed to update moderation categories');
+        }
+    }
+
+    /**
+     * Show the end date and reason inputs for statuses that need them
+     */
+    toggleSanctionFields() {
+        const status = document.getElementById('userStatus').value;
+        const sanctioned = status === 'suspended' || status === 'banned';
+
+        document.getElementById('userSanctionFields').style.display = sanctioned ? 'block' : 'none';
+        document.getElementById('userSuspendedUntilGroup').style.display = status === 'suspended' ? 'block' : 'none';
+    }
+
+    renderSanctionHistory(sanctions) {
+        const container = document.getElementById('userSanctionHistory');
+
+        if (!sanctions || sanctions.length === 0) {
+            container.innerHTML = '<p class="no-activity">No suspensions, bans or reinstatements.</p>';
+            return;
+        }
+
+        const labels = {
+            suspend: 'Suspended',
+            ban: 'Banned',
+            deactivate: 'Deactivated',
+            reinstate: 'Reinstated',
+            expire: 'Suspension expired'
+        };
+
+        container.innerHTML = sanctions.map(sanction => `
+            <div class="sanction-entry">
+                <div class="sanction-header">
+                    <span class="sanction-action ${sanction.action}">${labels[sanction.action] || sanction.action}</span>
+                    <small>${this.formatDate(sanction.created_at)}${sanction.issued_by_name ? ` by ${this.escapeHtml(sanction.issued_by_name)}` : ''}</small>
+                </div>
+                ${sanction.expires_at ? `<small>Until ${this.formatDate(sanction.expires_at)}</small>` : ''}
+                ${sanction.reason ? `<p class="sanction-reason">${this.escapeHtml(sanction.reason)}</p>` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Format a timestamp for a datetime-local input in the browser's timezone
+     */
+    toDateTimeLocal(value) {
+        const date = new Date(value);
+        date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+        return date.toISOString().slice(0, 16);
+    }
+
+    /**
+     * Turn off two-factor authentication for a user who lost their device and recovery codes
+     */
+    async resetUserTwoFactor() {
+        if (!confirm('Reset two-factor authentication for this user? They will be able to log in with just their password until they set it up again.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/admin/users/${this.currentEditUserId}/two-factor`, 'DELETE');
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                document.getElementById('userTwoFactor').textContent = 'Off';
+                document.getElementById('userTwoFactorReset').style.display = 'none';
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to reset two-factor authentication');
+        }
+    }
+
     async toggleUserStatus(userId, currentStatus) {
         const newStatus = currentStatus === 'active' ? 'suspended' : 'active';
+        const data = { status: newStatus };
+
+        if (newStatus === 'suspended') {
+            const days = parseInt(prompt('Suspend this user for how many days?', '7'));
+            if (!days || days < 1) {
+                return;
+            }
+
+            const reason = prompt('Reason for the suspension (shown to the user):');
+            if (!reason || !reason.trim()) {
+                return;
+            }
+
+            data.reason = reason.trim();
+            data.suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+        }
         
         try {
-            const response = await this.apiCall(`/admin/users/${userId}/status`, 'PUT', {
-                status: newStatus
-            });
+            const response = await this.apiCall(`/admin/users/${userId}/status`, 'PUT', data);
             
             if (response.success) {
                 this.showSuccess(`User ${newStatus} successfully`);
                 this.loadUsers();
             }
         } catch (error) {
-            this.showError('Failed to update user status');
+            this.showError(error.message || 'Failed to update user status');
         }
     }
 
     async deleteUser(userId) {
-        if (!confirm('Are you sure you want to delete this user? This action cannot be undone.')) {
+        if (!confirm('Move this user to the trash? Their content and comments go with them and can be restored from the trash.')) {
             return;
         }
         
@@ -1033,8 +2028,25 @@ class AdminPanel {
         window.location.href = `/admin/views/create-article.html?edit=${contentId}`;
     }
 
+    async cancelSchedule(contentId) {
+        if (!confirm('Cancel scheduled publishing? The content will be moved back to drafts.')) {
+            return;
+        }
+        
+        try {
+            const response = await this.apiCall(`/admin/content/${contentId}/schedule`, 'DELETE');
+            
+            if (response.success) {
+                this.showSuccess('Scheduled publishing cancelled');
+                this.loadContent();
+            }
+        } catch (error) {
+            this.showError('Failed to cancel scheduled publishing');
+        }
+    }
+
     async deleteContent(contentId) {
-        if (!confirm('Are you sure you want to delete this content? This action cannot be undone.')) {
+        if (!confirm('Move this content to the trash? It can be restored from the trash until it is purged.')) {
             return;
         }
         
@@ -1067,8 +2079,13 @@ class AdminPanel {
     }
 
     async rejectComment(commentId) {
+        const reason = prompt('Reason for rejecting (optional, shared with the author):');
+        if (reason === null) {
+            return;
+        }
+
         try {
-            const response = await this.apiCall(`/admin/comments/${commentId}/reject`, 'PUT');
+            const response = await this.apiCall(`/admin/comments/${commentId}/reject`, 'PUT', { reason });
             
             if (response.success) {
                 this.showSuccess('Comment rejected');
@@ -1080,7 +2097,7 @@ class AdminPanel {
     }
 
     async deleteComment(commentId) {
-        if (!confirm('Are you sure you want to delete this comment? This action cannot be undone.')) {
+        if (!confirm('Move this comment and its replies to the trash? They can be restored from the trash until they are purged.')) {
             return;
         }
         
@@ -1096,6 +2113,45 @@ class AdminPanel {
         }
     }
 
+    /**
+     * Report moderation functions
+     */
+    async resolveReport(reportId) {
+        const note = prompt('Resolution note (optional):');
+        if (note === null) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/admin/reports/${reportId}/resolve`, 'PUT', { note: note || null });
+            
+            if (response.success) {
+                this.showSuccess('Report resolved');
+                this.loadReports();
+            }
+        } catch (error) {
+            this.showError('Failed to resolve report');
+        }
+    }
+
+    async dismissReport(reportId) {
+        const note = prompt('Reason for dismissing (optional):');
+        if (note === null) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/admin/reports/${reportId}/dismiss`, 'PUT', { note: note || null });
+            
+            if (response.success) {
+                this.showSuccess('Report dismissed');
+                this.loadReports();
+            }
+        } catch (error) {
+            this.showError('Failed to dismiss report');
+        }
+    }
+
     /**
      * Category management functions
      */
@@ -1261,6 +2317,22 @@ class AdminPanel {
         }
     }
 
+    async saveSecuritySettings() {
+        const required = document.getElementById('require_admin_two_factor').checked;
+
+        try {
+            const response = await this.apiCall('/admin/settings', 'PUT', {
+                settings: [{ key: 'require_admin_two_factor', value: String(required) }]
+            });
+            
+            if (response.success) {
+                this.showSuccess('Security settings saved');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to save security settings');
+        }
+    }
+
     /**
      * System functions
      */
@@ -1303,11 +2375,27 @@ class AdminPanel {
      */
     updateUserInfo() {
         if (this.currentUser) {
+            const role = this.roles.find(r => r.name === this.currentUser.role);
             document.getElementById('adminUserName').textContent = this.currentUser.displayName || this.currentUser.firstName;
-            document.getElementById('adminUserRole').textContent = this.currentUser.role === 'admin' ? 'Administrator' : 'Moderator';
+            document.getElementById('adminUserRole').textContent = role ? role.label : this.currentUser.role;
         }
     }
 
+    hasPermission(permission) {
+        return !!this.currentUser && (this.currentUser.permissions || []).includes(permission);
+    }
+
+    /**
+     * Hide navigation for sections the current role can't use
+     */
+    applyPermissionVisibility() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            // A comma-separated list shows the element when any permission is held
+            const allowed = element.dataset.permission.split(',').some(permission => this.hasPermission(permission));
+            element.style.display = allowed ? '' : 'none';
+        });
+    }
+
     redirectToLogin() {
         console.log('Redirecting to login - clearing tokens and redirecting...');
         localStorage.removeItem('authToken');
@@ -1319,7 +2407,7 @@ class AdminPanel {
         }
         
         // Show alert and redirect
-        alert('Please log in as an admin or moderator to access the admin panel.');
+        alert('Please log in with an account that has admin panel access.');
         
         // Force redirect to main site with login parameter
         setTimeout(() => {
@@ -1443,8 +2531,12 @@ window.saveCategory = () => admin.saveCategory();
 window.showCreateContentModal = (type) => admin.showCreateContentModal(type);
 window.saveContent = () => admin.handleCreateContent(event);
 window.saveAllSettings = () => admin.saveAllSettings();
+window.saveSecuritySettings = () => admin.saveSecuritySettings();
 window.runCleanup = () => admin.runCleanup();
 window.exportData = () => admin.exportData();
+window.showCreateRoleModal = () => admin.showCreateRoleModal();
+window.saveRole = () => admin.saveRole();
+window.exportAuditLog = () => admin.exportAuditLog();
 
 // Initialize admin panel when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -10,10 +10,14 @@ class FaithMastersApp {
         this.currentSection = 'home';
         this.authToken = localStorage.getItem('authToken');
         this.refreshToken = localStorage.getItem('refreshToken');
+        this.refreshPromise = null;
         this.categories = [];
         this.contentCache = new Map();
         this.currentPage = 1;
         this.itemsPerPage = 20;
+        this.notificationPollTimer = null;
+        this.contentStream = null;
+        this.currentContentId = null;
         
         // Set up timeout to prevent infinite loading
         this.initTimeout = setTimeout(() => {
@@ -104,7 +108,10 @@ class FaithMastersApp {
     setupEventListeners() {
         // Form submissions
         document.getElementById('loginForm').addEventListener('submit', (e) => this.handleLogin(e));
+        document.getElementById('twoFactorForm').addEventListener('submit', (e) => this.handleTwoFactorLogin(e));
         document.getElementById('registerForm').addEventListener('submit', (e) => this.handleRegister(e));
+        document.getElementById('forgotPasswordForm').addEventListener('submit', (e) => this.handleForgotPassword(e));
+        document.getElementById('resetPasswordForm').addEventListener('submit', (e) => this.handleResetPassword(e));
         // Note: Create content functionality moved to admin panel
         
         // Search functionality
@@ -135,6 +142,9 @@ class FaithMastersApp {
             if (!e.target.closest('.user-menu')) {
                 this.closeUserDropdown();
             }
+            if (!e.target.closest('.notification-menu')) {
+                this.closeNotifications();
+            }
         });
 
         // Auto-refresh token
@@ -152,6 +162,7 @@ class FaithMastersApp {
         
         this.updateAuthUI();
         this.updateNavigation();
+        this.loadSocialProviders();
         
         // Check for login parameter from admin panel redirect
         const urlParams = new URLSearchParams(window.location.search);
@@ -165,6 +176,58 @@ class FaithMastersApp {
             }, 100);
         }
         
+        // The admin panel sends admins here when their role needs 2FA they haven't set up
+        if (urlParams.get('twoFactorSetup') === 'true' && this.currentUser) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            this.showToast('Your role requires two-factor authentication. Set it up below.', 'warning');
+            this.navigateTo('settings');
+            return;
+        }
+        
+        // Social login providers send the browser back here with the outcome
+        const socialLoginTicket = urlParams.get('socialLogin');
+        const socialError = urlParams.get('socialError');
+        const socialLinked = urlParams.get('socialLinked');
+        if (socialLoginTicket || socialError || socialLinked) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+
+            if (socialLoginTicket) {
+                this.completeSocialLogin(socialLoginTicket);
+            } else if (socialError) {
+                this.showError(socialError);
+            } else if (this.currentUser) {
+                this.showSuccess(`${socialLinked} account linked`);
+                this.navigateTo('settings');
+                return;
+            }
+        }
+        
+        // Password reset links from email carry the token in the query string
+        const resetToken = urlParams.get('resetToken');
+        if (resetToken) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            document.getElementById('resetToken').value = resetToken;
+
+            setTimeout(() => {
+                this.showAuthModal('reset');
+            }, 100);
+        }
+        
+        // Email verification links carry a signed token in the query string
+        const verifyToken = urlParams.get('verifyToken');
+        if (verifyToken) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            this.verifyEmail(verifyToken);
+        }
+        
+        // Links in notification emails point at a content item
+        const contentId = parseInt(urlParams.get('content'));
+        if (contentId) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            this.viewContent(contentId);
+            return;
+        }
+        
         // Parse URL for deep linking
         const hash = window.location.hash.substring(1);
         if (hash) {
@@ -219,9 +282,26 @@ class FaithMastersApp {
 
     /**
      * Refresh authentication token
+     * Refresh tokens are single-use, so concurrent callers share one request
+     * and the rotated token replaces the stored one.
      */
     async refreshAuthToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Exchange the refresh token for a new token pair
+     */
+    async requestTokenRefresh() {
         try {
+            // Another tab may have rotated the token since this one loaded it
+            this.refreshToken = localStorage.getItem('refreshToken') || this.refreshToken;
+
             const response = await fetch(`${this.apiBase}/auth/refresh`, {
                 method: 'POST',
                 headers: {
@@ -236,12 +316,16 @@ class FaithMastersApp {
             
             if (data.success) {
                 this.authToken = data.data.tokens.accessToken;
+                this.refreshToken = data.data.tokens.refreshToken;
                 localStorage.setItem('authToken', this.authToken);
+                localStorage.setItem('refreshToken', this.refreshToken);
                 return true;
             } else {
                 throw new Error('Token refresh failed');
             }
         } catch (error) {
+            // The token is spent or revoked; dropping it keeps logout from trying to refresh again
+            this.refreshToken = null;
             this.logout();
             throw error;
         }
@@ -323,20 +407,94 @@ class FaithMastersApp {
             
             const response = await this.apiCall('/auth/login', 'POST', loginData);
             
+            if (response.success && response.data.twoFactorRequired) {
+                // Password was right; the code goes to the second step
+                document.getElementById('twoFactorChallenge').value = response.data.challengeToken;
+                document.getElementById('twoFactorCode').value = '';
+                this.showAuthModal('twoFactor');
+                document.getElementById('twoFactorCode').focus();
+            } else if (response.success) {
+                await this.completeLogin(response.data);
+            } else {
+                this.showError(response.message || 'Login failed');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Login failed');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Handle the second login step for accounts with two-factor authentication
+     */
+    async handleTwoFactorLogin(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+
+        try {
+            this.showLoading('Verifying...');
+
+            const response = await this.apiCall('/auth/login/2fa', 'POST', {
+                challengeToken: formData.get('challengeToken'),
+                code: formData.get('code').trim()
+            });
+
             if (response.success) {
-                this.authToken = response.data.tokens.accessToken;
-                this.refreshToken = response.data.tokens.refreshToken;
-                this.currentUser = response.data.user;
-                
-                localStorage.setItem('authToken', this.authToken);
-                localStorage.setItem('refreshToken', this.refreshToken);
-                
-                this.updateAuthUI();
-                this.closeModal('authModal');
-                this.showSuccess('Welcome back!');
-                
-                // Reload current section to show user-specific content
-                await this.loadSectionContent();
+                await this.completeLogin(response.data);
+
+                if (response.data.recoveryCodesRemaining !== undefined) {
+                    this.showToast(`Recovery code used. ${response.data.recoveryCodesRemaining} left - generate new ones in Settings.`, 'warning');
+                }
+            } else {
+                this.showError(response.message || 'Verification failed');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Verification failed');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Show a button for each social login provider on the login form
+     */
+    async loadSocialProviders() {
+        const container = document.getElementById('socialLoginButtons');
+        if (!container) return;
+
+        try {
+            const response = await this.apiCall('/auth/oidc/providers');
+            const { providers } = response.data;
+
+            container.innerHTML = providers.map(provider => `
+                <a class="btn btn-secondary btn-block" href="${this.apiBase}/auth/oidc/${encodeURIComponent(provider.id)}/login">
+                    Continue with ${this.escapeHtml(provider.name)}
+                </a>
+            `).join('');
+            container.style.display = providers.length > 0 ? '' : 'none';
+        } catch (error) {
+            container.style.display = 'none';
+        }
+    }
+
+    /**
+     * Swap the ticket from a finished social login for tokens
+     */
+    async completeSocialLogin(ticket) {
+        try {
+            this.showLoading('Logging in...');
+
+            const response = await this.apiCall('/auth/oidc/exchange', 'POST', { ticket });
+
+            if (response.success && response.data.twoFactorRequired) {
+                document.getElementById('twoFactorChallenge').value = response.data.challengeToken;
+                document.getElementById('twoFactorCode').value = '';
+                this.showAuthModal('twoFactor');
+                document.getElementById('twoFactorCode').focus();
+            } else if (response.success) {
+                await this.completeLogin(response.data);
             } else {
                 this.showError(response.message || 'Login failed');
             }
@@ -347,6 +505,25 @@ class FaithMastersApp {
         }
     }
 
+    /**
+     * Store the tokens from a successful login and refresh the page for the user
+     */
+    async completeLogin(data) {
+        this.authToken = data.tokens.accessToken;
+        this.refreshToken = data.tokens.refreshToken;
+        this.currentUser = data.user;
+        
+        localStorage.setItem('authToken', this.authToken);
+        localStorage.setItem('refreshToken', this.refreshToken);
+        
+        this.updateAuthUI();
+        this.closeModal('authModal');
+        this.showSuccess('Welcome back!');
+        
+        // Reload current section to show user-specific content
+        await this.loadSectionContent();
+    }
+
     /**
      * Handle user registration
      */
@@ -386,7 +563,9 @@ class FaithMastersApp {
                 
                 this.updateAuthUI();
                 this.closeModal('authModal');
-                this.showSuccess('Welcome to FaithMasters!');
+                this.showSuccess(response.data.verificationRequired
+                    ? 'Welcome to FaithMasters! Check your inbox to verify your email address.'
+                    : 'Welcome to FaithMasters!');
                 
                 // Reload current section to show user-specific content
                 await this.loadSectionContent();
@@ -400,6 +579,73 @@ class FaithMastersApp {
         }
     }
 
+    /**
+     * Handle forgot password request
+     */
+    async handleForgotPassword(event) {
+        event.preventDefault();
+        
+        const formData = new FormData(event.target);
+
+        try {
+            this.showLoading('Sending reset link...');
+            
+            const response = await this.apiCall('/auth/forgot-password', 'POST', {
+                email: formData.get('email')
+            });
+            
+            if (response.success) {
+                event.target.reset();
+                this.closeModal('authModal');
+                this.showSuccess(response.message);
+            } else {
+                this.showError(response.message || 'Failed to request password reset');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to request password reset');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Handle password reset with an emailed token
+     */
+    async handleResetPassword(event) {
+        event.preventDefault();
+        
+        const formData = new FormData(event.target);
+        const newPassword = formData.get('newPassword');
+        const confirmPassword = formData.get('confirmPassword');
+        
+        if (newPassword !== confirmPassword) {
+            this.showError('Passwords do not match');
+            return;
+        }
+
+        try {
+            this.showLoading('Resetting password...');
+            
+            const response = await this.apiCall('/auth/reset-password', 'POST', {
+                token: formData.get('token'),
+                newPassword,
+                confirmPassword
+            });
+            
+            if (response.success) {
+                event.target.reset();
+                this.showSuccess(response.message);
+                this.showAuthModal('login');
+            } else {
+                this.showError(response.message || 'Password reset failed');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Password reset failed');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     /**
      * Handle user logout
      */
@@ -433,20 +679,25 @@ class FaithMastersApp {
         const authButtons = document.getElementById('authButtons');
         const userMenu = document.getElementById('userMenu');
         const adminLink = document.getElementById('adminLink');
+        const notificationMenu = document.getElementById('notificationMenu');
 
         if (this.currentUser) {
             authButtons.style.display = 'none';
             userMenu.style.display = 'block';
+            notificationMenu.style.display = 'block';
+            this.startNotificationPolling();
             
             document.getElementById('userName').textContent = this.currentUser.displayName || this.currentUser.firstName;
             
-            // Show admin link for admins/moderators
-            if (adminLink && (this.currentUser.role === 'admin' || this.currentUser.role === 'moderator')) {
+            // Show admin link to roles with admin panel access
+            if (adminLink && (this.currentUser.permissions || []).includes('admin.access')) {
                 adminLink.style.display = 'block';
             }
         } else {
             authButtons.style.display = 'flex';
             userMenu.style.display = 'none';
+            notificationMenu.style.display = 'none';
+            this.stopNotificationPolling();
             
             if (adminLink) {
                 adminLink.style.display = 'none';
@@ -461,6 +712,11 @@ class FaithMastersApp {
      */
     activateSection(section) {
         console.log('🧭 Activating section:', section);
+
+        // Live updates only run while a content item is open
+        if (section !== 'content-detail') {
+            this.closeContentStream();
+        }
         
         // Update URL
         window.location.hash = section;
@@ -595,6 +851,7 @@ class FaithMastersApp {
         try {
             const response = await this.apiCall(`/content/${contentId}`);
             if (response.success) {
+                this.currentContentId = response.data.content.id;
                 this.renderContentDetail(response.data.content);
                 this.loadComments(contentId);
             }
@@ -731,6 +988,12 @@ class FaithMastersApp {
                 container.innerHTML = `
                     <h2>${this.escapeHtml(user.first_name || '')} ${this.escapeHtml(user.last_name || '')}</h2>
                     <p>Email: ${this.escapeHtml(user.email)}</p>
+                    ${user.emailVerified === false ? `
+                        <p class="email-unverified">
+                            Your email address isn't verified yet.
+                            <a href="#" onclick="app.resendVerificationEmail(); return false;">Resend verification link</a>
+                        </p>
+                    ` : ''}
                     <p>Joined: ${this.formatDate(user.created_at)}</p>
                 `;
             }
@@ -740,6 +1003,40 @@ class FaithMastersApp {
         }
     }
 
+    /**
+     * Resend the email verification link
+     */
+    async resendVerificationEmail() {
+        try {
+            const response = await this.apiCall('/auth/verify-email/resend', 'POST');
+            
+            if (response.success) {
+                this.showSuccess(response.message);
+            } else {
+                this.showError(response.message || 'Failed to send verification email');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to send verification email');
+        }
+    }
+
+    /**
+     * Verify email address from an emailed link
+     */
+    async verifyEmail(token) {
+        try {
+            const response = await this.apiCall(`/auth/verify-email/${encodeURIComponent(token)}`);
+            
+            if (response.success) {
+                this.showSuccess(response.message);
+            } else {
+                this.showError(response.message || 'Email verification failed');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Email verification failed');
+        }
+    }
+
     /**
      * Load dashboard page
      */
@@ -761,8 +1058,38 @@ class FaithMastersApp {
         try {
             const container = document.getElementById('settingsContent');
             if (!container) return;
-            // For now render simple placeholder
-            container.innerHTML = '<p>Settings page coming soon...</p>';
+
+            if (!this.currentUser) {
+                container.innerHTML = '<p>Please <a href="#" onclick="app.showAuthModal(\'login\')">login</a> to manage your settings.</p>';
+                return;
+            }
+
+            container.innerHTML = `
+                <h2>Account Settings</h2>
+                <div class="settings-card">
+                    <h3><i class="fas fa-shield-alt"></i> Two-Factor Authentication</h3>
+                    <div id="twoFactorSettings"><p class="loading">Loading...</p></div>
+                </div>
+                <div class="settings-card">
+                    <h3><i class="fas fa-laptop"></i> Signed-in Devices</h3>
+                    <div id="sessionSettings"><p class="loading">Loading...</p></div>
+                </div>
+                <div class="settings-card" id="linkedAccountsCard" style="display: none;">
+                    <h3><i class="fas fa-link"></i> Linked Accounts</h3>
+                    <div id="linkedAccountSettings"></div>
+                </div>
+                <div class="settings-card">
+                    <h3><i class="fas fa-images"></i> My Uploads</h3>
+                    <div id="mediaSettings"><p class="loading">Loading...</p></div>
+                </div>
+            `;
+
+            await Promise.all([
+                this.loadTwoFactorSettings(),
+                this.loadSessionSettings(),
+                this.loadLinkedAccounts(),
+                this.loadMediaSettings()
+            ]);
         } catch (error) {
             console.error('Failed to load settings:', error);
             this.showError('Failed to load settings');
@@ -770,73 +1097,462 @@ class FaithMastersApp {
     }
 
     /**
-     * Populate category filter dropdowns
+     * Show two-factor status and the actions available from it
      */
-    populateCategoryFilters() {
-        const filterElements = [
-            'discussionCategoryFilter',
-            'articleCategoryFilter',
-            'contentCategory'
-        ];
+    async loadTwoFactorSettings() {
+        const container = document.getElementById('twoFactorSettings');
 
-        filterElements.forEach(filterId => {
-            const element = document.getElementById(filterId);
-            if (element) {
-                // Clear existing options (except first)
-                while (element.children.length > 1) {
-                    element.removeChild(element.lastChild);
-                }
+        try {
+            const response = await this.apiCall('/auth/2fa');
+            const status = response.data;
 
-                // Add category options
-                this.categories.forEach(category => {
-                    const option = document.createElement('option');
-                    option.value = category.id;
-                    option.textContent = category.name;
-                    element.appendChild(option);
-                });
+            if (status.enabled) {
+                container.innerHTML = `
+                    <p class="two-factor-status enabled"><i class="fas fa-check-circle"></i> Enabled since ${this.formatDate(status.enabledAt)}</p>
+                    <p>${status.recoveryCodesRemaining} unused recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.</p>
+                    <div class="form-group">
+                        <label for="twoFactorManageCode">Authentication Code</label>
+                        <input type="text" id="twoFactorManageCode" class="form-control" autocomplete="one-time-code" maxlength="20">
+                    </div>
+                    ${status.required ? '<p class="form-help">Your role requires two-factor authentication, so it can\'t be turned off.</p>' : `
+                        <div class="form-group">
+                            <label for="twoFactorDisablePassword">Current Password (to turn off)</label>
+                            <input type="password" id="twoFactorDisablePassword" class="form-control" autocomplete="current-password">
+                        </div>
+                    `}
+                    <div class="form-actions">
+                        <button class="btn btn-secondary" onclick="app.regenerateRecoveryCodes()">New Recovery Codes</button>
+                        ${status.required ? '' : '<button class="btn btn-danger" onclick="app.disableTwoFactor()">Turn Off</button>'}
+                    </div>
+                    <div id="twoFactorRecoveryCodes"></div>
+                `;
+            } else {
+                container.innerHTML = `
+                    ${status.required ? '<p class="two-factor-status required"><i class="fas fa-exclamation-triangle"></i> Your role requires two-factor authentication. Set it up to use admin features.</p>' : ''}
+                    <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+                    <div class="form-actions">
+                        <button class="btn btn-primary" onclick="app.startTwoFactorSetup()">Set Up</button>
+                    </div>
+                    <div id="twoFactorSetup"></div>
+                `;
             }
-        });
+        } catch (error) {
+            container.innerHTML = '<p>Failed to load two-factor settings.</p>';
+        }
     }
 
     /**
-     * Render featured content
+     * Show a new secret to add to an authenticator app
      */
-    renderFeaturedContent(content) {
-        const container = document.getElementById('featuredContent');
-        
-        if (!content || content.length === 0) {
-            container.innerHTML = '<p class="text-center">No featured content available.</p>';
+    async startTwoFactorSetup() {
+        try {
+            const response = await this.apiCall('/auth/2fa/setup', 'POST');
+            const { secret, otpauthUri } = response.data;
+
+            document.getElementById('twoFactorSetup').innerHTML = `
+                <ol class="two-factor-steps">
+                    <li>
+                        In your authenticator app, add an account with this key
+                        (or <a href="${this.escapeHtml(otpauthUri)}">open it in the app</a> on this device):
+                        <code class="two-factor-secret">${this.escapeHtml(secret.match(/.{1,4}/g).join(' '))}</code>
+                    </li>
+                    <li>
+                        Enter the 6-digit code the app shows:
+                        <input type="text" id="twoFactorSetupCode" class="form-control" autocomplete="one-time-code" inputmode="numeric" maxlength="6">
+                    </li>
+                </ol>
+                <button class="btn btn-primary" onclick="app.enableTwoFactor()">Turn On</button>
+            `;
+        } catch (error) {
+            this.showError(error.message || 'Failed to start two-factor setup');
+        }
+    }
+
+    async enableTwoFactor() {
+        const code = document.getElementById('twoFactorSetupCode').value.trim();
+        if (!code) {
+            this.showError('Enter the code from your authenticator app');
             return;
         }
 
-        container.innerHTML = content.map(item => `
-            <div class="content-card" onclick="app.viewContent(${item.id})">
-                <div class="content-card-header">
-                    <div class="content-meta">
-                        <span class="content-category" style="background-color: ${item.category_color || '#4A90E2'}">
-                            ${item.category_name || 'General'}
-                        </span>
-                        <span class="content-date">${this.formatDate(item.published_at)}</span>
-                    </div>
-                    <h3 class="content-title">${this.escapeHtml(item.title)}</h3>
-                    ${item.excerpt ? `<p class="content-excerpt">${this.escapeHtml(item.excerpt)}</p>` : ''}
-                    <div class="content-author">
-                        <i class="fas fa-user"></i>
-                        ${this.escapeHtml(item.author_name)}
-                    </div>
-                </div>
-                <div class="content-card-footer">
-                    <div class="content-stats">
-                        <span><i class="fas fa-eye"></i> ${item.view_count || 0}</span>
-                        <span><i class="fas fa-heart"></i> ${item.like_count || 0}</span>
-                        <span><i class="fas fa-comments"></i> ${item.comment_count || 0}</span>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        try {
+            const response = await this.apiCall('/auth/2fa/enable', 'POST', { code });
+
+            // Other sessions were signed out; this one carries on with new tokens
+            this.authToken = response.data.tokens.accessToken;
+            this.refreshToken = response.data.tokens.refreshToken;
+            localStorage.setItem('authToken', this.authToken);
+            localStorage.setItem('refreshToken', this.refreshToken);
+
+            this.showSuccess(response.message);
+            await this.loadTwoFactorSettings();
+            this.renderRecoveryCodes(response.data.recoveryCodes);
+        } catch (error) {
+            this.showError(error.message || 'Failed to turn on two-factor authentication');
+        }
     }
 
-    /**
+    async regenerateRecoveryCodes() {
+        const code = document.getElementById('twoFactorManageCode').value.trim();
+        if (!code) {
+            this.showError('Enter a code from your authenticator app');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/auth/2fa/recovery-codes', 'POST', { code });
+
+            this.showSuccess(response.message);
+            await this.loadTwoFactorSettings();
+            this.renderRecoveryCodes(response.data.recoveryCodes);
+        } catch (error) {
+            this.showError(error.message || 'Failed to generate recovery codes');
+        }
+    }
+
+    async disableTwoFactor() {
+        const code = document.getElementById('twoFactorManageCode').value.trim();
+        const password = document.getElementById('twoFactorDisablePassword').value;
+        if (!code || !password) {
+            this.showError('Enter your current password and an authentication code');
+            return;
+        }
+
+        if (!confirm('Turn off two-factor authentication? Your recovery codes will stop working.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/auth/2fa/disable', 'POST', { password, code });
+
+            this.showSuccess(response.message);
+            await this.loadTwoFactorSettings();
+        } catch (error) {
+            this.showError(error.message || 'Failed to turn off two-factor authentication');
+        }
+    }
+
+    /**
+     * List the devices signed in to this account
+     */
+    async loadSessionSettings() {
+        const container = document.getElementById('sessionSettings');
+
+        try {
+            const response = await this.apiCall('/auth/sessions');
+            const { sessions } = response.data;
+
+            if (sessions.length === 0) {
+                container.innerHTML = '<p>No active sessions.</p>';
+                return;
+            }
+
+            const deviceIcons = { mobile: 'fa-mobile-alt', tablet: 'fa-tablet-alt', desktop: 'fa-desktop' };
+
+            container.innerHTML = `
+                <ul class="session-list">
+                    ${sessions.map(session => `
+                        <li class="session-item${session.current ? ' current' : ''}">
+                            <i class="fas ${deviceIcons[session.device.deviceType] || 'fa-question-circle'} session-icon"></i>
+                            <div class="session-details">
+                                <strong>${this.escapeHtml(session.device.label)}</strong>
+                                ${session.current ? '<span class="session-current-badge">This device</span>' : ''}
+                                <div class="session-meta">
+                                    ${this.escapeHtml(session.location ? session.location.label : 'Unknown location')}
+                                    ${session.ipAddress ? `&middot; ${this.escapeHtml(session.ipAddress)}` : ''}
+                                </div>
+                                <div class="session-meta">
+                                    Last used ${new Date(session.lastUsedAt).toLocaleString()} &middot; signed in ${this.formatDate(session.createdAt)}
+                                </div>
+                            </div>
+                            <button class="btn btn-secondary btn-sm" onclick="app.revokeSession('${session.id}', ${session.current})">Sign Out</button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="form-actions">
+                    <button class="btn btn-danger" onclick="app.revokeAllSessions()">Sign Out Everywhere</button>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = '<p>Failed to load signed-in devices.</p>';
+        }
+    }
+
+    async revokeSession(sessionId, current) {
+        if (!confirm(current ? 'Sign out of this device?' : 'Sign out this device? It will need to log in again.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/auth/sessions/${sessionId}`, 'DELETE');
+
+            if (current) {
+                // The session is already gone on the server, so just clear it locally
+                this.refreshToken = null;
+                await this.logout();
+                return;
+            }
+
+            this.showSuccess(response.message);
+            await this.loadSessionSettings();
+        } catch (error) {
+            this.showError(error.message || 'Failed to sign out session');
+        }
+    }
+
+    async revokeAllSessions() {
+        if (!confirm('Sign out of every device, including this one?')) {
+            return;
+        }
+
+        try {
+            await this.apiCall('/auth/sessions', 'DELETE');
+
+            this.refreshToken = null;
+            await this.logout();
+        } catch (error) {
+            this.showError(error.message || 'Failed to sign out sessions');
+        }
+    }
+
+    /**
+     * List the images this user has uploaded and which posts use them
+     */
+    async loadMediaSettings(page = 1) {
+        const container = document.getElementById('mediaSettings');
+
+        try {
+            const response = await this.apiCall(`/upload/media?page=${page}&limit=10`);
+            const { media, pagination } = response.data;
+
+            if (media.length === 0) {
+                container.innerHTML = '<p>You haven\'t uploaded any images yet.</p>';
+                return;
+            }
+
+            const thumbnailUrl = (item) => (item.variants.thumbnail || item.variants.full || {}).url || '';
+
+            container.innerHTML = `
+                <ul class="session-list">
+                    ${media.map(item => `
+                        <li class="session-item">
+                            <img class="media-library-thumb" src="${this.escapeHtml(thumbnailUrl(item))}" alt="${this.escapeHtml(item.altText || '')}">
+                            <div class="session-details">
+                                <strong>${this.escapeHtml(item.originalName || 'Image')}</strong>
+                                <div class="session-meta">
+                                    ${item.referenceCount ? `Used by ${item.referenceCount} post${item.referenceCount === 1 ? '' : 's'}` : 'Not used by any post yet'}
+                                    &middot; uploaded ${this.formatDate(item.createdAt)}
+                                </div>
+                                <div class="session-meta">${item.altText ? `Alt text: ${this.escapeHtml(item.altText)}` : 'No alt text'}</div>
+                            </div>
+                            <button class="btn btn-secondary btn-sm" onclick="app.editMediaAltText(${item.id}, ${page})">Alt Text</button>
+                            <button class="btn btn-danger btn-sm" onclick="app.deleteMedia(${item.id}, ${page})" ${item.referenceCount ? 'disabled title="Remove it from your posts first"' : ''}>Delete</button>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${pagination.pages > 1 ? `
+                    <div class="form-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="app.loadMediaSettings(${page - 1})" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+                        <span class="session-meta">Page ${page} of ${pagination.pages}</span>
+                        <button class="btn btn-secondary btn-sm" onclick="app.loadMediaSettings(${page + 1})" ${page >= pagination.pages ? 'disabled' : ''}>Next</button>
+                    </div>
+                ` : ''}
+            `;
+        } catch (error) {
+            container.innerHTML = '<p>Failed to load your uploads.</p>';
+        }
+    }
+
+    async editMediaAltText(mediaId, page) {
+        try {
+            const { data } = await this.apiCall(`/upload/media/${mediaId}`);
+            const altText = prompt('Describe the image for readers who can\'t see it:', data.media.altText || '');
+            if (altText === null) {
+                return;
+            }
+
+            await this.apiCall(`/upload/media/${mediaId}`, 'PUT', { altText });
+            this.showSuccess('Alt text updated');
+            await this.loadMediaSettings(page);
+        } catch (error) {
+            this.showError(error.message || 'Failed to update alt text');
+        }
+    }
+
+    async deleteMedia(mediaId, page) {
+        if (!confirm('Delete this image and all of its sizes?')) {
+            return;
+        }
+
+        try {
+            await this.apiCall(`/upload/media/${mediaId}`, 'DELETE');
+            this.showSuccess('Image deleted');
+            await this.loadMediaSettings(page);
+        } catch (error) {
+            this.showError(error.message || 'Failed to delete image');
+        }
+    }
+
+    /**
+     * Show social login providers and link or unlink them
+     * The card stays hidden when social login is off and nothing is linked.
+     */
+    async loadLinkedAccounts() {
+        const card = document.getElementById('linkedAccountsCard');
+        const container = document.getElementById('linkedAccountSettings');
+
+        try {
+            const response = await this.apiCall('/auth/oidc/identities');
+            const { identities, providers, hasPassword } = response.data;
+
+            // Linked accounts stay listed even if their provider has since been switched off
+            const rows = providers.map(provider => ({
+                id: provider.id,
+                name: provider.name,
+                identity: identities.find(identity => identity.provider === provider.id)
+            }));
+            identities
+                .filter(identity => !providers.some(provider => provider.id === identity.provider))
+                .forEach(identity => rows.push({ id: identity.provider, name: identity.provider, identity }));
+
+            if (rows.length === 0) {
+                card.style.display = 'none';
+                return;
+            }
+
+            card.style.display = 'block';
+            container.innerHTML = `
+                ${hasPassword ? '' : '<p class="form-help">Your account has no password. Set one with "Forgot your password?" before unlinking your last account.</p>'}
+                <ul class="session-list">
+                    ${rows.map(row => `
+                        <li class="session-item">
+                            <div class="session-details">
+                                <strong>${this.escapeHtml(row.name)}</strong>
+                                <div class="session-meta">
+                                    ${row.identity ? `Linked${row.identity.email ? ` as ${this.escapeHtml(row.identity.email)}` : ''} ${this.formatDate(row.identity.linkedAt)}` : 'Not linked'}
+                                </div>
+                            </div>
+                            ${row.identity
+                                ? `<button class="btn btn-secondary btn-sm" onclick="app.unlinkAccount('${this.escapeHtml(row.id)}')">Unlink</button>`
+                                : `<button class="btn btn-primary btn-sm" onclick="app.linkAccount('${this.escapeHtml(row.id)}')">Link</button>`}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        } catch (error) {
+            card.style.display = 'none';
+        }
+    }
+
+    async linkAccount(provider) {
+        try {
+            const response = await this.apiCall(`/auth/oidc/${encodeURIComponent(provider)}/link`, 'POST');
+
+            // The provider sends the browser back with ?socialLinked= or ?socialError=
+            window.location.href = response.data.authorizationUrl;
+        } catch (error) {
+            this.showError(error.message || 'Failed to start linking');
+        }
+    }
+
+    async unlinkAccount(provider) {
+        if (!confirm('Unlink this account? You will no longer be able to sign in with it.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/auth/oidc/identities/${encodeURIComponent(provider)}`, 'DELETE');
+
+            this.showSuccess(response.message);
+            await this.loadLinkedAccounts();
+        } catch (error) {
+            this.showError(error.message || 'Failed to unlink account');
+        }
+    }
+
+    /**
+     * Show freshly issued recovery codes; they can't be shown again later
+     */
+    renderRecoveryCodes(codes) {
+        const container = document.getElementById('twoFactorRecoveryCodes');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="recovery-codes">
+                <p><strong>Save these recovery codes now.</strong> Each one signs you in once if you lose your device, and they won't be shown again.</p>
+                <ul>${codes.map(code => `<li><code>${this.escapeHtml(code)}</code></li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Populate category filter dropdowns
+     */
+    populateCategoryFilters() {
+        const filterElements = [
+            'discussionCategoryFilter',
+            'articleCategoryFilter',
+            'contentCategory'
+        ];
+
+        filterElements.forEach(filterId => {
+            const element = document.getElementById(filterId);
+            if (element) {
+                // Clear existing options (except first)
+                while (element.children.length > 1) {
+                    element.removeChild(element.lastChild);
+                }
+
+                // Add category options
+                this.categories.forEach(category => {
+                    const option = document.createElement('option');
+                    option.value = category.id;
+                    option.textContent = category.name;
+                    element.appendChild(option);
+                });
+            }
+        });
+    }
+
+    /**
+     * Render featured content
+     */
+    renderFeaturedContent(content) {
+        const container = document.getElementById('featuredContent');
+        
+        if (!content || content.length === 0) {
+            container.innerHTML = '<p class="text-center">No featured content available.</p>';
+            return;
+        }
+
+        container.innerHTML = content.map(item => `
+            <div class="content-card" onclick="app.viewContent(${item.id})">
+                <div class="content-card-header">
+                    <div class="content-meta">
+                        <span class="content-category" style="background-color: ${item.category_color || '#4A90E2'}">
+                            ${item.category_name || 'General'}
+                        </span>
+                        <span class="content-date">${this.formatDate(item.published_at)}</span>
+                    </div>
+                    <h3 class="content-title">${this.escapeHtml(item.title)}</h3>
+                    ${item.excerpt ? `<p class="content-excerpt">${this.escapeHtml(item.excerpt)}</p>` : ''}
+                    <div class="content-author">
+                        <i class="fas fa-user"></i>
+                        ${this.escapeHtml(item.author_name)}
+                    </div>
+                </div>
+                <div class="content-card-footer">
+                    <div class="content-stats">
+                        <span><i class="fas fa-eye"></i> ${item.view_count || 0}</span>
+                        <span><i class="fas fa-heart"></i> ${item.like_count || 0}</span>
+                        <span><i class="fas fa-comments"></i> ${item.comment_count || 0}</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
      * Render categories preview
      */
     renderCategoriesPreview(categories) {
@@ -880,8 +1596,8 @@ class FaithMastersApp {
                             <span>by ${this.escapeHtml(item.author_name)}</span>
                             <span>${this.formatDate(item.published_at || item.created_at)}</span>
                         </div>
-                        <h3 class="content-item-title">${this.escapeHtml(item.title)}</h3>
-                        ${item.excerpt ? `<p class="content-item-excerpt">${this.escapeHtml(item.excerpt)}</p>` : ''}
+                        <h3 class="content-item-title">${item.title_highlight || this.escapeHtml(item.title)}</h3>
+                        ${this.renderSearchSnippet(item)}
                     </div>
                 </div>
                 <div class="content-item-footer">
@@ -895,6 +1611,23 @@ class FaithMastersApp {
         `).join('');
     }
 
+    /**
+     * Render the highlighted snippet for a search result
+     * The server escapes snippets and only adds <mark> tags, so they are inserted as-is.
+     */
+    renderSearchSnippet(item) {
+        if (item.snippet && item.snippet.includes('<mark>')) {
+            return `<p class="content-item-excerpt search-snippet">${item.snippet}</p>`;
+        }
+
+        // Matches only in the title or tags leave the body snippet without highlights
+        if (item.excerpt) {
+            return `<p class="content-item-excerpt">${this.escapeHtml(item.excerpt)}</p>`;
+        }
+
+        return item.snippet ? `<p class="content-item-excerpt search-snippet">${item.snippet}</p>` : '';
+    }
+
     /**
      * Render pagination
      */
@@ -971,6 +1704,7 @@ class FaithMastersApp {
                 // Manually activate the content-detail section without triggering loadContentDetail
                 this.activateSection('content-detail');
                 this.loadComments(contentId);
+                this.openContentStream(contentId);
             }
         } catch (error) {
             console.error('Failed to load content:', error);
@@ -1089,8 +1823,15 @@ class FaithMastersApp {
             return;
         }
 
-        container.innerHTML = comments.map(comment => `
-            <div class="comment">
+        container.innerHTML = comments.map(comment => this.renderComment(comment)).join('');
+    }
+
+    /**
+     * Render a comment with its nested replies
+     */
+    renderComment(comment) {
+        return `
+            <div class="comment${comment.parent_id ? ' reply' : ''}" data-comment-id="${comment.id}">
                 <div class="comment-header">
                     <div class="comment-author">
                         <img src="${comment.author_image || '/assets/images/default-avatar.png'}" alt="${this.escapeHtml(comment.author_name)}">
@@ -1113,28 +1854,218 @@ class FaithMastersApp {
                         Reply
                     </button>
                 </div>
-                ${comment.replies && comment.replies.length > 0 ? `
-                    <div class="comment-replies">
-                        ${comment.replies.map(reply => `
-                            <div class="comment reply">
-                                <div class="comment-header">
-                                    <div class="comment-author">
-                                        <img src="${reply.author_image || '/assets/images/default-avatar.png'}" alt="${this.escapeHtml(reply.author_name)}">
-                                        <div>
-                                            <h5>${this.escapeHtml(reply.author_name)}</h5>
-                                            <span class="comment-date">${this.formatDate(reply.created_at)}</span>
-                                        </div>
-                                    </div>
-                                </div>
-                                <div class="comment-body">
-                                    <p>${this.escapeHtml(reply.body)}</p>
-                                </div>
-                            </div>
-                        `).join('')}
-                    </div>
-                ` : ''}
+                <div class="comment-reply-form"></div>
+                <div class="comment-replies">
+                    ${(comment.replies || []).map(reply => this.renderComment(reply)).join('')}
+                </div>
+                ${comment.has_more_replies ? this.renderLoadMoreReplies(comment.id, comment.next_cursor, comment.reply_count - comment.replies.length) : ''}
             </div>
-        `).join('');
+        `;
+    }
+
+    /**
+     * Render the "load more replies" button for a comment
+     */
+    renderLoadMoreReplies(commentId, cursor, remaining = null) {
+        return `
+            <button class="btn btn-sm load-more-replies" onclick="app.loadMoreReplies(${commentId}, ${cursor || 'null'})">
+                <i class="fas fa-level-down-alt"></i>
+                ${remaining ? `View ${remaining} more ${remaining === 1 ? 'reply' : 'replies'}` : 'View more replies'}
+            </button>
+        `;
+    }
+
+    /**
+     * Load the next page of replies under a comment
+     */
+    async loadMoreReplies(commentId, cursor = null) {
+        const element = document.querySelector(`#commentsList [data-comment-id="${commentId}"]`);
+        if (!element) {
+            return;
+        }
+
+        const button = element.querySelector(':scope > .load-more-replies');
+        if (button) {
+            button.disabled = true;
+        }
+
+        try {
+            const params = new URLSearchParams();
+            if (cursor) {
+                params.set('after', cursor);
+            }
+
+            const response = await this.apiCall(`/comments/${commentId}/replies?${params.toString()}`);
+            if (response.success) {
+                const container = element.querySelector(':scope > .comment-replies');
+                response.data.replies
+                    .filter(reply => !container.querySelector(`[data-comment-id="${reply.id}"]`))
+                    .forEach(reply => container.insertAdjacentHTML('beforeend', this.renderComment(reply)));
+
+                if (button) {
+                    button.remove();
+                }
+                if (response.data.nextCursor) {
+                    element.insertAdjacentHTML('beforeend', this.renderLoadMoreReplies(commentId, response.data.nextCursor));
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load replies:', error);
+            this.showError('Failed to load replies');
+            if (button) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Show or hide the reply form under a comment
+     */
+    replyToComment(commentId) {
+        if (!this.currentUser) {
+            this.showAuthModal('login');
+            return;
+        }
+
+        const container = document.querySelector(`#commentsList [data-comment-id="${commentId}"] > .comment-reply-form`);
+        if (!container) {
+            return;
+        }
+
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <form class="comment-form" onsubmit="app.submitComment(event, ${this.currentContentId}, ${commentId})">
+                <textarea name="body" placeholder="Write a reply..." required></textarea>
+                <div class="comment-form-actions">
+                    <button type="button" class="btn btn-sm btn-outline" onclick="app.replyToComment(${commentId})">Cancel</button>
+                    <button type="submit" class="btn btn-sm btn-primary">Reply</button>
+                </div>
+            </form>
+        `;
+        container.querySelector('textarea').focus();
+    }
+
+    /**
+     * Open the live update stream for a content item
+     */
+    openContentStream(contentId) {
+        this.closeContentStream();
+
+        if (!window.EventSource) {
+            return;
+        }
+
+        const stream = new EventSource(`${this.apiBase}/content/${contentId}/stream`);
+        const handlers = {
+            comment_created: data => this.insertLiveComment(data.comment),
+            comment_updated: data => this.updateLiveComment(data.comment),
+            comment_deleted: data => this.removeLiveComment(data.commentId),
+            likes_updated: data => this.updateLiveLikes(data),
+            content_updated: data => this.updateLiveContent(data.content)
+        };
+
+        Object.entries(handlers).forEach(([event, handler]) => {
+            stream.addEventListener(event, (e) => {
+                try {
+                    handler(JSON.parse(e.data));
+                } catch (error) {
+                    console.error('Failed to apply live update:', error);
+                }
+            });
+        });
+
+        // The browser reconnects on its own; only give up if the content is gone
+        stream.onerror = () => {
+            if (stream.readyState === EventSource.CLOSED) {
+                this.closeContentStream();
+            }
+        };
+
+        this.contentStream = stream;
+    }
+
+    /**
+     * Close the live update stream
+     */
+    closeContentStream() {
+        if (this.contentStream) {
+            this.contentStream.close();
+            this.contentStream = null;
+        }
+    }
+
+    /**
+     * Add a newly published comment to the open comment list
+     */
+    insertLiveComment(comment) {
+        const container = document.getElementById('commentsList');
+        if (!container || container.querySelector(`[data-comment-id="${comment.id}"]`)) {
+            return;
+        }
+
+        if (comment.parent_id) {
+            const parent = container.querySelector(`[data-comment-id="${comment.parent_id}"] > .comment-replies`);
+            if (parent) {
+                parent.insertAdjacentHTML('beforeend', this.renderComment(comment));
+            }
+            return;
+        }
+
+        const placeholder = container.querySelector('.no-comments, .loading-placeholder');
+        if (placeholder) {
+            placeholder.remove();
+        }
+
+        container.insertAdjacentHTML('beforeend', this.renderComment(comment));
+    }
+
+    /**
+     * Replace the body of an edited comment
+     */
+    updateLiveComment(comment) {
+        const body = document.querySelector(`#commentsList [data-comment-id="${comment.id}"] > .comment-body`);
+        if (body) {
+            body.innerHTML = `<p>${this.escapeHtml(comment.body)}</p>`;
+        } else {
+            this.insertLiveComment(comment);
+        }
+    }
+
+    /**
+     * Remove a deleted or rejected comment
+     */
+    removeLiveComment(commentId) {
+        const element = document.querySelector(`#commentsList [data-comment-id="${commentId}"]`);
+        if (element) {
+            element.remove();
+        }
+    }
+
+    /**
+     * Show the latest like count for the content or one of its comments
+     */
+    updateLiveLikes({ targetType, targetId, likeCount }) {
+        const countElement = document.getElementById(`${targetType === 'content' ? 'like' : 'commentLike'}Count-${targetId}`);
+        if (countElement) {
+            countElement.textContent = likeCount || 0;
+        }
+    }
+
+    /**
+     * Show edits to the open content item
+     */
+    updateLiveContent(content) {
+        const article = document.querySelector('#contentDetail .content-detail-article');
+        if (!article) {
+            return;
+        }
+
+        article.querySelector('.content-title').textContent = content.title;
+        article.querySelector('.content-body').innerHTML = this.formatContent(content.body);
     }
 
     /**
@@ -1159,9 +2090,19 @@ class FaithMastersApp {
             const response = await this.apiCall(`/content/${contentId}/comments`, 'POST', commentData);
             
             if (response.success) {
-                this.showSuccess('Comment posted successfully!');
+                const comment = response.data.comment;
                 event.target.reset();
-                this.loadComments(contentId);
+
+                if (comment.status === 'published') {
+                    this.showSuccess('Comment posted successfully!');
+                    this.insertLiveComment(comment);
+                } else {
+                    this.showSuccess('Your comment was submitted and will appear once a moderator approves it.');
+                }
+
+                if (parentId) {
+                    this.replyToComment(parentId);
+                }
             } else {
                 this.showError(response.message || 'Failed to post comment');
             }
@@ -1201,18 +2142,19 @@ class FaithMastersApp {
     showAuthModal(type = 'login') {
         const modal = document.getElementById('authModal');
         const title = document.getElementById('authModalTitle');
-        const loginForm = document.getElementById('loginForm');
-        const registerForm = document.getElementById('registerForm');
+        const forms = {
+            login: { id: 'loginForm', title: 'Login' },
+            twoFactor: { id: 'twoFactorForm', title: 'Two-Factor Authentication' },
+            register: { id: 'registerForm', title: 'Create Account' },
+            forgot: { id: 'forgotPasswordForm', title: 'Forgot Password' },
+            reset: { id: 'resetPasswordForm', title: 'Choose a New Password' }
+        };
+        const selected = forms[type] || forms.register;
 
-        if (type === 'login') {
-            title.textContent = 'Login';
-            loginForm.classList.add('active');
-            registerForm.classList.remove('active');
-        } else {
-            title.textContent = 'Create Account';
-            loginForm.classList.remove('active');
-            registerForm.classList.add('active');
-        }
+        title.textContent = selected.title;
+        Object.values(forms).forEach(form => {
+            document.getElementById(form.id).classList.toggle('active', form === selected);
+        });
 
         modal.classList.add('show');
     }
@@ -1334,6 +2276,148 @@ class FaithMastersApp {
         dropdown.classList.remove('show');
     }
 
+    /**
+     * Toggle notification dropdown, loading the latest notifications when it opens
+     */
+    toggleNotifications() {
+        const dropdown = document.getElementById('notificationDropdown');
+        dropdown.classList.toggle('show');
+
+        if (dropdown.classList.contains('show')) {
+            this.loadNotifications();
+        }
+    }
+
+    /**
+     * Close notification dropdown
+     */
+    closeNotifications() {
+        const dropdown = document.getElementById('notificationDropdown');
+        dropdown.classList.remove('show');
+    }
+
+    /**
+     * Load recent notifications into the dropdown
+     */
+    async loadNotifications() {
+        try {
+            const response = await this.apiCall('/notifications?limit=20');
+            if (response.success) {
+                this.renderNotifications(response.data.notifications);
+                this.updateNotificationBadge(response.data.unreadCount);
+            }
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+            document.getElementById('notificationList').innerHTML =
+                '<div class="notification-empty">Failed to load notifications</div>';
+        }
+    }
+
+    /**
+     * Render notification list
+     */
+    renderNotifications(notifications) {
+        const list = document.getElementById('notificationList');
+
+        if (notifications.length === 0) {
+            list.innerHTML = '<div class="notification-empty">You have no notifications</div>';
+            return;
+        }
+
+        list.innerHTML = notifications.map(notification => `
+            <div class="notification-item ${notification.is_read ? '' : 'unread'}"
+                 onclick="app.openNotification(${notification.id}, ${notification.content_id || 'null'})">
+                ${this.escapeHtml(notification.message)}
+                <span class="notification-time">${this.formatDate(notification.created_at)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Mark a notification as read and open the content it refers to
+     */
+    async openNotification(notificationId, contentId) {
+        this.closeNotifications();
+
+        try {
+            await this.apiCall(`/notifications/${notificationId}/read`, 'PUT');
+            this.refreshNotificationCount();
+        } catch (error) {
+            console.error('Failed to mark notification as read:', error);
+        }
+
+        if (contentId) {
+            this.viewContent(contentId);
+        }
+    }
+
+    /**
+     * Mark all notifications as read
+     */
+    async markAllNotificationsRead() {
+        try {
+            const response = await this.apiCall('/notifications/read-all', 'PUT');
+            if (response.success) {
+                document.querySelectorAll('.notification-item.unread').forEach(item => {
+                    item.classList.remove('unread');
+                });
+                this.updateNotificationBadge(0);
+            }
+        } catch (error) {
+            console.error('Failed to mark notifications as read:', error);
+            this.showError('Failed to mark notifications as read');
+        }
+    }
+
+    /**
+     * Fetch the unread notification count for the header badge
+     */
+    async refreshNotificationCount() {
+        try {
+            const response = await this.apiCall('/notifications/unread-count');
+            if (response.success) {
+                this.updateNotificationBadge(response.data.unreadCount);
+            }
+        } catch (error) {
+            console.error('Failed to refresh notification count:', error);
+        }
+    }
+
+    /**
+     * Update header badge
+     */
+    updateNotificationBadge(count) {
+        const badge = document.getElementById('notificationBadge');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Poll for new notifications while logged in
+     */
+    startNotificationPolling() {
+        if (this.notificationPollTimer) {
+            return;
+        }
+
+        this.refreshNotificationCount();
+        // Check for new notifications every minute
+        this.notificationPollTimer = setInterval(() => this.refreshNotificationCount(), 60 * 1000);
+    }
+
+    /**
+     * Stop notification polling
+     */
+    stopNotificationPolling() {
+        if (this.notificationPollTimer) {
+            clearInterval(this.notificationPollTimer);
+            this.notificationPollTimer = null;
+        }
+
+        this.closeNotifications();
+        this.updateNotificationBadge(0);
+    }
+
     /**
      * Toggle mobile menu
      */
@@ -1464,6 +2548,8 @@ window.showAuthModal = (type) => app.showAuthModal(type);
 // Note: showCreateContentModal moved to admin panel
 window.closeModal = (modalId) => app.closeModal(modalId);
 window.toggleUserDropdown = () => app.toggleUserDropdown();
+window.toggleNotifications = () => app.toggleNotifications();
+window.markAllNotificationsRead = () => app.markAllNotificationsRead();
 window.toggleMobileMenu = () => app.toggleMobileMenu();
 window.logout = () => app.logout();
 window.performSearch = () => app.performSearch();
@@ -9,6 +9,9 @@ class ArticleCreator {
         this.authToken = localStorage.getItem('authToken');
         this.articleId = null;
         this.quill = null;
+        this.format = 'html';
+        this.markdownPreviewTimeout = null;
+        this.markdownPreviewRequest = 0;
         this.tags = new Set();
         this.autoSaveInterval = null;
         this.hasUnsavedChanges = false;
@@ -59,6 +62,9 @@ class ArticleCreator {
             
             // Setup event listeners
             this.setupEventListeners();
+
+            // Rich text / Markdown tabs
+            this.setupMarkdownMode();
             
             // Load categories
             await this.loadCategories();
@@ -89,7 +95,7 @@ class ArticleCreator {
     async verifyAuth() {
         try {
             const response = await this.apiCall('/auth/profile');
-            if (!response.success || !['admin', 'moderator'].includes(response.data.user.role)) {
+            if (!response.success || !(response.data.user.permissions || []).includes('admin.access')) {
                 this.redirectToLogin();
                 return false;
             }
@@ -583,9 +589,9 @@ class ArticleCreator {
             const file = input.files[0];
             if (file) {
                 try {
-                    const imageUrl = await this.uploadImage(file);
+                    const image = await this.uploadImage(file);
                     const range = this.quill.getSelection() || { index: 0 };
-                    this.quill.insertEmbed(range.index, 'image', imageUrl);
+                    this.quill.insertEmbed(range.index, 'image', image.url);
                 } catch (error) {
                     this.showError('Failed to upload image');
                 }
@@ -808,23 +814,25 @@ class ArticleCreator {
         }
 
         try {
-            const imageUrl = await this.uploadImage(file);
-            this.showImagePreview(imageUrl);
+            const image = await this.uploadImage(file);
+            this.showImagePreview(image);
             this.markUnsavedChanges();
         } catch (error) {
             this.showError('Failed to upload image');
         }
     }
 
-    showImagePreview(imageUrl) {
+    showImagePreview(image) {
         const placeholder = document.querySelector('.upload-placeholder');
         const preview = document.getElementById('imagePreview');
         const previewImg = document.getElementById('previewImg');
 
         placeholder.style.display = 'none';
         preview.style.display = 'block';
-        previewImg.src = imageUrl;
-        previewImg.dataset.imageUrl = imageUrl;
+        previewImg.src = image.url;
+        previewImg.srcset = image.srcset || '';
+        previewImg.dataset.imageUrl = image.url;
+        previewImg.dataset.mediaId = image.id;
     }
 
     async uploadImage(file) {
@@ -843,8 +851,9 @@ class ArticleCreator {
             throw new Error('Upload failed');
         }
 
+        // The processed image: its media ID, full size URL and srcset
         const result = await response.json();
-        return result.data.url;
+        return result.data;
     }
 
     addTag(tagText) {
@@ -903,7 +912,7 @@ class ArticleCreator {
     }
 
     updateContentStats() {
-        const text = this.quill.getText();
+        const text = this.getEditorText();
         const words = text.trim().split(/\s+/).filter(word => word.length > 0).length;
         const characters = text.length;
         const readTime = Math.max(1, Math.ceil(words / 200)); // ~200 words per minute
@@ -1025,7 +1034,7 @@ class ArticleCreator {
             const response = await this.apiCall('/upload/image', 'POST', formData, true);
 
             if (response.success) {
-                this.showImagePreview(response.data.imageUrl);
+                this.showImagePreview(response.data);
                 this.showSuccess('Image uploaded successfully');
             } else {
                 this.showError(response.message || 'Failed to upload image');
@@ -1038,7 +1047,7 @@ class ArticleCreator {
         }
     }
 
-    showImagePreview(imageUrl) {
+    showImagePreview(image) {
         const placeholder = document.getElementById('uploadPlaceholder');
         const preview = document.getElementById('imagePreview');
         const previewImg = document.getElementById('previewImg');
@@ -1046,8 +1055,10 @@ class ArticleCreator {
         if (placeholder && preview && previewImg) {
             placeholder.style.display = 'none';
             preview.style.display = 'block';
-            previewImg.src = imageUrl;
-            previewImg.dataset.imageUrl = imageUrl;
+            previewImg.src = image.url;
+            previewImg.srcset = image.srcset || '';
+            previewImg.dataset.imageUrl = image.url;
+            previewImg.dataset.mediaId = image.id;
         }
     }
 
@@ -1061,7 +1072,9 @@ class ArticleCreator {
             placeholder.style.display = 'block';
             preview.style.display = 'none';
             previewImg.src = '';
+            previewImg.srcset = '';
             previewImg.dataset.imageUrl = '';
+            previewImg.dataset.mediaId = '';
             imageUpload.value = '';
         }
     }
@@ -1080,7 +1093,7 @@ class ArticleCreator {
         }
     }
 
-    schedulePost() {
+    async schedulePost() {
         const publishDate = document.getElementById('publishDate').value;
         if (!publishDate) {
             this.showError('Please select a publish date first');
@@ -1095,8 +1108,8 @@ class ArticleCreator {
             return;
         }
 
-        document.getElementById('articleStatus').value = 'draft';
-        this.showSuccess(`Article scheduled for ${selectedDate.toLocaleString()}`);
+        document.getElementById('articleStatus').value = 'scheduled';
+        await this.saveArticle('scheduled');
     }
 
     showPreview() {
@@ -1175,7 +1188,7 @@ class ArticleCreator {
     collectArticleData() {
         const title = document.getElementById('articleTitle').value.trim();
         const excerpt = document.getElementById('articleExcerpt').value.trim();
-        const content = this.quill.root.innerHTML;
+        const content = this.format === 'markdown' ? document.getElementById('markdownSource').value : this.quill.root.innerHTML;
         const categoryId = document.getElementById('articleCategory').value || null;
         const status = document.getElementById('articleStatus').value;
         const allowComments = document.getElementById('allowComments').checked;
@@ -1184,13 +1197,14 @@ class ArticleCreator {
         const metaDescription = document.getElementById('metaDescription').value.trim();
         const publishDate = document.getElementById('publishDate').value;
         
-        // Get featured image URL
+        // Get the featured image's media record
         const previewImg = document.getElementById('previewImg');
-        const featuredImage = previewImg.dataset.imageUrl || null;
+        const featuredImageId = previewImg.dataset.mediaId ? parseInt(previewImg.dataset.mediaId) : null;
 
         return {
             title,
             body: content,
+            format: this.format,
             excerpt: excerpt || null,
             type: 'article',
             categoryId,
@@ -1198,10 +1212,11 @@ class ArticleCreator {
             tags: Array.from(this.tags),
             allowComments,
             featured,
-            featuredImage,
+            featuredImageId,
             metaTitle: metaTitle || title,
             metaDescription: metaDescription || excerpt,
-            publishDate: publishDate || null
+            publishDate: publishDate || null,
+            publishAt: status === 'scheduled' && publishDate ? new Date(publishDate).toISOString() : null
         };
     }
 
@@ -1220,6 +1235,10 @@ class ArticleCreator {
             const articleData = this.collectArticleData();
             articleData.status = status;
 
+            if (status === 'scheduled') {
+                articleData.publishAt = new Date(articleData.publishDate).toISOString();
+            }
+
             // Validate required fields
             if (!articleData.title.trim()) {
                 this.showError('Title is required');
@@ -1248,7 +1267,11 @@ class ArticleCreator {
 
             if (response.success) {
                 this.markSaved();
-                const message = status === 'published' ? 'Article published successfully!' : 'Article saved as draft';
+                const messages = {
+                    published: 'Article published successfully!',
+                    scheduled: `Article scheduled for ${new Date(articleData.publishDate).toLocaleString()}`
+                };
+                const message = messages[status] || 'Article saved as draft';
                 this.showSuccess(message);
                 
                 // Redirect to admin panel after a delay
@@ -1267,13 +1290,21 @@ class ArticleCreator {
         }
     }
 
-    showPreview() {
+    async showPreview() {
         const articleData = this.collectArticleData();
+
+        let bodyHtml;
+        try {
+            bodyHtml = await this.renderBodyHtml();
+        } catch (error) {
+            this.showError('Failed to render preview');
+            return;
+        }
         
         // Populate preview modal
         document.getElementById('previewTitle').textContent = articleData.title || 'Untitled Article';
         document.getElementById('previewExcerptText').textContent = articleData.excerpt || '';
-        document.getElementById('previewContent').innerHTML = articleData.body || '<p>No content yet...</p>';
+        document.getElementById('previewContent').innerHTML = bodyHtml || '<p>No content yet...</p>';
         
         // Category
         const categorySelect = document.getElementById('articleCategory');
@@ -1281,7 +1312,7 @@ class ArticleCreator {
         document.getElementById('previewCategory').textContent = selectedCategory.text || 'Uncategorized';
         
         // Read time
-        const text = this.quill.getText();
+        const text = this.getEditorText();
         const words = text.trim().split(/\s+/).filter(word => word.length > 0).length;
         const readTime = Math.max(1, Math.ceil(words / 200));
         document.getElementById('previewReadTime').textContent = `~${readTime} min read`;
@@ -1312,6 +1343,93 @@ class ArticleCreator {
         document.getElementById('previewModal').classList.add('show');
     }
 
+    setupMarkdownMode() {
+        const source = document.getElementById('markdownSource');
+        if (!source) return;
+
+        document.querySelectorAll('.editor-mode-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setFormat(tab.dataset.editorFormat));
+        });
+
+        source.addEventListener('input', () => {
+            this.markUnsavedChanges();
+            this.updateContentStats();
+            this.updateMarkdownPreview();
+        });
+    }
+
+    getEditorText() {
+        return this.format === 'markdown' ? document.getElementById('markdownSource').value : this.quill.getText();
+    }
+
+    // The body as it will be saved; Markdown is rendered by the server so previews match exactly
+    async renderBodyHtml() {
+        if (this.format !== 'markdown') {
+            return this.quill.root.innerHTML;
+        }
+
+        const source = document.getElementById('markdownSource').value;
+        if (!source.trim()) {
+            return '';
+        }
+
+        const response = await this.apiCall('/content/preview', 'POST', { body: source, format: 'markdown' });
+        return response.data.html;
+    }
+
+    updateMarkdownPreview() {
+        clearTimeout(this.markdownPreviewTimeout);
+        this.markdownPreviewTimeout = setTimeout(async () => {
+            // Ignore responses that arrive after a newer request was sent
+            const request = ++this.markdownPreviewRequest;
+            try {
+                const html = await this.renderBodyHtml();
+                if (request === this.markdownPreviewRequest) {
+                    document.getElementById('markdownPreview').innerHTML = html || '<p class="markdown-preview-empty">The preview appears here as you write.</p>';
+                }
+            } catch (error) {
+                console.error('Markdown preview failed:', error);
+            }
+        }, 300);
+    }
+
+    // Switch between the rich text and Markdown tabs, carrying the content across
+    async setFormat(format, { convert = true } = {}) {
+        if (format === this.format) return;
+
+        if (convert) {
+            if (format === 'markdown') {
+                const text = this.quill.getText().trim();
+                if (text && !confirm('Switching to Markdown keeps your text but not its formatting. Continue?')) {
+                    return;
+                }
+                document.getElementById('markdownSource').value = text;
+            } else {
+                try {
+                    this.quill.root.innerHTML = await this.renderBodyHtml();
+                } catch (error) {
+                    this.showError('Failed to convert Markdown');
+                    return;
+                }
+            }
+            this.markUnsavedChanges();
+        }
+
+        this.format = format;
+
+        document.querySelectorAll('.editor-mode-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.editorFormat === format);
+        });
+        document.querySelector('.editor-toolbar').style.display = format === 'markdown' ? 'none' : '';
+        document.getElementById('articleEditor').style.display = format === 'markdown' ? 'none' : '';
+        document.getElementById('markdownEditor').style.display = format === 'markdown' ? '' : 'none';
+
+        if (format === 'markdown') {
+            this.updateMarkdownPreview();
+        }
+        this.updateContentStats();
+    }
+
     markUnsavedChanges() {
         this.hasUnsavedChanges = true;
         document.title = '• Create Article - FaithMasters Admin';
@@ -1406,7 +1524,9 @@ function removeImage() {
     preview.style.display = 'none';
     placeholder.style.display = 'block';
     previewImg.src = '';
+    previewImg.srcset = '';
     previewImg.dataset.imageUrl = '';
+    previewImg.dataset.mediaId = '';
     
     articleCreator.markUnsavedChanges();
 }
@@ -0,0 +1,155 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn(),
+    transaction: jest.fn()
+}));
+
+let mockCurrentUser;
+
+jest.mock('../backend/middleware/auth', () => {
+    const actual = jest.requireActual('../backend/middleware/auth');
+    return {
+        ...actual,
+        verifyToken: (req, res, next) => {
+            req.user = mockCurrentUser;
+            next();
+        },
+        hasPermission: jest.fn(async () => true)
+    };
+});
+
+jest.mock('../backend/models/Content');
+jest.mock('../backend/models/ContentRevision');
+jest.mock('../backend/models/Media');
+jest.mock('../backend/models/ModeratorCategory');
+jest.mock('../backend/utils/contentEvents', () => ({ contentEvents: { publish: jest.fn() } }));
+jest.mock('../backend/utils/audit', () => ({
+    ...jest.requireActual('../backend/utils/audit'),
+    recordAudit: jest.fn()
+}));
+
+const database = require('../backend/config/database');
+const constants = require('../backend/config/constants');
+const ContentModel = require('../backend/models/Content');
+const ContentRevisionModel = require('../backend/models/ContentRevision');
+const MediaModel = require('../backend/models/Media');
+const ModeratorCategoryModel = require('../backend/models/ModeratorCategory');
+const { contentEvents } = require('../backend/utils/contentEvents');
+const { recordAudit } = require('../backend/utils/audit');
+const contentRoutes = require('../backend/routes/content');
+
+const POST = { id: 5, author_id: 99, category_id: 1, title: 'Current title', status: 'rejected' };
+
+describe('POST /api/content/:id/revisions/:rev/restore', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/content', contentRoutes);
+    });
+
+    beforeEach(() => {
+        mockCurrentUser = { id: 7, status: constants.USER_STATUS.ACTIVE };
+        ModeratorCategoryModel.canModerate.mockImplementation(async (userId, categoryId) => categoryId === 1);
+        ContentModel.findById.mockResolvedValue(POST);
+        ContentRevisionModel.findByNumber.mockResolvedValue({ revision_number: 2, category_id: 1, title: 'Old title' });
+        ContentModel.restoreRevision.mockResolvedValue({ ...POST, title: 'Old title' });
+    });
+
+    it('restores, records the change and updates live pages', async () => {
+        const response = await request(app).post('/api/content/5/revisions/2/restore');
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.restoreRevision).toHaveBeenCalledWith('5', 2, 7);
+        expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            action: constants.AUDIT_ACTIONS.CONTENT_REVISION_RESTORE,
+            resourceId: 5
+        }));
+        expect(contentEvents.publish).toHaveBeenCalledWith('5', constants.CONTENT_EVENTS.CONTENT_UPDATED);
+    });
+
+    it('turns away suspended accounts', async () => {
+        mockCurrentUser = { id: 99, status: constants.USER_STATUS.SUSPENDED };
+
+        const response = await request(app).post('/api/content/5/revisions/2/restore');
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('ACCOUNT_SUSPENDED');
+        expect(ContentModel.restoreRevision).not.toHaveBeenCalled();
+    });
+
+    it('keeps moderators within their categories', async () => {
+        ContentModel.findById.mockResolvedValue({ ...POST, category_id: 2 });
+
+        const response = await request(app).post('/api/content/5/revisions/2/restore');
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('OUTSIDE_MODERATION_SCOPE');
+        expect(ContentModel.restoreRevision).not.toHaveBeenCalled();
+    });
+
+    it('stops moderators restoring a revision filed under another category', async () => {
+        ContentRevisionModel.findByNumber.mockResolvedValue({ revision_number: 2, category_id: 2 });
+
+        const response = await request(app).post('/api/content/5/revisions/2/restore');
+
+        expect(response.status).toBe(403);
+        expect(ContentModel.restoreRevision).not.toHaveBeenCalled();
+    });
+
+    it('answers unknown revisions with REVISION_NOT_FOUND', async () => {
+        ContentRevisionModel.findByNumber.mockResolvedValue(null);
+
+        const response = await request(app).post('/api/content/5/revisions/9/restore');
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('REVISION_NOT_FOUND');
+    });
+});
+
+describe('ContentModel.restoreRevision', () => {
+    const RealContentModel = jest.requireActual('../backend/models/Content');
+
+    it('restores the text and metadata but keeps the current status', async () => {
+        ContentRevisionModel.findByNumber.mockResolvedValue({
+            revision_number: 2,
+            title: 'Published once',
+            body: '<p>Old body</p>',
+            category_id: 1,
+            tags: [],
+            status: 'published'
+        });
+        database.get.mockImplementation(async (sql) => (sql.includes('FROM content c') ? { ...POST, tags: '[]' } : null));
+        database.run.mockResolvedValue({ changes: 1 });
+        MediaModel.findByIds.mockResolvedValue(new Map());
+
+        await RealContentModel.restoreRevision(5, 2, 7);
+
+        const [sql, params] = database.run.mock.calls.find(([statement]) => statement.includes('UPDATE content'));
+        expect(sql).not.toMatch(/status\s*=/);
+        expect(sql).not.toMatch(/published_at\s*=/);
+        expect(params).not.toContain('published');
+        expect(params[params.length - 1]).toBe(5);
+    });
+});
+
+describe('ContentRevisionModel.create', () => {
+    const RealContentRevisionModel = jest.requireActual('../backend/models/ContentRevision');
+
+    it('locks the content row before taking the next revision number', async () => {
+        database.transaction.mockResolvedValue([{ lastID: 5, changes: 1 }, { lastID: 41, changes: 1 }]);
+
+        const id = await RealContentRevisionModel.create(5, { title: 'Title', body: 'Body' }, { editorId: 7 });
+
+        const [lock, insert] = database.transaction.mock.calls[0][0];
+        expect(lock.sql).toMatch(/SELECT id FROM content WHERE id = \$1 FOR UPDATE/);
+        expect(lock.params).toEqual([5]);
+        expect(insert.sql).toContain('COALESCE(MAX(revision_number), 0) + 1');
+        expect(id).toBe(41);
+    });
+});
@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockClient = {
+    query: jest.fn(async () => ({ rows: [{ locked: true }] })),
+    release: jest.fn()
+};
+
+jest.mock('../backend/config/database', () => ({
+    databaseManager: { pool: { connect: async () => mockClient } }
+}));
+
+process.env.CRON_SECRET = 'cron-secret';
+
+const { jobRunner } = require('../backend/utils/jobRunner');
+const cronRoutes = require('../backend/routes/cron');
+
+describe('GET /api/cron', () => {
+    let app;
+    const sendMail = jest.fn();
+    const purge = jest.fn();
+
+    beforeAll(() => {
+        jobRunner.register('process-email-outbox', 60000, sendMail);
+        jobRunner.register('purge-trash', 60000, purge);
+
+        app = express();
+        app.use('/api/cron', cronRoutes);
+    });
+
+    beforeEach(() => {
+        mockClient.query.mockImplementation(async () => ({ rows: [{ locked: true }] }));
+    });
+
+    it('runs one job when called with the cron secret', async () => {
+        const response = await request(app).get('/api/cron/process-email-outbox').set('Authorization', 'Bearer cron-secret');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.jobs).toEqual([{ name: 'process-email-outbox', ran: true }]);
+        expect(sendMail).toHaveBeenCalledTimes(1);
+        expect(purge).not.toHaveBeenCalled();
+    });
+
+    it('runs every job without a job name', async () => {
+        const response = await request(app).get('/api/cron').set('Authorization', 'Bearer cron-secret');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.jobs.map(job => job.name)).toEqual(['process-email-outbox', 'purge-trash']);
+        expect(sendMail).toHaveBeenCalledTimes(1);
+        expect(purge).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips a job another instance is running', async () => {
+        mockClient.query.mockImplementation(async () => ({ rows: [{ locked: false }] }));
+
+        const response = await request(app).get('/api/cron/purge-trash').set('Authorization', 'Bearer cron-secret');
+
+        expect(response.body.data.jobs).toEqual([{ name: 'purge-trash', ran: false }]);
+        expect(purge).not.toHaveBeenCalled();
+    });
+
+    it('reports a failing job without failing the others', async () => {
+        sendMail.mockRejectedValueOnce(new Error('SMTP down'));
+
+        const response = await request(app).get('/api/cron').set('Authorization', 'Bearer cron-secret');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.jobs).toEqual([
+            { name: 'process-email-outbox', ran: false, error: 'SMTP down' },
+            { name: 'purge-trash', ran: true }
+        ]);
+    });
+
+    it.each([
+        ['no secret', undefined],
+        ['the wrong secret', 'Bearer guess'],
+        ['the secret without the Bearer scheme', 'cron-secret']
+    ])('refuses calls with %s', async (description, authorization) => {
+        const call = request(app).get('/api/cron/process-email-outbox');
+        const response = await (authorization ? call.set('Authorization', authorization) : call);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_CRON_SECRET');
+        expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('answers unknown jobs with JOB_NOT_FOUND', async () => {
+        const response = await request(app).get('/api/cron/nothing').set('Authorization', 'Bearer cron-secret');
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('JOB_NOT_FOUND');
+    });
+});
@@ -0,0 +1,68 @@
+const { tokenize, diffWords, diffStats } = require('../backend/utils/diff');
+
+// Rebuild either side of a diff from its chunks
+const side = (chunks, skip) => chunks.filter(chunk => chunk.type !== skip).map(chunk => chunk.value).join('');
+
+describe('diffWords', () => {
+    it('marks inserted and deleted words between unchanged text', () => {
+        const chunks = diffWords('<p>The quick brown fox</p>', '<p>The slow brown dog</p>');
+
+        expect(chunks).toEqual([
+            { type: 'equal', value: '<p>The ' },
+            { type: 'delete', value: 'quick' },
+            { type: 'insert', value: 'slow' },
+            { type: 'equal', value: ' brown ' },
+            { type: 'delete', value: 'fox' },
+            { type: 'insert', value: 'dog' },
+            { type: 'equal', value: '</p>' }
+        ]);
+        expect(diffStats(chunks)).toEqual({ insertions: 2, deletions: 2 });
+    });
+
+    it('reproduces both texts from the chunks', () => {
+        const before = 'one two three four five six seven';
+        const after = 'zero one three four 4.5 five seven eight';
+        const chunks = diffWords(before, after);
+
+        expect(side(chunks, 'insert')).toBe(before);
+        expect(side(chunks, 'delete')).toBe(after);
+    });
+
+    it('handles empty sides', () => {
+        expect(diffWords('', 'new text')).toEqual([{ type: 'insert', value: 'new text' }]);
+        expect(diffWords('old text', '')).toEqual([{ type: 'delete', value: 'old text' }]);
+        expect(diffWords('', '')).toEqual([]);
+    });
+
+    it('shows a full rewrite of a long body as one replacement without exhausting memory', () => {
+        const before = Array.from({ length: 4000 }, (_, i) => `word${i}`).join(' ');
+        const after = Array.from({ length: 4000 }, (_, i) => `other${i}`).join(' ');
+        const heapBefore = process.memoryUsage().heapUsed;
+
+        const chunks = diffWords(before, after);
+
+        expect(chunks.map(chunk => chunk.type)).toEqual(['delete', 'insert']);
+        expect(side(chunks, 'insert')).toBe(before);
+        expect(side(chunks, 'delete')).toBe(after);
+        expect(process.memoryUsage().heapUsed - heapBefore).toBeLessThan(100 * 1024 * 1024);
+    });
+
+    it('still diffs word by word when a long body has a few changes', () => {
+        const before = Array.from({ length: 4000 }, (_, i) => `word${i}`).join(' ');
+        const after = before.replace('word10 ', 'changed ').replace('word3000', 'replaced');
+        const chunks = diffWords(before, after);
+
+        expect(chunks.filter(chunk => chunk.type !== 'equal')).toEqual([
+            { type: 'delete', value: 'word10' },
+            { type: 'insert', value: 'changed' },
+            { type: 'delete', value: 'word3000' },
+            { type: 'insert', value: 'replaced' }
+        ]);
+    });
+});
+
+describe('tokenize', () => {
+    it('keeps tags, whitespace and words as separate tokens', () => {
+        expect(tokenize('<p>Hi  there</p>')).toEqual(['<p>', 'Hi', '  ', 'there', '</p>']);
+    });
+});
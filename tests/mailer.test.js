@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+
+jest.mock('../backend/middleware/rateLimit', () => {
+    const actual = jest.requireActual('../backend/middleware/rateLimit');
+    return Object.fromEntries(Object.keys(actual).map(name => [name, (req, res, next) => next()]));
+});
+
+jest.mock('../backend/models/EmailOutbox');
+jest.mock('../backend/models/User');
+jest.mock('../backend/models/PasswordReset');
+
+const EmailOutboxModel = require('../backend/models/EmailOutbox');
+const UserModel = require('../backend/models/User');
+const PasswordResetModel = require('../backend/models/PasswordReset');
+const { Mailer, FileTransport, mailer } = require('../backend/utils/mailer');
+const authRoutes = require('../backend/routes/auth');
+
+/**
+ * Transport that keeps sent messages in memory
+ */
+const createMemoryTransport = () => ({
+    sent: [],
+    sendMail: jest.fn(async function (message) {
+        this.sent.push(message);
+        return { messageId: `<${this.sent.length}@test>` };
+    })
+});
+
+const outboxRow = (id, overrides = {}) => ({
+    id,
+    to_address: 'member@example.com',
+    subject: 'Welcome',
+    text_body: 'Hello',
+    html_body: '<p>Hello</p>',
+    ...overrides
+});
+
+describe('Mailer', () => {
+    let transport;
+    let instance;
+
+    beforeEach(() => {
+        transport = createMemoryTransport();
+        instance = new Mailer(transport);
+        EmailOutboxModel.enqueue.mockResolvedValue(12);
+    });
+
+    it('queues messages in the outbox without sending them', async () => {
+        const id = await instance.queue('welcome', 'member@example.com', { firstName: 'Ruth' });
+
+        expect(id).toBe(12);
+        expect(EmailOutboxModel.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'member@example.com',
+            template: 'welcome'
+        }));
+        expect(transport.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('never fails the caller when queueing does', async () => {
+        EmailOutboxModel.enqueue.mockRejectedValue(new Error('database down'));
+
+        await expect(instance.queue('welcome', 'member@example.com', {})).resolves.toBeNull();
+    });
+
+    it('sends due outbox messages and records the outcome', async () => {
+        EmailOutboxModel.claimDue.mockResolvedValue([outboxRow(1), outboxRow(2, { to_address: 'broken@example.com' })]);
+        transport.sendMail.mockImplementation(async (message) => {
+            if (message.to === 'broken@example.com') {
+                throw new Error('Mailbox unavailable');
+            }
+            return { messageId: '<1@test>' };
+        });
+
+        const result = await instance.processOutbox();
+
+        expect(result).toEqual({ sent: 1, failed: 1 });
+        expect(EmailOutboxModel.markSent).toHaveBeenCalledWith(1);
+        expect(EmailOutboxModel.markFailed).toHaveBeenCalledWith(2, 'Mailbox unavailable');
+    });
+
+    it('writes messages to disk with the file transport', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faithmasters-mail-'));
+        try {
+            const fileMailer = new Mailer(new FileTransport(directory));
+            EmailOutboxModel.claimDue.mockResolvedValue([outboxRow(3, { subject: 'Reset your password' })]);
+
+            await fileMailer.processOutbox();
+
+            const [file] = fs.readdirSync(directory);
+            expect(file).toMatch(/-reset-your-password\.eml$/);
+            expect(fs.readFileSync(path.join(directory, file), 'utf8')).toContain('To: member@example.com');
+            expect(EmailOutboxModel.markSent).toHaveBeenCalledWith(3);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+    let app;
+    let transport;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/auth', authRoutes);
+    });
+
+    beforeEach(() => {
+        transport = createMemoryTransport();
+        mailer.setTransport(transport);
+        EmailOutboxModel.enqueue.mockResolvedValue(20);
+        PasswordResetModel.createToken.mockResolvedValue({ token: 'reset-token', expiresAt: new Date(Date.now() + 3600000) });
+        UserModel.findByEmail.mockImplementation(async email => (email === 'member@example.com'
+            ? { id: 4, email, first_name: 'Ruth', status: 'active' }
+            : null));
+    });
+
+    it('answers known and unknown addresses the same way without talking to the mail server', async () => {
+        const known = await request(app).post('/api/auth/forgot-password').send({ email: 'member@example.com' });
+        const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'stranger@example.com' });
+
+        expect(known.status).toBe(200);
+        expect(known.body).toEqual(unknown.body);
+        expect(EmailOutboxModel.enqueue).toHaveBeenCalledTimes(1);
+        expect(EmailOutboxModel.enqueue).toHaveBeenCalledWith(expect.objectContaining({ template: 'passwordReset' }));
+        expect(transport.sendMail).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+
+const database = require('../backend/config/database');
+const constants = require('../backend/config/constants');
+const { LocalStorage, S3Storage, setStorage } = require('../backend/utils/storage');
+const { createMockS3Server } = require('../backend/utils/mockS3Server');
+const mediaRoutes = require('../backend/routes/media');
+
+const MEDIA = {
+    1: {
+        id: 1,
+        storage: 'local',
+        file_key: 'image-1-aaaa',
+        variants: JSON.stringify({
+            full: { width: 1920, key: 'images/image-1-aaaa-full.jpg', webpKey: 'images/image-1-aaaa-full.webp' }
+        })
+    },
+    2: {
+        id: 2,
+        storage: 's3',
+        file_key: 'image-2-bbbb',
+        variants: JSON.stringify({
+            card: { width: 800, key: 'images/image-2-bbbb-card.jpg' }
+        })
+    }
+};
+
+describe('media routes', () => {
+    let root;
+    let s3Server;
+    let app;
+
+    beforeAll(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'faithmasters-media-'));
+        const local = new LocalStorage(root);
+        await local.put('images/image-1-aaaa-full.jpg', Buffer.from('full jpeg'));
+        await local.put('images/image-1-aaaa-full.webp', Buffer.from('full webp'));
+        await local.put('images/unrecorded.jpg', Buffer.from('old upload'));
+        setStorage('local', local);
+
+        const options = { bucket: 'media', region: 'us-east-1', accessKeyId: 'key', secretAccessKey: 'secret' };
+        s3Server = createMockS3Server(options).listen(0, '127.0.0.1');
+        await new Promise(resolve => s3Server.once('listening', resolve));
+        const s3 = new S3Storage({
+            ENDPOINT: `http://127.0.0.1:${s3Server.address().port}`,
+            REGION: options.region,
+            BUCKET: options.bucket,
+            ACCESS_KEY_ID: options.accessKeyId,
+            SECRET_ACCESS_KEY: options.secretAccessKey,
+            FORCE_PATH_STYLE: true
+        });
+        await s3.put('images/image-2-bbbb-card.jpg', Buffer.from('card from s3'), { contentType: 'image/jpeg' });
+        setStorage('s3', s3);
+
+        app = express();
+        app.use(mediaRoutes);
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => s3Server.close(resolve));
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        database.get.mockImplementation(async (sql, params) => {
+            if (sql.includes('WHERE file_key = $1')) {
+                return Object.values(MEDIA).find(media => media.file_key === params[0]) || null;
+            }
+            return MEDIA[params[0]] || null;
+        });
+    });
+
+    it('streams the full size by default, cached for good', async () => {
+        const response = await request(app).get('/media/1');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('image/jpeg');
+        expect(response.headers['cache-control']).toContain('immutable');
+        expect(response.body.toString()).toBe('full jpeg');
+    });
+
+    it('serves the WebP copy of a variant', async () => {
+        const response = await request(app).get('/media/1/full.webp');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('image/webp');
+        expect(response.body.toString()).toBe('full webp');
+    });
+
+    it.each(['/media/1/card', '/media/1/FULL', '/media/9/full'])('answers %s with MEDIA_NOT_FOUND', async (url) => {
+        const response = await request(app).get(url);
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('MEDIA_NOT_FOUND');
+    });
+
+    it('redirects S3 media to a signed URL', async () => {
+        const response = await request(app).get('/media/2/card');
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toContain('/media/images/image-2-bbbb-card.jpg?');
+        expect(response.headers.location).toContain('X-Amz-Signature=');
+    });
+
+    it('streams S3 media through the app when reads are proxied', async () => {
+        constants.STORAGE.S3.PROXY_READS = true;
+        try {
+            const response = await request(app).get('/media/2/card');
+
+            expect(response.status).toBe(200);
+            expect(response.body.toString()).toBe('card from s3');
+        } finally {
+            constants.STORAGE.S3.PROXY_READS = false;
+        }
+    });
+
+    it('keeps old /uploads links working', async () => {
+        const recorded = await request(app).get('/uploads/images/image-1-aaaa-full.jpg');
+        const unrecorded = await request(app).get('/uploads/images/unrecorded.jpg');
+
+        expect(recorded.status).toBe(200);
+        expect(recorded.body.toString()).toBe('full jpeg');
+        expect(unrecorded.status).toBe(200);
+        expect(unrecorded.body.toString()).toBe('old upload');
+    });
+});
@@ -0,0 +1,223 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+
+jest.mock('../backend/middleware/auth', () => {
+    const actual = jest.requireActual('../backend/middleware/auth');
+    const pass = (req, res, next) => next();
+    return {
+        ...actual,
+        verifyToken: (req, res, next) => {
+            req.user = { id: 7, role: 'moderator', status: 'active' };
+            next();
+        },
+        requireActiveAccount: pass,
+        requirePermission: () => pass,
+        hasPermission: jest.fn(async () => true)
+    };
+});
+
+jest.mock('../backend/middleware/rateLimit', () => {
+    const actual = jest.requireActual('../backend/middleware/rateLimit');
+    return Object.fromEntries(Object.keys(actual).map(name => [name, (req, res, next) => next()]));
+});
+
+jest.mock('../backend/models/Content');
+jest.mock('../backend/models/ContentRevision');
+jest.mock('../backend/models/Media');
+jest.mock('../backend/models/Comment');
+jest.mock('../backend/models/Report');
+jest.mock('../backend/models/ModeratorCategory');
+jest.mock('../backend/utils/contentEvents', () => ({ contentEvents: { publish: jest.fn() } }));
+jest.mock('../backend/utils/audit', () => ({
+    ...jest.requireActual('../backend/utils/audit'),
+    recordAudit: jest.fn()
+}));
+
+const database = require('../backend/config/database');
+const ContentModel = require('../backend/models/Content');
+const ContentRevisionModel = require('../backend/models/ContentRevision');
+const CommentModel = require('../backend/models/Comment');
+const ReportModel = require('../backend/models/Report');
+const ModeratorCategoryModel = require('../backend/models/ModeratorCategory');
+const contentRoutes = require('../backend/routes/content');
+const apiRoutes = require('../backend/routes/api');
+const adminRoutes = require('../backend/routes/admin');
+
+// The moderator (user 7) is assigned category 1 only
+const ASSIGNED_CATEGORY = 1;
+const OTHER_CATEGORY = 2;
+
+const POSTS = {
+    10: { id: 10, author_id: 99, category_id: ASSIGNED_CATEGORY, status: 'published' },
+    11: { id: 11, author_id: 99, category_id: OTHER_CATEGORY, status: 'published' },
+    12: { id: 12, author_id: 7, category_id: OTHER_CATEGORY, status: 'published' },
+    13: { id: 13, author_id: 99, category_id: null, status: 'published' }
+};
+
+const COMMENTS = {
+    20: { id: 20, author_id: 99, content_id: 10 },
+    21: { id: 21, author_id: 99, content_id: 11 }
+};
+
+const REPORTS = {
+    30: { id: 30, target_type: 'content', target_id: 11 },
+    31: { id: 31, target_type: 'comment', target_id: 20 },
+    32: { id: 32, target_type: 'user', target_id: 99 }
+};
+
+describe('moderation scope outside the admin queue', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/content', contentRoutes);
+        app.use('/api/admin', adminRoutes);
+        app.use('/api', apiRoutes);
+    });
+
+    beforeEach(() => {
+        ModeratorCategoryModel.canModerate.mockImplementation(async (userId, categoryId) => categoryId === ASSIGNED_CATEGORY);
+        ModeratorCategoryModel.getScope.mockResolvedValue([ASSIGNED_CATEGORY]);
+        ContentModel.findById.mockImplementation(async id => POSTS[id] || null);
+        ContentModel.update.mockImplementation(async id => POSTS[id]);
+        ContentModel.delete.mockResolvedValue(true);
+        CommentModel.findById.mockImplementation(async id => COMMENTS[id] || null);
+        CommentModel.delete.mockResolvedValue(true);
+        CommentModel.canEdit.mockResolvedValue(true);
+        CommentModel.update.mockImplementation(async id => COMMENTS[id]);
+        ContentRevisionModel.findByNumber.mockResolvedValue({ revision_number: 1, category_id: ASSIGNED_CATEGORY });
+        ContentModel.restoreRevision.mockImplementation(async id => POSTS[id]);
+        ContentModel.getScheduled.mockResolvedValue({ content: [], pagination: {} });
+        ReportModel.findById.mockImplementation(async id => REPORTS[id] || null);
+        ReportModel.close.mockResolvedValue(1);
+        ReportModel.getQueue.mockResolvedValue({ reports: [], pagination: {} });
+    });
+
+    it('lets moderators edit posts in their categories', async () => {
+        const response = await request(app).put('/api/content/10').send({ title: 'A corrected title' });
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.update).toHaveBeenCalled();
+    });
+
+    it('stops moderators editing posts in other categories', async () => {
+        const response = await request(app).put('/api/content/11').send({ title: 'A corrected title' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('OUTSIDE_MODERATION_SCOPE');
+        expect(ContentModel.update).not.toHaveBeenCalled();
+    });
+
+    it('stops moderators moving posts out of their categories', async () => {
+        const response = await request(app).put('/api/content/10').send({ categoryId: OTHER_CATEGORY });
+
+        expect(response.status).toBe(403);
+        expect(ContentModel.update).not.toHaveBeenCalled();
+    });
+
+    it('keeps uncategorized posts to moderators without assignments', async () => {
+        const response = await request(app).put('/api/content/13').send({ title: 'A corrected title' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('OUTSIDE_MODERATION_SCOPE');
+        expect(ContentModel.update).not.toHaveBeenCalled();
+    });
+
+    it('stops moderators restoring revisions of posts in other categories', async () => {
+        const outside = await request(app).post('/api/content/11/revisions/1/restore');
+        const uncategorized = await request(app).post('/api/content/13/revisions/1/restore');
+        const inside = await request(app).post('/api/content/10/revisions/1/restore');
+
+        expect(outside.status).toBe(403);
+        expect(uncategorized.status).toBe(403);
+        expect(inside.status).toBe(200);
+        expect(ContentModel.restoreRevision).toHaveBeenCalledTimes(1);
+        expect(ContentModel.restoreRevision).toHaveBeenCalledWith('10', 1, 7);
+    });
+
+    it('stops moderators deleting posts in other categories', async () => {
+        const response = await request(app).delete('/api/content/11');
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('OUTSIDE_MODERATION_SCOPE');
+        expect(ContentModel.delete).not.toHaveBeenCalled();
+    });
+
+    it('leaves moderators free to delete their own posts anywhere', async () => {
+        const response = await request(app).delete('/api/content/12');
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.delete).toHaveBeenCalledWith('12', 7);
+    });
+
+    it('checks comment edits against the category of the comment\'s post', async () => {
+        const outside = await request(app).put('/api/comments/21').send({ body: 'Edited by a moderator' });
+        const inside = await request(app).put('/api/comments/20').send({ body: 'Edited by a moderator' });
+
+        expect(outside.status).toBe(403);
+        expect(outside.body.code).toBe('OUTSIDE_MODERATION_SCOPE');
+        expect(inside.status).toBe(200);
+        expect(CommentModel.update).toHaveBeenCalledTimes(1);
+        expect(CommentModel.update).toHaveBeenCalledWith('20', { body: 'Edited by a moderator' });
+    });
+
+    it('checks comment deletes against the category of the comment\'s post', async () => {
+        const outside = await request(app).delete('/api/comments/21');
+        const inside = await request(app).delete('/api/comments/20');
+
+        expect(outside.status).toBe(403);
+        expect(outside.body.code).toBe('OUTSIDE_MODERATION_SCOPE');
+        expect(inside.status).toBe(200);
+        expect(CommentModel.delete).toHaveBeenCalledTimes(1);
+        expect(CommentModel.delete).toHaveBeenCalledWith('20', 7);
+    });
+
+    it('filters scheduled posts by the moderator\'s categories', async () => {
+        const response = await request(app).get('/api/admin/content/scheduled');
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.getScheduled).toHaveBeenCalledWith(expect.objectContaining({ categoryIds: [ASSIGNED_CATEGORY] }));
+    });
+
+    it('filters the report queue by the moderator\'s categories', async () => {
+        const response = await request(app).get('/api/admin/reports');
+
+        expect(response.status).toBe(200);
+        expect(ReportModel.getQueue).toHaveBeenCalledWith(expect.objectContaining({ categoryIds: [ASSIGNED_CATEGORY] }));
+    });
+
+    it('only lets moderators close reports on items in their categories', async () => {
+        const post = await request(app).put('/api/admin/reports/30/dismiss').send({});
+        const comment = await request(app).put('/api/admin/reports/31/dismiss').send({});
+        const user = await request(app).put('/api/admin/reports/32/dismiss').send({});
+
+        expect(post.status).toBe(403);
+        expect(comment.status).toBe(200);
+        expect(user.status).toBe(403);
+        expect(ReportModel.close).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('ContentModel.getScheduled', () => {
+    const RealContentModel = jest.requireActual('../backend/models/Content');
+
+    it('limits the list to the given categories', async () => {
+        database.get.mockResolvedValue({ total: 0 });
+        database.query.mockResolvedValue([]);
+
+        await RealContentModel.getScheduled({ page: 2, limit: 10, categoryIds: [ASSIGNED_CATEGORY] });
+
+        const [sql, params] = database.query.mock.calls[0];
+        expect(sql).toContain('c.category_id = ANY($1::int[])');
+        expect(sql).toContain('LIMIT $2 OFFSET $3');
+        expect(params).toEqual([[ASSIGNED_CATEGORY], 10, 10]);
+        expect(database.get.mock.calls[0][1]).toEqual([[ASSIGNED_CATEGORY]]);
+    });
+});
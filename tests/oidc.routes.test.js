@@ -0,0 +1,248 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+
+jest.mock('../backend/middleware/auth', () => ({
+    ...jest.requireActual('../backend/middleware/auth'),
+    verifyToken: (req, res, next) => {
+        req.user = { id: 4, status: 'active' };
+        next();
+    }
+}));
+
+jest.mock('../backend/middleware/rateLimit', () => {
+    const actual = jest.requireActual('../backend/middleware/rateLimit');
+    return Object.fromEntries(Object.keys(actual).map(name => [name, (req, res, next) => next()]));
+});
+
+jest.mock('../backend/models/User');
+jest.mock('../backend/models/UserIdentity');
+jest.mock('../backend/models/OidcLogin');
+jest.mock('../backend/models/EmailOutbox');
+
+const CLIENT_ID = 'faithmasters';
+const CLIENT_SECRET = 'mock-secret';
+
+process.env.SOCIAL_LOGIN = 'true';
+
+describe('OIDC routes against the mock provider', () => {
+    let providerServer;
+    let app;
+    let constants;
+    let logger;
+    let UserModel;
+    let UserIdentityModel;
+    let OidcLoginModel;
+    let states;
+
+    beforeAll(async () => {
+        const { createMockOidcProvider } = require('../backend/utils/mockOidcProvider');
+
+        // One server hosts a well-behaved provider and two that issue tokens meant for someone else
+        const providers = express();
+        providerServer = http.createServer(providers).listen(0, '127.0.0.1');
+        await new Promise(resolve => providerServer.once('listening', resolve));
+        const base = `http://127.0.0.1:${providerServer.address().port}`;
+
+        const setups = {
+            mock: {},
+            wrongaud: { tokenAudience: 'another-client' },
+            wrongiss: { tokenIssuer: 'https://evil.example' }
+        };
+        for (const [id, overrides] of Object.entries(setups)) {
+            const issuer = `${base}/${id}`;
+            providers.use(`/${id}`, createMockOidcProvider({ issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, ...overrides }));
+
+            const prefix = `OIDC_${id.toUpperCase()}_`;
+            process.env[`${prefix}ISSUER`] = issuer;
+            process.env[`${prefix}CLIENT_ID`] = CLIENT_ID;
+            process.env[`${prefix}CLIENT_SECRET`] = CLIENT_SECRET;
+        }
+        process.env.OIDC_PROVIDERS = Object.keys(setups).join(',');
+
+        constants = require('../backend/config/constants');
+        ({ logger } = require('../backend/utils/logger'));
+        UserModel = require('../backend/models/User');
+        UserIdentityModel = require('../backend/models/UserIdentity');
+        OidcLoginModel = require('../backend/models/OidcLogin');
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/auth', require('../backend/routes/auth'));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => providerServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'logSecurity');
+        states = new Map();
+        OidcLoginModel.createState.mockImplementation(async ({ state, provider, codeVerifier, nonce, userId }) => {
+            states.set(state, { provider, code_verifier: codeVerifier, nonce, user_id: userId });
+        });
+        OidcLoginModel.consumeState.mockImplementation(async (state) => {
+            const attempt = states.get(state) || null;
+            states.delete(state);
+            return attempt;
+        });
+        OidcLoginModel.createTicket.mockImplementation(async userId => `ticket-${userId}`);
+
+        UserIdentityModel.findBySubject.mockResolvedValue(null);
+        UserIdentityModel.link.mockResolvedValue(true);
+        UserModel.findByEmail.mockResolvedValue(null);
+        UserModel.create.mockImplementation(async data => ({ id: 50, email: data.email, first_name: data.firstName }));
+    });
+
+    const stateCookie = (response) => response.headers['set-cookie']
+        .map(cookie => cookie.split(';')[0])
+        .find(cookie => cookie.startsWith(`${constants.OIDC.STATE_COOKIE}=`));
+
+    /**
+     * Sign in at the provider the way a browser would and return the callback path it sends back
+     */
+    const approveAtProvider = async (authorizationUrl, email = 'ruth@example.com') => {
+        const url = new URL(authorizationUrl);
+        const response = await request(providerServer)
+            .post(url.pathname)
+            .type('form')
+            .send({
+                ...Object.fromEntries(url.searchParams),
+                email,
+                name: 'Ruth Moab',
+                email_verified: 'true',
+                action: 'approve'
+            });
+
+        const callback = new URL(response.headers.location);
+        return `${callback.pathname}${callback.search}`;
+    };
+
+    /**
+     * Start a login, approve it and follow the callback
+     */
+    const logIn = async (provider, { tamper = (callbackPath, cookie) => [callbackPath, cookie] } = {}) => {
+        const start = await request(app).get(`/api/auth/oidc/${provider}/login`);
+        expect(start.status).toBe(302);
+
+        const callbackPath = await approveAtProvider(start.headers.location);
+        const [path, cookie] = tamper(callbackPath, stateCookie(start));
+
+        const callback = request(app).get(path);
+        return cookie ? callback.set('Cookie', cookie) : callback;
+    };
+
+    const appRedirect = (response) => Object.fromEntries(new URL(response.headers.location, 'http://app').searchParams);
+
+    it('sends the browser to the provider with state, nonce and an S256 PKCE challenge', async () => {
+        const response = await request(app).get('/api/auth/oidc/mock/login');
+        const url = new URL(response.headers.location);
+
+        expect(url.pathname).toBe('/mock/authorize');
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('state')).toBe(stateCookie(response).split('=')[1]);
+        expect(url.searchParams.get('nonce')).toBeTruthy();
+    });
+
+    it('registers a new user and hands back a single-use ticket', async () => {
+        const response = await logIn('mock');
+
+        expect(response.status).toBe(302);
+        expect(appRedirect(response)).toEqual({ socialLogin: 'ticket-50' });
+        expect(UserModel.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'ruth@example.com', emailVerified: true, hasPassword: false }));
+        expect(UserIdentityModel.link).toHaveBeenCalledWith(50, expect.objectContaining({ provider: 'mock', email: 'ruth@example.com' }));
+    });
+
+    it('signs in the user a provider account is already linked to', async () => {
+        UserIdentityModel.findBySubject.mockResolvedValue({ id: 8, user_id: 4 });
+
+        const response = await logIn('mock');
+
+        expect(appRedirect(response)).toEqual({ socialLogin: 'ticket-4' });
+        expect(UserModel.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects a callback whose state does not match the browser cookie', async () => {
+        const response = await logIn('mock', {
+            tamper: (path, cookie) => [path.replace(/state=[^&]+/, 'state=forged'), cookie]
+        });
+
+        expect(appRedirect(response).socialError).toBe('Sign-in expired. Please try again.');
+        expect(OidcLoginModel.createTicket).not.toHaveBeenCalled();
+    });
+
+    it('rejects a callback without the state cookie', async () => {
+        const response = await logIn('mock', { tamper: path => [path, null] });
+
+        expect(appRedirect(response).socialError).toBe('Sign-in expired. Please try again.');
+        expect(OidcLoginModel.consumeState).not.toHaveBeenCalled();
+    });
+
+    it('fails the sign-in when the PKCE verifier does not match the challenge', async () => {
+        const response = await logIn('mock', {
+            tamper: (path, cookie) => {
+                states.forEach(attempt => { attempt.code_verifier = 'not-the-original-verifier'; });
+                return [path, cookie];
+            }
+        });
+
+        expect(appRedirect(response).socialError).toBe('mock sign-in failed');
+        expect(logger.logSecurity).toHaveBeenCalledWith('OIDC sign-in failed', expect.objectContaining({ error: 'PKCE verification failed' }));
+        expect(OidcLoginModel.createTicket).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['an ID token for another client', 'wrongaud', /audience invalid/],
+        ['an ID token from another issuer', 'wrongiss', /issuer invalid/]
+    ])('fails the sign-in on %s', async (description, provider, reason) => {
+        const response = await logIn(provider);
+
+        expect(appRedirect(response).socialError).toBe(`${provider} sign-in failed`);
+        expect(logger.logSecurity).toHaveBeenCalledWith('OIDC sign-in failed', expect.objectContaining({ error: expect.stringMatching(reason) }));
+        expect(UserModel.create).not.toHaveBeenCalled();
+        expect(OidcLoginModel.createTicket).not.toHaveBeenCalled();
+    });
+
+    it('links a provider account to the signed-in user', async () => {
+        const start = await request(app).post('/api/auth/oidc/mock/link');
+        const callbackPath = await approveAtProvider(start.body.data.authorizationUrl);
+
+        const response = await request(app).get(callbackPath).set('Cookie', stateCookie(start));
+
+        expect(appRedirect(response)).toEqual({ socialLinked: 'mock' });
+        expect(UserIdentityModel.link).toHaveBeenCalledWith(4, expect.objectContaining({ provider: 'mock', email: 'ruth@example.com' }));
+        expect(OidcLoginModel.createTicket).not.toHaveBeenCalled();
+    });
+
+    it('refuses to link a provider account that belongs to another user', async () => {
+        UserIdentityModel.findBySubject.mockResolvedValue({ id: 8, user_id: 99 });
+
+        const start = await request(app).post('/api/auth/oidc/mock/link');
+        const callbackPath = await approveAtProvider(start.body.data.authorizationUrl);
+
+        const response = await request(app).get(callbackPath).set('Cookie', stateCookie(start));
+
+        expect(appRedirect(response).socialError).toBe('That mock account is linked to another user');
+        expect(UserIdentityModel.link).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['unlinked', 200, undefined],
+        ['not_found', 404, 'IDENTITY_NOT_FOUND'],
+        ['last_login_method', 400, 'LAST_LOGIN_METHOD']
+    ])('answers an unlink that comes back %s with %i', async (result, status, code) => {
+        UserIdentityModel.unlink.mockResolvedValue(result);
+
+        const response = await request(app).delete('/api/auth/oidc/identities/mock');
+
+        expect(response.status).toBe(status);
+        expect(response.body.code).toBe(code);
+        expect(UserIdentityModel.unlink).toHaveBeenCalledWith(4, 'mock');
+    });
+});
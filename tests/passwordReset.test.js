@@ -0,0 +1,175 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+
+jest.mock('../backend/middleware/rateLimit', () => {
+    const actual = jest.requireActual('../backend/middleware/rateLimit');
+    return Object.fromEntries(Object.keys(actual).map(name => [name, (req, res, next) => next()]));
+});
+
+jest.mock('../backend/models/EmailOutbox');
+jest.mock('../backend/models/User');
+
+const database = require('../backend/config/database');
+const EmailOutboxModel = require('../backend/models/EmailOutbox');
+const UserModel = require('../backend/models/User');
+const { mailer } = require('../backend/utils/mailer');
+const authRoutes = require('../backend/routes/auth');
+
+const NEW_PASSWORD = 'Renewed#Password1';
+
+/**
+ * Stand-in for the password reset tables
+ * Each statement only filters on the conditions its SQL actually contains,
+ * so dropping one from a query makes these tests fail.
+ */
+const createResetStore = () => {
+    const store = {
+        tokens: [],
+        users: new Map([[4, { id: 4, deleted_at: null, password_hash: 'old-hash' }]]),
+        revokedSessions: []
+    };
+    const has = (sql, condition) => sql.replace(/\s+/g, ' ').includes(condition);
+
+    database.run.mockImplementation(async (sql, params = []) => {
+        if (sql.includes('INSERT INTO password_reset_tokens')) {
+            const [userId, tokenHash, expiresAt] = params;
+            store.tokens.push({ user_id: userId, token_hash: tokenHash, expires_at: new Date(expiresAt), used_at: null });
+        } else if (sql.includes('DELETE FROM password_reset_tokens')) {
+            store.tokens = store.tokens.filter(token => token.user_id !== params[0] || token.used_at);
+        } else if (sql.includes('UPDATE user_sessions')) {
+            store.revokedSessions.push(params[0]);
+        }
+        return { changes: 1 };
+    });
+
+    database.get.mockImplementation(async (sql, params = []) => {
+        if (!sql.includes('UPDATE password_reset_tokens')) {
+            return null;
+        }
+
+        const [tokenHash, passwordHash] = params;
+        const token = store.tokens.find(candidate => candidate.token_hash === tokenHash
+            && (!has(sql, 'used_at IS NULL') || !candidate.used_at)
+            && (!has(sql, 'expires_at > CURRENT_TIMESTAMP') || candidate.expires_at > new Date()));
+        if (!token) {
+            return null;
+        }
+        token.used_at = new Date();
+
+        const user = store.users.get(token.user_id);
+        if (!user || (has(sql, 'users.deleted_at IS NULL') && user.deleted_at)) {
+            return null;
+        }
+        user.password_hash = passwordHash;
+
+        return { id: user.id };
+    });
+
+    return store;
+};
+
+describe('password reset', () => {
+    let app;
+    let store;
+    let transport;
+    let outbox;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/auth', authRoutes);
+    });
+
+    beforeEach(() => {
+        store = createResetStore();
+
+        // Mail goes through the outbox and an in-memory transport, as the outbox job would send it
+        outbox = [];
+        EmailOutboxModel.enqueue.mockImplementation(async (message) => {
+            outbox.push({ id: outbox.length + 1, to_address: message.to, subject: message.subject, text_body: message.text, html_body: message.html });
+            return outbox.length;
+        });
+        EmailOutboxModel.claimDue.mockImplementation(async () => outbox.splice(0));
+        transport = { sendMail: jest.fn(async () => ({ messageId: '<reset@test>' })) };
+        mailer.setTransport(transport);
+
+        UserModel.findByEmail.mockImplementation(async email => (email === 'member@example.com'
+            ? { id: 4, email, first_name: 'Ruth', status: 'active' }
+            : null));
+    });
+
+    /**
+     * Ask for a reset link and return the token from the delivered email
+     */
+    const requestResetToken = async () => {
+        await request(app).post('/api/auth/forgot-password').send({ email: 'member@example.com' });
+        await mailer.processOutbox();
+
+        const [message] = transport.sendMail.mock.calls[transport.sendMail.mock.calls.length - 1];
+        return message.text.match(/resetToken=([0-9a-f]{64})/)[1];
+    };
+
+    const resetPassword = (token) => request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+
+    it('sets the new password and signs the account out everywhere', async () => {
+        const token = await requestResetToken();
+
+        const response = await resetPassword(token);
+
+        expect(response.status).toBe(200);
+        expect(store.users.get(4).password_hash).not.toBe('old-hash');
+        expect(store.revokedSessions).toEqual([4]);
+    });
+
+    it('accepts each token only once', async () => {
+        const token = await requestResetToken();
+
+        const first = await resetPassword(token);
+        const second = await resetPassword(token);
+
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(400);
+        expect(second.body.code).toBe('INVALID_RESET_TOKEN');
+        expect(store.revokedSessions).toEqual([4]);
+    });
+
+    it('rejects expired tokens', async () => {
+        const token = await requestResetToken();
+        store.tokens.forEach(stored => { stored.expires_at = new Date(Date.now() - 1000); });
+
+        const response = await resetPassword(token);
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_RESET_TOKEN');
+        expect(store.users.get(4).password_hash).toBe('old-hash');
+        expect(store.revokedSessions).toEqual([]);
+    });
+
+    it('stops earlier tokens working once a new one is sent', async () => {
+        const earlier = await requestResetToken();
+        await requestResetToken();
+
+        const response = await resetPassword(earlier);
+
+        expect(response.status).toBe(400);
+    });
+
+    it('leaves deleted accounts alone', async () => {
+        const token = await requestResetToken();
+        store.users.get(4).deleted_at = new Date();
+
+        const response = await resetPassword(token);
+
+        expect(response.status).toBe(400);
+        expect(store.users.get(4).password_hash).toBe('old-hash');
+        expect(store.revokedSessions).toEqual([]);
+    });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+
+jest.mock('../backend/middleware/auth', () => {
+    const actual = jest.requireActual('../backend/middleware/auth');
+    const pass = (req, res, next) => next();
+    return {
+        ...actual,
+        verifyToken: (req, res, next) => {
+            req.user = { id: 7, status: 'active' };
+            next();
+        },
+        requirePermission: () => pass,
+        hasPermission: jest.fn(async () => true),
+        checkModerationScope: jest.fn(async () => true)
+    };
+});
+
+jest.mock('../backend/middleware/rateLimit', () => {
+    const actual = jest.requireActual('../backend/middleware/rateLimit');
+    return Object.fromEntries(Object.keys(actual).map(name => [name, (req, res, next) => next()]));
+});
+
+jest.mock('../backend/models/Content');
+jest.mock('../backend/models/ContentRevision');
+jest.mock('../backend/models/Media');
+jest.mock('../backend/models/Notification');
+jest.mock('../backend/utils/emailNotifications');
+jest.mock('../backend/utils/contentEvents', () => ({ contentEvents: { publish: jest.fn() } }));
+jest.mock('../backend/utils/audit', () => ({
+    ...jest.requireActual('../backend/utils/audit'),
+    recordAudit: jest.fn()
+}));
+jest.mock('../backend/utils/moderationPolicy', () => ({
+    ...jest.requireActual('../backend/utils/moderationPolicy'),
+    requiresReview: jest.fn()
+}));
+
+const database = require('../backend/config/database');
+const constants = require('../backend/config/constants');
+const ContentModel = require('../backend/models/Content');
+const MediaModel = require('../backend/models/Media');
+const { requiresReview } = require('../backend/utils/moderationPolicy');
+const contentRoutes = require('../backend/routes/content');
+const adminRoutes = require('../backend/routes/admin');
+
+const STATUS = constants.CONTENT_STATUS;
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const newPost = (overrides = {}) => ({
+    title: 'Sabbath reflections',
+    body: '<p>Thoughts for the coming week.</p>',
+    type: 'article',
+    ...overrides
+});
+
+describe('scheduled posts that need review', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/content', contentRoutes);
+        app.use('/api/admin', adminRoutes);
+    });
+
+    beforeEach(() => {
+        requiresReview.mockResolvedValue(true);
+        ContentModel.create.mockImplementation(async data => ({ id: 5, ...data }));
+        ContentModel.update.mockResolvedValue({ id: 5 });
+    });
+
+    it('keep their publish date while pending', async () => {
+        const publishAt = inDays(3);
+
+        const response = await request(app).post('/api/content').send(newPost({ status: STATUS.SCHEDULED, publishAt }));
+
+        expect(response.status).toBe(201);
+        expect(ContentModel.create).toHaveBeenCalledWith(expect.objectContaining({ status: STATUS.PENDING, publishAt }));
+    });
+
+    it('still need a publish date in the future', async () => {
+        const response = await request(app).post('/api/content').send(newPost({ status: STATUS.SCHEDULED, publishAt: inDays(-1) }));
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_PUBLISH_DATE');
+    });
+
+    it('keep the stored publish date when rescheduled without a new one', async () => {
+        const publishAt = inDays(2);
+        ContentModel.findById.mockResolvedValue({ id: 5, author_id: 7, status: STATUS.DRAFT, publish_at: publishAt });
+
+        const response = await request(app).put('/api/content/5').send({ status: STATUS.SCHEDULED });
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.update).toHaveBeenCalledWith('5', expect.objectContaining({ status: STATUS.PENDING, publishAt }), { editorId: 7 });
+    });
+
+    it('are scheduled, not published, when approved before their date', async () => {
+        ContentModel.findById.mockResolvedValue({ id: 5, author_id: 9, status: STATUS.PENDING, publish_at: inDays(1) });
+
+        const response = await request(app).put('/api/admin/moderation/content/5').send({ decision: 'approve' });
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.update).toHaveBeenCalledWith(5, { status: STATUS.SCHEDULED }, { editorId: 7 });
+    });
+
+    it('are published when approved after their date has passed', async () => {
+        ContentModel.findById.mockResolvedValue({ id: 5, author_id: 9, status: STATUS.PENDING, publish_at: inDays(-1) });
+
+        const response = await request(app).put('/api/admin/moderation/content/5').send({ decision: 'approve' });
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.update).toHaveBeenCalledWith(5, { status: STATUS.PUBLISHED }, { editorId: 7 });
+    });
+
+    it('are published at once when a moderator sets them published', async () => {
+        ContentModel.findById.mockResolvedValue({ id: 5, author_id: 9, status: STATUS.PENDING, publish_at: inDays(1) });
+
+        const response = await request(app).put('/api/admin/content/5/status').send({ status: STATUS.PUBLISHED });
+
+        expect(response.status).toBe(200);
+        expect(ContentModel.update).toHaveBeenCalledWith(5, { status: STATUS.PUBLISHED }, { editorId: 7 });
+    });
+});
+
+describe('ContentModel.create', () => {
+    const RealContentModel = jest.requireActual('../backend/models/Content');
+
+    it('stores the publish date of pending posts', async () => {
+        const publishAt = inDays(3);
+        database.get.mockImplementation(async sql => (sql.includes('FROM content c') ? { id: 5, tags: '[]' } : null));
+        database.run.mockResolvedValue({ lastID: 5 });
+        MediaModel.findByIds.mockResolvedValue(new Map());
+
+        await RealContentModel.create({ ...newPost(), authorId: 7, status: STATUS.PENDING, publishAt });
+
+        const [, params] = database.run.mock.calls.find(([sql]) => sql.includes('INSERT INTO content'));
+        expect(params).toContain(publishAt);
+    });
+});
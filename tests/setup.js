@@ -0,0 +1,6 @@
+const os = require('os');
+const path = require('path');
+
+// Keep test runs from writing log files into the repository
+process.env.LOG_FILE_PATH = path.join(os.tmpdir(), 'faithmasters-test-logs', 'app.log');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
